@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//
+//   node bin/migrate.js up [version]    apply pending migrations (up to version)
+//   node bin/migrate.js down [steps]    revert the last applied migration(s) (default 1)
+//   node bin/migrate.js status          list migrations and whether they are applied
+//   node bin/migrate.js create <name>   add an empty migration file
+const fs = require('fs');
+const path = require('path');
+const migrator = require('../lib/migrate');
+
+const TEMPLATE = `// %VERSION% - %DESCRIPTION%
+module.exports = {
+  async up(db) {
+  },
+
+  async down(db) {
+  }
+};
+`;
+
+function createMigration(name) {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Usage: migrate create <name> (letters, digits, _ and - only)');
+  }
+  const migrations = migrator.loadMigrations();
+  const next = (migrations.length ? migrations[migrations.length - 1].version : 0) + 1;
+  const version = String(next).padStart(3, '0');
+  const file = path.join(migrator.MIGRATIONS_DIR, `${version}_${name}.js`);
+
+  fs.writeFileSync(file, TEMPLATE.replace('%VERSION%', version).replace('%DESCRIPTION%', name.replace(/[_-]/g, ' ')));
+  console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    return createMigration(arg);
+  }
+
+  const pool = require('../lib/db');
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(pool, { target: arg ? parseInt(arg, 10) : Infinity });
+      applied.forEach(m => console.log(`⬆️  ${m.file}`));
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!(steps > 0)) throw new Error('Usage: migrate down [steps]');
+      const reverted = await migrator.rollback(pool, { steps });
+      reverted.forEach(m => console.log(`⬇️  ${m.file}`));
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const rows = await migrator.status(pool);
+      rows.forEach(m => {
+        const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(32)} ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" (use up, down, status or create)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
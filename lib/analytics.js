@@ -0,0 +1,105 @@
+// lib/analytics.js - date-range parsing and time bucketing for analytics
+//
+// Buckets are truncated in UTC the same way Postgres date_trunc does
+// (weeks start on Monday), so SQL-grouped rows line up with the filled series.
+
+const INTERVALS = ['hour', 'day', 'week'];
+const MAX_BUCKETS = 1000;
+
+function truncate(date, interval) {
+  const d = new Date(date);
+  d.setUTCMinutes(0, 0, 0);
+  if (interval === 'hour') return d;
+
+  d.setUTCHours(0);
+  if (interval === 'week') {
+    // getUTCDay: 0 = Sunday; move back to Monday
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  }
+  return d;
+}
+
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  if (interval === 'hour') d.setUTCHours(d.getUTCHours() + 1);
+  else if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  else d.setUTCDate(d.getUTCDate() + 7);
+  return d;
+}
+
+// Parse ?from=&to=&interval= into { from, to, interval }, or { error }.
+// `from` may be null (all time); `to` defaults to now.
+function parseRange(query) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : new Date();
+  if ((from && isNaN(from.getTime())) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (from && countBuckets(from, to, interval) > MAX_BUCKETS) {
+    return { error: `Range too large for ${interval} buckets (max ${MAX_BUCKETS}); use a larger interval` };
+  }
+
+  return { from, to, interval };
+}
+
+function countBuckets(from, to, interval) {
+  const size = { hour: 3600e3, day: 86400e3, week: 7 * 86400e3 }[interval];
+  return Math.ceil((to - truncate(from, interval)) / size);
+}
+
+// Merge per-bucket counts into one continuous series with zero-filled gaps.
+// `series` maps a name to rows of { bucket, count }. Without `from`, the series
+// starts at the earliest bucket that has data.
+function fillSeries(series, { from, to, interval }) {
+  const byBucket = new Map();
+  let earliest = null;
+
+  Object.entries(series).forEach(([name, rows]) => {
+    rows.forEach(row => {
+      const bucket = truncate(row.bucket, interval).getTime();
+      if (!byBucket.has(bucket)) byBucket.set(bucket, {});
+      byBucket.get(bucket)[name] = parseInt(row.count, 10);
+      if (earliest === null || bucket < earliest) earliest = bucket;
+    });
+  });
+
+  const start = from ? truncate(from, interval) : (earliest === null ? null : new Date(earliest));
+  if (!start) return [];
+
+  const points = [];
+  for (let b = start; b < to && points.length < MAX_BUCKETS; b = nextBucket(b, interval)) {
+    const counts = byBucket.get(b.getTime()) || {};
+    const point = { bucket: b.toISOString() };
+    Object.keys(series).forEach(name => {
+      point[name] = counts[name] || 0;
+    });
+    points.push(point);
+  }
+  return points;
+}
+
+// Host of a referrer URL without "www.", or "Direct" when there is none
+function referrerDomain(referrer) {
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '').toLowerCase() || 'Direct';
+  } catch (err) {
+    return 'Direct';
+  }
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  parseRange,
+  fillSeries,
+  truncate,
+  referrerDomain
+};
@@ -0,0 +1,259 @@
+// lib/auth.js - user accounts, password hashing, signed session cookies, roles and API keys
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const SESSION_COOKIE = 'mv_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+// Partner users only read the links and analytics of their own partner
+const ROLES = ['owner', 'editor', 'viewer', 'partner'];
+const API_KEY_PREFIX = 'mvk_';
+// Account passwords (link passwords have their own rules); the default "changeme123" passes
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_SCOPES = ['shorten', 'analytics:read', 'partners:manage'];
+
+// Scopes a key may be granted, bounded by its creator's role
+const ROLE_SCOPES = {
+  owner: API_KEY_SCOPES,
+  editor: ['shorten', 'analytics:read'],
+  viewer: ['analytics:read'],
+  partner: ['analytics:read']
+};
+
+// Sessions signed with a random secret won't survive a restart, so warn about it
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ SESSION_SECRET not set - sessions will be invalidated on restart');
+}
+
+// Hash a password with scrypt; stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+// Why `password` can't be an account's password, or null when it can
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Compare a password against a stored scrypt hash in constant time
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    const expected = Buffer.from(hash, 'hex');
+    crypto.scrypt(password || '', salt, expected.length, (err, derived) => {
+      if (err) return resolve(false);
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+// Returns the session id if the cookie value carries a valid signature
+function unsign(signed) {
+  const dot = (signed || '').lastIndexOf('.');
+  if (dot <= 0) return null;
+
+  const value = signed.slice(0, dot);
+  const given = Buffer.from(signed.slice(dot + 1));
+  const expected = Buffer.from(sign(value));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return value;
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const idx = pair.indexOf('=');
+    if (idx < 0) return;
+    const key = pair.slice(0, idx).trim();
+    const val = pair.slice(idx + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(val);
+    } catch (err) {
+      cookies[key] = val;
+    }
+  });
+  return cookies;
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+  };
+}
+
+// Create a session row for the user and set the signed cookie on the response
+async function startSession(res, userId) {
+  const id = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+
+  await storage.sessions.deleteExpired();
+  await storage.sessions.insert({ id, user_id: userId, expires_at: expiresAt });
+
+  res.cookie(SESSION_COOKIE, `${id}.${sign(id)}`, { ...cookieOptions(), expires: expiresAt });
+}
+
+async function endSession(req, res) {
+  const sessionId = unsign(parseCookies(req)[SESSION_COOKIE]);
+  if (sessionId) {
+    await storage.sessions.delete(sessionId);
+  }
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+// Resolve the logged-in user from the session cookie, or null
+async function getSessionUser(req) {
+  const sessionId = unsign(parseCookies(req)[SESSION_COOKIE]);
+  if (!sessionId) return null;
+
+  return storage.sessions.getUser(sessionId);
+}
+
+// Generate a new API key; only its hash is stored, the key itself is shown once
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Look up an active API key with its creator and record the usage
+async function getApiKey(token) {
+  const apiKey = await storage.apiKeys.findActiveByHash(hashApiKey(token));
+  if (!apiKey) return null;
+
+  await storage.apiKeys.recordUse(apiKey.id);
+  return apiKey;
+}
+
+// Let API keys carrying `scope` through requireAuth on this route - use before requireAuth
+function allowApiKey(scope) {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
+// Verification middleware - accepts a session cookie, or a Bearer API key on routes
+// marked with allowApiKey. Sets req.user (the key's creator for API keys) and req.apiKey
+async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      if (!req.apiKeyScope) {
+        return res.status(403).json({ error: 'Forbidden: API keys cannot access this endpoint' });
+      }
+
+      const apiKey = await getApiKey(token);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
+      }
+      if (!apiKey.scopes.includes(req.apiKeyScope)) {
+        return res.status(403).json({ error: `Forbidden: API key lacks the "${req.apiKeyScope}" scope` });
+      }
+
+      req.apiKey = apiKey;
+      req.user = { id: apiKey.user_id, username: apiKey.username, role: apiKey.role, partner_id: apiKey.user_partner_id };
+      return next();
+    }
+
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: Please log in' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error verifying session:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Role check middleware - use after requireAuth
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Forbidden: Insufficient role' });
+    }
+    next();
+  };
+}
+
+// Partner-restricted API keys and partner users only see links of their own partner
+function allowsPartner(req, partnerId) {
+  if (req.apiKey && req.apiKey.partner_id && req.apiKey.partner_id !== partnerId) return false;
+  if (req.user && req.user.role === 'partner' && (!partnerId || req.user.partner_id !== partnerId)) return false;
+  return true;
+}
+
+// The partner a partner-restricted API key or partner user is limited to, or null
+function partnerScope(req) {
+  if (req.apiKey && req.apiKey.partner_id) return req.apiKey.partner_id;
+  if (req.user && req.user.role === 'partner') return req.user.partner_id;
+  return null;
+}
+
+// Owners manage every link, editors only the links they created
+function canManageLink(user, link) {
+  if (user.role === 'owner') return true;
+  return user.role === 'editor' && link.created_by === user.id;
+}
+
+// Create the first owner account from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist
+async function ensureOwner() {
+  if (await storage.users.count() > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || 'changeme123';
+  const error = checkPassword(password);
+  if (error) throw new Error(`ADMIN_PASSWORD: ${error}`);
+  await storage.users.insert({ username, password_hash: await hashPassword(password), role: 'owner' });
+  console.log(`👤 Created initial owner account "${username}" - change its password!`);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_SCOPES,
+  API_KEY_SCOPES,
+  MIN_PASSWORD_LENGTH,
+  checkPassword,
+  hashPassword,
+  verifyPassword,
+  startSession,
+  endSession,
+  getSessionUser,
+  generateApiKey,
+  allowApiKey,
+  requireAuth,
+  requireRole,
+  allowsPartner,
+  partnerScope,
+  canManageLink,
+  ensureOwner
+};
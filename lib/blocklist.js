@@ -0,0 +1,64 @@
+// lib/blocklist.js - IP / CIDR blocklist kept in memory and reloaded from storage
+const net = require('net');
+
+// Parse "1.2.3.4", "10.0.0.0/8" or "2001:db8::/32" into { address, prefix, family }, or null
+function parseCidr(value) {
+  const [address, prefixStr, extra] = String(value || '').trim().split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = prefixStr === undefined ? maxPrefix : Number(prefixStr);
+  if (!/^\d+$/.test(String(prefix)) || prefix > maxPrefix) return null;
+
+  return { address, prefix, family: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+// Canonical form stored in the table, e.g. "10.0.0.0/8"
+function formatCidr({ address, prefix }) {
+  return `${address}/${prefix}`;
+}
+
+function createBlocklist(storage, { refreshMs = 60 * 1000 } = {}) {
+  let list = new net.BlockList();
+  let count = 0;
+
+  // Other instances pick up dashboard changes on the next refresh
+  async function load() {
+    const cidrs = await storage.blocklist.cidrs();
+    const next = new net.BlockList();
+    cidrs.forEach(cidr => {
+      const range = parseCidr(cidr);
+      if (range) next.addSubnet(range.address, range.prefix, range.family);
+    });
+    list = next;
+    count = cidrs.length;
+  }
+
+  const refresher = setInterval(() => {
+    load().catch(err => console.error('Error loading IP blocklist:', err));
+  }, refreshMs);
+  refresher.unref();
+
+  return {
+    load,
+
+    get size() {
+      return count;
+    },
+
+    isBlocked(rawIP) {
+      if (count === 0) return false;
+      const ip = (rawIP || '').trim().replace(/^::ffff:(?=\d+\.)/i, '');
+      const family = net.isIP(ip);
+      if (!family) return false;
+      return list.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+    }
+  };
+}
+
+module.exports = {
+  parseCidr,
+  formatCidr,
+  createBlocklist
+};
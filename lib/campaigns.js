@@ -0,0 +1,88 @@
+// lib/campaigns.js - titles, notes, tags and campaigns for organising links
+//
+// Tags are free-form labels, stored lower-cased with inner whitespace collapsed so that
+// "Summer  Sale" and "summer sale" are the same tag. A link belongs to at most one campaign
+// (a named folder); deleting the campaign leaves its links without one.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.:/-]*$/u;
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+function normalizeTag(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Validate a list of tags; duplicates are dropped. Returns { tags } or { error }.
+function parseTags(value) {
+  if (value === null) return { tags: [] };
+  if (!Array.isArray(value)) return { error: 'tags must be an array of strings' };
+  const tags = [];
+  for (const item of value) {
+    if (typeof item !== 'string') return { error: 'tags must be an array of strings' };
+    const tag = normalizeTag(item);
+    if (!tag) continue;
+    if (tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+      return { error: `Invalid tag "${item}": use up to ${MAX_TAG_LENGTH} letters, digits, spaces or _ . : / -` };
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) return { error: `A link can have at most ${MAX_TAGS} tags` };
+  return { tags };
+}
+
+// Optional text field `field` of `body` (null or '' clears it): the trimmed text, null or
+// { error }; undefined when not given
+function parseText(body, field, maxLength) {
+  const value = body[field];
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    return { error: `${field} must be a string of at most ${maxLength} characters` };
+  }
+  return value.trim() || null;
+}
+
+// Validate title, notes and tags in a request body as urls columns; fields that aren't given
+// are left out. Returns { values } or { error }.
+function parseDetails(body) {
+  const values = {};
+  for (const [field, maxLength] of [['title', MAX_TITLE_LENGTH], ['notes', MAX_NOTES_LENGTH]]) {
+    const text = parseText(body, field, maxLength);
+    if (text && text.error) return text;
+    if (text !== undefined) values[field] = text;
+  }
+  if (body.tags !== undefined) {
+    const parsed = parseTags(body.tags);
+    if (parsed.error) return parsed;
+    values.tags = parsed.tags;
+  }
+  return { values };
+}
+
+// Validate a campaign's name and description. `partial` (for updates) allows leaving the
+// name out. Returns { values } or { error }.
+function parseCampaign(body, { partial = false } = {}) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    values.name = body.name.trim();
+  }
+  const description = parseText(body, 'description', MAX_DESCRIPTION_LENGTH);
+  if (description && description.error) return description;
+  if (description !== undefined) values.description = description;
+  return { values };
+}
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTag,
+  parseTags,
+  parseDetails,
+  parseCampaign
+};
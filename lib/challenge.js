@@ -0,0 +1,128 @@
+// lib/challenge.js - proof-of-work challenges for the verification page
+//
+// The page gets a signed challenge instead of the destination. The browser searches for a
+// `solution` such that sha256("<challenge>:<solution>") starts with `difficulty` zero bits,
+// then trades it for the destination. A challenge is "<payload>.<signature>" where payload
+// is base64url JSON { c: code, v: visitor hash, i: issued at (ms), s: salt, d: difficulty },
+// plus t: the rotator destination id or r: the routing rule id picked for this visit, x: the
+// visit's click id and q: the query string it forwards to the destination.
+//
+// Unlock tickets for password-protected links are signed the same way, with k: "unlock"
+// and no difficulty, so one can't be passed off as a challenge or the other way round.
+const crypto = require('crypto');
+
+const DIFFICULTY = parseInt(process.env.POW_DIFFICULTY, 10) || 18;
+// 0 turns the minimum wait off (tests)
+const MIN_WAIT_SECONDS = parseInt(process.env.VERIFY_MIN_WAIT_SECONDS, 10);
+const MIN_WAIT_MS = (Number.isNaN(MIN_WAIT_SECONDS) ? 3 : MIN_WAIT_SECONDS) * 1000;
+const TTL_MS = (parseInt(process.env.VERIFY_CHALLENGE_TTL_SECONDS, 10) || 300) * 1000;
+// How long a visitor has to type a link's password
+const TICKET_TTL_MS = 15 * 60 * 1000;
+
+// Challenges only live for minutes, so a random secret just fails pages open during a restart
+const SECRET = process.env.CHALLENGE_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Issue a challenge for one link, bound to the visitor (IP + user agent hash)
+function createChallenge(code, visitor, { destination = null, rule = null, clickId = null, query = '' } = {}) {
+  const data = {
+    c: code,
+    v: visitor,
+    i: Date.now(),
+    s: crypto.randomBytes(16).toString('base64url'),
+    d: DIFFICULTY
+  };
+  if (destination) data.t = destination;
+  if (rule) data.r = rule;
+  if (clickId) data.x = clickId;
+  if (query) data.q = query;
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return { challenge: `${payload}.${sign(payload)}`, difficulty: DIFFICULTY, minWaitMs: MIN_WAIT_MS };
+}
+
+// Check a solved challenge. Returns { valid: true, id, expiresAt, destination, rule, clickId, query }
+// or { valid: false, reason }.
+// `id` (the salt) must be recorded by the caller so a solution can't be replayed.
+function verifySolution(challenge, solution, { code, visitor }) {
+  const [payload, sig] = String(challenge || '').split('.');
+  if (!payload || !sig) return { valid: false, reason: 'malformed_challenge' };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'bad_challenge_signature' };
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (data.k || data.c !== code) return { valid: false, reason: 'malformed_challenge' };
+  if (data.v !== visitor) return { valid: false, reason: 'visitor_mismatch' };
+
+  const age = Date.now() - data.i;
+  if (age < MIN_WAIT_MS) return { valid: false, reason: 'too_fast' };
+  if (age > TTL_MS) return { valid: false, reason: 'challenge_expired' };
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (typeof solution !== 'string' || solution.length > 64 || leadingZeroBits(hash) < data.d) {
+    return { valid: false, reason: 'bad_proof' };
+  }
+
+  return {
+    valid: true,
+    id: data.s,
+    expiresAt: new Date(data.i + TTL_MS),
+    destination: data.t || null,
+    rule: data.r || null,
+    clickId: data.x || null,
+    query: data.q || ''
+  };
+}
+
+// Issue the ticket a password form posts back: it shows the visitor already passed the
+// partner check, which can't be repeated since partner tokens are single-use
+function createTicket(code, visitor) {
+  const payload = Buffer.from(JSON.stringify({ k: 'unlock', c: code, v: visitor, i: Date.now() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Check an unlock ticket. Returns { valid: true } or { valid: false, reason }.
+function verifyTicket(ticket, { code, visitor }) {
+  const [payload, sig] = String(ticket || '').split('.');
+  if (!payload || !sig) return { valid: false, reason: 'malformed_ticket' };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'bad_ticket_signature' };
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (data.k !== 'unlock' || data.c !== code) return { valid: false, reason: 'malformed_ticket' };
+  if (data.v !== visitor) return { valid: false, reason: 'visitor_mismatch' };
+  if (Date.now() - data.i > TICKET_TTL_MS) return { valid: false, reason: 'ticket_expired' };
+  return { valid: true };
+}
+
+module.exports = {
+  DIFFICULTY,
+  MIN_WAIT_MS,
+  createChallenge,
+  verifySolution,
+  createTicket,
+  verifyTicket,
+  leadingZeroBits
+};
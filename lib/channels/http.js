@@ -0,0 +1,38 @@
+// lib/channels/http.js - JSON POSTs to any URL, signed like webhooks when a secret is set
+const { signatureHeader } = require('../webhooks');
+
+// Validate { url, secret }. Returns { config } or { error }.
+function parseConfig({ url, secret = null }) {
+  if (typeof url !== 'string' || !url.match(/^https?:\/\/.+/)) return { error: 'Invalid URL' };
+  if (secret !== null && (typeof secret !== 'string' || secret.length < 16 || secret.length > 200)) {
+    return { error: 'secret must be 16 to 200 characters' };
+  }
+  return { config: { url, secret } };
+}
+
+async function send(config, message, { timeoutMs = 10000 } = {}) {
+  const body = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+  const headers = {
+    'content-type': 'application/json',
+    'user-agent': 'MaxVerify-Reports/1.0',
+    'x-maxverify-event': message.event
+  };
+  if (config.secret) headers['x-maxverify-signature'] = signatureHeader(config.secret, body);
+
+  const res = await fetch(config.url, {
+    method: 'POST',
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs),
+    headers,
+    body
+  });
+  await res.arrayBuffer().catch(() => {});
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+module.exports = {
+  type: 'http',
+  secretFields: ['secret'],
+  parseConfig,
+  send
+};
@@ -0,0 +1,69 @@
+// lib/channels/index.js - pluggable notification channels for scheduled reports and alerts
+//
+// A channel type is { type, secretFields, parseConfig(config), send(config, message, { timeoutMs }) }.
+// parseConfig returns { config } or { error }; send resolves once the message is accepted and
+// rejects with an Error saying why not. A message is { event, subject, text, data }: e-mail
+// and Telegram get the subject and text, HTTP channels the whole message as JSON.
+const smtp = require('./smtp');
+const telegram = require('./telegram');
+const http = require('./http');
+
+const CHANNELS = { smtp, telegram, http };
+const CHANNEL_TYPES = Object.keys(CHANNELS);
+const MAX_NAME_LENGTH = 100;
+
+// Validate a channel's name, type and config. `current` (for updates) is the stored channel:
+// secret fields left out of the new config keep their stored values. Returns
+// { values } or { error }.
+function parseChannel(body, current = null) {
+  const values = {};
+  if (body.name !== undefined || !current) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    values.name = body.name.trim();
+  }
+  const type = body.type !== undefined ? body.type : current && current.type;
+  if (!CHANNELS[type]) return { error: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+  if (body.config !== undefined || type !== (current && current.type)) {
+    if (!body.config || typeof body.config !== 'object' || Array.isArray(body.config)) {
+      return { error: 'config must be an object' };
+    }
+    const config = { ...body.config };
+    if (current && current.type === type) {
+      CHANNELS[type].secretFields.forEach(field => {
+        if (config[field] === undefined) config[field] = current.config[field];
+      });
+    }
+    const parsed = CHANNELS[type].parseConfig(config);
+    if (parsed.error) return parsed;
+    values.type = type;
+    values.config = parsed.config;
+  }
+  return { values };
+}
+
+// A channel row as the API shows it: secrets are never sent back, only whether they are set
+function withoutSecrets(channel) {
+  const config = { ...channel.config };
+  const secrets = {};
+  CHANNELS[channel.type].secretFields.forEach(field => {
+    secrets[field] = Boolean(config[field]);
+    delete config[field];
+  });
+  return { ...channel, config, secrets };
+}
+
+// Send `message` through `channel` (a notification_channels row)
+function send(channel, message, options = {}) {
+  const type = CHANNELS[channel.type];
+  if (!type) return Promise.reject(new Error(`Unknown channel type "${channel.type}"`));
+  return type.send(channel.config, message, options);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  parseChannel,
+  withoutSecrets,
+  send
+};
@@ -0,0 +1,156 @@
+// lib/channels/smtp.js - e-mail through an SMTP server: plain, STARTTLS or implicit TLS, optional AUTH PLAIN
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const ADDRESS_PATTERN = /^[^\s@<>",]+@[^\s@<>",]+$/;
+const MAX_RECIPIENTS = 20;
+
+// Validate { host, port, secure, starttls, username, password, from, to } (`to` is a list or
+// a comma-separated string). Returns { config } or { error }.
+function parseConfig(input) {
+  const { host, port, secure = false, starttls = true, username = null, password = null, from } = input;
+  if (!host || typeof host !== 'string') return { error: 'host is required' };
+  if (typeof secure !== 'boolean' || typeof starttls !== 'boolean') return { error: 'secure and starttls must be true or false' };
+  const portNumber = port === undefined || port === null || port === '' ? (secure ? 465 : 587) : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) return { error: 'Invalid port' };
+  if (username !== null && (typeof username !== 'string' || !username || typeof password !== 'string')) {
+    return { error: 'username and password must both be strings' };
+  }
+  if (typeof from !== 'string' || !ADDRESS_PATTERN.test(from)) return { error: 'from must be an e-mail address' };
+  const to = (Array.isArray(input.to) ? input.to : String(input.to || '').split(','))
+    .map(address => String(address).trim())
+    .filter(Boolean);
+  if (to.length === 0 || to.length > MAX_RECIPIENTS || !to.every(address => ADDRESS_PATTERN.test(address))) {
+    return { error: `to must be 1 to ${MAX_RECIPIENTS} e-mail addresses` };
+  }
+  return {
+    config: { host: host.trim(), port: portNumber, secure, starttls, username, password: username ? password : null, from, to }
+  };
+}
+
+// A header value, MIME-encoded when it isn't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// The message as sent after DATA. The body is base64, so no line needs dot-stuffing.
+function formatMessage(config, { subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${config.from}`,
+    `To: ${config.to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${config.from.split('@')[1]}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Reads replies off a socket; reply() resolves with the next complete (possibly multi-line) reply
+function createReader() {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length > 0) waiting.shift().reject(failure);
+  }
+
+  return {
+    onData(chunk) {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line.slice(4));
+        // "250-..." continues a reply, "250 ..." ends it
+        if (line[3] !== '-') {
+          replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+          lines = [];
+        }
+      }
+      settle();
+    },
+
+    fail(err) {
+      if (!failure) failure = err;
+      settle();
+    },
+
+    reply() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    }
+  };
+}
+
+async function send(config, message, { timeoutMs = 10000 } = {}) {
+  const reader = createReader();
+  let socket;
+  const attach = next => {
+    socket = next;
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`Timed out after ${timeoutMs} ms`)));
+    socket.on('data', chunk => reader.onData(chunk));
+    socket.on('error', err => reader.fail(err));
+    socket.on('close', () => reader.fail(new Error('Connection closed by the SMTP server')));
+  };
+  // Send a command (null: just wait for the greeting) and check the reply code; errors name
+  // the command by its first word so credentials never end up in them
+  const command = async (line, expected, name = line === null ? 'greeting' : line.split(' ')[0]) => {
+    if (line !== null) socket.write(line + '\r\n');
+    const reply = await reader.reply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${name}: ${reply.code} ${reply.lines.join(' ')}`.trim());
+    }
+    return reply;
+  };
+
+  attach(config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port }));
+  try {
+    await command(null, [220]);
+    const hello = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    if (!config.secure && config.starttls) {
+      // Never fall back to plain text: the credentials and the message would go out unencrypted
+      if (!hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw new Error('SMTP server does not offer STARTTLS (set starttls to false to send unencrypted)');
+      }
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('close');
+      attach(tls.connect({ socket, servername: config.host }));
+      await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+    if (config.username) {
+      const credentials = Buffer.from(`\0${config.username}\0${config.password}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const address of config.to) await command(`RCPT TO:<${address}>`, [250, 251]);
+    await command('DATA', [354]);
+    await command(`${formatMessage(config, message)}\r\n.`, [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  type: 'smtp',
+  secretFields: ['password'],
+  parseConfig,
+  send
+};
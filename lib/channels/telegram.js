@@ -0,0 +1,40 @@
+// lib/channels/telegram.js - messages to a chat through the Telegram Bot API
+
+const MAX_MESSAGE_LENGTH = 4096;
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// Validate { botToken, chatId, apiUrl }; apiUrl is for a self-hosted Bot API server. Returns
+// { config } or { error }.
+function parseConfig({ botToken, chatId, apiUrl = null }) {
+  if (typeof botToken !== 'string' || !/^\d+:[\w-]+$/.test(botToken)) return { error: 'botToken must be a bot token from @BotFather' };
+  const chat = typeof chatId === 'number' ? String(chatId) : chatId;
+  if (typeof chat !== 'string' || !/^(-?\d+|@\w{5,})$/.test(chat)) return { error: 'chatId must be a chat id or @channelname' };
+  if (apiUrl !== null && (typeof apiUrl !== 'string' || !apiUrl.match(/^https?:\/\/.+/))) return { error: 'Invalid apiUrl' };
+  return { config: { botToken, chatId: chat, apiUrl: apiUrl ? apiUrl.replace(/\/+$/, '') : null } };
+}
+
+async function send(config, { subject, text }, { timeoutMs = 10000 } = {}) {
+  const message = `${subject}\n\n${text}`;
+  const res = await fetch(`${config.apiUrl || DEFAULT_API_URL}/bot${config.botToken}/sendMessage`, {
+    method: 'POST',
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      chat_id: config.chatId,
+      text: message.length > MAX_MESSAGE_LENGTH ? message.slice(0, MAX_MESSAGE_LENGTH - 1) + '…' : message,
+      disable_web_page_preview: true
+    })
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data || !data.ok) {
+    throw new Error(`Telegram: ${(data && data.description) || `HTTP ${res.status}`}`);
+  }
+}
+
+module.exports = {
+  type: 'telegram',
+  secretFields: ['botToken'],
+  parseConfig,
+  send
+};
@@ -0,0 +1,158 @@
+// lib/clickqueue.js - in-process click ingestion queue
+//
+// Redirects push raw clicks and return straight away. Clicks then go through two stages:
+//   enrich(click)  -> row      at most `concurrency` at a time (geolocation, UA parsing)
+//   write(rows)               batches of up to `batchSize`, every `flushIntervalMs` or
+//                             as soon as a full batch is ready, one write at a time
+// A failed write is retried with the next flush, up to `maxAttempts` times. When more than
+// `maxQueued` clicks are waiting, new ones are dropped rather than growing without bound.
+
+function createClickQueue({
+  enrich,
+  write,
+  concurrency = 4,
+  batchSize = 100,
+  flushIntervalMs = 1000,
+  maxQueued = 10000,
+  maxAttempts = 3
+}) {
+  const pending = [];  // raw clicks waiting for enrichment
+  let ready = [];      // { row, attempts } waiting to be written
+  let enriching = 0;
+  let flushing = null; // promise of the running write
+  let idleWaiters = [];
+
+  const counters = { enqueued: 0, written: 0, dropped: 0, failed: 0, enrichErrors: 0, writeErrors: 0 };
+  let lastFlush = null;
+
+  const timer = setInterval(() => {
+    flush().catch(() => {});
+  }, flushIntervalMs);
+  timer.unref();
+
+  function depth() {
+    return pending.length + enriching + ready.length;
+  }
+
+  function notifyIdle() {
+    if (depth() > 0 || flushing) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  function pump() {
+    while (enriching < concurrency && pending.length > 0) {
+      const click = pending.shift();
+      enriching++;
+      enrich(click)
+        .catch(err => {
+          counters.enrichErrors++;
+          console.error('Error enriching click:', err);
+          return null;
+        })
+        .then(row => {
+          enriching--;
+          if (row) ready.push({ row, attempts: 0 });
+          if (ready.length >= batchSize) flush().catch(() => {});
+          pump();
+          notifyIdle();
+        });
+    }
+  }
+
+  // Write one batch of enriched clicks; resolves when it is done (never rejects)
+  async function writeBatch() {
+    const batch = ready.splice(0, batchSize);
+    const started = Date.now();
+    try {
+      await write(batch.map(entry => entry.row));
+      counters.written += batch.length;
+    } catch (err) {
+      counters.writeErrors++;
+      console.error(`Error writing ${batch.length} click(s):`, err);
+      const retry = batch.filter(entry => ++entry.attempts < maxAttempts);
+      counters.failed += batch.length - retry.length;
+      ready = retry.concat(ready);
+      lastFlush = { at: new Date(), ms: Date.now() - started, count: batch.length, error: err.message };
+      return false;
+    }
+    lastFlush = { at: new Date(), ms: Date.now() - started, count: batch.length, error: null };
+    return true;
+  }
+
+  // Write everything that is ready, one batch after another
+  function flush() {
+    if (flushing) return flushing;
+    if (ready.length === 0) return Promise.resolve();
+
+    flushing = (async () => {
+      while (ready.length > 0) {
+        const ok = await writeBatch();
+        if (!ok) break; // leave the rest for the next tick instead of hammering a failing database
+      }
+    })().finally(() => {
+      flushing = null;
+      if (ready.length >= batchSize) flush().catch(() => {});
+      notifyIdle();
+    });
+    return flushing;
+  }
+
+  return {
+    // Queue a raw click; false when the queue is full and the click was dropped
+    push(click) {
+      if (depth() >= maxQueued) {
+        counters.dropped++;
+        return false;
+      }
+      counters.enqueued++;
+      pending.push(click);
+      pump();
+      return true;
+    },
+
+    flush,
+
+    // Enrich and write everything queued so far. Resolves with true once the queue is
+    // empty, or false if it is still not after `timeoutMs` (e.g. the database is down).
+    async drain({ timeoutMs = 10000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      while (depth() > 0 || flushing) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) return false;
+
+        const idle = new Promise(resolve => idleWaiters.push(resolve));
+        flush().catch(() => {});
+        let timeout;
+        await Promise.race([
+          idle,
+          new Promise(resolve => { timeout = setTimeout(resolve, Math.min(remaining, flushIntervalMs)); })
+        ]);
+        clearTimeout(timeout);
+      }
+      return true;
+    },
+
+    stop() {
+      clearInterval(timer);
+    },
+
+    stats() {
+      return {
+        depth: depth(),
+        pending: pending.length,
+        enriching,
+        ready: ready.length,
+        flushing: Boolean(flushing),
+        maxQueued,
+        ...counters,
+        lastFlush
+      };
+    }
+  };
+}
+
+module.exports = {
+  createClickQueue
+};
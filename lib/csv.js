@@ -0,0 +1,78 @@
+// lib/csv.js - minimal RFC 4180 CSV reader/writer for import & export
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Serialize rows to CSV using the given column order
+function stringify(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeField(row[col])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into an array of objects keyed by the header row.
+// Empty fields become null.
+function parse(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip UTF-8 BOM added by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const obj = {};
+    header.forEach((col, idx) => {
+      const value = values[idx];
+      obj[col] = value === undefined || value === '' ? null : value;
+    });
+    return obj;
+  });
+}
+
+module.exports = { parse, stringify };
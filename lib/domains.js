@@ -0,0 +1,132 @@
+// lib/domains.js - custom short link domains: host names, link keys and DNS verification
+//
+// A link on a custom domain is stored under the key "<code>~<domain id>", so the same code can
+// be used on every domain while urls.code stays the one key everything else points at. "~" is
+// not allowed in codes, so keys of domain links never clash with links on the app's own host.
+//
+// A domain is verified when the TXT record "_url-shortener.<host>" holds its token and, when a
+// target is configured, the host points at it (a CNAME to a target host name, or an A record
+// shared with a target).
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Custom codes: letters, digits, dash and underscore (fits urls.code)
+const CODE_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+const KEY_PATTERN = /^([a-zA-Z0-9_-]{1,50})~(\d+)$/;
+const MAX_KEY_LENGTH = 50;
+const TXT_PREFIX = '_url-shortener';
+const HOST_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+// Resolver errors that just mean "no such record"
+const MISSING = new Set([dns.NODATA, dns.NOTFOUND]);
+
+// Lower-cased host name without a trailing dot, or null when `value` isn't one
+function normalizeHost(value) {
+  const host = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+  return HOST_PATTERN.test(host) ? host : null;
+}
+
+// The urls.code of `code` on domain `domainId` (null for the app's own host), or null when too long
+function linkKey(code, domainId) {
+  if (!domainId) return code;
+  const key = `${code}~${domainId}`;
+  return key.length <= MAX_KEY_LENGTH ? key : null;
+}
+
+// { code, domainId } of a urls.code; domainId is null for links on the app's own host
+function parseLinkKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  return match ? { code: match[1], domainId: Number(match[2]) } : { code: key, domainId: null };
+}
+
+// Whether `key` is a valid urls.code (a code, or a code on a domain)
+function validKey(key) {
+  return CODE_PATTERN.test(key) || (KEY_PATTERN.test(key) && key.length <= MAX_KEY_LENGTH);
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// The DNS records a domain needs: { txt: { name, value }, target }
+function instructions(domain, target = []) {
+  return {
+    txt: { name: `${TXT_PREFIX}.${domain.host}`, value: domain.verification_token },
+    target: target.length > 0 ? target : null
+  };
+}
+
+// `resolver` is a dns.promises.Resolver (or anything with resolveTxt, resolveCname and resolve4);
+// `target` lists host names and/or IPv4 addresses a verified domain must point at.
+function createDomainChecker({ resolver, target = [] }) {
+  async function lookup(method, name) {
+    try {
+      return await resolver[method](name);
+    } catch (err) {
+      if (MISSING.has(err.code)) return [];
+      throw err;
+    }
+  }
+
+  // Whether `host` points at one of the targets
+  async function pointsAtTarget(host) {
+    const names = target.filter(t => !net.isIP(t)).map(t => t.toLowerCase());
+    const addresses = new Set(target.filter(t => net.isIP(t)));
+
+    const cnames = (await lookup('resolveCname', host)).map(name => name.toLowerCase().replace(/\.$/, ''));
+    if (cnames.some(name => names.includes(name))) return true;
+
+    for (const name of names) {
+      (await lookup('resolve4', name)).forEach(address => addresses.add(address));
+    }
+    return (await lookup('resolve4', host)).some(address => addresses.has(address));
+  }
+
+  return {
+    target,
+
+    // Check a domains row. Resolves to { verified, error }; never throws.
+    async check(domain) {
+      const { txt } = instructions(domain);
+      try {
+        const records = (await lookup('resolveTxt', txt.name)).map(chunks => chunks.join(''));
+        if (!records.includes(txt.value)) {
+          return { verified: false, error: `TXT record ${txt.name} with the verification token not found` };
+        }
+        if (target.length > 0 && !(await pointsAtTarget(domain.host))) {
+          return { verified: false, error: `${domain.host} doesn't point at ${target.join(' / ')}` };
+        }
+        return { verified: true, error: null };
+      } catch (err) {
+        return { verified: false, error: `DNS lookup failed (${err.code || err.message})` };
+      }
+    }
+  };
+}
+
+// Build the checker from environment variables:
+//   DOMAIN_TARGET    comma-separated host names / IPv4 addresses custom domains must point at
+//                    (default: only the TXT record is checked)
+//   DNS_SERVERS      comma-separated resolvers ("127.0.0.1:5353"); default: the system's
+//   DNS_TIMEOUT_MS   per-query timeout (default 2000)
+function createDomainCheckerFromEnv(env = process.env) {
+  const list = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+  const resolver = new dns.promises.Resolver({ timeout: parseInt(env.DNS_TIMEOUT_MS, 10) || 2000, tries: 2 });
+  const servers = list(env.DNS_SERVERS);
+  if (servers.length > 0) resolver.setServers(servers);
+
+  return createDomainChecker({ resolver, target: list(env.DOMAIN_TARGET).map(t => t.toLowerCase()) });
+}
+
+module.exports = {
+  CODE_PATTERN,
+  TXT_PREFIX,
+  normalizeHost,
+  linkKey,
+  parseLinkKey,
+  validKey,
+  generateToken,
+  instructions,
+  createDomainChecker,
+  createDomainCheckerFromEnv
+};
@@ -0,0 +1,129 @@
+// lib/geo/index.js - pluggable IP geolocation with an LRU cache in front of the providers
+//
+// A provider is { name, lookup(ip) } where lookup resolves to a partial location
+// ({ country, countryCode, city, region, lat, lon, timezone }) or null when the IP is unknown.
+// Providers are tried in order until one returns a result.
+const net = require('net');
+const path = require('path');
+const LRUCache = require('./lru');
+const createMmdbProvider = require('./mmdb');
+const createIpApiProvider = require('./ipapi');
+
+const UNKNOWN = { country: 'Unknown', countryCode: null, city: 'Unknown', region: 'Unknown', lat: null, lon: null, timezone: null };
+const LOCAL = { country: 'Local', countryCode: null, city: 'Local', region: 'Local', lat: null, lon: null, timezone: null };
+
+// Loopback, private, link-local and unique-local ranges never resolve to a location
+function isPrivateIP(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254);
+  }
+  if (net.isIPv6(ip)) {
+    const lower = ip.toLowerCase();
+    return lower === '::1' || lower === '::' ||
+      lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80:');
+  }
+  return false;
+}
+
+// Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4)
+function cleanIP(ip) {
+  return (ip || '').trim().replace(/^::ffff:/i, '');
+}
+
+function normalize(result) {
+  return {
+    country: result.country || 'Unknown',
+    countryCode: result.countryCode || null,
+    city: result.city || 'Unknown',
+    region: result.region || 'Unknown',
+    lat: typeof result.lat === 'number' ? result.lat : null,
+    lon: typeof result.lon === 'number' ? result.lon : null,
+    timezone: result.timezone || null
+  };
+}
+
+function createGeolocator({ providers, cacheSize = 10000, cacheTtlMs = 24 * 3600 * 1000 }) {
+  const cache = new LRUCache({ max: cacheSize, ttlMs: cacheTtlMs });
+
+  // Try each provider in turn. A miss is only cached when no provider failed,
+  // since a timeout doesn't mean the IP is unknown.
+  async function resolve(ip) {
+    let failed = false;
+    for (const provider of providers) {
+      try {
+        const result = await provider.lookup(ip);
+        if (result) return { location: normalize(result), cacheable: true };
+      } catch (err) {
+        failed = true;
+        if (err.name === 'AbortError') {
+          console.error(`⚠️ ${provider.name} location lookup timeout`);
+        } else {
+          console.error(`⚠️ ${provider.name} location lookup failed:`, err.message);
+        }
+      }
+    }
+    return { location: UNKNOWN, cacheable: !failed };
+  }
+
+  return {
+    cache,
+
+    // Resolve an IP to { country, countryCode, city, region, lat, lon, timezone }; never throws
+    async lookup(rawIP) {
+      const ip = cleanIP(rawIP);
+      if (!net.isIP(ip)) return { ...UNKNOWN };
+      if (isPrivateIP(ip)) return { ...LOCAL };
+
+      const cached = cache.get(ip);
+      if (cached) return { ...cached };
+
+      const { location, cacheable } = await resolve(ip);
+      if (cacheable) cache.set(ip, location);
+      return { ...location };
+    }
+  };
+}
+
+// Build the geolocator from environment variables:
+//   GEO_PROVIDERS   comma-separated provider order (default "mmdb"; e.g. "mmdb,ip-api")
+//   GEOIP_DB_PATH   .mmdb file (default data/GeoLite2-City.mmdb)
+//   IPAPI_KEY       optional ip-api.com pro key (HTTPS)
+//   GEO_CACHE_SIZE / GEO_CACHE_TTL_MS
+function createGeolocatorFromEnv(env = process.env) {
+  const factories = {
+    mmdb: () => createMmdbProvider({
+      dbPath: env.GEOIP_DB_PATH || path.join(__dirname, '..', '..', 'data', 'GeoLite2-City.mmdb')
+    }),
+    'ip-api': () => createIpApiProvider({
+      apiKey: env.IPAPI_KEY,
+      timeoutMs: parseInt(env.IPAPI_TIMEOUT_MS, 10) || 2000
+    })
+  };
+
+  const providers = (env.GEO_PROVIDERS || 'mmdb')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (!factories[name]) throw new Error(`Unknown geolocation provider "${name}"`);
+      return factories[name]();
+    });
+
+  return createGeolocator({
+    providers,
+    cacheSize: parseInt(env.GEO_CACHE_SIZE, 10) || 10000,
+    cacheTtlMs: parseInt(env.GEO_CACHE_TTL_MS, 10) || 24 * 3600 * 1000
+  });
+}
+
+module.exports = {
+  createGeolocator,
+  createGeolocatorFromEnv,
+  createMmdbProvider,
+  createIpApiProvider,
+  isPrivateIP
+};
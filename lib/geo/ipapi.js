@@ -0,0 +1,42 @@
+// lib/geo/ipapi.js - ip-api.com lookups (sends visitor IPs to a third party; use as a fallback)
+
+// The free endpoint is plain HTTP only; a key switches to the HTTPS pro endpoint
+function createIpApiProvider({ apiKey, timeoutMs = 2000 } = {}) {
+  const base = apiKey ? 'https://pro.ip-api.com/json' : 'http://ip-api.com/json';
+
+  return {
+    name: 'ip-api',
+
+    async lookup(ip) {
+      const params = new URLSearchParams({ fields: 'status,message,country,countryCode,city,regionName,lat,lon,timezone' });
+      if (apiKey) params.set('key', apiKey);
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(`${base}/${encodeURIComponent(ip)}?${params}`, { signal: controller.signal });
+        const data = await response.json();
+
+        if (!data || data.status !== 'success') {
+          console.log(`⚠️ IP-API returned: ${(data && data.message) || 'Unknown error'}`);
+          return null;
+        }
+
+        return {
+          country: data.country,
+          countryCode: data.countryCode,
+          city: data.city,
+          region: data.regionName,
+          lat: data.lat,
+          lon: data.lon,
+          timezone: data.timezone
+        };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
+
+module.exports = createIpApiProvider;
@@ -0,0 +1,42 @@
+// lib/geo/lru.js - small LRU cache with per-entry expiry
+
+class LRUCache {
+  constructor({ max = 10000, ttlMs = 0 } = {}) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.map = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) {
+      if (entry) this.map.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert so the entry becomes the most recently used
+    this.map.delete(key);
+    this.map.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, { value, expiresAt: this.ttlMs ? Date.now() + this.ttlMs : 0 });
+
+    // Map iterates in insertion order, so the first key is the least recently used
+    while (this.map.size > this.max) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+module.exports = LRUCache;
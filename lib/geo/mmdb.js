@@ -0,0 +1,59 @@
+// lib/geo/mmdb.js - offline lookups from a MaxMind / DB-IP .mmdb city database
+const fs = require('fs');
+const maxmind = require('maxmind');
+
+function englishName(record) {
+  return record && record.names ? record.names.en : undefined;
+}
+
+// Create a provider reading `dbPath`. The file is opened lazily on first lookup;
+// if it is missing the provider logs once and returns no results.
+function createMmdbProvider({ dbPath }) {
+  let readerPromise = null;
+
+  function getReader() {
+    if (!readerPromise) {
+      if (!fs.existsSync(dbPath)) {
+        console.warn(`⚠️ GeoIP database not found at ${dbPath} - mmdb lookups disabled`);
+        readerPromise = Promise.resolve(null);
+      } else {
+        readerPromise = maxmind.open(dbPath, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+          .then(reader => {
+            console.log(`🌍 Loaded GeoIP database ${dbPath}`);
+            return reader;
+          })
+          .catch(err => {
+            console.error('⚠️ Error opening GeoIP database:', err.message);
+            return null;
+          });
+      }
+    }
+    return readerPromise;
+  }
+
+  return {
+    name: 'mmdb',
+
+    async lookup(ip) {
+      const reader = await getReader();
+      if (!reader) return null;
+
+      const data = reader.get(ip);
+      if (!data) return null;
+
+      const location = data.location || {};
+      const country = data.country || data.registered_country;
+      return {
+        country: englishName(country),
+        countryCode: country ? country.iso_code : undefined,
+        city: englishName(data.city),
+        region: data.subdivisions && data.subdivisions.length > 0 ? englishName(data.subdivisions[0]) : undefined,
+        lat: location.latitude,
+        lon: location.longitude,
+        timezone: location.time_zone
+      };
+    }
+  };
+}
+
+module.exports = createMmdbProvider;
@@ -0,0 +1,134 @@
+// lib/listing.js - search, filters, sorting and cursors of the link list (GET /api/urls)
+//
+// Pages are cut with a cursor instead of an offset, so links created or clicked while
+// someone pages through don't shift the pages. The cursor holds the sort, the sort value and
+// the code of the last link on a page (base64url JSON); links with the same sort value are
+// ordered by code.
+
+const campaigns = require('./campaigns');
+
+const SORTS = ['created', 'clicks'];
+const ORDERS = ['desc', 'asc'];
+const STATES = ['active', 'paused', 'scheduled', 'expired', 'limit_reached'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_SEARCH_LENGTH = 200;
+
+// The cursor of the page after `row` (a urls row) in the given sort
+function encodeCursor(row, { sort, order }) {
+  const value = sort === 'clicks' ? Number(row.clicks) : new Date(row.created).toISOString();
+  return Buffer.from(JSON.stringify([sort, order, value, row.code])).toString('base64url');
+}
+
+// { value, code } of a cursor made for the same sort, or null when it isn't one
+function decodeCursor(cursor, { sort, order }) {
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!Array.isArray(parts) || parts.length !== 4 || parts[0] !== sort || parts[1] !== order) return null;
+  const [, , value, code] = parts;
+  if (typeof code !== 'string') return null;
+  if (sort === 'clicks') return Number.isInteger(value) ? { value, code } : null;
+  const created = new Date(value);
+  return typeof value === 'string' && !isNaN(created.getTime()) ? { value: created, code } : null;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Parse the query of GET /api/urls:
+//   q                      code, destination URL or title contains this (case-insensitive)
+//   partnerId              a partner's id, or "none" for links without a partner
+//   campaignId             a campaign's id, or "none" for links in no campaign
+//   tag                    links tagged with this
+//   state                  one of STATES
+//   createdFrom, createdTo created within [from, to)
+//   hasBypasses            true / false: whether the link had bypass attempts
+//   sort, order            created (default) or clicks; desc (default) or asc
+//   limit, cursor          page size (default 50, at most 200) and nextCursor of the previous page
+// Returns { filters } as urls.list() takes them (limit included) or { error }.
+function parseListQuery(query) {
+  const filters = { sort: query.sort || 'created', order: query.order || 'desc', limit: DEFAULT_LIMIT };
+
+  if (query.q !== undefined && query.q !== '') {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    filters.search = query.q;
+  }
+  if (query.partnerId !== undefined && query.partnerId !== '') {
+    if (query.partnerId === 'none') {
+      filters.partnerId = null;
+    } else {
+      filters.partnerId = Number(query.partnerId);
+      if (!Number.isInteger(filters.partnerId) || filters.partnerId < 1) {
+        return { error: 'partnerId must be a partner id or "none"' };
+      }
+    }
+  }
+  if (query.campaignId !== undefined && query.campaignId !== '') {
+    if (query.campaignId === 'none') {
+      filters.campaignId = null;
+    } else {
+      filters.campaignId = Number(query.campaignId);
+      if (!Number.isInteger(filters.campaignId) || filters.campaignId < 1) {
+        return { error: 'campaignId must be a campaign id or "none"' };
+      }
+    }
+  }
+  if (query.tag !== undefined && query.tag !== '') {
+    if (typeof query.tag !== 'string') return { error: 'tag must be a single tag' };
+    filters.tag = campaigns.normalizeTag(query.tag);
+  }
+  if (query.state !== undefined && query.state !== '') {
+    if (!STATES.includes(query.state)) return { error: `state must be one of: ${STATES.join(', ')}` };
+    filters.state = query.state;
+  }
+  for (const field of ['createdFrom', 'createdTo']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    filters[field] = parseDate(query[field]);
+    if (!filters[field]) return { error: `${field} must be a valid date` };
+  }
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom >= filters.createdTo) {
+    return { error: 'createdFrom must be before createdTo' };
+  }
+  if (query.hasBypasses !== undefined && query.hasBypasses !== '') {
+    if (!['true', 'false'].includes(query.hasBypasses)) return { error: 'hasBypasses must be true or false' };
+    filters.hasBypasses = query.hasBypasses === 'true';
+  }
+
+  if (!SORTS.includes(filters.sort)) return { error: `sort must be one of: ${SORTS.join(', ')}` };
+  if (!ORDERS.includes(filters.order)) return { error: `order must be one of: ${ORDERS.join(', ')}` };
+  if (query.limit !== undefined) {
+    filters.limit = Number(query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+  }
+  if (query.cursor !== undefined && query.cursor !== '') {
+    filters.after = decodeCursor(query.cursor, filters);
+    if (!filters.after) return { error: 'Invalid cursor (it must come from the same sort)' };
+  }
+
+  return { filters };
+}
+
+// The text of `search` as a LIKE pattern matching it anywhere (with \ as the escape character)
+function likePattern(search) {
+  return `%${search.replace(/[\\%_]/g, match => '\\' + match)}%`;
+}
+
+module.exports = {
+  SORTS,
+  STATES,
+  MAX_LIMIT,
+  parseListQuery,
+  encodeCursor,
+  decodeCursor,
+  likePattern
+};
@@ -0,0 +1,136 @@
+// lib/migrate.js - versioned schema migrations
+//
+// Migrations are files in migrations/ named "<version>_<name>.js" exporting
+// { up(db), down(db) }, where db is a pg client inside a transaction. Applied versions
+// are recorded in schema_migrations. An advisory lock keeps instances that start at the
+// same time from migrating concurrently.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_ID = 72417001;
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) throw new Error(`Migration file "${file}" must be named <version>_<name>.js`);
+
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration "${file}" must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, idx) => {
+    if (idx > 0 && migrations[idx - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Run fn(client) holding the migration lock, with schema_migrations in place
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Run one step of a migration in its own transaction
+async function runStep(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    const failure = new Error(`Migration ${migration.file} (${direction}) failed: ${err.message}`);
+    failure.cause = err;
+    throw failure;
+  }
+}
+
+// Apply pending migrations up to `target` (default: all). Returns the migrations applied.
+async function migrate(pool, { target = Infinity, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Revert the last `steps` applied migrations, or every one above `target`. Returns the migrations reverted.
+async function rollback(pool, { steps = 1, target, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const missing = [...applied.keys()].filter(version => !migrations.some(m => m.version === version));
+    if (missing.length > 0) {
+      throw new Error(`Applied migrations have no file: ${missing.join(', ')}`);
+    }
+
+    const candidates = migrations.filter(m => applied.has(m.version)).reverse();
+    const toRevert = target === undefined
+      ? candidates.slice(0, steps)
+      : candidates.filter(m => m.version > target);
+    for (const migration of toRevert) {
+      await runStep(client, migration, 'down');
+    }
+    return toRevert;
+  });
+}
+
+// Every known migration with whether/when it was applied
+async function status(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    }));
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,403 @@
+// lib/pages.js - the pages visitors see: the verification countdown, the password form and
+// the pages for missing, expired, paused, not-yet-active, capped and bypassed links
+//
+// Every page is drawn from the default branding below, which a partner can override
+// (partners.branding) with
+//   logoUrl           image shown above each page (http/https)
+//   colors            { primary, secondary, accent } as #rgb / #rrggbb
+//   countdownSeconds  how long the countdown runs (never shorter than the verification minimum)
+//   showSkipButton    whether visitors may continue as soon as they are verified
+//   footer            a line of text below each page
+//   messages          { <page>: { heading, message, button } } per page in PAGES
+// Everything interpolated into the HTML is escaped; colours and the logo are validated
+// since they end up in CSS and attributes.
+
+const PAGES = ['countdown', 'password', 'notFound', 'expired', 'paused', 'scheduled', 'limitReached', 'bypass', 'formExpired'];
+
+// title is the <title> (and API error) of each page; heading, message and button can be branded.
+// "{startsAt}" in the scheduled message is replaced with the link's start time.
+const DEFAULT_MESSAGES = {
+  countdown: { title: 'Verifying...', heading: 'Verifying you...', message: 'Please wait while we are verifying you', button: 'Continue →' },
+  password: { title: 'Password Required', heading: '🔑 Password Required', message: 'Enter the password to open this link.', button: 'Continue' },
+  notFound: { title: '404 - Link Not Found', heading: '🔍 404 - Link Not Found', message: "This short link doesn't exist or has been deleted." },
+  expired: { title: 'Link Expired', heading: '🔒 Link Expired', message: 'This link has expired and can no longer be used.' },
+  paused: { title: 'Link Paused', heading: '⏸️ Link Paused', message: 'This link is paused at the moment. Please try again later.' },
+  scheduled: { title: 'Link Not Active Yet', heading: '⏳ Not Active Yet', message: 'This link opens on {startsAt}.' },
+  limitReached: { title: 'Link Limit Reached', heading: '🚫 Limit Reached', message: 'This link has reached its visitor limit and can no longer be used.' },
+  bypass: { title: 'Bypass Detected', heading: '⚠️ Bypass Detected', message: "Access denied. Please don't bypass the link." },
+  formExpired: { title: 'Form Expired', heading: '⌛ Form Expired', message: 'This password form is no longer valid. Please open the link again.' }
+};
+
+const DEFAULT_COLORS = { primary: '#667eea', secondary: '#764ba2', accent: '#f5576c' };
+
+// Backgrounds of the status pages when a partner hasn't picked colours
+const BACKGROUNDS = {
+  notFound: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  bypass: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  expired: '#0a0a0a',
+  formExpired: '#0a0a0a',
+  paused: 'linear-gradient(135deg, #434343 0%, #16161d 100%)',
+  scheduled: 'linear-gradient(135deg, #4facfe 0%, #667eea 100%)',
+  limitReached: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)'
+};
+
+const COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const MAX_COUNTDOWN_SECONDS = 60;
+const MAX_TEXT_LENGTH = 300;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON for an inline <script>; "<" is escaped so nothing in it can close the tag
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function validText(value) {
+  return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+}
+
+// Validate branding from a request body. Returns { branding } with only the given settings, or { error }.
+function parseBranding(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'branding must be an object' };
+  }
+
+  const branding = {};
+  if (input.logoUrl !== undefined && input.logoUrl !== null && input.logoUrl !== '') {
+    if (typeof input.logoUrl !== 'string' || input.logoUrl.length > 500 || !input.logoUrl.match(/^https?:\/\/[^\s"'<>]+$/)) {
+      return { error: 'logoUrl must be an http(s) URL' };
+    }
+    branding.logoUrl = input.logoUrl;
+  }
+  if (input.colors !== undefined && input.colors !== null) {
+    if (typeof input.colors !== 'object' || Array.isArray(input.colors)) {
+      return { error: 'colors must be an object' };
+    }
+    const colors = {};
+    for (const [name, value] of Object.entries(input.colors)) {
+      if (!DEFAULT_COLORS[name]) return { error: `Unknown color "${name}"` };
+      if (value === null || value === '') continue;
+      if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        return { error: `colors.${name} must be a hex colour like #667eea` };
+      }
+      colors[name] = value;
+    }
+    if (Object.keys(colors).length > 0) branding.colors = colors;
+  }
+  if (input.countdownSeconds !== undefined && input.countdownSeconds !== null && input.countdownSeconds !== '') {
+    const seconds = Number(input.countdownSeconds);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_COUNTDOWN_SECONDS) {
+      return { error: `countdownSeconds must be a whole number from 0 to ${MAX_COUNTDOWN_SECONDS}` };
+    }
+    branding.countdownSeconds = seconds;
+  }
+  if (input.showSkipButton !== undefined && input.showSkipButton !== null) {
+    if (typeof input.showSkipButton !== 'boolean') return { error: 'showSkipButton must be true or false' };
+    branding.showSkipButton = input.showSkipButton;
+  }
+  if (input.footer !== undefined && input.footer !== null && input.footer !== '') {
+    if (!validText(input.footer)) return { error: `footer must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+    branding.footer = input.footer;
+  }
+  if (input.messages !== undefined && input.messages !== null) {
+    if (typeof input.messages !== 'object' || Array.isArray(input.messages)) {
+      return { error: 'messages must be an object' };
+    }
+    const messages = {};
+    for (const [page, texts] of Object.entries(input.messages)) {
+      if (!DEFAULT_MESSAGES[page]) return { error: `Unknown page "${page}"` };
+      if (typeof texts !== 'object' || texts === null || Array.isArray(texts)) {
+        return { error: `messages.${page} must be an object` };
+      }
+      const kept = {};
+      for (const [field, text] of Object.entries(texts)) {
+        if (field === 'title' || DEFAULT_MESSAGES[page][field] === undefined) {
+          return { error: `messages.${page}.${field} can't be changed` };
+        }
+        if (text === null || text === '') continue;
+        if (!validText(text)) return { error: `messages.${page}.${field} must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+        kept[field] = text;
+      }
+      if (Object.keys(kept).length > 0) messages[page] = kept;
+    }
+    if (Object.keys(messages).length > 0) branding.messages = messages;
+  }
+  return { branding };
+}
+
+// Stored branding (or null) filled in with the defaults
+function resolveBranding(stored) {
+  const branding = stored || {};
+  const messages = {};
+  PAGES.forEach(page => {
+    messages[page] = { ...DEFAULT_MESSAGES[page], ...((branding.messages || {})[page] || {}) };
+  });
+  return {
+    logoUrl: branding.logoUrl || null,
+    colors: { ...DEFAULT_COLORS, ...(branding.colors || {}) },
+    customColors: Boolean(branding.colors),
+    countdownSeconds: branding.countdownSeconds === undefined ? null : branding.countdownSeconds,
+    showSkipButton: branding.showSkipButton !== false,
+    footer: branding.footer || null,
+    messages
+  };
+}
+
+// The text of one page with {placeholders} filled from `vars`, escaped
+function text(branding, page, field, vars = {}) {
+  return escapeHtml(branding.messages[page][field]).replace(/\{(\w+)\}/g, (match, name) => (
+    vars[name] === undefined ? match : escapeHtml(vars[name])
+  ));
+}
+
+function logo(branding) {
+  return branding.logoUrl
+    ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="" referrerpolicy="no-referrer">`
+    : '';
+}
+
+function footer(branding) {
+  return branding.footer ? `<div class="footer">${escapeHtml(branding.footer)}</div>` : '';
+}
+
+const SHARED_STYLES = `
+        .logo { display:block; max-width:180px; max-height:64px; margin:0 auto 20px; }
+        .footer { margin-top:24px; padding-top:16px; border-top:1px solid rgba(255,255,255,0.2); font-size:0.9rem; opacity:0.8; }
+`;
+
+// A centered message box for one of the status pages (notFound, expired, paused, scheduled,
+// limitReached, bypass, formExpired). `vars` fill placeholders such as {startsAt}.
+function statusPage(page, branding = resolveBranding(null), vars = {}) {
+  const { colors } = branding;
+  const background = branding.customColors
+    ? `linear-gradient(135deg, ${colors.primary} 0%, ${colors.secondary} 100%)`
+    : BACKGROUNDS[page];
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <title>${text(branding, page, 'title')}</title>
+      <meta name="viewport" content="width=device-width,initial-scale=1" />
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          display:flex;
+          align-items:center;
+          justify-content:center;
+          min-height:100vh;
+          margin:0;
+          padding:20px;
+          box-sizing:border-box;
+          background: ${background};
+        }
+        .box {
+          background: rgba(255,255,255,0.1);
+          backdrop-filter: blur(20px);
+          padding:40px;
+          border-radius:20px;
+          box-shadow:0 20px 60px rgba(0,0,0,0.3);
+          text-align:center;
+          color: white;
+          border: 1px solid rgba(255,255,255,0.2);
+          max-width:560px;
+        }
+        h1 { margin:0 0 12px 0; font-size:2rem; }
+        p { margin:0; opacity:0.9; line-height:1.6; }
+${SHARED_STYLES}
+      </style>
+    </head>
+    <body>
+      <div class="box">
+        ${logo(branding)}
+        <h1>${text(branding, page, 'heading')}</h1>
+        <p>${text(branding, page, 'message', vars)}</p>
+        ${footer(branding)}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// Dark card on the countdown's background, shared by the countdown and the password form
+function cardPage(branding, { title, body, head = '' }) {
+  const { colors } = branding;
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #0a0a0a;
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 2rem;
+          overflow: hidden;
+          position: relative;
+        }
+        body::before {
+          content: '';
+          position: absolute;
+          inset: 0;
+          background: linear-gradient(45deg, ${colors.primary}, ${colors.secondary}, ${colors.accent});
+          background-size: 400% 400%;
+          animation: gradient 15s ease infinite;
+          opacity: 0.2;
+        }
+        @keyframes gradient {
+          0% { background-position: 0% 50%; }
+          50% { background-position: 100% 50%; }
+          100% { background-position: 0% 50%; }
+        }
+        .card {
+          position: relative;
+          z-index: 1;
+          background: rgba(255, 255, 255, 0.05);
+          backdrop-filter: blur(20px);
+          border-radius: 24px;
+          padding: 48px;
+          max-width: 560px;
+          width: 100%;
+          text-align: center;
+          color: #fff;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+        }
+        h1 {
+          font-size: 1.8rem;
+          margin-bottom: 1.5rem;
+          font-weight: 700;
+        }
+        p {
+          opacity: 0.8;
+          margin-bottom: 2rem;
+          font-size: 1.1rem;
+        }
+        .error { color: ${colors.accent}; opacity: 1; }
+        .countdown {
+          font-size: 5rem;
+          font-weight: 700;
+          margin: 2rem 0;
+          background: linear-gradient(135deg, ${colors.primary}, ${colors.secondary}, ${colors.accent});
+          -webkit-background-clip: text;
+          -webkit-text-fill-color: transparent;
+          background-clip: text;
+          animation: pulse 1s ease-in-out infinite;
+        }
+        @keyframes pulse {
+          0%, 100% { transform: scale(1); }
+          50% { transform: scale(1.05); }
+        }
+        input {
+          width: 100%;
+          padding: 14px 16px;
+          border-radius: 12px;
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          background: rgba(255, 255, 255, 0.08);
+          color: white;
+          font-size: 1rem;
+          margin-bottom: 1rem;
+        }
+        button {
+          padding: 16px 40px;
+          border-radius: 12px;
+          border: none;
+          background: linear-gradient(135deg, ${colors.primary}, ${colors.secondary});
+          color: white;
+          cursor: pointer;
+          font-weight: 700;
+          font-size: 1rem;
+          transition: all 0.3s ease;
+        }
+        button:disabled { opacity: 0.6; cursor: default; }
+        button:not(:disabled):hover { transform: translateY(-2px); }
+${SHARED_STYLES}
+      </style>
+      ${head}
+    </head>
+    <body>
+      ${body}
+    </body>
+    </html>
+  `;
+}
+
+// The verification page. `verify` ({ code, challenge, difficulty, minWaitMs }) is handed to
+// /public/verify.js; without it (previews) the page is drawn but nothing runs. The countdown
+// runs for the partner's countdownSeconds, but never less than minWaitMs.
+function countdownPage(branding = resolveBranding(null), verify = null) {
+  const minWaitMs = verify ? verify.minWaitMs : 0;
+  const countdownMs = Math.max(minWaitMs, (branding.countdownSeconds || 0) * 1000);
+  const config = verify ? { ...verify, countdownMs } : null;
+  const skipButton = branding.showSkipButton
+    ? `<button id="skip" disabled data-ready="${text(branding, 'countdown', 'button')}">Please wait...</button>`
+    : '';
+  return cardPage(branding, {
+    title: text(branding, 'countdown', 'title'),
+    body: `
+      <div class="card">
+        ${logo(branding)}
+        <h1>${text(branding, 'countdown', 'heading')}</h1>
+        <div class="countdown" id="countdown">${Math.ceil(countdownMs / 1000)}</div>
+        <p id="status">${text(branding, 'countdown', 'message')}</p>
+        ${skipButton}
+        ${footer(branding)}
+      </div>
+
+      <noscript><p style="color:white;text-align:center">JavaScript is required to verify your visit.</p></noscript>
+      ${config ? `<script>
+        window.MV_VERIFY = ${scriptJson(config)};
+      </script>
+      <script src="/public/verify.js"></script>` : ''}`
+  });
+}
+
+// The form a password-protected link shows. It posts the password and `ticket` to `action`.
+function passwordPage(branding = resolveBranding(null), { action, ticket, error = null }) {
+  return cardPage(branding, {
+    title: text(branding, 'password', 'title'),
+    body: `
+      <form class="card" method="POST" action="${escapeHtml(action)}">
+        ${logo(branding)}
+        <h1>${text(branding, 'password', 'heading')}</h1>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : `<p>${text(branding, 'password', 'message')}</p>`}
+        <input type="hidden" name="ticket" value="${escapeHtml(ticket)}">
+        <input type="password" name="password" placeholder="Password" autocomplete="current-password" autofocus required>
+        <button type="submit" style="width:100%">${text(branding, 'password', 'button')}</button>
+        ${footer(branding)}
+      </form>`
+  });
+}
+
+// Any page with sample values, for the dashboard preview
+function previewPage(page, branding) {
+  if (page === 'countdown') return countdownPage(branding);
+  if (page === 'password') return passwordPage(branding, { action: '#', ticket: '' });
+  return statusPage(page, branding, { startsAt: new Date(Date.now() + 24 * 3600 * 1000).toUTCString() });
+}
+
+module.exports = {
+  PAGES,
+  DEFAULT_MESSAGES,
+  escapeHtml,
+  parseBranding,
+  resolveBranding,
+  statusPage,
+  countdownPage,
+  passwordPage,
+  previewPage
+};
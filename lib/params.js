@@ -0,0 +1,128 @@
+// lib/params.js - query parameters and placeholders for link destinations
+//
+// When a link is visited its destination is built in three steps:
+//   1. placeholders in it are filled in: {code}, {click_id}, {country} (ISO code), {country_name},
+//      {city}, {device}, {os} and {browser}, URL-encoded (empty when unknown)
+//   2. with forward_query, the short link's own query string is copied onto it, replacing
+//      parameters of the same name (except "t", the partner token, and "mv_src", the visit source)
+//   3. the link's default UTM parameters are added where the destination has none; they may
+//      use the placeholders too (utm_campaign: "{code}")
+// Other text in braces is left alone.
+//
+// Links handed out through a channel of our own carry mv_src (e.g. "?mv_src=qr" in QR codes),
+// which is recorded as the click's source.
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const PLACEHOLDERS = ['code', 'click_id', 'country', 'country_name', 'city', 'device', 'os', 'browser'];
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+const SOURCE_PARAM = 'mv_src';
+const SOURCES = ['qr'];
+// Parameters that are never forwarded
+const RESERVED = ['t', SOURCE_PARAM];
+const MAX_VALUE_LENGTH = 200;
+const MAX_FORWARDED = 50;
+
+// Validate default UTM parameters from a request body: an object of UTM_FIELDS to strings
+// (null / {} for none). Returns { utm } or { error }.
+function parseUtm(value) {
+  if (value === null) return { utm: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'utm must be an object' };
+  }
+  const utm = {};
+  for (const [field, text] of Object.entries(value)) {
+    if (!UTM_FIELDS.includes(field)) {
+      return { error: `utm fields must be some of: ${UTM_FIELDS.join(', ')}` };
+    }
+    if (text === null || text === '') continue;
+    if (typeof text !== 'string' || text.length > MAX_VALUE_LENGTH) {
+      return { error: `utm.${field} must be a string of at most ${MAX_VALUE_LENGTH} characters` };
+    }
+    utm[field] = text;
+  }
+  return { utm: Object.keys(utm).length > 0 ? utm : null };
+}
+
+// The part of a request URL ("/abc?x=1") after "?" that gets forwarded, as a query string
+function forwardedQuery(originalUrl) {
+  const start = originalUrl.indexOf('?');
+  if (start === -1) return '';
+  const params = new URLSearchParams(originalUrl.slice(start + 1));
+  RESERVED.forEach(name => params.delete(name));
+  const kept = [...params].slice(0, MAX_FORWARDED);
+  return new URLSearchParams(kept).toString();
+}
+
+// The source of a visit from its query ({ mv_src: 'qr' }), or null when it has none we know
+function visitSource(query) {
+  const value = query[SOURCE_PARAM];
+  return SOURCES.includes(value) ? value : null;
+}
+
+// Whether a destination or its UTM defaults use a placeholder only known once the visitor is located
+function needsLocation(url, utm = null) {
+  return /\{(country|country_name|city)\}/.test([url, ...Object.values(utm || {})].join(' '));
+}
+
+// Fill the placeholders of `text` from `values` ({ code, click_id, country, ... }); values
+// are URL-encoded unless `encode` is false
+function render(text, values, { encode = true } = {}) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!PLACEHOLDERS.includes(name)) return match;
+    const value = values[name];
+    if (value === undefined || value === null) return '';
+    return encode ? encodeURIComponent(value) : String(value);
+  });
+}
+
+// Build the destination of one visit from `url` (the link, rotator destination or rule url).
+// `query` is the forwarded query string ('' when the link doesn't forward), `utm` the link's
+// defaults. Returns { url, params, utm }: `params` are the parameters that were forwarded or
+// added and `utm` the source, medium and campaign the destination ends up with.
+function buildDestination(url, { query = '', utm = null, values = {} } = {}) {
+  const rendered = render(url, values);
+  let target;
+  try {
+    target = new URL(rendered);
+  } catch (err) {
+    // A placeholder left the URL unparseable (e.g. an empty host part); send it as it is
+    return { url: rendered, params: {}, utm: { source: null, medium: null, campaign: null } };
+  }
+
+  const params = {};
+  const forwarded = new URLSearchParams(query);
+  new Set(forwarded.keys()).forEach(name => {
+    target.searchParams.delete(name);
+    forwarded.getAll(name).forEach(value => target.searchParams.append(name, value));
+    params[name] = forwarded.get(name);
+  });
+  Object.entries(utm || {}).forEach(([name, value]) => {
+    if (target.searchParams.has(name)) return;
+    const filled = render(value, values, { encode: false });
+    target.searchParams.set(name, filled);
+    params[name] = filled;
+  });
+
+  return {
+    url: target.toString(),
+    params,
+    utm: {
+      source: target.searchParams.get('utm_source'),
+      medium: target.searchParams.get('utm_medium'),
+      campaign: target.searchParams.get('utm_campaign')
+    }
+  };
+}
+
+module.exports = {
+  UTM_FIELDS,
+  PLACEHOLDERS,
+  SOURCE_PARAM,
+  SOURCES,
+  parseUtm,
+  visitSource,
+  forwardedQuery,
+  needsLocation,
+  render,
+  buildDestination
+};
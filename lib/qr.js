@@ -0,0 +1,619 @@
+// lib/qr.js - QR codes for short links, drawn as SVG or PNG
+//
+// Text is encoded in byte mode at the smallest version (1-40) that fits the chosen error
+// correction level, and the mask with the lowest penalty score is used (ISO/IEC 18004).
+// A logo can be put in the middle: it covers at most LOGO_SHARE of the width, which the
+// error correction makes up for (H, the default with a logo, restores up to 30%).
+const zlib = require('zlib');
+
+const ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+const FORMATS = ['png', 'svg'];
+// Format info bits of each level (L, M, Q, H)
+const ECC_FORMAT_BITS = [1, 0, 3, 2];
+// Per version (index 1-40) and level: error correction codewords per block, and number of blocks
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+// Dark-light runs that look like a finder pattern (penalty rule 3)
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+const DEFAULTS = { format: 'png', size: 300, margin: 4, dark: '#000000', light: '#ffffff' };
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const MAX_MARGIN = 16;
+const LOGO_SHARE = 0.2;
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+const MAX_LOGO_BYTES = 1024 * 1024;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// ----- Encoding -----
+
+// Modules of version `version` that hold data and error correction, including remainder bits
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, level) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+}
+
+// Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+  }
+  return result;
+}
+
+// Split the data codewords into blocks, add each block's error correction and interleave them
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - raw % blockCount;
+  const shortLength = Math.floor(raw / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a placeholder where long blocks have their last data codeword
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// Byte mode segment plus terminator and padding, as codewords for `version`
+function dataCodewordsFor(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+  const modules = grid();
+  const reserved = grid();
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    // The corners overlap the finder patterns
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits(matrix, level, mask) {
+  const { size, set } = matrix;
+  const data = (ECC_FORMAT_BITS[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Place the codewords in the two-module wide zigzag columns, right to left
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+function penalty({ size, modules }) {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    const text = line.map(dark => (dark ? '1' : '0')).join('');
+    FINDER_LIKE.forEach(pattern => {
+      for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+    });
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (y < size - 1 && x < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// Encode `text` at error correction level `ecc` (L, M, Q or H). Returns the module grid as
+// rows of booleans (true is dark), without the quiet zone. Throws when the text is too long.
+function encode(text, ecc = 'M') {
+  const level = ECC_LEVELS.indexOf(ecc);
+  if (level === -1) throw new Error(`ecc must be one of: ${ECC_LEVELS.join(', ')}`);
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+
+  let version = 1;
+  while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+    if (++version > 40) throw new Error('Text too long for a QR code');
+  }
+
+  const codewords = addErrorCorrection(dataCodewordsFor(bytes, version, level), version, level);
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, level, mask);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    const score = penalty(matrix);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  }
+  return best.modules;
+}
+
+// ----- Options -----
+
+function expandColor(color) {
+  const hex = color.slice(1);
+  return '#' + (hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex).toLowerCase();
+}
+
+// Validate the query of a QR request: format (png, svg), size (pixels), margin (modules),
+// dark and light (#rgb / #rrggbb), ecc (L, M, Q, H) and logo (a base64 data URI of an image,
+// decoded to { type, data }). Logos are never fetched from URLs. Returns { options } or { error }.
+function parseOptions(query) {
+  const options = { ...DEFAULTS, logo: null };
+  if (query.format !== undefined) {
+    if (!FORMATS.includes(query.format)) return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    options.format = query.format;
+  }
+  if (query.size !== undefined) {
+    options.size = Number(query.size);
+    if (!Number.isInteger(options.size) || options.size < MIN_SIZE || options.size > MAX_SIZE) {
+      return { error: `size must be a whole number from ${MIN_SIZE} to ${MAX_SIZE}` };
+    }
+  }
+  if (query.margin !== undefined) {
+    options.margin = Number(query.margin);
+    if (!Number.isInteger(options.margin) || options.margin < 0 || options.margin > MAX_MARGIN) {
+      return { error: `margin must be a whole number from 0 to ${MAX_MARGIN}` };
+    }
+  }
+  for (const field of ['dark', 'light']) {
+    if (query[field] === undefined) continue;
+    if (!COLOR_PATTERN.test(query[field])) return { error: `${field} must be a colour like #1a2b3c` };
+    options[field] = expandColor(query[field]);
+  }
+  if (query.logo !== undefined && query.logo !== '') {
+    const logo = parseLogo(query.logo);
+    if (logo.error) return { error: logo.error };
+    options.logo = logo;
+  }
+  // A logo hides modules, so it gets the strongest error correction unless one is asked for
+  options.ecc = options.logo ? 'H' : 'M';
+  if (query.ecc !== undefined) {
+    if (!ECC_LEVELS.includes(query.ecc)) return { error: `ecc must be one of: ${ECC_LEVELS.join(', ')}` };
+    options.ecc = query.ecc;
+  }
+  return { options };
+}
+
+// The logo's box in modules: { x, y, width } of a square centred in the code, on whole modules
+function logoBox(count) {
+  const width = Math.max(1, Math.floor(count * LOGO_SHARE));
+  const box = width + ((count - width) % 2);
+  return { x: (count - box) / 2, y: (count - box) / 2, width: box };
+}
+
+// Decode a logo given as `data:<type>;base64,<data>`. Returns { type, data } or { error }.
+function parseLogo(value) {
+  const match = typeof value === 'string' && /^data:([a-z+/-]+);base64,([A-Za-z0-9+/]+={0,2})$/i.exec(value.trim());
+  if (!match) return { error: 'logo must be a base64 data URI (data:image/png;base64,...)' };
+  const type = match[1].toLowerCase();
+  if (!LOGO_TYPES.includes(type)) return { error: `The logo must be one of: ${LOGO_TYPES.join(', ')}` };
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length > MAX_LOGO_BYTES) return { error: `The logo is larger than ${MAX_LOGO_BYTES / 1024} KB` };
+  return { type, data };
+}
+
+// ----- SVG -----
+
+// `logo` is { type, data } (the image's content type and bytes), embedded as a data URI
+function toSvg(modules, { size, margin, dark, light, logo = null }) {
+  const count = modules.length;
+  const total = count + margin * 2;
+  const box = logo ? logoBox(count) : null;
+  const hidden = (x, y) => box && x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.width;
+
+  const path = [];
+  modules.forEach((row, y) => {
+    for (let x = 0; x < count; x++) {
+      if (!row[x] || hidden(x, y)) continue;
+      let run = 1;
+      while (x + run < count && row[x + run] && !hidden(x + run, y)) run++;
+      path.push(`M${x + margin} ${y + margin}h${run}v1h-${run}z`);
+      x += run - 1;
+    }
+  });
+
+  const image = logo
+    ? `<image x="${box.x + margin}" y="${box.y + margin}" width="${box.width}" height="${box.width}" ` +
+      `preserveAspectRatio="xMidYMid meet" href="data:${logo.type};base64,${logo.data.toString('base64')}"/>`
+    : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${total}" fill="${light}"/>` +
+    `<path fill="${dark}" d="${path.join('')}"/>${image}</svg>\n`;
+}
+
+// ----- PNG -----
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function rgb(color) {
+  const hex = color.slice(1);
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Draw the code as an RGB PNG. `size` is rounded down to a whole number of pixels per module.
+// `logo` is a decoded image ({ width, height, pixels } as from decodePng).
+function toPng(modules, { size, margin, dark, light, logo = null }) {
+  const count = modules.length;
+  const total = count + margin * 2;
+  const scale = Math.max(1, Math.floor(size / total));
+  const width = total * scale;
+  const darkRgb = rgb(dark);
+  const lightRgb = rgb(light);
+
+  const rows = Buffer.alloc((width * 3 + 1) * width);
+  for (let py = 0; py < width; py++) {
+    const offset = py * (width * 3 + 1);
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < width; px++) {
+      const x = Math.floor(px / scale) - margin;
+      const isDark = y >= 0 && y < count && x >= 0 && x < count && modules[y][x];
+      const color = isDark ? darkRgb : lightRgb;
+      rows[offset + 1 + px * 3] = color[0];
+      rows[offset + 2 + px * 3] = color[1];
+      rows[offset + 3 + px * 3] = color[2];
+    }
+  }
+
+  if (logo) {
+    const box = logoBox(count);
+    const left = (box.x + margin) * scale;
+    const top = (box.y + margin) * scale;
+    const side = box.width * scale;
+    // Fit the logo in the box keeping its aspect ratio; the rest of the box stays light
+    const fit = Math.min(side / logo.width, side / logo.height);
+    const drawnWidth = Math.max(1, Math.floor(logo.width * fit));
+    const drawnHeight = Math.max(1, Math.floor(logo.height * fit));
+    for (let py = 0; py < side; py++) {
+      for (let px = 0; px < side; px++) {
+        const at = (top + py) * (width * 3 + 1) + 1 + (left + px) * 3;
+        const lx = px - Math.floor((side - drawnWidth) / 2);
+        const ly = py - Math.floor((side - drawnHeight) / 2);
+        let color = lightRgb;
+        if (lx >= 0 && lx < drawnWidth && ly >= 0 && ly < drawnHeight) {
+          const source = (Math.floor(ly / fit) * logo.width + Math.floor(lx / fit)) * 4;
+          const alpha = logo.pixels[source + 3] / 255;
+          color = [0, 1, 2].map(c => Math.round(logo.pixels[source + c] * alpha + lightRgb[c] * (1 - alpha)));
+        }
+        rows[at] = color[0];
+        rows[at + 1] = color[1];
+        rows[at + 2] = color[2];
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(width, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Samples per pixel of each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Decode a non-interlaced PNG into { width, height, pixels } (RGBA, 8 bits per channel).
+// Throws on anything else, with a message fit for the API.
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('The logo is not a PNG image');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12]
+      };
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'tRNS') transparency = body;
+    else if (type === 'IDAT') data.push(body);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  if (!header || !CHANNELS[header.colorType]) throw new Error('The logo is not a valid PNG image');
+  if (header.interlace) throw new Error('Interlaced PNG logos are not supported');
+  if (header.width * header.height > 1024 * 1024) throw new Error('The logo is larger than 1024x1024 pixels');
+
+  const { width, height, depth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * depth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel / 8);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(data));
+  } catch (err) {
+    throw new Error('The logo is not a valid PNG image');
+  }
+  if (raw.length < (stride + 1) * height) throw new Error('The logo is not a valid PNG image');
+
+  // Undo the per-row filters
+  const lines = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? lines.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const upLeft = i >= bytesPerPixel ? above[i - bytesPerPixel] : 0;
+      const predictor = [0, left, above[i], (left + above[i]) >>> 1, paeth(left, above[i], upLeft)][filter];
+      if (predictor === undefined) throw new Error('The logo is not a valid PNG image');
+      line[i] = (source[i] + predictor) & 0xff;
+    }
+  }
+
+  // Sample `index` of a row, scaled to 8 bits
+  const sample = (line, index) => {
+    if (depth === 8) return line[index];
+    if (depth === 16) return line[index * 2];
+    const perByte = 8 / depth;
+    const value = (line[Math.floor(index / perByte)] >>> (8 - depth * (index % perByte + 1))) & ((1 << depth) - 1);
+    return colorType === 3 ? value : Math.round((value * 255) / ((1 << depth) - 1));
+  };
+
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const values = [];
+      for (let c = 0; c < channels; c++) values.push(sample(line, x * channels + c));
+      let rgba;
+      if (colorType === 0) rgba = [values[0], values[0], values[0], 255];
+      else if (colorType === 2) rgba = [...values, 255];
+      else if (colorType === 4) rgba = [values[0], values[0], values[0], values[1]];
+      else if (colorType === 6) rgba = values;
+      else {
+        if (!palette || values[0] * 3 + 2 >= palette.length) throw new Error('The logo is not a valid PNG image');
+        const alpha = transparency && values[0] < transparency.length ? transparency[values[0]] : 255;
+        rgba = [palette[values[0] * 3], palette[values[0] * 3 + 1], palette[values[0] * 3 + 2], alpha];
+      }
+      pixels[out] = rgba[0];
+      pixels[out + 1] = rgba[1];
+      pixels[out + 2] = rgba[2];
+      pixels[out + 3] = rgba[3];
+    }
+  }
+  return { width, height, pixels };
+}
+
+module.exports = {
+  ECC_LEVELS,
+  FORMATS,
+  encode,
+  parseOptions,
+  parseLogo,
+  toSvg,
+  toPng,
+  decodePng
+};
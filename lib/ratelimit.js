@@ -0,0 +1,118 @@
+// lib/ratelimit.js - fixed-window rate limiting with pluggable stores
+//
+// A store counts hits per key and window:
+//   hit(key, windowMs)  -> { count, resetAt }   count includes this hit
+//   get(key)            -> { count, resetAt } or null when the window is over
+//   reset(key)
+// The memory store is per process; the Postgres store shares counters between instances.
+
+function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const windows = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, sweepMs);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async get(key) {
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= Date.now()) return null;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+// Counters live in the rate_limits table (created by migration 007)
+function createPostgresStore(pool, { sweepMs = 5 * 60 * 1000 } = {}) {
+  const sweeper = setInterval(() => {
+    pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW()')
+      .catch(err => console.error('Error cleaning up rate limits:', err));
+  }, sweepMs);
+  sweeper.unref();
+
+  return {
+    name: 'postgres',
+
+    async hit(key, windowMs) {
+      const resetAt = new Date(Date.now() + windowMs);
+      const result = await pool.query(`
+        INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+        ON CONFLICT (key) DO UPDATE SET
+          count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+          reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+        RETURNING count, reset_at
+      `, [key, resetAt]);
+      const row = result.rows[0];
+      return { count: row.count, resetAt: new Date(row.reset_at) };
+    },
+
+    async get(key) {
+      const result = await pool.query(
+        'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()',
+        [key]
+      );
+      const row = result.rows[0];
+      return row ? { count: row.count, resetAt: new Date(row.reset_at) } : null;
+    },
+
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+}
+
+// Express middleware allowing `max` requests per `windowMs` for each key(req).
+// Over the limit, onLimited(req, res, info) sends the response; info.first is true
+// for the first rejected request of the window (so callers can log once, not per hit).
+// A failing store lets requests through rather than taking the site down.
+function rateLimit({ store, name, windowMs, max, key, onLimited }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id || !max) return next();
+
+    let result;
+    try {
+      result = await store.hit(`${name}:${id}`, windowMs);
+    } catch (err) {
+      console.error(`Error checking rate limit ${name}:`, err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (result.count <= max) return next();
+
+    res.set('Retry-After', String(resetSeconds));
+    onLimited(req, res, { name, retryAfter: resetSeconds, first: result.count === max + 1 });
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  rateLimit
+};
@@ -0,0 +1,419 @@
+// lib/reports.js - scheduled summary reports and bypass-spike alerts, sent through lib/channels
+//
+// A report schedule sends the last complete day (daily) or Monday-to-Monday week (weekly, UTC)
+// of clicks, top countries and bypass attempts per partner and per link. An alert rule watches
+// a sliding window: a link fires when it saw at least min_bypasses bypass attempts and they
+// are threshold_percent or more of its clicks (any bypasses without clicks count as a spike).
+// A rule fires at most once per link per cooldown.
+const channels = require('./channels');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const DAY_MS = 24 * 3600 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const REPORT_LINKS = 25;
+const TOP_COUNTRIES = 3;
+const MAX_NAME_LENGTH = 100;
+
+// When the period containing `now` started: midnight UTC, or Monday midnight UTC for weekly
+function periodStart(frequency, now = new Date()) {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (frequency === 'weekly') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+}
+
+// The last complete period before `now`, as { from, to }
+function periodFor(frequency, now = new Date()) {
+  const to = periodStart(frequency, now);
+  return { from: new Date(to.getTime() - PERIOD_MS[frequency]), to };
+}
+
+// When a schedule sends next: as soon as the period containing `now` is complete
+function nextRun(frequency, now = new Date()) {
+  return new Date(periodStart(frequency, now).getTime() + PERIOD_MS[frequency]);
+}
+
+// Bypass attempts as a percentage of clicks, to one decimal; null without clicks
+function bypassRate(bypasses, clicks) {
+  return clicks > 0 ? Math.round(bypasses / clicks * 1000) / 10 : null;
+}
+
+function parseName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  return { value: name.trim() };
+}
+
+function parseChannelId(channelId) {
+  const id = Number(channelId);
+  return Number.isInteger(id) && id > 0 ? { value: id } : { error: 'channelId is required' };
+}
+
+// Validate a schedule's name, frequency, channelId and active flag (partner and codes are
+// checked by the caller). `partial` (updates) allows leaving fields out. Returns { values } or { error }.
+function parseSchedule(body, { partial = false } = {}) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = parseName(body.name);
+    if (name.error) return name;
+    values.name = name.value;
+  }
+  if (body.frequency !== undefined || !partial) {
+    if (!FREQUENCIES.includes(body.frequency)) return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    values.frequency = body.frequency;
+  }
+  if (body.channelId !== undefined || !partial) {
+    const channelId = parseChannelId(body.channelId);
+    if (channelId.error) return channelId;
+    values.channel_id = channelId.value;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    values.active = body.active;
+  }
+  return { values };
+}
+
+// Integer fields of an alert rule: body field -> [column, min, max, default]
+const RULE_LIMITS = {
+  windowMinutes: ['window_minutes', 5, 1440, 60],
+  minBypasses: ['min_bypasses', 1, 100000, 10],
+  cooldownMinutes: ['cooldown_minutes', 1, 10080, 60]
+};
+
+// Validate an alert rule's name, thresholdPercent, windowMinutes, minBypasses, cooldownMinutes,
+// channelId and active flag; like parseSchedule() otherwise
+function parseAlertRule(body, { partial = false } = {}) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = parseName(body.name);
+    if (name.error) return name;
+    values.name = name.value;
+  }
+  if (body.thresholdPercent !== undefined || !partial) {
+    const threshold = Number(body.thresholdPercent);
+    if (body.thresholdPercent === null || body.thresholdPercent === '' || !(threshold > 0 && threshold <= 1000)) {
+      return { error: 'thresholdPercent must be a number above 0 and at most 1000' };
+    }
+    values.threshold_percent = threshold;
+  }
+  for (const [field, [column, min, max, fallback]] of Object.entries(RULE_LIMITS)) {
+    if (body[field] === undefined && partial) continue;
+    const value = body[field] === undefined ? fallback : Number(body[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number from ${min} to ${max}` };
+    }
+    values[column] = value;
+  }
+  if (body.channelId !== undefined || !partial) {
+    const channelId = parseChannelId(body.channelId);
+    if (channelId.error) return channelId;
+    values.channel_id = channelId.value;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    values.active = body.active;
+  }
+  return { values };
+}
+
+// The first `limit` countries of [{ country, count }] rows, merged and ordered by count
+function topCountries(rows, limit = TOP_COUNTRIES) {
+  const counts = new Map();
+  rows.forEach(({ country, count }) => counts.set(country, (counts.get(country) || 0) + count));
+  return [...counts.entries()]
+    .map(([country, count]) => ({ country, count }))
+    .sort((a, b) => b.count - a.count || String(a.country).localeCompare(String(b.country)))
+    .slice(0, limit);
+}
+
+const formatDate = date => date.toISOString().slice(0, 10);
+const formatCountries = countries => countries.map(({ country, count }) => `${country || 'Unknown'} ${count}`).join(', ');
+const formatRate = rate => (rate === null ? 'no clicks' : `${rate}% of clicks`);
+
+// The report message for `schedule` over `period`, from analytics.linkTotals() rows (links with
+// any activity) and analytics.linkCountries() rows
+function buildReport(schedule, period, { links, countries }) {
+  const countriesOf = new Map();
+  countries.forEach(row => {
+    if (!countriesOf.has(row.code)) countriesOf.set(row.code, []);
+    countriesOf.get(row.code).push(row);
+  });
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const totalsOf = rows => ({
+    links: rows.length,
+    clicks: sum(rows, 'clicks'),
+    humanClicks: sum(rows, 'human'),
+    uniqueClicks: sum(rows, 'unique'),
+    bypasses: sum(rows, 'bypasses'),
+    bypassRate: bypassRate(sum(rows, 'bypasses'), sum(rows, 'clicks')),
+    topCountries: topCountries(rows.flatMap(row => countriesOf.get(row.code) || []))
+  });
+
+  const byPartner = new Map();
+  links.forEach(row => {
+    if (!byPartner.has(row.partner_id)) byPartner.set(row.partner_id, { name: row.partner_name, rows: [] });
+    byPartner.get(row.partner_id).rows.push(row);
+  });
+  const partners = [...byPartner.entries()]
+    .map(([id, { name, rows }]) => ({ id, name, ...totalsOf(rows) }))
+    .sort((a, b) => b.clicks - a.clicks || b.bypasses - a.bypasses);
+
+  const ranked = links.slice().sort((a, b) => b.clicks - a.clicks || b.bypasses - a.bypasses || a.code.localeCompare(b.code));
+  const linkRows = ranked.slice(0, REPORT_LINKS).map(row => ({
+    code: row.code,
+    partnerId: row.partner_id,
+    clicks: row.clicks,
+    humanClicks: row.human,
+    uniqueClicks: row.unique,
+    bypasses: row.bypasses,
+    bypassRate: bypassRate(row.bypasses, row.clicks),
+    topCountries: topCountries(countriesOf.get(row.code) || [])
+  }));
+  const totals = totalsOf(links);
+
+  const label = schedule.frequency === 'daily' ? 'Daily' : 'Weekly';
+  const lastDay = new Date(period.to.getTime() - DAY_MS);
+  const dates = schedule.frequency === 'daily'
+    ? formatDate(period.from)
+    : `${formatDate(period.from)} – ${formatDate(lastDay)}`;
+  const line = item => `${item.clicks} clicks (${item.humanClicks} human, ${item.uniqueClicks} unique), ` +
+    `${item.bypasses} bypass attempts (${formatRate(item.bypassRate)})`;
+
+  const text = [
+    `${label} report "${schedule.name}" for ${dates} (UTC)`,
+    '',
+    `Totals: ${totals.links} active links, ${line(totals)}`
+  ];
+  if (totals.topCountries.length > 0) text.push(`Top countries: ${formatCountries(totals.topCountries)}`);
+  if (partners.length > 0) {
+    text.push('', 'Partners');
+    partners.forEach(partner => {
+      const countryText = partner.topCountries.length > 0 ? ` • ${formatCountries(partner.topCountries)}` : '';
+      text.push(`- ${partner.name || 'No partner'}: ${partner.links} links, ${line(partner)}${countryText}`);
+    });
+  }
+  if (linkRows.length > 0) {
+    text.push('', 'Links');
+    linkRows.forEach(link => {
+      const countryText = link.topCountries.length > 0 ? ` • ${formatCountries(link.topCountries)}` : '';
+      text.push(`- ${link.code}: ${line(link)}${countryText}`);
+    });
+    if (ranked.length > linkRows.length) text.push(`… and ${ranked.length - linkRows.length} more links`);
+  } else {
+    text.push('', 'No clicks or bypass attempts in this period.');
+  }
+
+  return {
+    event: `report.${schedule.frequency}`,
+    subject: `📊 ${label} report: ${schedule.name} (${dates})`,
+    text: text.join('\n'),
+    data: {
+      scheduleId: schedule.id,
+      name: schedule.name,
+      frequency: schedule.frequency,
+      period: { from: period.from.toISOString(), to: period.to.toISOString() },
+      totals,
+      partners,
+      links: linkRows,
+      moreLinks: ranked.length - linkRows.length
+    }
+  };
+}
+
+// The analytics.linkTotals() rows that break `rule`
+function findSpikes(rows, rule) {
+  return rows.filter(row => row.bypasses >= rule.min_bypasses &&
+    (row.clicks === 0 || row.bypasses / row.clicks * 100 >= rule.threshold_percent));
+}
+
+// The alert message for one spike (a linkTotals() row) within `window` ({ from, to })
+function buildAlert(rule, spike, window) {
+  const rate = bypassRate(spike.bypasses, spike.clicks);
+  return {
+    event: 'alert.bypass_spike',
+    subject: `🚨 Bypass spike on ${spike.code}: ${rate === null ? `${spike.bypasses} attempts, no clicks` : `${rate}% of clicks`}`,
+    text: [
+      `${spike.bypasses} bypass attempts against ${spike.clicks} clicks on ${spike.code} ` +
+        `in the last ${rule.window_minutes} minutes${spike.partner_name ? ` (partner ${spike.partner_name})` : ''}.`,
+      `Rule "${rule.name}" fires at ${rule.threshold_percent}% of clicks with at least ${rule.min_bypasses} attempts.`
+    ].join('\n'),
+    data: {
+      ruleId: rule.id,
+      rule: rule.name,
+      code: spike.code,
+      partnerId: spike.partner_id,
+      clicks: spike.clicks,
+      bypasses: spike.bypasses,
+      bypassRate: rate,
+      thresholdPercent: rule.threshold_percent,
+      window: { from: window.from.toISOString(), to: window.to.toISOString() }
+    }
+  };
+}
+
+// A short message to check a channel works
+function testMessage(channel) {
+  return {
+    event: 'channel.test',
+    subject: `✅ MaxVerify test message for "${channel.name}"`,
+    text: 'Reports and alerts sent to this channel will arrive like this message.',
+    data: { channelId: channel.id, name: channel.name }
+  };
+}
+
+const describeError = (err, timeoutMs) =>
+  (err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (err.cause || err).message);
+
+function createReports(storage, {
+  pollIntervalMs = 60 * 1000,
+  alertIntervalMs = 60 * 1000,
+  timeoutMs = 10 * 1000
+} = {}) {
+  const runs = new Map();
+  let stopped = false;
+
+  // Send `message` through the channel with id `channelId`; resolves with an error message or null
+  async function deliver(channelId, message) {
+    try {
+      const channel = await storage.channels.get(channelId);
+      if (!channel) return 'Channel not found';
+      await channels.send(channel, message, { timeoutMs });
+      return null;
+    } catch (err) {
+      return describeError(err, timeoutMs);
+    }
+  }
+
+  // Build and send `schedule`'s report for the last complete period before `now`, and record
+  // the outcome on the schedule. Resolves with { message, error }.
+  async function sendReport(schedule, now = new Date()) {
+    const period = periodFor(schedule.frequency, now);
+    const scope = { ...period, partnerId: schedule.partner_id, codes: schedule.codes };
+    const [links, countries] = await Promise.all([
+      storage.analytics.linkTotals(scope),
+      storage.analytics.linkCountries(scope)
+    ]);
+    const message = buildReport(schedule, period, { links, countries });
+    const error = await deliver(schedule.channel_id, message);
+    if (error) console.error(`❌ Report ${schedule.id} (${schedule.name}) failed: ${error}`);
+    await storage.reportSchedules.update(schedule.id, { last_sent_at: new Date(), last_error: error });
+    return { message, error };
+  }
+
+  // Send every report that is due. Schedules are claimed (moved to their next run) in a
+  // transaction first, so several instances never send the same report twice.
+  async function runDue(now = new Date()) {
+    const tx = await storage.begin();
+    let due;
+    try {
+      due = await tx.reportSchedules.claimDue(now);
+      for (const schedule of due) {
+        await tx.reportSchedules.update(schedule.id, { next_run_at: nextRun(schedule.frequency, now) });
+      }
+      await tx.commit();
+    } catch (err) {
+      await tx.rollback();
+      throw err;
+    }
+    for (const schedule of due) {
+      await sendReport(schedule, now).catch(err => console.error(`Error sending report ${schedule.id}:`, err));
+    }
+    return due.length;
+  }
+
+  // Check every active alert rule against its window ending at `now` and send an alert per
+  // spike outside the rule's cooldown. Resolves with the firings recorded.
+  async function checkAlerts(now = new Date()) {
+    const firings = [];
+    for (const rule of await storage.alertRules.listActive()) {
+      const window = { from: new Date(now.getTime() - rule.window_minutes * 60 * 1000), to: now };
+      const rows = await storage.analytics.linkTotals({ ...window, partnerId: rule.partner_id, codes: rule.codes });
+
+      for (const spike of findSpikes(rows, rule)) {
+        // Holding the rule's row makes the cooldown check and the insert atomic across instances
+        const tx = await storage.begin();
+        let firing = null;
+        try {
+          const locked = await tx.alertRules.get(rule.id, { forUpdate: true });
+          const last = locked && await tx.alertFirings.lastFor(rule.id, spike.code);
+          const cooling = last && last.fired_at > new Date(now.getTime() - rule.cooldown_minutes * 60 * 1000);
+          if (locked && locked.active && !cooling) {
+            firing = await tx.alertFirings.insert({
+              rule_id: rule.id, code: spike.code, clicks: spike.clicks, bypasses: spike.bypasses,
+              rate: bypassRate(spike.bypasses, spike.clicks), fired_at: now
+            });
+          }
+          await tx.commit();
+        } catch (err) {
+          await tx.rollback();
+          throw err;
+        }
+        if (!firing) continue;
+
+        console.log(`🚨 Bypass spike on ${spike.code}: ${spike.bypasses} of ${spike.clicks} clicks (rule ${rule.id})`);
+        const error = await deliver(rule.channel_id, buildAlert(rule, spike, window));
+        if (error) {
+          console.error(`❌ Alert ${firing.id} (rule ${rule.id}) failed: ${error}`);
+          firing = await storage.alertFirings.setError(firing.id, error);
+        }
+        firings.push(firing);
+      }
+    }
+    return firings;
+  }
+
+  // Run `job` unless its last run is still going; errors are logged, never thrown
+  function once(name, job) {
+    if (stopped) return Promise.resolve();
+    if (runs.has(name)) return runs.get(name);
+    const run = job()
+      .catch(err => console.error(`Error running ${name}:`, err))
+      .finally(() => runs.delete(name));
+    runs.set(name, run);
+    return run;
+  }
+
+  const reportTimer = setInterval(() => once('reports', () => runDue()), pollIntervalMs);
+  reportTimer.unref();
+  const alertTimer = setInterval(() => once('alerts', () => checkAlerts()), alertIntervalMs);
+  alertTimer.unref();
+
+  return {
+    runDue,
+    sendReport,
+    checkAlerts,
+
+    // Send a test message to `channel` (a notification_channels row); resolves with an error message or null
+    async sendTest(channel) {
+      try {
+        await channels.send(channel, testMessage(channel), { timeoutMs });
+        return null;
+      } catch (err) {
+        return describeError(err, timeoutMs);
+      }
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(reportTimer);
+      clearInterval(alertTimer);
+      return Promise.all([...runs.values()]);
+    }
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  periodFor,
+  nextRun,
+  bypassRate,
+  parseSchedule,
+  parseAlertRule,
+  topCountries,
+  buildReport,
+  findSpikes,
+  buildAlert,
+  createReports
+};
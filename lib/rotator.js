@@ -0,0 +1,87 @@
+// lib/rotator.js - choosing a destination for rotator links
+//
+// A rotator link has primary and fallback destinations, each with an optional click cap.
+// Only destinations under their cap take part: the primaries, or once every primary is
+// capped, the fallbacks. Among those
+//   weighted    visit n goes to slot n mod (sum of weights), so weights 2:1 give A, A, B, A, A, B, ...
+//   sequential  the first one (by position) gets every visit until it is capped, then the next
+// When nothing is left, the link's own url is used.
+
+const ROTATIONS = ['weighted', 'sequential'];
+const MAX_DESTINATIONS = 50;
+
+function available(destination) {
+  return destination.click_cap === null || destination.click_cap === undefined ||
+    destination.clicks < destination.click_cap;
+}
+
+// `destinations` are link_destinations rows ordered by position; `counter` counts earlier
+// weighted visits. Returns the chosen row, or null when every destination is capped.
+function pick(destinations, rotation, counter = 0) {
+  let pool = destinations.filter(d => !d.is_fallback && available(d));
+  if (pool.length === 0) pool = destinations.filter(d => d.is_fallback && available(d));
+  if (pool.length === 0) return null;
+
+  if (rotation === 'sequential') return pool[0];
+
+  const total = pool.reduce((sum, d) => sum + d.weight, 0);
+  let slot = counter % total;
+  for (const destination of pool) {
+    if (slot < destination.weight) return destination;
+    slot -= destination.weight;
+  }
+  return pool[pool.length - 1];
+}
+
+// Validate destinations from a request body ([{ id?, url, weight?, clickCap?, fallback? }]).
+// Returns { destinations } as link_destinations columns, or { error }.
+function parseDestinations(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'destinations must be a non-empty array' };
+  }
+  if (list.length > MAX_DESTINATIONS) {
+    return { error: `At most ${MAX_DESTINATIONS} destinations per link` };
+  }
+
+  const destinations = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = list[i] || {};
+    const label = `Destination ${i + 1}`;
+    if (typeof item.url !== 'string' || !item.url.match(/^https?:\/\/.+/)) {
+      return { error: `${label}: invalid URL` };
+    }
+    const weight = item.weight === undefined || item.weight === null ? 1 : Number(item.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+      return { error: `${label}: weight must be a whole number from 1 to 1000` };
+    }
+    const cap = item.clickCap === undefined || item.clickCap === null || item.clickCap === '' ? null : Number(item.clickCap);
+    if (cap !== null && (!Number.isInteger(cap) || cap < 1)) {
+      return { error: `${label}: clickCap must be a positive whole number` };
+    }
+    destinations.push({
+      id: item.id ? Number(item.id) : null,
+      url: item.url,
+      weight,
+      click_cap: cap,
+      is_fallback: Boolean(item.fallback)
+    });
+  }
+
+  if (destinations.every(d => d.is_fallback)) {
+    return { error: 'At least one destination must not be a fallback' };
+  }
+  return { destinations };
+}
+
+// The parts of a destination list worth comparing and keeping in revisions
+function summarize(destinations) {
+  return destinations.map(d => ({ url: d.url, weight: d.weight, clickCap: d.click_cap, fallback: d.is_fallback }));
+}
+
+module.exports = {
+  ROTATIONS,
+  MAX_DESTINATIONS,
+  pick,
+  parseDestinations,
+  summarize
+};
@@ -0,0 +1,174 @@
+// lib/rules.js - per-link routing rules: pick the destination from the visitor's country,
+// device, OS, browser and the time of the visit
+//
+// A rule is { name, url, conditions } where conditions may hold
+//   countries  ISO codes or English names ("DE", "Germany")
+//   devices    Mobile, Tablet, Desktop, Bot
+//   os         Windows, macOS, Linux, Android, iOS
+//   browsers   Chrome, Safari, Firefox, Edge, Opera
+//   days       0-6, Sunday first; from / to  "HH:MM" (from > to spans midnight); timezone (IANA, default UTC)
+// A rule matches when every condition it has matches (any value of a list will do). Rules are
+// tried in order and the first match wins; when none does the link's own url (or rotation) is used.
+
+const DEVICES = ['Mobile', 'Tablet', 'Desktop', 'Bot'];
+const OPERATING_SYSTEMS = ['Windows', 'macOS', 'Linux', 'Android', 'iOS'];
+const BROWSERS = ['Chrome', 'Safari', 'Firefox', 'Edge', 'Opera'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_RULES = 50;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const CONDITIONS = ['countries', 'devices', 'os', 'browsers', 'days', 'from', 'to', 'timezone'];
+
+function validTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function minutesOf(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of `date` in `timezone`
+function localTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// A list of allowed values from the request body; `known` (if given) fixes their spelling
+function parseList(value, label, known) {
+  if (value === undefined || value === null) return { list: null };
+  if (!Array.isArray(value) || value.length === 0 || !value.every(v => typeof v === 'string' && v.trim())) {
+    return { error: `${label} must be a non-empty array of strings` };
+  }
+  if (!known) return { list: value.map(v => v.trim()) };
+
+  const list = [];
+  for (const v of value) {
+    const match = known.find(k => k.toLowerCase() === v.trim().toLowerCase());
+    if (!match) return { error: `${label} must be some of: ${known.join(', ')}` };
+    list.push(match);
+  }
+  return { list };
+}
+
+// Validate rules from a request body ([{ id?, name?, url, countries?, devices?, os?, browsers?,
+// days?, from?, to?, timezone? }]). Returns { rules } as link_rules columns, or { error }.
+function parseRules(list) {
+  if (!Array.isArray(list)) return { error: 'rules must be an array' };
+  if (list.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules per link` };
+
+  const rules = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = list[i] || {};
+    const label = `Rule ${i + 1}`;
+    if (typeof item.url !== 'string' || !item.url.match(/^https?:\/\/.+/)) {
+      return { error: `${label}: invalid URL` };
+    }
+    if (item.name !== undefined && item.name !== null && (typeof item.name !== 'string' || item.name.length > 100)) {
+      return { error: `${label}: name must be a string of at most 100 characters` };
+    }
+
+    const conditions = {};
+    const lists = [
+      ['countries', null],
+      ['devices', DEVICES],
+      ['os', OPERATING_SYSTEMS],
+      ['browsers', BROWSERS]
+    ];
+    for (const [field, known] of lists) {
+      const parsed = parseList(item[field], `${label}: ${field}`, known);
+      if (parsed.error) return { error: parsed.error };
+      if (parsed.list) conditions[field] = parsed.list;
+    }
+
+    if (item.days !== undefined && item.days !== null) {
+      if (!Array.isArray(item.days) || item.days.length === 0 ||
+          !item.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        return { error: `${label}: days must be weekday numbers from 0 (Sunday) to 6` };
+      }
+      conditions.days = [...new Set(item.days)].sort((a, b) => a - b);
+    }
+    if ((item.from || item.to) && !(TIME_PATTERN.test(item.from || '') && TIME_PATTERN.test(item.to || ''))) {
+      return { error: `${label}: from and to must both be times like "09:00"` };
+    }
+    if (item.from) {
+      conditions.from = item.from;
+      conditions.to = item.to;
+    }
+    if (item.timezone) {
+      if (!validTimezone(item.timezone)) return { error: `${label}: unknown timezone` };
+      conditions.timezone = item.timezone;
+    }
+
+    if (Object.keys(conditions).filter(key => key !== 'timezone').length === 0) {
+      return { error: `${label}: give at least one condition` };
+    }
+    rules.push({ id: item.id ? Number(item.id) : null, name: item.name || null, url: item.url, conditions });
+  }
+  return { rules };
+}
+
+// Whether matching `rules` needs the visitor's location (an IP lookup)
+function needsLocation(rules) {
+  return rules.some(rule => rule.conditions.countries);
+}
+
+function ruleMatches({ conditions }, visitor, now) {
+  const oneOf = (list, value) => !list || list.some(v => String(v).toLowerCase() === String(value).toLowerCase());
+
+  if (conditions.countries && !conditions.countries.some(c => oneOf([visitor.country, visitor.countryCode], c))) {
+    return false;
+  }
+  if (!oneOf(conditions.devices, visitor.device)) return false;
+  if (!oneOf(conditions.os, visitor.os)) return false;
+  if (!oneOf(conditions.browsers, visitor.browser)) return false;
+
+  if (conditions.days || conditions.from) {
+    const { day, minutes } = localTime(now, conditions.timezone || 'UTC');
+    if (conditions.days && !conditions.days.includes(day)) return false;
+    if (conditions.from) {
+      const from = minutesOf(conditions.from);
+      const to = minutesOf(conditions.to);
+      const inside = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      if (!inside) return false;
+    }
+  }
+  return true;
+}
+
+// The first of `rules` (ordered link_rules rows) matching `visitor`
+// ({ country, countryCode, device, os, browser }) at `now`, or null
+function match(rules, visitor, now = new Date()) {
+  return rules.find(rule => ruleMatches(rule, visitor, now)) || null;
+}
+
+// The parts of a rule list worth comparing and keeping in revisions. Conditions are rebuilt
+// in a fixed key order since JSONB doesn't keep the order they were written in.
+function summarize(rules) {
+  return rules.map(rule => {
+    const conditions = {};
+    CONDITIONS.forEach(key => {
+      if (rule.conditions[key] !== undefined) conditions[key] = rule.conditions[key];
+    });
+    return { name: rule.name, url: rule.url, conditions };
+  });
+}
+
+module.exports = {
+  DEVICES,
+  OPERATING_SYSTEMS,
+  BROWSERS,
+  MAX_RULES,
+  parseRules,
+  needsLocation,
+  match,
+  localTime,
+  summarize
+};
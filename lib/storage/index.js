@@ -0,0 +1,31 @@
+// lib/storage/index.js - data access for links, clicks, partners, bypass logs and accounts
+//
+// Routes talk to repositories (storage.urls, storage.clicks, storage.partners, ...) instead
+// of writing SQL, so the same code runs on either backend:
+//
+//   postgres  (default) - the shared pool from lib/db.js, schema managed by migrations
+//   memory    (STORAGE=memory) - plain JS objects, for local development and tests
+//
+// Rows keep the database's snake_case column names on both. storage.begin() opens a
+// transaction that exposes the same repositories plus commit(), rollback() and savepoints.
+const createPostgresStorage = require('./postgres');
+const createMemoryStorage = require('./memory');
+
+const BACKENDS = ['postgres', 'memory'];
+
+function createStorage(kind = process.env.STORAGE || 'postgres') {
+  if (kind === 'memory') {
+    return createMemoryStorage();
+  }
+  if (kind === 'postgres') {
+    return createPostgresStorage(require('../db'));
+  }
+  throw new Error(`Unknown STORAGE "${kind}" (use ${BACKENDS.join(' or ')})`);
+}
+
+const storage = createStorage();
+if (storage.kind === 'memory') {
+  console.warn('⚠️ STORAGE=memory - data is kept in memory and lost on restart');
+}
+
+module.exports = storage;
@@ -0,0 +1,1266 @@
+// lib/storage/memory.js - in-memory storage backend for local development and tests
+//
+// Mirrors the Postgres backend table by table: rows are plain objects with the same
+// snake_case columns, ids come from per-table counters and deletes cascade the way the
+// foreign keys do. Nothing survives a restart.
+//
+// A transaction snapshots every table and restores it on rollback. While one is open,
+// calls outside it wait until it finishes, so it sees a consistent state like a
+// Postgres transaction holding row locks would.
+const { truncate } = require('../analytics');
+
+const TABLES = [
+  'urls', 'clicks', 'bypass_logs', 'partners', 'users', 'sessions', 'api_keys', 'url_revisions',
+  'used_tokens', 'ip_blocklist', 'webhooks', 'webhook_deliveries', 'link_destinations', 'link_rules', 'domains',
+  'campaigns', 'notification_channels', 'report_schedules', 'alert_rules', 'alert_firings'
+];
+
+const DATE_COLUMNS = new Set([
+  'created', 'expires_at', 'clicked_at', 'detected_at', 'changed_at',
+  'used_at', 'created_at', 'last_used_at', 'revoked_at', 'expiry_notified_at',
+  'next_attempt_at', 'delivered_at', 'starts_at', 'verified_at', 'last_checked_at', 'deleted_at',
+  'next_run_at', 'last_sent_at', 'fired_at'
+]);
+const INTEGER_COLUMNS = new Set([
+  'partner_id', 'created_by', 'user_id', 'changed_by', 'webhook_id', 'destination_id', 'rule_id',
+  'max_clicks', 'max_unique_clicks', 'domain_id', 'campaign_id', 'channel_id', 'window_minutes', 'min_bypasses',
+  'cooldown_minutes'
+]);
+// JSONB and array columns are cloned so stored rows never share objects with the caller
+const JSON_COLUMNS = new Set(['utm', 'query_params', 'tags', 'codes', 'config']);
+
+// Coerce values the way the column types would (ids given as strings, ISO dates, ...)
+function normalize(row) {
+  const out = {};
+  Object.entries(row).forEach(([column, value]) => {
+    if (value === undefined) return;
+    if (value !== null && DATE_COLUMNS.has(column)) value = new Date(value);
+    else if (value !== null && INTEGER_COLUMNS.has(column)) value = Number(value);
+    else if (value !== null && JSON_COLUMNS.has(column)) value = structuredClone(value);
+    out[column] = value;
+  });
+  return out;
+}
+
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+function uniqueViolation(constraint) {
+  const err = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  err.code = '23505';
+  return err;
+}
+
+function inRange(time, { from, to }) {
+  return (!from || time >= new Date(from)) && time < new Date(to);
+}
+
+function newest(rows, column, limit) {
+  return rows
+    .slice()
+    .sort((a, b) => b[column] - a[column] || b.id - a.id)
+    .slice(0, limit);
+}
+
+// [{ <column>: value, count }] ordered by count, like GROUP BY ... ORDER BY count DESC
+function groupCount(rows, column) {
+  const counts = new Map();
+  rows.forEach(row => counts.set(row[column], (counts.get(row[column]) || 0) + 1));
+  return [...counts.entries()]
+    .map(([value, count]) => ({ [column]: value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// [{ <column>: value, count, human, unique }] per value of `column` (destination_id, rule_id)
+function attribution(rows, column) {
+  return groupCount(rows, column).map(({ [column]: value }) => {
+    const hits = rows.filter(row => row[column] === value);
+    const human = hits.filter(row => !row.is_bot);
+    return { [column]: value, count: hits.length, human: human.length, unique: human.filter(row => row.is_unique).length };
+  });
+}
+
+// A link's state the way linkState() in server.js works it out, for the list's state filter
+function linkState(url, now) {
+  if (url.paused) return 'paused';
+  if (url.starts_at && url.starts_at > now) return 'scheduled';
+  if (url.expires_at && url.expires_at < now) return 'expired';
+  if (url.max_clicks && url.human_clicks >= url.max_clicks) return 'limit_reached';
+  if (url.max_unique_clicks && url.unique_clicks >= url.max_unique_clicks) return 'limit_reached';
+  return 'active';
+}
+
+function createRepositories(state) {
+  const table = name => state.tables[name];
+  const nextId = name => {
+    state.ids[name] = (state.ids[name] || 0) + 1;
+    return state.ids[name];
+  };
+  const findUrl = code => table('urls').find(row => row.code === code);
+  const username = id => {
+    const user = table('users').find(row => row.id === id);
+    return user ? user.username : null;
+  };
+  const partnerOf = id => table('partners').find(row => row.id === id);
+  const campaignOf = id => table('campaigns').find(row => row.id === id);
+  // Deleted partners still name old keys and revisions, but are otherwise gone
+  const livePartner = id => table('partners').find(row => row.id === id && !row.deleted_at);
+  // Links of `partnerId` and / or among `codes` (report and alert scopes); no filter when not given
+  const linkScope = (partnerId, codes) => url =>
+    (partnerId === null || url.partner_id === Number(partnerId)) && (!codes || codes.length === 0 || codes.includes(url.code));
+  const remove = (name, predicate) => {
+    const before = table(name).length;
+    state.tables[name] = table(name).filter(row => !predicate(row));
+    return before - table(name).length;
+  };
+
+  const urls = {
+    async get(code) {
+      return copy(findUrl(code));
+    },
+
+    async exists(code) {
+      return Boolean(findUrl(code));
+    },
+
+    async getWithPartner(code) {
+      const url = findUrl(code);
+      if (!url) return null;
+      const partner = partnerOf(url.partner_id);
+      return {
+        ...copy(url),
+        partner_name: partner ? partner.name : null,
+        partner_domain: partner ? partner.domain : null,
+        partner_domains: partner ? partner.domains.slice() : null,
+        partner_secret: partner ? partner.secret : null,
+        allow_referrer_fallback: partner ? partner.allow_referrer_fallback : null,
+        partner_branding: partner ? structuredClone(partner.branding) : null,
+        has_rules: table('link_rules').some(rule => rule.code === code)
+      };
+    },
+
+    async list({
+      code = null, search = null, partnerId, campaignId, tag = null, state = null, createdFrom = null, createdTo = null,
+      hasBypasses, sort = 'created', order = 'desc', after = null, limit = null, now = new Date()
+    } = {}) {
+      const text = search === null ? null : search.toLowerCase();
+      const bypasses = new Map();
+      table('bypass_logs').forEach(row => bypasses.set(row.code, (bypasses.get(row.code) || 0) + 1));
+      const matching = table('urls').filter(url => {
+        if (code !== null && url.code !== code) return false;
+        if (text !== null && ![url.code, url.url, url.title || ''].some(value => value.toLowerCase().includes(text))) return false;
+        if (partnerId !== undefined && url.partner_id !== partnerId) return false;
+        if (campaignId !== undefined && url.campaign_id !== campaignId) return false;
+        if (tag !== null && !url.tags.includes(tag)) return false;
+        if (state !== null && linkState(url, now) !== state) return false;
+        if (createdFrom !== null && url.created < createdFrom) return false;
+        if (createdTo !== null && url.created >= createdTo) return false;
+        if (hasBypasses !== undefined && bypasses.has(url.code) !== hasBypasses) return false;
+        return true;
+      });
+
+      const valueOf = url => (sort === 'clicks' ? url.clicks : url.created.getTime());
+      const sign = order === 'asc' ? 1 : -1;
+      const compare = (a, b) => sign * (valueOf(a) - valueOf(b) || (a.code < b.code ? -1 : a.code > b.code ? 1 : 0));
+      let page = matching.slice().sort(compare);
+      if (after) {
+        const value = sort === 'clicks' ? after.value : new Date(after.value).getTime();
+        page = page.filter(url => sign * (valueOf(url) - value || (url.code < after.code ? -1 : url.code > after.code ? 1 : 0)) > 0);
+      }
+      if (limit) page = page.slice(0, limit);
+
+      return {
+        rows: page.map(url => {
+          const partner = partnerOf(url.partner_id);
+          const domain = table('domains').find(row => row.id === url.domain_id);
+          const campaign = campaignOf(url.campaign_id);
+          return {
+            ...copy(url),
+            partner_name: partner ? partner.name : null,
+            partner_domain: partner ? partner.domain : null,
+            created_by_name: username(url.created_by),
+            domain_host: domain ? domain.host : null,
+            campaign_name: campaign ? campaign.name : null,
+            bypass_count: bypasses.get(url.code) || 0
+          };
+        }),
+        total: matching.length
+      };
+    },
+
+    async all() {
+      return table('urls').slice().sort((a, b) => a.created - b.created).map(copy);
+    },
+
+    async codesForPartner(partnerId) {
+      return table('urls')
+        .filter(url => url.partner_id === Number(partnerId))
+        .sort((a, b) => a.created - b.created)
+        .map(url => url.code);
+    },
+
+    async codesForCampaign(campaignId) {
+      return table('urls')
+        .filter(url => url.campaign_id === Number(campaignId))
+        .sort((a, b) => a.created - b.created)
+        .map(url => url.code);
+    },
+
+    async insert({
+      code, url, created = null, clicks = 0, partner_id = null, expires_at = null, created_by = null, rotation = null,
+      starts_at = null, max_clicks = null, max_unique_clicks = null, password_hash = null, paused = false, domain_id = null,
+      forward_query = false, utm = null, title = null, notes = null, tags = [], campaign_id = null,
+      human_clicks = 0, unique_clicks = 0
+    }) {
+      if (findUrl(code)) throw uniqueViolation('urls_pkey');
+      table('urls').push(normalize({
+        code, url, created: created || new Date(), clicks, partner_id, expires_at, created_by,
+        human_clicks, unique_clicks, expiry_notified_at: null, rotation, rotation_counter: 0,
+        starts_at, max_clicks, max_unique_clicks, password_hash, paused, domain_id, forward_query, utm,
+        title, notes, tags, campaign_id
+      }));
+    },
+
+    async update(code, values) {
+      const url = findUrl(code);
+      if (url) Object.assign(url, normalize(values));
+    },
+
+    async rename(oldCode, row) {
+      if (findUrl(row.code)) throw uniqueViolation('urls_pkey');
+      table('urls').push(normalize(row));
+      for (const name of ['clicks', 'bypass_logs', 'url_revisions', 'link_destinations', 'link_rules', 'alert_firings']) {
+        table(name).forEach(child => {
+          if (child.code === oldCode) child.code = row.code;
+        });
+      }
+      // Webhooks, reports and alert rules limited to the link keep following it
+      for (const name of ['webhooks', 'report_schedules', 'alert_rules']) {
+        table(name).forEach(scoped => {
+          if (scoped.codes) scoped.codes = scoped.codes.map(code => (code === oldCode ? row.code : code));
+        });
+      }
+      remove('urls', url => url.code === oldCode);
+    },
+
+    async delete(code) {
+      if (!remove('urls', url => url.code === code)) return false;
+      for (const name of ['clicks', 'bypass_logs', 'url_revisions', 'link_destinations', 'link_rules']) {
+        remove(name, child => child.code === code);
+      }
+      return true;
+    },
+
+    async nextRotation(code) {
+      const url = findUrl(code);
+      if (!url) return 0;
+      url.rotation_counter += 1;
+      return url.rotation_counter - 1;
+    },
+
+    async claimExpired() {
+      const now = new Date();
+      return table('urls')
+        .filter(url => url.expires_at && url.expires_at <= now && !url.expiry_notified_at)
+        .map(url => {
+          url.expiry_notified_at = now;
+          return { code: url.code, url: url.url, partner_id: url.partner_id, expires_at: new Date(url.expires_at) };
+        });
+    },
+
+    async existingCodes(codes) {
+      return new Set(codes.filter(code => findUrl(code)));
+    },
+
+    async addClickCounts(counts) {
+      counts.forEach(({ code, clicks, human, unique }) => {
+        const url = findUrl(code);
+        if (!url) return;
+        url.clicks += clicks;
+        url.human_clicks += human;
+        url.unique_clicks += unique;
+      });
+    }
+  };
+
+  const clicks = {
+    async lastVisits(visitorHashes, since) {
+      const hashes = new Set(visitorHashes);
+      const after = new Date(since);
+      const last = new Map();
+      table('clicks').forEach(click => {
+        if (!hashes.has(click.visitor_hash) || click.clicked_at <= after) return;
+        const key = `${click.code}|${click.visitor_hash}`;
+        if (!last.has(key) || last.get(key) < click.clicked_at) last.set(key, new Date(click.clicked_at));
+      });
+      return last;
+    },
+
+    async insertMany(rows) {
+      rows.forEach(click => {
+        table('clicks').push(normalize({
+          ...click, id: nextId('clicks'), clicked_at: click.clicked_at || new Date(),
+          is_bot: Boolean(click.is_bot), is_unique: click.is_unique !== false,
+          destination_id: click.destination_id || null, rule_id: click.rule_id || null,
+          click_id: click.click_id || null, query_params: click.query_params || null,
+          utm_source: click.utm_source || null, utm_medium: click.utm_medium || null, utm_campaign: click.utm_campaign || null,
+          source: click.source || null
+        }));
+      });
+    }
+  };
+
+  const bypassLogs = {
+    async insert({ code, referrer, ip_address, user_agent, reason }) {
+      if (!findUrl(code)) return false;
+      table('bypass_logs').push(normalize({
+        id: nextId('bypass_logs'), code, referrer, ip_address, user_agent, reason, detected_at: new Date()
+      }));
+      return true;
+    }
+  };
+
+  // Everything the analytics endpoints show for the links whose code passes `inScope`, within
+  // `range`; `byCode` adds each link's clicks (see statsFor() in postgres.js)
+  const statsFor = (inScope, range, interval, { byCode = false } = {}) => {
+    const linkClicks = table('clicks').filter(c => inScope(c.code) && inRange(c.clicked_at, range));
+    const linkBypasses = table('bypass_logs').filter(b => inScope(b.code) && inRange(b.detected_at, range));
+    const humans = linkClicks.filter(c => !c.is_bot);
+
+    const clickBuckets = new Map();
+    linkClicks.forEach(c => {
+      const bucket = truncate(c.clicked_at, interval).getTime();
+      const point = clickBuckets.get(bucket) || { bucket: new Date(bucket), count: 0, human: 0, unique: 0 };
+      point.count += 1;
+      if (!c.is_bot) point.human += 1;
+      if (!c.is_bot && c.is_unique) point.unique += 1;
+      clickBuckets.set(bucket, point);
+    });
+    const bypassBuckets = new Map();
+    linkBypasses.forEach(b => {
+      const bucket = truncate(b.detected_at, interval).getTime();
+      const point = bypassBuckets.get(bucket) || { bucket: new Date(bucket), count: 0 };
+      point.count += 1;
+      bypassBuckets.set(bucket, point);
+    });
+    const byBucket = (a, b) => a.bucket - b.bucket;
+
+    return {
+      recentClicks: newest(linkClicks, 'clicked_at', 100).map(copy),
+      recentBypasses: newest(linkBypasses, 'detected_at', 100).map(copy),
+      totals: {
+        clicks: linkClicks.length,
+        human: humans.length,
+        unique: humans.filter(c => c.is_unique).length,
+        bypasses: linkBypasses.length
+      },
+      clickSeries: [...clickBuckets.values()].sort(byBucket),
+      bypassSeries: [...bypassBuckets.values()].sort(byBucket),
+      breakdowns: {
+        country: groupCount(linkClicks, 'country'),
+        device: groupCount(linkClicks, 'device'),
+        browser: groupCount(linkClicks, 'browser'),
+        os: groupCount(linkClicks, 'os'),
+        city: groupCount(linkClicks, 'city'),
+        referrer: groupCount(linkClicks, 'referrer'),
+        utm_source: groupCount(linkClicks, 'utm_source'),
+        utm_medium: groupCount(linkClicks, 'utm_medium'),
+        utm_campaign: groupCount(linkClicks, 'utm_campaign'),
+        source: groupCount(linkClicks, 'source')
+      },
+      bots: groupCount(linkClicks.filter(c => c.is_bot), 'bot_name'),
+      destinations: attribution(linkClicks, 'destination_id'),
+      rules: attribution(linkClicks, 'rule_id'),
+      ...(byCode ? { links: attribution(linkClicks, 'code') } : {})
+    };
+  };
+
+  const analytics = {
+    async forLink(code, { from, to, interval }) {
+      return statsFor(linkCode => linkCode === code, { from, to }, interval);
+    },
+
+    async forCampaign(campaignId, { from, to, interval, partnerId = null }) {
+      const codes = new Set(table('urls')
+        .filter(url => url.campaign_id === Number(campaignId) && (partnerId === null || url.partner_id === partnerId))
+        .map(url => url.code));
+      return statsFor(linkCode => codes.has(linkCode), { from, to }, interval, { byCode: true });
+    },
+
+    async forPartners({ from, to }) {
+      const range = { from, to };
+      const partnerOfCode = new Map(table('urls').map(url => [url.code, url.partner_id]));
+      return table('partners')
+        .filter(partner => !partner.deleted_at)
+        .sort((a, b) => a.id - b.id)
+        .map(partner => {
+          const owned = row => partnerOfCode.get(row.code) === partner.id;
+          const partnerClicks = table('clicks').filter(c => owned(c) && inRange(c.clicked_at, range));
+          const humans = partnerClicks.filter(c => !c.is_bot);
+          return {
+            id: partner.id,
+            name: partner.name,
+            links: table('urls').filter(url => url.partner_id === partner.id).length,
+            clicks: partnerClicks.length,
+            human: humans.length,
+            visitors: new Set(humans.map(c => c.visitor_hash).filter(Boolean)).size,
+            bypasses: table('bypass_logs').filter(b => owned(b) && inRange(b.detected_at, range)).length
+          };
+        });
+    },
+
+    async linkTotals({ from, to, partnerId = null, codes = null }) {
+      const range = { from, to };
+      const inScope = linkScope(partnerId, codes);
+      const totals = new Map();
+      const totalsFor = url => {
+        if (!totals.has(url.code)) {
+          const partner = partnerOf(url.partner_id);
+          totals.set(url.code, {
+            code: url.code, partner_id: url.partner_id, partner_name: partner ? partner.name : null,
+            clicks: 0, human: 0, unique: 0, bypasses: 0
+          });
+        }
+        return totals.get(url.code);
+      };
+      table('clicks').forEach(c => {
+        const url = findUrl(c.code);
+        if (!url || !inScope(url) || !inRange(c.clicked_at, range)) return;
+        const row = totalsFor(url);
+        row.clicks += 1;
+        if (!c.is_bot) row.human += 1;
+        if (!c.is_bot && c.is_unique) row.unique += 1;
+      });
+      table('bypass_logs').forEach(b => {
+        const url = findUrl(b.code);
+        if (url && inScope(url) && inRange(b.detected_at, range)) totalsFor(url).bypasses += 1;
+      });
+      return [...totals.values()]
+        .sort((a, b) => b.clicks - a.clicks || b.bypasses - a.bypasses || a.code.localeCompare(b.code));
+    },
+
+    async linkCountries({ from, to, partnerId = null, codes = null }) {
+      const inScope = linkScope(partnerId, codes);
+      const hits = table('clicks').filter(c => {
+        const url = findUrl(c.code);
+        return url && inScope(url) && inRange(c.clicked_at, { from, to });
+      });
+      const counts = new Map();
+      hits.forEach(c => {
+        const key = JSON.stringify([c.code, c.country]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      return [...counts.entries()]
+        .map(([key, count]) => {
+          const [code, country] = JSON.parse(key);
+          return { code, country, count };
+        })
+        .sort((a, b) => b.count - a.count);
+    }
+  };
+
+  const withoutSecret = ({ id, name, domain, domains, allow_referrer_fallback, branding }) => ({
+    id, name, domain, domains: domains.slice(), allow_referrer_fallback, branding: structuredClone(branding)
+  });
+
+  const livePartners = () => table('partners').filter(row => !row.deleted_at).sort((a, b) => a.id - b.id);
+
+  const partners = {
+    async get(id) {
+      return copy(livePartner(Number(id)));
+    },
+
+    async exists(id) {
+      return Boolean(livePartner(Number(id)));
+    },
+
+    async list() {
+      return livePartners().map(withoutSecret);
+    },
+
+    async all() {
+      return livePartners().map(copy);
+    },
+
+    async insert({ id, name, domain, domains = [domain], secret, allow_referrer_fallback = false, branding = null }) {
+      if (id && partnerOf(Number(id))) throw uniqueViolation('partners_pkey');
+      const row = normalize({
+        id: id || nextId('partners'), name, domain, domains: domains.slice(), secret, allow_referrer_fallback,
+        branding: structuredClone(branding), deleted_at: null
+      });
+      table('partners').push(row);
+      return copy(row);
+    },
+
+    async update(id, { name, domains, allow_referrer_fallback }) {
+      const partner = livePartner(Number(id));
+      if (!partner) return null;
+      if (name !== undefined && name !== null) partner.name = name;
+      if (domains) {
+        partner.domains = domains.slice();
+        partner.domain = domains[0];
+      }
+      if (allow_referrer_fallback !== undefined && allow_referrer_fallback !== null) {
+        partner.allow_referrer_fallback = allow_referrer_fallback;
+      }
+      return withoutSecret(partner);
+    },
+
+    async setSecret(id, secret) {
+      const partner = livePartner(Number(id));
+      if (!partner) return null;
+      partner.secret = secret;
+      return { id: partner.id, secret };
+    },
+
+    async setBranding(id, branding) {
+      const partner = livePartner(Number(id));
+      if (!partner) return null;
+      partner.branding = structuredClone(branding);
+      return withoutSecret(partner);
+    },
+
+    async softDelete(id) {
+      const partner = livePartner(Number(id));
+      if (!partner) return false;
+      partner.deleted_at = new Date();
+      return true;
+    },
+
+    async resetIdSequence() {
+      state.ids.partners = Math.max(0, ...table('partners').map(row => row.id));
+    }
+  };
+
+  const users = {
+    async get(id) {
+      const user = table('users').find(row => row.id === Number(id));
+      return user ? { id: user.id, username: user.username, role: user.role, partner_id: user.partner_id, created: user.created } : null;
+    },
+
+    async findByUsername(name) {
+      return copy(table('users').find(row => row.username === name));
+    },
+
+    async list() {
+      return table('users')
+        .slice()
+        .sort((a, b) => a.id - b.id)
+        .map(({ id, username, role, partner_id, created }) => {
+          const partner = partnerOf(partner_id);
+          return { id, username, role, partner_id, partner_name: partner ? partner.name : null, created };
+        });
+    },
+
+    async count() {
+      return table('users').length;
+    },
+
+    async ownerIds() {
+      return table('users').filter(row => row.role === 'owner').map(row => row.id);
+    },
+
+    async insert({ username, password_hash, role = 'viewer', partner_id = null }) {
+      if (table('users').some(row => row.username === username)) throw uniqueViolation('users_username_key');
+      const row = normalize({ id: nextId('users'), username, password_hash, role, partner_id, created: new Date() });
+      table('users').push(row);
+      return { id: row.id, username, role, partner_id: row.partner_id, created: row.created };
+    },
+
+    async update(id, values) {
+      const user = table('users').find(row => row.id === Number(id));
+      if (user) Object.assign(user, normalize(values));
+    },
+
+    async delete(id) {
+      id = Number(id);
+      if (!remove('users', row => row.id === id)) return false;
+      remove('sessions', row => row.user_id === id);
+      remove('api_keys', row => row.user_id === id);
+      table('urls').forEach(row => { if (row.created_by === id) row.created_by = null; });
+      table('url_revisions').forEach(row => { if (row.changed_by === id) row.changed_by = null; });
+      table('ip_blocklist').forEach(row => { if (row.created_by === id) row.created_by = null; });
+      table('webhooks').forEach(row => { if (row.created_by === id) row.created_by = null; });
+      table('campaigns').forEach(row => { if (row.created_by === id) row.created_by = null; });
+      ['notification_channels', 'report_schedules', 'alert_rules'].forEach(name => {
+        table(name).forEach(row => { if (row.created_by === id) row.created_by = null; });
+      });
+      return true;
+    },
+
+    async deleteForPartner(partnerId) {
+      const ids = table('users').filter(row => row.partner_id === Number(partnerId)).map(row => row.id);
+      for (const id of ids) await users.delete(id);
+      return ids.length;
+    }
+  };
+
+  const sessions = {
+    async insert({ id, user_id, expires_at }) {
+      table('sessions').push(normalize({ id, user_id, expires_at, created: new Date() }));
+    },
+
+    async getUser(id) {
+      const session = table('sessions').find(row => row.id === id && row.expires_at > new Date());
+      const user = session && table('users').find(row => row.id === session.user_id);
+      return user ? { id: user.id, username: user.username, role: user.role, partner_id: user.partner_id } : null;
+    },
+
+    async delete(id) {
+      remove('sessions', row => row.id === id);
+    },
+
+    async deleteForUser(userId) {
+      remove('sessions', row => row.user_id === Number(userId));
+    },
+
+    async deleteExpired() {
+      const now = new Date();
+      remove('sessions', row => row.expires_at < now);
+    }
+  };
+
+  const apiKeys = {
+    async list({ userId = null } = {}) {
+      return table('api_keys')
+        .filter(key => userId === null || key.user_id === Number(userId))
+        .sort((a, b) => b.created - a.created || b.id - a.id)
+        .map(key => {
+          const partner = partnerOf(key.partner_id);
+          return {
+            id: key.id, name: key.name, key_prefix: key.key_prefix, scopes: key.scopes.slice(),
+            partner_id: key.partner_id, created: key.created, last_used_at: key.last_used_at,
+            request_count: key.request_count, revoked_at: key.revoked_at,
+            username: username(key.user_id), partner_name: partner ? partner.name : null
+          };
+        });
+    },
+
+    async get(id) {
+      return copy(table('api_keys').find(row => row.id === Number(id)));
+    },
+
+    async insert({ user_id, name, key_prefix, key_hash, scopes, partner_id = null }) {
+      if (table('api_keys').some(row => row.key_hash === key_hash)) throw uniqueViolation('api_keys_key_hash_key');
+      const row = normalize({
+        id: nextId('api_keys'), user_id, name, key_prefix, key_hash, scopes: scopes.slice(), partner_id,
+        created: new Date(), last_used_at: null, request_count: 0, revoked_at: null
+      });
+      table('api_keys').push(row);
+      return {
+        id: row.id, name, key_prefix, scopes: row.scopes.slice(), partner_id: row.partner_id, created: row.created
+      };
+    },
+
+    async revoke(id) {
+      const key = table('api_keys').find(row => row.id === Number(id));
+      if (key && !key.revoked_at) key.revoked_at = new Date();
+    },
+
+    async revokeForPartner(partnerId) {
+      const active = table('api_keys').filter(row => row.partner_id === Number(partnerId) && !row.revoked_at);
+      active.forEach(key => { key.revoked_at = new Date(); });
+      return active.length;
+    },
+
+    async findActiveByHash(hash) {
+      const key = table('api_keys').find(row => row.key_hash === hash && !row.revoked_at);
+      const user = key && table('users').find(row => row.id === key.user_id);
+      if (!user) return null;
+      return {
+        id: key.id, name: key.name, scopes: key.scopes.slice(), partner_id: key.partner_id,
+        user_id: user.id, username: user.username, role: user.role, user_partner_id: user.partner_id
+      };
+    },
+
+    async recordUse(id) {
+      const key = table('api_keys').find(row => row.id === Number(id));
+      if (!key) return;
+      key.last_used_at = new Date();
+      key.request_count += 1;
+    }
+  };
+
+  const findDestination = (id, code) => table('link_destinations').find(row => row.id === Number(id) && row.code === code);
+
+  const destinations = {
+    async listForCode(code) {
+      return table('link_destinations')
+        .filter(row => row.code === code)
+        .sort((a, b) => a.position - b.position || a.id - b.id)
+        .map(copy);
+    },
+
+    async insert({ code, position, url, weight = 1, click_cap = null, is_fallback = false }) {
+      const row = normalize({
+        id: nextId('link_destinations'), code, position, url, weight, click_cap, is_fallback, clicks: 0, created_at: new Date()
+      });
+      table('link_destinations').push(row);
+      return copy(row);
+    },
+
+    async update(id, code, { position, url, weight, click_cap, is_fallback }) {
+      const destination = findDestination(id, code);
+      if (!destination) return null;
+      Object.assign(destination, { position, url, weight, click_cap, is_fallback });
+      return copy(destination);
+    },
+
+    async delete(id, code) {
+      if (!remove('link_destinations', row => row.id === Number(id) && row.code === code)) return false;
+      table('clicks').forEach(click => {
+        if (click.destination_id === Number(id)) click.destination_id = null;
+      });
+      return true;
+    },
+
+    async claim(id) {
+      const destination = table('link_destinations').find(row => row.id === Number(id));
+      if (!destination || (destination.click_cap !== null && destination.clicks >= destination.click_cap)) return false;
+      destination.clicks += 1;
+      return true;
+    }
+  };
+
+  const findRule = (id, code) => table('link_rules').find(row => row.id === Number(id) && row.code === code);
+
+  const rules = {
+    async listForCode(code) {
+      return table('link_rules')
+        .filter(row => row.code === code)
+        .sort((a, b) => a.position - b.position || a.id - b.id)
+        .map(copy);
+    },
+
+    async insert({ code, position, name = null, conditions, url }) {
+      const row = normalize({
+        id: nextId('link_rules'), code, position, name, conditions: structuredClone(conditions), url, created_at: new Date()
+      });
+      table('link_rules').push(row);
+      return copy(row);
+    },
+
+    async update(id, code, { position, name = null, conditions, url }) {
+      const rule = findRule(id, code);
+      if (!rule) return null;
+      Object.assign(rule, { position, name, conditions: structuredClone(conditions), url });
+      return copy(rule);
+    },
+
+    async delete(id, code) {
+      if (!remove('link_rules', row => row.id === Number(id) && row.code === code)) return false;
+      table('clicks').forEach(click => {
+        if (click.rule_id === Number(id)) click.rule_id = null;
+      });
+      return true;
+    }
+  };
+
+  const revisions = {
+    async insert({ code, action, changes, changed_by }) {
+      table('url_revisions').push(normalize({
+        id: nextId('url_revisions'), code, action, changes: structuredClone(changes), changed_by, changed_at: new Date()
+      }));
+    },
+
+    async get(id, code) {
+      return copy(table('url_revisions').find(row => row.id === Number(id) && row.code === code));
+    },
+
+    async listForCode(code) {
+      return newest(table('url_revisions').filter(row => row.code === code), 'changed_at')
+        .map(row => ({
+          id: row.id, action: row.action, changes: structuredClone(row.changes),
+          changed_at: row.changed_at, changed_by: username(row.changed_by)
+        }));
+    }
+  };
+
+  const usedTokens = {
+    async consume({ nonce, code, expires_at }) {
+      if (table('used_tokens').some(row => row.nonce === nonce)) return false;
+      table('used_tokens').push(normalize({ nonce, code, expires_at, used_at: new Date() }));
+      return true;
+    },
+
+    async deleteExpired() {
+      const now = new Date();
+      remove('used_tokens', row => row.expires_at < now);
+    }
+  };
+
+  const blocklist = {
+    async list() {
+      return newest(table('ip_blocklist'), 'created_at').map(row => ({
+        id: row.id, cidr: row.cidr, note: row.note, created_at: row.created_at,
+        created_by_name: username(row.created_by)
+      }));
+    },
+
+    async cidrs() {
+      return table('ip_blocklist').map(row => row.cidr);
+    },
+
+    async exists(cidr) {
+      return table('ip_blocklist').some(row => row.cidr === cidr);
+    },
+
+    async insert({ cidr, note = null, created_by = null }) {
+      if (table('ip_blocklist').some(row => row.cidr === cidr)) throw uniqueViolation('ip_blocklist_cidr_key');
+      const row = normalize({ id: nextId('ip_blocklist'), cidr, note, created_by, created_at: new Date() });
+      table('ip_blocklist').push(row);
+      return copy(row);
+    },
+
+    async delete(id) {
+      return remove('ip_blocklist', row => row.id === Number(id)) > 0;
+    }
+  };
+
+  const domainOf = id => table('domains').find(row => row.id === Number(id));
+
+  const domains = {
+    async list() {
+      return table('domains')
+        .slice()
+        .sort((a, b) => a.host.localeCompare(b.host))
+        .map(row => {
+          const partner = partnerOf(row.partner_id);
+          return {
+            ...copy(row),
+            partner_name: partner ? partner.name : null,
+            links: table('urls').filter(url => url.domain_id === row.id).length
+          };
+        });
+    },
+
+    async get(id) {
+      return copy(domainOf(id));
+    },
+
+    async findByHost(host) {
+      return copy(table('domains').find(row => row.host === host));
+    },
+
+    async insert({ host, partner_id, verification_token }) {
+      if (table('domains').some(row => row.host === host)) throw uniqueViolation('domains_host_key');
+      const row = normalize({
+        id: nextId('domains'), host, partner_id, verification_token,
+        verified_at: null, last_checked_at: null, last_error: null, created_at: new Date()
+      });
+      table('domains').push(row);
+      return copy(row);
+    },
+
+    async recordCheck(id, { verified, error }) {
+      const domain = domainOf(id);
+      if (!domain) return null;
+      domain.verified_at = verified ? domain.verified_at || new Date() : null;
+      domain.last_checked_at = new Date();
+      domain.last_error = error;
+      return copy(domain);
+    },
+
+    async inUse(id) {
+      return table('urls').some(url => url.domain_id === Number(id));
+    },
+
+    async delete(id) {
+      return remove('domains', row => row.id === Number(id)) > 0;
+    }
+  };
+
+  const campaigns = {
+    async list({ partnerId = null } = {}) {
+      return table('campaigns')
+        .slice()
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(campaign => {
+          const links = table('urls').filter(url =>
+            url.campaign_id === campaign.id && (partnerId === null || url.partner_id === partnerId));
+          return {
+            ...copy(campaign),
+            created_by_name: username(campaign.created_by),
+            links: links.length,
+            clicks: links.reduce((sum, url) => sum + url.clicks, 0)
+          };
+        });
+    },
+
+    async get(id) {
+      return copy(campaignOf(Number(id)));
+    },
+
+    async findByName(name) {
+      return copy(table('campaigns').find(row => row.name.toLowerCase() === name.toLowerCase()));
+    },
+
+    async insert({ name, description = null, created_by = null }) {
+      if (table('campaigns').some(row => row.name === name)) throw uniqueViolation('campaigns_name_key');
+      const row = normalize({ id: nextId('campaigns'), name, description, created_by, created_at: new Date() });
+      table('campaigns').push(row);
+      return copy(row);
+    },
+
+    async update(id, values) {
+      const campaign = campaignOf(Number(id));
+      if (!campaign) return null;
+      if (values.name !== undefined && table('campaigns').some(row => row.id !== campaign.id && row.name === values.name)) {
+        throw uniqueViolation('campaigns_name_key');
+      }
+      Object.assign(campaign, normalize(values));
+      return copy(campaign);
+    },
+
+    async delete(id) {
+      if (!remove('campaigns', row => row.id === Number(id))) return false;
+      table('urls').forEach(url => { if (url.campaign_id === Number(id)) url.campaign_id = null; });
+      return true;
+    }
+  };
+
+  const webhookOf = id => table('webhooks').find(row => row.id === Number(id));
+  const webhookFields = ({ id, name, url, events, partner_id, codes, active, created_at }) =>
+    copy({ id, name, url, events, partner_id, codes, active, created_at });
+
+  const webhooks = {
+    async list() {
+      return newest(table('webhooks'), 'created_at').map(row => {
+        const partner = partnerOf(row.partner_id);
+        return {
+          ...webhookFields(row),
+          partner_name: partner ? partner.name : null,
+          created_by_name: username(row.created_by)
+        };
+      });
+    },
+
+    async listActive() {
+      return table('webhooks')
+        .filter(row => row.active)
+        .map(({ id, events, partner_id, codes }) => copy({ id, events, partner_id, codes }));
+    },
+
+    async get(id) {
+      return copy(webhookOf(id));
+    },
+
+    async insert({ name, url, secret, events, partner_id = null, codes = null, created_by = null }) {
+      const row = normalize({
+        id: nextId('webhooks'), name, url, secret, events, partner_id, codes, active: true, created_by,
+        created_at: new Date()
+      });
+      table('webhooks').push(row);
+      return copy(row);
+    },
+
+    async update(id, values) {
+      const webhook = webhookOf(id);
+      if (!webhook) return null;
+      Object.assign(webhook, normalize(values));
+      return webhookFields(webhook);
+    },
+
+    async setSecret(id, secret) {
+      const webhook = webhookOf(id);
+      if (!webhook) return null;
+      webhook.secret = secret;
+      return { id: webhook.id, secret };
+    },
+
+    async delete(id) {
+      id = Number(id);
+      if (!remove('webhooks', row => row.id === id)) return false;
+      remove('webhook_deliveries', row => row.webhook_id === id);
+      return true;
+    }
+  };
+
+  const webhookDeliveries = {
+    async insertMany(rows) {
+      const now = new Date();
+      return rows.map(({ webhook_id, event, payload, next_attempt_at }) => {
+        const row = normalize({
+          id: nextId('webhook_deliveries'), webhook_id, event, payload: structuredClone(payload),
+          status: 'pending', attempts: 0, next_attempt_at: next_attempt_at || now, response_status: null, error: null,
+          created_at: now, delivered_at: null
+        });
+        table('webhook_deliveries').push(row);
+        return copy(row);
+      });
+    },
+
+    async claimDue(limit, leaseUntil) {
+      const now = new Date();
+      return table('webhook_deliveries')
+        .filter(row => row.status === 'pending' && row.next_attempt_at <= now && (webhookOf(row.webhook_id) || {}).active)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+        .slice(0, limit)
+        .map(row => {
+          row.next_attempt_at = new Date(leaseUntil);
+          const webhook = webhookOf(row.webhook_id);
+          return { ...copy(row), url: webhook.url, secret: webhook.secret };
+        });
+    },
+
+    async update(id, { status, attempts, response_status = null, error = null, next_attempt_at = null, delivered_at = null }) {
+      const delivery = table('webhook_deliveries').find(row => row.id === Number(id));
+      if (!delivery) return null;
+      Object.assign(delivery, normalize({ status, attempts, response_status, error, next_attempt_at, delivered_at }));
+      return copy(delivery);
+    },
+
+    async listForWebhook(webhookId, limit = 50) {
+      return newest(table('webhook_deliveries').filter(row => row.webhook_id === Number(webhookId)), 'created_at', limit)
+        .map(copy);
+    },
+
+    async deleteFinishedBefore(before) {
+      const cutoff = new Date(before);
+      remove('webhook_deliveries', row => row.status !== 'pending' && row.created_at < cutoff);
+    }
+  };
+
+  const rowOf = (name, id) => table(name).find(row => row.id === Number(id));
+  const updateRow = (name, id, values) => {
+    const row = rowOf(name, id);
+    if (!row) return null;
+    Object.assign(row, normalize(values));
+    return copy(row);
+  };
+  // With the names the list endpoints show next to ids
+  const withNames = row => {
+    const partner = partnerOf(row.partner_id);
+    const channel = rowOf('notification_channels', row.channel_id);
+    return {
+      ...copy(row),
+      partner_name: partner ? partner.name : null,
+      channel_name: channel ? channel.name : null,
+      channel_type: channel ? channel.type : null,
+      created_by_name: username(row.created_by)
+    };
+  };
+
+  const channels = {
+    async list() {
+      return newest(table('notification_channels'), 'created_at').map(row => ({
+        ...copy(row),
+        created_by_name: username(row.created_by),
+        reports: table('report_schedules').filter(r => r.channel_id === row.id).length,
+        alerts: table('alert_rules').filter(a => a.channel_id === row.id).length
+      }));
+    },
+
+    async get(id) {
+      return copy(rowOf('notification_channels', id));
+    },
+
+    async insert({ name, type, config, created_by = null }) {
+      const row = normalize({ id: nextId('notification_channels'), name, type, config, created_by, created_at: new Date() });
+      table('notification_channels').push(row);
+      return copy(row);
+    },
+
+    async update(id, values) {
+      return updateRow('notification_channels', id, values);
+    },
+
+    async delete(id) {
+      id = Number(id);
+      if (!remove('notification_channels', row => row.id === id)) return false;
+      remove('report_schedules', row => row.channel_id === id);
+      const rules = new Set(table('alert_rules').filter(row => row.channel_id === id).map(row => row.id));
+      remove('alert_rules', row => rules.has(row.id));
+      remove('alert_firings', row => rules.has(row.rule_id));
+      return true;
+    }
+  };
+
+  const reportSchedules = {
+    async list() {
+      return newest(table('report_schedules'), 'created_at').map(withNames);
+    },
+
+    async get(id) {
+      return copy(rowOf('report_schedules', id));
+    },
+
+    async insert({ name, frequency, partner_id = null, codes = null, channel_id, active = true, next_run_at, created_by = null }) {
+      const row = normalize({
+        id: nextId('report_schedules'), name, frequency, partner_id, codes, channel_id, active, next_run_at,
+        last_sent_at: null, last_error: null, created_by, created_at: new Date()
+      });
+      table('report_schedules').push(row);
+      return copy(row);
+    },
+
+    async update(id, values) {
+      return updateRow('report_schedules', id, values);
+    },
+
+    async delete(id) {
+      return remove('report_schedules', row => row.id === Number(id)) > 0;
+    },
+
+    async claimDue(now) {
+      const cutoff = new Date(now);
+      return table('report_schedules')
+        .filter(row => row.active && row.next_run_at <= cutoff)
+        .sort((a, b) => a.next_run_at - b.next_run_at || a.id - b.id)
+        .map(copy);
+    }
+  };
+
+  const alertRules = {
+    async list() {
+      return newest(table('alert_rules'), 'created_at').map(row => {
+        const last = newest(table('alert_firings').filter(f => f.rule_id === row.id), 'fired_at', 1)[0];
+        return { ...withNames(row), last_fired_at: last ? new Date(last.fired_at) : null };
+      });
+    },
+
+    async listActive() {
+      return table('alert_rules').filter(row => row.active).sort((a, b) => a.id - b.id).map(copy);
+    },
+
+    async get(id) {
+      return copy(rowOf('alert_rules', id));
+    },
+
+    async insert({
+      name, threshold_percent, window_minutes = 60, min_bypasses = 10, cooldown_minutes = 60,
+      partner_id = null, codes = null, channel_id, active = true, created_by = null
+    }) {
+      const row = normalize({
+        id: nextId('alert_rules'), name, threshold_percent, window_minutes, min_bypasses, cooldown_minutes,
+        partner_id, codes, channel_id, active, created_by, created_at: new Date()
+      });
+      table('alert_rules').push(row);
+      return copy(row);
+    },
+
+    async update(id, values) {
+      return updateRow('alert_rules', id, values);
+    },
+
+    async delete(id) {
+      id = Number(id);
+      if (!remove('alert_rules', row => row.id === id)) return false;
+      remove('alert_firings', row => row.rule_id === id);
+      return true;
+    }
+  };
+
+  const alertFirings = {
+    async lastFor(ruleId, code) {
+      const rows = table('alert_firings').filter(row => row.rule_id === Number(ruleId) && row.code === code);
+      return copy(newest(rows, 'fired_at', 1)[0] || null);
+    },
+
+    async insert({ rule_id, code, clicks, bypasses, rate = null, fired_at }) {
+      const row = normalize({ id: nextId('alert_firings'), rule_id, code, clicks, bypasses, rate, fired_at, error: null });
+      table('alert_firings').push(row);
+      return copy(row);
+    },
+
+    async setError(id, error) {
+      return updateRow('alert_firings', id, { error });
+    },
+
+    async listForRule(ruleId, limit = 50) {
+      return newest(table('alert_firings').filter(row => row.rule_id === Number(ruleId)), 'fired_at', limit).map(copy);
+    }
+  };
+
+  return {
+    urls, clicks, bypassLogs, analytics, partners, users, sessions, apiKeys, destinations, rules, revisions,
+    usedTokens, blocklist, domains, campaigns, webhooks, webhookDeliveries, channels, reportSchedules, alertRules,
+    alertFirings
+  };
+}
+
+// Wrap every repository method with `guard`
+function guarded(repositories, guard) {
+  const out = {};
+  Object.entries(repositories).forEach(([name, repository]) => {
+    out[name] = {};
+    Object.entries(repository).forEach(([method, fn]) => {
+      out[name][method] = (...args) => guard(() => fn(...args));
+    });
+  });
+  return out;
+}
+
+function createMemoryStorage() {
+  const state = { tables: {}, ids: {} };
+  TABLES.forEach(name => { state.tables[name] = []; });
+
+  const repositories = createRepositories(state);
+  let active = null; // { done: Promise } of the open transaction
+
+  async function idle() {
+    while (active) await active.done;
+  }
+
+  return {
+    kind: 'memory',
+    ...guarded(repositories, async fn => {
+      await idle();
+      return fn();
+    }),
+
+    async prepare() {
+      return [];
+    },
+
+    async begin() {
+      await idle();
+      let finish;
+      active = { done: new Promise(resolve => { finish = resolve; }) };
+
+      const snapshot = () => structuredClone({ tables: state.tables, ids: state.ids });
+      const restore = saved => {
+        state.tables = saved.tables;
+        state.ids = saved.ids;
+      };
+      const start = snapshot();
+      const savepoints = [];
+      let open = true;
+
+      const end = () => {
+        open = false;
+        active = null;
+        finish();
+      };
+
+      return {
+        ...guarded(repositories, async fn => {
+          if (!open) throw new Error('Transaction already finished');
+          return fn();
+        }),
+        async commit() {
+          if (open) end();
+        },
+        async rollback() {
+          if (!open) return;
+          restore(start);
+          end();
+        },
+        async savepoint() {
+          savepoints.push(snapshot());
+        },
+        async rollbackToSavepoint() {
+          restore(structuredClone(savepoints[savepoints.length - 1]));
+        },
+        async releaseSavepoint() {
+          savepoints.pop();
+        }
+      };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = createMemoryStorage;
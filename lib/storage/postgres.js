@@ -0,0 +1,1347 @@
+// lib/storage/postgres.js - PostgreSQL storage backend
+//
+// Every repository method runs on `db`, which is the pool or, inside a transaction,
+// the client that holds it.
+const migrator = require('../migrate');
+const listing = require('../listing');
+
+// Counts come back from Postgres as strings (bigint); repositories return numbers
+function toCount(value) {
+  return parseInt(value, 10) || 0;
+}
+
+function countRows(rows, column) {
+  return rows.map(row => ({ ...row, [column]: toCount(row[column]) }));
+}
+
+function createRepositories(db) {
+  const urls = {
+    async get(code, { forUpdate = false } = {}) {
+      const result = await db.query(`SELECT * FROM urls WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`, [code]);
+      return result.rows[0] || null;
+    },
+
+    async exists(code) {
+      const result = await db.query('SELECT code FROM urls WHERE code = $1', [code]);
+      return result.rows.length > 0;
+    },
+
+    // The link with the partner fields the redirect needs, and whether it has routing rules
+    async getWithPartner(code) {
+      const result = await db.query(`
+        SELECT u.*, p.name as partner_name, p.domain as partner_domain, p.domains as partner_domains,
+               p.secret as partner_secret, p.allow_referrer_fallback, p.branding as partner_branding,
+               EXISTS (SELECT 1 FROM link_rules r WHERE r.code = $1) as has_rules
+        FROM urls u
+        LEFT JOIN partners p ON u.partner_id = p.id
+        WHERE u.code = $1
+      `, [code]);
+      return result.rows[0] || null;
+    },
+
+    // One page of links with partner, campaign and creator names and bypass counts, and how many links
+    // match the filters in all (see lib/listing.js; `code` picks a single link). `after` ({ value, code }) is where the
+    // previous page ended; without `limit` every matching link is returned.
+    async list({
+      code = null, search = null, partnerId, campaignId, tag = null, state = null, createdFrom = null, createdTo = null,
+      hasBypasses, sort = 'created', order = 'desc', after = null, limit = null, now = new Date()
+    } = {}) {
+      const params = [];
+      const param = value => {
+        params.push(value);
+        return '$' + params.length;
+      };
+      const conditions = [];
+      if (code !== null) conditions.push(`u.code = ${param(code)}`);
+      if (search !== null) {
+        const pattern = param(listing.likePattern(search));
+        conditions.push(`(u.code ILIKE ${pattern} OR u.url ILIKE ${pattern} OR u.title ILIKE ${pattern})`);
+      }
+      if (partnerId === null) conditions.push('u.partner_id IS NULL');
+      else if (partnerId !== undefined) conditions.push(`u.partner_id = ${param(partnerId)}`);
+      if (campaignId === null) conditions.push('u.campaign_id IS NULL');
+      else if (campaignId !== undefined) conditions.push(`u.campaign_id = ${param(campaignId)}`);
+      if (tag !== null) conditions.push(`u.tags @> ARRAY[${param(tag)}]::text[]`);
+      if (state !== null) {
+        // Same order of precedence as linkState() in server.js
+        const at = param(now);
+        conditions.push(`(CASE
+          WHEN u.paused THEN 'paused'
+          WHEN u.starts_at > ${at} THEN 'scheduled'
+          WHEN u.expires_at < ${at} THEN 'expired'
+          WHEN u.max_clicks > 0 AND u.human_clicks >= u.max_clicks THEN 'limit_reached'
+          WHEN u.max_unique_clicks > 0 AND u.unique_clicks >= u.max_unique_clicks THEN 'limit_reached'
+          ELSE 'active' END) = ${param(state)}`);
+      }
+      if (createdFrom !== null) conditions.push(`u.created >= ${param(createdFrom)}`);
+      if (createdTo !== null) conditions.push(`u.created < ${param(createdTo)}`);
+      if (hasBypasses !== undefined) {
+        conditions.push(`${hasBypasses ? '' : 'NOT '}EXISTS (SELECT 1 FROM bypass_logs b WHERE b.code = u.code)`);
+      }
+      const filtered = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const filterParams = params.slice();
+
+      const column = sort === 'clicks' ? 'u.clicks' : "date_trunc('milliseconds', u.created)";
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      if (after) {
+        const value = param(after.value);
+        const lastCode = param(after.code);
+        const beyond = order === 'asc' ? '>' : '<';
+        conditions.push(`(${column} ${beyond} ${value} OR (${column} = ${value} AND u.code ${beyond} ${lastCode}))`);
+      }
+      const paged = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [page, count] = await Promise.all([
+        db.query(`
+          SELECT u.*, p.name as partner_name, p.domain as partner_domain, cu.username as created_by_name,
+                 d.host as domain_host, c.name as campaign_name
+          FROM urls u
+          LEFT JOIN partners p ON u.partner_id = p.id
+          LEFT JOIN users cu ON u.created_by = cu.id
+          LEFT JOIN domains d ON u.domain_id = d.id
+          LEFT JOIN campaigns c ON u.campaign_id = c.id
+          ${paged}
+          ORDER BY ${column} ${direction}, u.code ${direction}
+          ${limit ? `LIMIT ${param(limit)}` : ''}
+        `, params),
+        db.query(`SELECT COUNT(*) as count FROM urls u ${filtered}`, filterParams)
+      ]);
+
+      const codes = page.rows.map(row => row.code);
+      const bypasses = new Map();
+      if (codes.length > 0) {
+        const result = await db.query(
+          'SELECT code, COUNT(*) as count FROM bypass_logs WHERE code = ANY($1) GROUP BY code',
+          [codes]
+        );
+        result.rows.forEach(row => bypasses.set(row.code, toCount(row.count)));
+      }
+      return {
+        rows: page.rows.map(row => ({ ...row, bypass_count: bypasses.get(row.code) || 0 })),
+        total: toCount(count.rows[0].count)
+      };
+    },
+
+    // Every link, oldest first (export)
+    async all() {
+      const result = await db.query('SELECT * FROM urls ORDER BY created ASC');
+      return result.rows;
+    },
+
+    async codesForPartner(partnerId) {
+      const result = await db.query('SELECT code FROM urls WHERE partner_id = $1 ORDER BY created ASC', [partnerId]);
+      return result.rows.map(row => row.code);
+    },
+
+    async codesForCampaign(campaignId) {
+      const result = await db.query('SELECT code FROM urls WHERE campaign_id = $1 ORDER BY created ASC', [campaignId]);
+      return result.rows.map(row => row.code);
+    },
+
+    async insert({
+      code, url, created = null, clicks = 0, partner_id = null, expires_at = null, created_by = null, rotation = null,
+      starts_at = null, max_clicks = null, max_unique_clicks = null, password_hash = null, paused = false, domain_id = null,
+      forward_query = false, utm = null, title = null, notes = null, tags = [], campaign_id = null,
+      human_clicks = 0, unique_clicks = 0
+    }) {
+      await db.query(
+        `INSERT INTO urls (code, url, created, clicks, partner_id, expires_at, created_by, rotation,
+                           starts_at, max_clicks, max_unique_clicks, password_hash, paused, domain_id,
+                           forward_query, utm, title, notes, tags, campaign_id, human_clicks, unique_clicks)
+         VALUES ($1, $2, COALESCE($3, NOW()), $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                 $17, $18, $19, $20, $21, $22)`,
+        [code, url, created, clicks, partner_id, expires_at, created_by, rotation,
+          starts_at, max_clicks, max_unique_clicks, password_hash, paused, domain_id,
+          forward_query, utm === null ? null : JSON.stringify(utm), title, notes, tags, campaign_id,
+          human_clicks, unique_clicks]
+      );
+    },
+
+    // Set the given columns (column -> value) on one link
+    async update(code, values) {
+      const columns = Object.keys(values);
+      await db.query(
+        `UPDATE urls SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')} WHERE code = $${columns.length + 1}`,
+        [...columns.map(col => values[col]), code]
+      );
+    },
+
+    // code is the primary key other tables point at: copy the row under the new
+    // code, move everything that references it, then drop the old row
+    async rename(oldCode, row) {
+      const columns = Object.keys(row);
+      await db.query(
+        `INSERT INTO urls (${columns.join(', ')}) VALUES (${columns.map((c, i) => '$' + (i + 1)).join(', ')})`,
+        columns.map(col => row[col])
+      );
+      for (const table of ['clicks', 'bypass_logs', 'url_revisions', 'link_destinations', 'link_rules', 'alert_firings']) {
+        await db.query(`UPDATE ${table} SET code = $1 WHERE code = $2`, [row.code, oldCode]);
+      }
+      // Webhooks, reports and alert rules limited to the link keep following it
+      for (const table of ['webhooks', 'report_schedules', 'alert_rules']) {
+        await db.query(`UPDATE ${table} SET codes = array_replace(codes, $2, $1) WHERE $2 = ANY(codes)`, [row.code, oldCode]);
+      }
+      await db.query('DELETE FROM urls WHERE code = $1', [oldCode]);
+    },
+
+    async delete(code) {
+      const result = await db.query('DELETE FROM urls WHERE code = $1 RETURNING code', [code]);
+      return result.rows.length > 0;
+    },
+
+    // Count a visit to a rotator link; returns how many came before it
+    async nextRotation(code) {
+      const result = await db.query(
+        'UPDATE urls SET rotation_counter = rotation_counter + 1 WHERE code = $1 RETURNING rotation_counter',
+        [code]
+      );
+      return result.rows.length > 0 ? result.rows[0].rotation_counter - 1 : 0;
+    },
+
+    // Mark links whose expiry has passed as announced; returns the ones not announced before.
+    // Concurrent callers never get the same link twice.
+    async claimExpired() {
+      const result = await db.query(`
+        UPDATE urls SET expiry_notified_at = NOW()
+        WHERE expires_at <= NOW() AND expiry_notified_at IS NULL
+        RETURNING code, url, partner_id, expires_at
+      `);
+      return result.rows;
+    },
+
+    // Codes out of `codes` that still exist
+    async existingCodes(codes) {
+      const result = await db.query('SELECT code FROM urls WHERE code = ANY($1)', [codes]);
+      return new Set(result.rows.map(row => row.code));
+    },
+
+    // Add [{ code, clicks, human, unique }] to the links' counters in one statement
+    async addClickCounts(counts) {
+      if (counts.length === 0) return;
+      const values = counts.map((c, i) => `($${i * 4 + 1}, $${i * 4 + 2}::int, $${i * 4 + 3}::int, $${i * 4 + 4}::int)`);
+      await db.query(
+        `UPDATE urls AS u SET
+           clicks = u.clicks + v.clicks,
+           human_clicks = u.human_clicks + v.human,
+           unique_clicks = u.unique_clicks + v.uniq
+         FROM (VALUES ${values.join(', ')}) AS v(code, clicks, human, uniq)
+         WHERE u.code = v.code`,
+        counts.flatMap(c => [c.code, c.clicks, c.human, c.unique])
+      );
+    }
+  };
+
+  const CLICK_COLUMNS = [
+    'code', 'ip_address', 'country', 'city', 'region', 'user_agent', 'device', 'browser', 'os', 'referrer',
+    'clicked_at', 'latitude', 'longitude', 'timezone', 'is_bot', 'bot_name', 'visitor_hash', 'is_unique',
+    'destination_id', 'rule_id', 'click_id', 'query_params', 'utm_source', 'utm_medium', 'utm_campaign',
+    'source'
+  ];
+
+  const clicks = {
+    // Latest click per code + visitor after `since`, for the given visitor hashes:
+    // Map of "<code>|<visitor_hash>" -> Date
+    async lastVisits(visitorHashes, since) {
+      const result = await db.query(
+        `SELECT code, visitor_hash, MAX(clicked_at) AS last_click FROM clicks
+         WHERE visitor_hash = ANY($1) AND clicked_at > $2
+         GROUP BY code, visitor_hash`,
+        [visitorHashes, since]
+      );
+      return new Map(result.rows.map(row => [`${row.code}|${row.visitor_hash}`, new Date(row.last_click)]));
+    },
+
+    // One multi-row INSERT for a batch of clicks
+    async insertMany(rows) {
+      if (rows.length === 0) return;
+      const width = CLICK_COLUMNS.length;
+      const values = rows.map((row, i) =>
+        `(${CLICK_COLUMNS.map((col, j) => '$' + (i * width + j + 1)).join(', ')})`
+      );
+      await db.query(
+        `INSERT INTO clicks (${CLICK_COLUMNS.join(', ')}) VALUES ${values.join(', ')}`,
+        rows.flatMap(row => CLICK_COLUMNS.map(col => {
+          if (row[col] === undefined || row[col] === null) return null;
+          return col === 'query_params' ? JSON.stringify(row[col]) : row[col];
+        }))
+      );
+    }
+  };
+
+  const bypassLogs = {
+    // Nothing is stored for codes that don't exist; returns whether a row was written
+    async insert({ code, referrer, ip_address, user_agent, reason }) {
+      const result = await db.query(
+        `INSERT INTO bypass_logs (code, referrer, ip_address, user_agent, reason)
+         SELECT $1, $2, $3, $4, $5 WHERE EXISTS (SELECT 1 FROM urls WHERE code = $1)`,
+        [code, referrer, ip_address, user_agent, reason]
+      );
+      return result.rowCount > 0;
+    }
+  };
+
+  // Everything the analytics endpoints show for the links matching `scope`, a condition on
+  // `code` using $1 (and $4 on). `params` holds its values with the range's from and to as $2
+  // and $3. `byCode` adds each link's clicks.
+  async function statsFor(scope, params, interval, { byCode = false } = {}) {
+    const clickRange = `${scope} AND ($2::timestamp IS NULL OR clicked_at >= $2) AND clicked_at < $3`;
+    const bypassRange = `${scope} AND ($2::timestamp IS NULL OR detected_at >= $2) AND detected_at < $3`;
+    const breakdown = column => db.query(
+      `SELECT ${column}, COUNT(*) as count FROM clicks WHERE ${clickRange} GROUP BY ${column} ORDER BY count DESC`,
+      params
+    );
+    // Clicks, human and unique clicks per destination_id / rule_id / code
+    const attribution = column => db.query(
+      `SELECT ${column}, COUNT(*) as count,
+              SUM(CASE WHEN NOT is_bot THEN 1 ELSE 0 END) as human,
+              SUM(CASE WHEN NOT is_bot AND is_unique THEN 1 ELSE 0 END) as unique_count
+       FROM clicks WHERE ${clickRange} GROUP BY ${column}`,
+      params
+    );
+    const attributionRows = (rows, column) => rows.map(row => ({
+      [column]: row[column], count: toCount(row.count), human: toCount(row.human), unique: toCount(row.unique_count)
+    }));
+
+    const [
+      recentClicks, recentBypasses, clickTotal, bypassTotal, clickSeries, bypassSeries,
+      country, device, browser, os, city, referrer, utmSource, utmMedium, utmCampaign, source, bots, destinations,
+      rules, codes
+    ] = await Promise.all([
+      db.query(`SELECT * FROM clicks WHERE ${clickRange} ORDER BY clicked_at DESC LIMIT 100`, params),
+      db.query(`SELECT * FROM bypass_logs WHERE ${bypassRange} ORDER BY detected_at DESC LIMIT 100`, params),
+      db.query(
+        `SELECT COUNT(*) as count,
+                SUM(CASE WHEN NOT is_bot THEN 1 ELSE 0 END) as human,
+                SUM(CASE WHEN NOT is_bot AND is_unique THEN 1 ELSE 0 END) as unique_count
+         FROM clicks WHERE ${clickRange}`,
+        params
+      ),
+      db.query(`SELECT COUNT(*) as count FROM bypass_logs WHERE ${bypassRange}`, params),
+      db.query(
+        `SELECT date_trunc('${interval}', clicked_at) as bucket, COUNT(*) as count,
+                SUM(CASE WHEN NOT is_bot THEN 1 ELSE 0 END) as human,
+                SUM(CASE WHEN NOT is_bot AND is_unique THEN 1 ELSE 0 END) as unique_count
+         FROM clicks WHERE ${clickRange} GROUP BY bucket ORDER BY bucket`,
+        params
+      ),
+      db.query(
+        `SELECT date_trunc('${interval}', detected_at) as bucket, COUNT(*) as count
+         FROM bypass_logs WHERE ${bypassRange} GROUP BY bucket ORDER BY bucket`,
+        params
+      ),
+      breakdown('country'),
+      breakdown('device'),
+      breakdown('browser'),
+      breakdown('os'),
+      breakdown('city'),
+      breakdown('referrer'),
+      breakdown('utm_source'),
+      breakdown('utm_medium'),
+      breakdown('utm_campaign'),
+      breakdown('source'),
+      db.query(
+        `SELECT bot_name, COUNT(*) as count FROM clicks WHERE ${clickRange} AND is_bot GROUP BY bot_name ORDER BY count DESC`,
+        params
+      ),
+      attribution('destination_id'),
+      attribution('rule_id'),
+      byCode ? attribution('code') : null
+    ]);
+
+    return {
+      recentClicks: recentClicks.rows,
+      recentBypasses: recentBypasses.rows,
+      totals: {
+        clicks: toCount(clickTotal.rows[0].count),
+        human: toCount(clickTotal.rows[0].human),
+        unique: toCount(clickTotal.rows[0].unique_count),
+        bypasses: toCount(bypassTotal.rows[0].count)
+      },
+      clickSeries: clickSeries.rows.map(row => ({
+        bucket: row.bucket, count: toCount(row.count), human: toCount(row.human), unique: toCount(row.unique_count)
+      })),
+      bypassSeries: countRows(bypassSeries.rows, 'count'),
+      breakdowns: {
+        country: countRows(country.rows, 'count'),
+        device: countRows(device.rows, 'count'),
+        browser: countRows(browser.rows, 'count'),
+        os: countRows(os.rows, 'count'),
+        city: countRows(city.rows, 'count'),
+        referrer: countRows(referrer.rows, 'count'),
+        utm_source: countRows(utmSource.rows, 'count'),
+        utm_medium: countRows(utmMedium.rows, 'count'),
+        utm_campaign: countRows(utmCampaign.rows, 'count'),
+        source: countRows(source.rows, 'count')
+      },
+      bots: countRows(bots.rows, 'count'),
+      destinations: attributionRows(destinations.rows, 'destination_id'),
+      rules: attributionRows(rules.rows, 'rule_id'),
+      ...(byCode ? { links: attributionRows(codes.rows, 'code') } : {})
+    };
+  }
+
+  const analytics = {
+    // Everything the analytics endpoint shows for one link within { from, to, interval }
+    async forLink(code, { from, to, interval }) {
+      return statsFor('code = $1', [code, from, to], interval);
+    },
+
+    // The same for every link of a campaign, plus each link's clicks; with `partnerId` only
+    // that partner's links
+    async forCampaign(campaignId, { from, to, interval, partnerId = null }) {
+      return statsFor(
+        'code IN (SELECT code FROM urls WHERE campaign_id = $1 AND ($4::int IS NULL OR partner_id = $4))',
+        [campaignId, from, to, partnerId], interval, { byCode: true }
+      );
+    },
+
+    // Links, clicks, human clicks, unique visitors and bypasses of every partner within
+    // { from, to }. Clicks count towards the partner a link belongs to now.
+    async forPartners({ from, to }) {
+      const result = await db.query(`
+        SELECT p.id, p.name, COALESCE(l.links, 0) as links, COALESCE(c.clicks, 0) as clicks,
+               COALESCE(c.human, 0) as human, COALESCE(c.visitors, 0) as visitors, COALESCE(b.bypasses, 0) as bypasses
+        FROM partners p
+        LEFT JOIN (SELECT partner_id, COUNT(*) as links FROM urls GROUP BY partner_id) l ON l.partner_id = p.id
+        LEFT JOIN (
+          SELECT u.partner_id, COUNT(*) as clicks,
+                 SUM(CASE WHEN NOT c.is_bot THEN 1 ELSE 0 END) as human,
+                 COUNT(DISTINCT CASE WHEN NOT c.is_bot THEN c.visitor_hash END) as visitors
+          FROM clicks c
+          JOIN urls u ON c.code = u.code
+          WHERE ($1::timestamp IS NULL OR c.clicked_at >= $1) AND c.clicked_at < $2
+          GROUP BY u.partner_id
+        ) c ON c.partner_id = p.id
+        LEFT JOIN (
+          SELECT u.partner_id, COUNT(*) as bypasses
+          FROM bypass_logs b
+          JOIN urls u ON b.code = u.code
+          WHERE ($1::timestamp IS NULL OR b.detected_at >= $1) AND b.detected_at < $2
+          GROUP BY u.partner_id
+        ) b ON b.partner_id = p.id
+        WHERE p.deleted_at IS NULL
+        ORDER BY p.id ASC
+      `, [from, to]);
+      return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        links: toCount(row.links),
+        clicks: toCount(row.clicks),
+        human: toCount(row.human),
+        visitors: toCount(row.visitors),
+        bypasses: toCount(row.bypasses)
+      }));
+    },
+
+    // Clicks, human and unique clicks and bypasses per link within { from, to }, for links with
+    // any; only `partnerId`'s links and / or `codes` when given. Busiest links first.
+    async linkTotals({ from, to, partnerId = null, codes = null }) {
+      const result = await db.query(`
+        SELECT u.code, u.partner_id, p.name as partner_name,
+               COALESCE(c.clicks, 0) as clicks, COALESCE(c.human, 0) as human,
+               COALESCE(c.unique_count, 0) as unique_count, COALESCE(b.bypasses, 0) as bypasses
+        FROM urls u
+        LEFT JOIN partners p ON u.partner_id = p.id
+        LEFT JOIN (
+          SELECT code, COUNT(*) as clicks,
+                 SUM(CASE WHEN NOT is_bot THEN 1 ELSE 0 END) as human,
+                 SUM(CASE WHEN NOT is_bot AND is_unique THEN 1 ELSE 0 END) as unique_count
+          FROM clicks WHERE clicked_at >= $1 AND clicked_at < $2
+          GROUP BY code
+        ) c ON c.code = u.code
+        LEFT JOIN (
+          SELECT code, COUNT(*) as bypasses
+          FROM bypass_logs WHERE detected_at >= $1 AND detected_at < $2
+          GROUP BY code
+        ) b ON b.code = u.code
+        WHERE (c.code IS NOT NULL OR b.code IS NOT NULL)
+          AND ($3::int IS NULL OR u.partner_id = $3)
+          AND ($4::text[] IS NULL OR u.code = ANY($4))
+        ORDER BY clicks DESC, bypasses DESC, u.code ASC
+      `, [from, to, partnerId, codes && codes.length > 0 ? codes : null]);
+      return result.rows.map(row => ({
+        code: row.code,
+        partner_id: row.partner_id,
+        partner_name: row.partner_name,
+        clicks: toCount(row.clicks),
+        human: toCount(row.human),
+        unique: toCount(row.unique_count),
+        bypasses: toCount(row.bypasses)
+      }));
+    },
+
+    // [{ code, country, count }] of clicks within { from, to }, scoped like linkTotals()
+    async linkCountries({ from, to, partnerId = null, codes = null }) {
+      const result = await db.query(`
+        SELECT c.code, c.country, COUNT(*) as count
+        FROM clicks c
+        JOIN urls u ON c.code = u.code
+        WHERE c.clicked_at >= $1 AND c.clicked_at < $2
+          AND ($3::int IS NULL OR u.partner_id = $3)
+          AND ($4::text[] IS NULL OR u.code = ANY($4))
+        GROUP BY c.code, c.country
+        ORDER BY count DESC
+      `, [from, to, partnerId, codes && codes.length > 0 ? codes : null]);
+      return countRows(result.rows, 'count');
+    }
+  };
+
+  // Partner columns other than the secret
+  const PARTNER_FIELDS = 'id, name, domain, domains, allow_referrer_fallback, branding';
+
+  // Deleted partners are kept for the joins that still name them, but never listed or found
+  const partners = {
+    async get(id) {
+      const result = await db.query('SELECT * FROM partners WHERE id = $1 AND deleted_at IS NULL', [id]);
+      return result.rows[0] || null;
+    },
+
+    async exists(id) {
+      const result = await db.query('SELECT id FROM partners WHERE id = $1 AND deleted_at IS NULL', [id]);
+      return result.rows.length > 0;
+    },
+
+    // Partners without their secrets
+    async list() {
+      const result = await db.query(`SELECT ${PARTNER_FIELDS} FROM partners WHERE deleted_at IS NULL ORDER BY id ASC`);
+      return result.rows;
+    },
+
+    async all() {
+      const result = await db.query('SELECT * FROM partners WHERE deleted_at IS NULL ORDER BY id ASC');
+      return result.rows;
+    },
+
+    // `id` is only given when importing; otherwise the sequence picks one. `domains` defaults to [domain].
+    async insert({ id, name, domain, domains = [domain], secret, allow_referrer_fallback = false, branding = null }) {
+      const json = branding ? JSON.stringify(branding) : null;
+      const result = id
+        ? await db.query(
+          `INSERT INTO partners (id, name, domain, domains, secret, allow_referrer_fallback, branding)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [id, name, domain, domains, secret, allow_referrer_fallback, json]
+        )
+        : await db.query(
+          `INSERT INTO partners (name, domain, domains, secret, allow_referrer_fallback, branding)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          [name, domain, domains, secret, allow_referrer_fallback, json]
+        );
+      return result.rows[0];
+    },
+
+    // Update the given fields (undefined ones are kept); returns the row without its secret, or null.
+    // `domain` always follows the first of the `domains`.
+    async update(id, { name, domains, allow_referrer_fallback }) {
+      const domain = domains ? domains[0] : null;
+      const result = await db.query(
+        `UPDATE partners SET
+           name = COALESCE($1, name),
+           domain = COALESCE($2, domain),
+           domains = COALESCE($3, domains),
+           allow_referrer_fallback = COALESCE($4, allow_referrer_fallback)
+         WHERE id = $5 AND deleted_at IS NULL
+         RETURNING ${PARTNER_FIELDS}`,
+        [name === undefined ? null : name, domain, domains || null,
+          allow_referrer_fallback === undefined ? null : allow_referrer_fallback, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async setSecret(id, secret) {
+      const result = await db.query(
+        'UPDATE partners SET secret = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING id, secret', [secret, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Replace the partner's branding (null restores the default look); returns the row without its secret, or null
+    async setBranding(id, branding) {
+      const result = await db.query(
+        `UPDATE partners SET branding = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING ${PARTNER_FIELDS}`,
+        [branding ? JSON.stringify(branding) : null, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Mark the partner deleted; false when there is no such (live) partner
+    async softDelete(id) {
+      const result = await db.query(
+        'UPDATE partners SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING id', [id]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Keep the id sequence ahead of explicitly inserted ids
+    async resetIdSequence() {
+      await db.query("SELECT setval(pg_get_serial_sequence('partners', 'id'), COALESCE((SELECT MAX(id) FROM partners), 0) + 1, false)");
+    }
+  };
+
+  const users = {
+    async get(id) {
+      const result = await db.query('SELECT id, username, role, partner_id, created FROM users WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Full row including the password hash
+    async findByUsername(username) {
+      const result = await db.query('SELECT * FROM users WHERE username = $1', [username]);
+      return result.rows[0] || null;
+    },
+
+    // Users with the name of the partner a partner login belongs to
+    async list() {
+      const result = await db.query(`
+        SELECT u.id, u.username, u.role, u.partner_id, p.name as partner_name, u.created
+        FROM users u
+        LEFT JOIN partners p ON u.partner_id = p.id
+        ORDER BY u.id ASC
+      `);
+      return result.rows;
+    },
+
+    async count() {
+      const result = await db.query('SELECT COUNT(*)::int AS count FROM users');
+      return result.rows[0].count;
+    },
+
+    async ownerIds() {
+      const result = await db.query("SELECT id FROM users WHERE role = 'owner'");
+      return result.rows.map(row => row.id);
+    },
+
+    async insert({ username, password_hash, role, partner_id = null }) {
+      const result = await db.query(
+        `INSERT INTO users (username, password_hash, role, partner_id) VALUES ($1, $2, $3, $4)
+         RETURNING id, username, role, partner_id, created`,
+        [username, password_hash, role, partner_id]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, values) {
+      const columns = Object.keys(values);
+      await db.query(
+        `UPDATE users SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')} WHERE id = $${columns.length + 1}`,
+        [...columns.map(col => values[col]), id]
+      );
+    },
+
+    async delete(id) {
+      const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    },
+
+    // Remove the logins of a partner; returns how many there were
+    async deleteForPartner(partnerId) {
+      const result = await db.query('DELETE FROM users WHERE partner_id = $1 RETURNING id', [partnerId]);
+      return result.rows.length;
+    }
+  };
+
+  const sessions = {
+    async insert({ id, user_id, expires_at }) {
+      await db.query('INSERT INTO sessions (id, user_id, expires_at) VALUES ($1, $2, $3)', [id, user_id, expires_at]);
+    },
+
+    // The user behind an unexpired session, or null
+    async getUser(id) {
+      const result = await db.query(`
+        SELECT u.id, u.username, u.role, u.partner_id
+        FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.id = $1 AND s.expires_at > NOW()
+      `, [id]);
+      return result.rows[0] || null;
+    },
+
+    async delete(id) {
+      await db.query('DELETE FROM sessions WHERE id = $1', [id]);
+    },
+
+    async deleteForUser(userId) {
+      await db.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+    },
+
+    async deleteExpired() {
+      await db.query('DELETE FROM sessions WHERE expires_at < NOW()');
+    }
+  };
+
+  const apiKeys = {
+    // Keys with creator and partner names; all of them, or only those of `userId`
+    async list({ userId = null } = {}) {
+      const result = await db.query(`
+        SELECT k.id, k.name, k.key_prefix, k.scopes, k.partner_id, k.created, k.last_used_at,
+               k.request_count, k.revoked_at, u.username, p.name as partner_name
+        FROM api_keys k
+        JOIN users u ON k.user_id = u.id
+        LEFT JOIN partners p ON k.partner_id = p.id
+        WHERE $1::int IS NULL OR k.user_id = $1
+        ORDER BY k.created DESC
+      `, [userId]);
+      return result.rows;
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM api_keys WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ user_id, name, key_prefix, key_hash, scopes, partner_id = null }) {
+      const result = await db.query(
+        `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, partner_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, name, key_prefix, scopes, partner_id, created`,
+        [user_id, name, key_prefix, key_hash, scopes, partner_id]
+      );
+      return result.rows[0];
+    },
+
+    async revoke(id) {
+      await db.query('UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [id]);
+    },
+
+    // Revoke every key restricted to the partner; returns how many were still active
+    async revokeForPartner(partnerId) {
+      const result = await db.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE partner_id = $1 AND revoked_at IS NULL RETURNING id', [partnerId]
+      );
+      return result.rows.length;
+    },
+
+    // An unrevoked key with its creator
+    async findActiveByHash(hash) {
+      const result = await db.query(`
+        SELECT k.id, k.name, k.scopes, k.partner_id, u.id as user_id, u.username, u.role,
+               u.partner_id as user_partner_id
+        FROM api_keys k
+        JOIN users u ON k.user_id = u.id
+        WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+      `, [hash]);
+      return result.rows[0] || null;
+    },
+
+    async recordUse(id) {
+      await db.query('UPDATE api_keys SET last_used_at = NOW(), request_count = request_count + 1 WHERE id = $1', [id]);
+    }
+  };
+
+  const destinations = {
+    // A link's destinations in rotation order
+    async listForCode(code) {
+      const result = await db.query('SELECT * FROM link_destinations WHERE code = $1 ORDER BY position, id', [code]);
+      return result.rows;
+    },
+
+    async insert({ code, position, url, weight = 1, click_cap = null, is_fallback = false }) {
+      const result = await db.query(
+        `INSERT INTO link_destinations (code, position, url, weight, click_cap, is_fallback)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [code, position, url, weight, click_cap, is_fallback]
+      );
+      return result.rows[0];
+    },
+
+    // Set position, url, weight, click_cap and is_fallback on one of a link's destinations
+    async update(id, code, { position, url, weight, click_cap, is_fallback }) {
+      const result = await db.query(
+        `UPDATE link_destinations SET position = $1, url = $2, weight = $3, click_cap = $4, is_fallback = $5
+         WHERE id = $6 AND code = $7 RETURNING *`,
+        [position, url, weight, click_cap, is_fallback, id, code]
+      );
+      return result.rows[0] || null;
+    },
+
+    async delete(id, code) {
+      const result = await db.query('DELETE FROM link_destinations WHERE id = $1 AND code = $2 RETURNING id', [id, code]);
+      return result.rows.length > 0;
+    },
+
+    // Count a click against a destination unless it has reached its cap; false if it has
+    async claim(id) {
+      const result = await db.query(
+        `UPDATE link_destinations SET clicks = clicks + 1
+         WHERE id = $1 AND (click_cap IS NULL OR clicks < click_cap) RETURNING id`,
+        [id]
+      );
+      return result.rows.length > 0;
+    }
+  };
+
+  const rules = {
+    // A link's routing rules in the order they are tried
+    async listForCode(code) {
+      const result = await db.query('SELECT * FROM link_rules WHERE code = $1 ORDER BY position, id', [code]);
+      return result.rows;
+    },
+
+    async insert({ code, position, name = null, conditions, url }) {
+      const result = await db.query(
+        'INSERT INTO link_rules (code, position, name, conditions, url) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [code, position, name, JSON.stringify(conditions), url]
+      );
+      return result.rows[0];
+    },
+
+    // Set position, name, conditions and url on one of a link's rules
+    async update(id, code, { position, name = null, conditions, url }) {
+      const result = await db.query(
+        `UPDATE link_rules SET position = $1, name = $2, conditions = $3, url = $4
+         WHERE id = $5 AND code = $6 RETURNING *`,
+        [position, name, JSON.stringify(conditions), url, id, code]
+      );
+      return result.rows[0] || null;
+    },
+
+    async delete(id, code) {
+      const result = await db.query('DELETE FROM link_rules WHERE id = $1 AND code = $2 RETURNING id', [id, code]);
+      return result.rows.length > 0;
+    }
+  };
+
+  const revisions = {
+    async insert({ code, action, changes, changed_by }) {
+      await db.query(
+        'INSERT INTO url_revisions (code, action, changes, changed_by) VALUES ($1, $2, $3, $4)',
+        [code, action, JSON.stringify(changes), changed_by]
+      );
+    },
+
+    async get(id, code) {
+      const result = await db.query('SELECT * FROM url_revisions WHERE id = $1 AND code = $2', [id, code]);
+      return result.rows[0] || null;
+    },
+
+    // Newest first, with the editor's username as changed_by
+    async listForCode(code) {
+      const result = await db.query(`
+        SELECT r.id, r.action, r.changes, r.changed_at, u.username as changed_by
+        FROM url_revisions r
+        LEFT JOIN users u ON r.changed_by = u.id
+        WHERE r.code = $1
+        ORDER BY r.changed_at DESC, r.id DESC
+      `, [code]);
+      return result.rows;
+    }
+  };
+
+  const usedTokens = {
+    // Record a single-use nonce; false if it was already used
+    async consume({ nonce, code, expires_at }) {
+      const result = await db.query(
+        'INSERT INTO used_tokens (nonce, code, expires_at) VALUES ($1, $2, $3) ON CONFLICT (nonce) DO NOTHING RETURNING nonce',
+        [nonce, code, expires_at]
+      );
+      return result.rows.length > 0;
+    },
+
+    async deleteExpired() {
+      await db.query('DELETE FROM used_tokens WHERE expires_at < NOW()');
+    }
+  };
+
+  const blocklist = {
+    async list() {
+      const result = await db.query(`
+        SELECT b.id, b.cidr, b.note, b.created_at, u.username as created_by_name
+        FROM ip_blocklist b
+        LEFT JOIN users u ON b.created_by = u.id
+        ORDER BY b.created_at DESC
+      `);
+      return result.rows;
+    },
+
+    async cidrs() {
+      const result = await db.query('SELECT cidr FROM ip_blocklist');
+      return result.rows.map(row => row.cidr);
+    },
+
+    async exists(cidr) {
+      const result = await db.query('SELECT id FROM ip_blocklist WHERE cidr = $1', [cidr]);
+      return result.rows.length > 0;
+    },
+
+    async insert({ cidr, note = null, created_by = null }) {
+      const result = await db.query(
+        'INSERT INTO ip_blocklist (cidr, note, created_by) VALUES ($1, $2, $3) RETURNING *',
+        [cidr, note, created_by]
+      );
+      return result.rows[0];
+    },
+
+    async delete(id) {
+      const result = await db.query('DELETE FROM ip_blocklist WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    }
+  };
+
+  const domains = {
+    // Every domain with its partner's name and how many links use it
+    async list() {
+      const result = await db.query(`
+        SELECT d.*, p.name as partner_name, COALESCE(l.links, 0) as links
+        FROM domains d
+        LEFT JOIN partners p ON d.partner_id = p.id
+        LEFT JOIN (SELECT domain_id, COUNT(*) as links FROM urls GROUP BY domain_id) l ON l.domain_id = d.id
+        ORDER BY d.host ASC
+      `);
+      return countRows(result.rows, 'links');
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM domains WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async findByHost(host) {
+      const result = await db.query('SELECT * FROM domains WHERE host = $1', [host]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ host, partner_id, verification_token }) {
+      const result = await db.query(
+        'INSERT INTO domains (host, partner_id, verification_token) VALUES ($1, $2, $3) RETURNING *',
+        [host, partner_id, verification_token]
+      );
+      return result.rows[0];
+    },
+
+    // Store the outcome of a DNS check; verified_at keeps the time the domain was first verified
+    async recordCheck(id, { verified, error }) {
+      const result = await db.query(
+        `UPDATE domains SET
+           verified_at = CASE WHEN $1 THEN COALESCE(verified_at, NOW()) ELSE NULL END,
+           last_checked_at = NOW(),
+           last_error = $2
+         WHERE id = $3
+         RETURNING *`,
+        [verified, error, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async inUse(id) {
+      const result = await db.query('SELECT code FROM urls WHERE domain_id = $1 LIMIT 1', [id]);
+      return result.rows.length > 0;
+    },
+
+    async delete(id) {
+      const result = await db.query('DELETE FROM domains WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    }
+  };
+
+  const campaigns = {
+    // Every campaign by name with its number of links and their clicks; with `partnerId` only
+    // that partner's links are counted
+    async list({ partnerId = null } = {}) {
+      const result = await db.query(`
+        SELECT c.*, cu.username as created_by_name, COALESCE(l.links, 0) as links, COALESCE(l.clicks, 0) as clicks
+        FROM campaigns c
+        LEFT JOIN users cu ON c.created_by = cu.id
+        LEFT JOIN (
+          SELECT campaign_id, COUNT(*) as links, SUM(clicks) as clicks FROM urls
+          WHERE $1::int IS NULL OR partner_id = $1
+          GROUP BY campaign_id
+        ) l ON l.campaign_id = c.id
+        ORDER BY c.name ASC
+      `, [partnerId]);
+      return result.rows.map(row => ({ ...row, links: toCount(row.links), clicks: toCount(row.clicks) }));
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM campaigns WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async findByName(name) {
+      const result = await db.query('SELECT * FROM campaigns WHERE LOWER(name) = LOWER($1)', [name]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ name, description = null, created_by = null }) {
+      const result = await db.query(
+        'INSERT INTO campaigns (name, description, created_by) VALUES ($1, $2, $3) RETURNING *',
+        [name, description, created_by]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, values) {
+      const columns = Object.keys(values);
+      const result = await db.query(
+        `UPDATE campaigns SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+        [...columns.map(col => values[col]), id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async delete(id) {
+      const result = await db.query('DELETE FROM campaigns WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    }
+  };
+
+  // Webhook columns other than the secret
+  const WEBHOOK_FIELDS = ['id', 'name', 'url', 'events', 'partner_id', 'codes', 'active', 'created_at'];
+
+  const webhooks = {
+    // Subscriptions without their secrets, newest first
+    async list() {
+      const result = await db.query(`
+        SELECT ${WEBHOOK_FIELDS.map(col => `w.${col}`).join(', ')}, p.name as partner_name, u.username as created_by_name
+        FROM webhooks w
+        LEFT JOIN partners p ON w.partner_id = p.id
+        LEFT JOIN users u ON w.created_by = u.id
+        ORDER BY w.created_at DESC, w.id DESC
+      `);
+      return result.rows;
+    },
+
+    // What emitting needs to match events against subscriptions
+    async listActive() {
+      const result = await db.query('SELECT id, events, partner_id, codes FROM webhooks WHERE active');
+      return result.rows;
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ name, url, secret, events, partner_id = null, codes = null, created_by = null }) {
+      const result = await db.query(
+        `INSERT INTO webhooks (name, url, secret, events, partner_id, codes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [name, url, secret, events, partner_id, codes, created_by]
+      );
+      return result.rows[0];
+    },
+
+    // Set the given columns (column -> value); returns the row without its secret, or null
+    async update(id, values) {
+      const columns = Object.keys(values);
+      const result = await db.query(
+        `UPDATE webhooks SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING ${WEBHOOK_FIELDS.join(', ')}`,
+        [...columns.map(col => values[col]), id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async setSecret(id, secret) {
+      const result = await db.query('UPDATE webhooks SET secret = $1 WHERE id = $2 RETURNING id, secret', [secret, id]);
+      return result.rows[0] || null;
+    },
+
+    async delete(id) {
+      const result = await db.query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    }
+  };
+
+  const webhookDeliveries = {
+    // Queue [{ webhook_id, event, payload, next_attempt_at? }] in one statement; returns the new rows
+    async insertMany(rows) {
+      if (rows.length === 0) return [];
+      const values = rows.map((row, i) => `($${i * 4 + 1}, $${i * 4 + 2}, $${i * 4 + 3}, COALESCE($${i * 4 + 4}::timestamp, NOW()))`);
+      const result = await db.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES ${values.join(', ')} RETURNING *`,
+        rows.flatMap(row => [row.webhook_id, row.event, JSON.stringify(row.payload), row.next_attempt_at || null])
+      );
+      return result.rows;
+    },
+
+    // Take up to `limit` due deliveries of active webhooks, with the webhook's url and secret.
+    // They are pushed back to `leaseUntil` so no other instance sends them meanwhile.
+    async claimDue(limit, leaseUntil) {
+      const result = await db.query(`
+        UPDATE webhook_deliveries d SET next_attempt_at = $2
+        FROM webhooks w
+        WHERE w.id = d.webhook_id AND d.id IN (
+          SELECT dd.id FROM webhook_deliveries dd
+          JOIN webhooks ww ON ww.id = dd.webhook_id
+          WHERE dd.status = 'pending' AND dd.next_attempt_at <= NOW() AND ww.active
+          ORDER BY dd.next_attempt_at, dd.id
+          LIMIT $1
+          FOR UPDATE OF dd SKIP LOCKED
+        )
+        RETURNING d.*, w.url, w.secret
+      `, [limit, leaseUntil]);
+      return result.rows;
+    },
+
+    // Record the outcome of an attempt: status, attempts, response_status, error, next_attempt_at, delivered_at
+    async update(id, { status, attempts, response_status = null, error = null, next_attempt_at = null, delivered_at = null }) {
+      const result = await db.query(
+        `UPDATE webhook_deliveries SET
+           status = $1, attempts = $2, response_status = $3, error = $4,
+           next_attempt_at = $5, delivered_at = $6
+         WHERE id = $7
+         RETURNING *`,
+        [status, attempts, response_status, error, next_attempt_at, delivered_at, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Newest first
+    async listForWebhook(webhookId, limit = 50) {
+      const result = await db.query(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [webhookId, limit]
+      );
+      return result.rows;
+    },
+
+    // Delivered and failed deliveries created before `before`; pending ones are kept
+    async deleteFinishedBefore(before) {
+      await db.query("DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < $1", [before]);
+    }
+  };
+
+  // UPDATE `tableName` SET the given columns (column -> value) WHERE id = `id`; returns the row or null
+  async function updateRow(tableName, id, values) {
+    const columns = Object.keys(values);
+    const result = await db.query(
+      `UPDATE ${tableName} SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(col => values[col]), id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function deleteRow(tableName, id) {
+    const result = await db.query(`DELETE FROM ${tableName} WHERE id = $1 RETURNING id`, [id]);
+    return result.rows.length > 0;
+  }
+
+  const channels = {
+    // With how many report schedules and alert rules send to each
+    async list() {
+      const result = await db.query(`
+        SELECT n.*, u.username as created_by_name, COALESCE(r.reports, 0) as reports, COALESCE(a.alerts, 0) as alerts
+        FROM notification_channels n
+        LEFT JOIN users u ON n.created_by = u.id
+        LEFT JOIN (SELECT channel_id, COUNT(*) as reports FROM report_schedules GROUP BY channel_id) r ON r.channel_id = n.id
+        LEFT JOIN (SELECT channel_id, COUNT(*) as alerts FROM alert_rules GROUP BY channel_id) a ON a.channel_id = n.id
+        ORDER BY n.created_at DESC, n.id DESC
+      `);
+      return result.rows.map(row => ({ ...row, reports: toCount(row.reports), alerts: toCount(row.alerts) }));
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM notification_channels WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ name, type, config, created_by = null }) {
+      const result = await db.query(
+        'INSERT INTO notification_channels (name, type, config, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+        [name, type, JSON.stringify(config), created_by]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, values) {
+      return updateRow('notification_channels', id, values.config !== undefined
+        ? { ...values, config: JSON.stringify(values.config) }
+        : values);
+    },
+
+    // Its report schedules and alert rules go with it
+    async delete(id) {
+      return deleteRow('notification_channels', id);
+    }
+  };
+
+  const reportSchedules = {
+    async list() {
+      const result = await db.query(`
+        SELECT r.*, p.name as partner_name, n.name as channel_name, n.type as channel_type, u.username as created_by_name
+        FROM report_schedules r
+        LEFT JOIN partners p ON r.partner_id = p.id
+        LEFT JOIN notification_channels n ON r.channel_id = n.id
+        LEFT JOIN users u ON r.created_by = u.id
+        ORDER BY r.created_at DESC, r.id DESC
+      `);
+      return result.rows;
+    },
+
+    async get(id) {
+      const result = await db.query('SELECT * FROM report_schedules WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async insert({ name, frequency, partner_id = null, codes = null, channel_id, active = true, next_run_at, created_by = null }) {
+      const result = await db.query(
+        `INSERT INTO report_schedules (name, frequency, partner_id, codes, channel_id, active, next_run_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [name, frequency, partner_id, codes, channel_id, active, next_run_at, created_by]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, values) {
+      return updateRow('report_schedules', id, values);
+    },
+
+    async delete(id) {
+      return deleteRow('report_schedules', id);
+    },
+
+    // Active schedules due at `now`, locked until the transaction ends; rows another instance
+    // holds are skipped
+    async claimDue(now) {
+      const result = await db.query(
+        `SELECT * FROM report_schedules WHERE active AND next_run_at <= $1
+         ORDER BY next_run_at, id
+         FOR UPDATE SKIP LOCKED`,
+        [now]
+      );
+      return result.rows;
+    }
+  };
+
+  const alertRules = {
+    async list() {
+      const result = await db.query(`
+        SELECT a.*, p.name as partner_name, n.name as channel_name, n.type as channel_type, u.username as created_by_name,
+               f.last_fired_at
+        FROM alert_rules a
+        LEFT JOIN partners p ON a.partner_id = p.id
+        LEFT JOIN notification_channels n ON a.channel_id = n.id
+        LEFT JOIN users u ON a.created_by = u.id
+        LEFT JOIN (SELECT rule_id, MAX(fired_at) as last_fired_at FROM alert_firings GROUP BY rule_id) f ON f.rule_id = a.id
+        ORDER BY a.created_at DESC, a.id DESC
+      `);
+      return result.rows;
+    },
+
+    async listActive() {
+      const result = await db.query('SELECT * FROM alert_rules WHERE active ORDER BY id');
+      return result.rows;
+    },
+
+    async get(id, { forUpdate = false } = {}) {
+      const result = await db.query(`SELECT * FROM alert_rules WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async insert({
+      name, threshold_percent, window_minutes = 60, min_bypasses = 10, cooldown_minutes = 60,
+      partner_id = null, codes = null, channel_id, active = true, created_by = null
+    }) {
+      const result = await db.query(
+        `INSERT INTO alert_rules
+           (name, threshold_percent, window_minutes, min_bypasses, cooldown_minutes, partner_id, codes, channel_id, active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [name, threshold_percent, window_minutes, min_bypasses, cooldown_minutes, partner_id, codes, channel_id, active, created_by]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, values) {
+      return updateRow('alert_rules', id, values);
+    },
+
+    async delete(id) {
+      return deleteRow('alert_rules', id);
+    }
+  };
+
+  const alertFirings = {
+    // The rule's latest firing for `code`, or null
+    async lastFor(ruleId, code) {
+      const result = await db.query(
+        'SELECT * FROM alert_firings WHERE rule_id = $1 AND code = $2 ORDER BY fired_at DESC, id DESC LIMIT 1',
+        [ruleId, code]
+      );
+      return result.rows[0] || null;
+    },
+
+    async insert({ rule_id, code, clicks, bypasses, rate = null, fired_at }) {
+      const result = await db.query(
+        `INSERT INTO alert_firings (rule_id, code, clicks, bypasses, rate, fired_at)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [rule_id, code, clicks, bypasses, rate, fired_at]
+      );
+      return result.rows[0];
+    },
+
+    // Record why the alert couldn't be sent
+    async setError(id, error) {
+      return updateRow('alert_firings', id, { error });
+    },
+
+    // Newest first
+    async listForRule(ruleId, limit = 50) {
+      const result = await db.query(
+        'SELECT * FROM alert_firings WHERE rule_id = $1 ORDER BY fired_at DESC, id DESC LIMIT $2',
+        [ruleId, limit]
+      );
+      return result.rows;
+    }
+  };
+
+  return {
+    urls, clicks, bypassLogs, analytics, partners, users, sessions, apiKeys, destinations, rules, revisions,
+    usedTokens, blocklist, domains, campaigns, webhooks, webhookDeliveries, channels, reportSchedules, alertRules,
+    alertFirings
+  };
+}
+
+function createPostgresStorage(pool) {
+  return {
+    kind: 'postgres',
+    pool,
+    ...createRepositories(pool),
+
+    // Apply pending migrations, or with { migrate: false } only check none are pending
+    async prepare({ migrate = true } = {}) {
+      if (!migrate) {
+        const pending = (await migrator.status(pool)).filter(m => !m.appliedAt);
+        if (pending.length > 0) {
+          throw new Error(`${pending.length} pending migration(s), run "npm run migrate" first`);
+        }
+        return [];
+      }
+      return migrator.migrate(pool);
+    },
+
+    // Start a transaction: the returned object has the same repositories bound to it,
+    // plus commit/rollback and savepoints
+    async begin() {
+      const client = await pool.connect();
+      await client.query('BEGIN');
+
+      let done = false;
+      async function finish(sql) {
+        if (done) return;
+        done = true;
+        try {
+          await client.query(sql);
+        } finally {
+          client.release();
+        }
+      }
+
+      return {
+        ...createRepositories(client),
+        commit: () => finish('COMMIT'),
+        rollback: () => finish('ROLLBACK'),
+        savepoint: () => client.query('SAVEPOINT sp'),
+        rollbackToSavepoint: () => client.query('ROLLBACK TO SAVEPOINT sp'),
+        releaseSavepoint: () => client.query('RELEASE SAVEPOINT sp')
+      };
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = createPostgresStorage;
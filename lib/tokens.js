@@ -0,0 +1,82 @@
+// lib/tokens.js - partner verification tokens and referrer matching
+//
+// A partner appends ?t=<token> to the short link after the visitor passes its flow.
+// The token is "<expires>.<nonce>.<signature>" where
+//   expires   = unix time in seconds
+//   nonce     = random string, 16-64 chars of [A-Za-z0-9_-]
+//   signature = base64url(HMAC-SHA256(partner secret, "<code>.<expires>.<nonce>"))
+// Tokens are bound to one code, short-lived and single use (the nonce is recorded).
+const crypto = require('crypto');
+
+const MAX_TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_MAX_TTL_SECONDS, 10) || 600;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signature(secret, code, expires, nonce) {
+  return crypto.createHmac('sha256', secret).update(`${code}.${expires}.${nonce}`).digest('base64url');
+}
+
+// Create a token for `code` valid for `ttlSeconds` (what a partner's backend does)
+function signToken(secret, code, ttlSeconds = 300) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${expires}.${nonce}.${signature(secret, code, expires, nonce)}`;
+}
+
+// Check signature and expiry. Returns { valid: true, nonce, expiresAt } or { valid: false, reason }.
+// Single use is enforced by the caller, which records the nonce.
+function verifyToken(secret, code, token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { valid: false, reason: 'malformed_token' };
+
+  const [expiresStr, nonce, sig] = parts;
+  const expires = parseInt(expiresStr, 10);
+  if (!/^\d+$/.test(expiresStr) || !NONCE_PATTERN.test(nonce)) {
+    return { valid: false, reason: 'malformed_token' };
+  }
+
+  const expected = Buffer.from(signature(secret, code, expires, nonce));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (expires < now) return { valid: false, reason: 'expired_token' };
+  if (expires > now + MAX_TOKEN_TTL_SECONDS) return { valid: false, reason: 'token_ttl_too_long' };
+
+  return { valid: true, nonce, expiresAt: new Date(expires * 1000) };
+}
+
+function hostnameOf(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(str) ? str : `https://${str}`).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Strict referrer check: the referrer's hostname must be the partner domain or one of
+// its subdomains (so evil-partner.com or ?x=partner.com don't pass)
+function referrerMatchesDomain(referrer, domain) {
+  const refHost = hostnameOf(referrer);
+  const partnerHost = hostnameOf(domain);
+  if (!refHost || !partnerHost || !/^https?:\/\//i.test(String(referrer))) return false;
+
+  const bare = partnerHost.replace(/^www\./, '');
+  return refHost === bare || refHost.endsWith('.' + bare);
+}
+
+module.exports = {
+  MAX_TOKEN_TTL_SECONDS,
+  generateSecret,
+  signToken,
+  verifyToken,
+  hostnameOf,
+  referrerMatchesDomain
+};
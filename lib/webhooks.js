@@ -0,0 +1,224 @@
+// lib/webhooks.js - outgoing webhooks: matching events to subscriptions, signed delivery and retries
+//
+// emit() queues one row in webhook_deliveries per subscription that wants the event, and a
+// worker POSTs due deliveries as JSON. Each request carries
+//   X-MaxVerify-Event      event name
+//   X-MaxVerify-Delivery   delivery id (the same on every retry)
+//   X-MaxVerify-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256(webhook secret, "<t>.<body>")>
+// A non-2xx response, timeout or network error is retried after retryBaseMs * 2^(attempt - 1),
+// capped at an hour, until maxAttempts is reached and the delivery is marked failed.
+const crypto = require('crypto');
+
+const EVENTS = ['link.created', 'link.deleted', 'link.expired', 'click.recorded', 'bypass.detected'];
+const TEST_EVENT = 'webhook.test';
+const MAX_RETRY_DELAY_MS = 3600 * 1000;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+// What a receiver does: check the signature and that it is recent (replays of old requests fail)
+function verifySignature(secret, header, body, toleranceSeconds = 300) {
+  const parts = {};
+  String(header || '').split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key] = value;
+  });
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function retryDelay(attempts, retryBaseMs) {
+  return Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// A subscription matches when it wants the event and its partner / code filters (if any) fit
+function matches(webhook, event, { code, partnerId }) {
+  if (!webhook.events.includes(event)) return false;
+  if (webhook.partner_id && webhook.partner_id !== partnerId) return false;
+  if (webhook.codes && webhook.codes.length > 0 && !webhook.codes.includes(code)) return false;
+  return true;
+}
+
+function createWebhooks(storage, {
+  pollIntervalMs = 5000,
+  refreshMs = 60 * 1000,
+  maxAttempts = 6,
+  retryBaseMs = 30 * 1000,
+  timeoutMs = 10 * 1000,
+  batchSize = 20
+} = {}) {
+  let subscriptions = [];
+  let processing = null;
+  let stopped = false;
+
+  // How long a claimed delivery is held back from other senders while it is in flight
+  const lease = () => new Date(Date.now() + timeoutMs * 2);
+
+  // Active subscriptions are cached; other instances pick up dashboard changes on the next refresh
+  async function load() {
+    subscriptions = await storage.webhooks.listActive();
+  }
+
+  // POST one claimed delivery (a webhook_deliveries row with the webhook's url and secret)
+  // and record the outcome. Resolves with the updated row; never rejects on delivery errors.
+  async function deliver(delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'MaxVerify-Webhooks/1.0',
+          'x-maxverify-event': delivery.event,
+          'x-maxverify-delivery': String(delivery.id),
+          'x-maxverify-signature': signatureHeader(delivery.secret, body)
+        },
+        body
+      });
+      responseStatus = res.status;
+      await res.arrayBuffer().catch(() => {});
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (err.cause || err).message;
+    }
+
+    if (!error) {
+      return storage.webhookDeliveries.update(delivery.id, {
+        status: 'delivered', attempts, response_status: responseStatus, delivered_at: new Date()
+      });
+    }
+
+    console.error(`❌ Webhook delivery ${delivery.id} (${delivery.event}) failed, attempt ${attempts}: ${error}`);
+    if (attempts >= maxAttempts) {
+      return storage.webhookDeliveries.update(delivery.id, {
+        status: 'failed', attempts, response_status: responseStatus, error
+      });
+    }
+    return storage.webhookDeliveries.update(delivery.id, {
+      status: 'pending', attempts, response_status: responseStatus, error,
+      next_attempt_at: new Date(Date.now() + retryDelay(attempts, retryBaseMs))
+    });
+  }
+
+  // Send everything that is due, a batch at a time; one run at a time per process
+  function processDue() {
+    if (stopped) return Promise.resolve();
+    if (processing) return processing;
+    processing = (async () => {
+      while (true) {
+        const due = await storage.webhookDeliveries.claimDue(batchSize, lease());
+        if (due.length === 0) break;
+        await Promise.all(due.map(delivery => deliver(delivery).catch(err => {
+          console.error(`Error recording webhook delivery ${delivery.id}:`, err);
+        })));
+      }
+    })()
+      .catch(err => console.error('Error sending webhooks:', err))
+      .finally(() => { processing = null; });
+    return processing;
+  }
+
+  // Queue `event` for every matching subscription, one payload per item ({ data, code, partnerId }).
+  // partnerId is looked up from the link when a partner filter needs it and it wasn't given.
+  // Never throws: webhooks must not break what triggered them.
+  async function emitMany(event, items) {
+    try {
+      const targets = subscriptions.filter(webhook => webhook.events.includes(event));
+      if (targets.length === 0 || items.length === 0) return;
+
+      const partnerOf = new Map();
+      if (targets.some(webhook => webhook.partner_id)) {
+        for (const item of items) {
+          if (item.partnerId !== undefined || !item.code || partnerOf.has(item.code)) continue;
+          const link = await storage.urls.get(item.code);
+          partnerOf.set(item.code, link ? link.partner_id : null);
+        }
+      }
+
+      const occurredAt = new Date().toISOString();
+      const rows = [];
+      items.forEach(({ data, code = null, partnerId }) => {
+        const scope = { code, partnerId: partnerId !== undefined ? partnerId : (partnerOf.get(code) || null) };
+        targets.filter(webhook => matches(webhook, event, scope)).forEach(webhook => {
+          rows.push({ webhook_id: webhook.id, event, payload: { event, occurredAt, data } });
+        });
+      });
+      if (rows.length === 0) return;
+
+      await storage.webhookDeliveries.insertMany(rows);
+      setImmediate(processDue);
+    } catch (err) {
+      console.error(`Error queueing ${event} webhooks:`, err);
+    }
+  }
+
+  const poller = setInterval(processDue, pollIntervalMs);
+  poller.unref();
+  const refresher = setInterval(() => {
+    load().catch(err => console.error('Error loading webhooks:', err));
+  }, refreshMs);
+  refresher.unref();
+
+  return {
+    load,
+    deliver,
+    processDue,
+    emitMany,
+
+    emit(event, data, { code = null, partnerId } = {}) {
+      return emitMany(event, [{ data, code, partnerId }]);
+    },
+
+    // Send a webhook.test event to `webhook` (a webhooks row) right away, whatever its filters.
+    // Resolves with the delivery row; a failed test is retried like any other delivery.
+    async sendTest(webhook) {
+      const payload = {
+        event: TEST_EVENT,
+        occurredAt: new Date().toISOString(),
+        data: { webhookId: webhook.id, name: webhook.name }
+      };
+      const [delivery] = await storage.webhookDeliveries.insertMany([
+        { webhook_id: webhook.id, event: TEST_EVENT, payload, next_attempt_at: lease() }
+      ]);
+      return deliver({ ...delivery, url: webhook.url, secret: webhook.secret });
+    },
+
+    // True when some active subscription wants `event` (lets callers skip building payloads)
+    wants(event) {
+      return subscriptions.some(webhook => webhook.events.includes(event));
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(poller);
+      clearInterval(refresher);
+      return processing || Promise.resolve();
+    }
+  };
+}
+
+module.exports = {
+  EVENTS,
+  TEST_EVENT,
+  signatureHeader,
+  verifySignature,
+  retryDelay,
+  createWebhooks
+};
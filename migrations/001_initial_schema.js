@@ -0,0 +1,62 @@
+// 001 - links, clicks, partners and bypass logs
+// Uses IF NOT EXISTS throughout so databases created by the old initDB are adopted as-is;
+// the oldest urls tables predate partner_id and expires_at.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS urls (
+        code VARCHAR(50) PRIMARY KEY,
+        url TEXT NOT NULL,
+        created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        clicks INTEGER DEFAULT 0,
+        partner_id INTEGER,
+        expires_at TIMESTAMP
+      )
+    `);
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS partner_id INTEGER');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS clicks (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) REFERENCES urls(code) ON DELETE CASCADE,
+        ip_address VARCHAR(100),
+        country VARCHAR(100),
+        city VARCHAR(100),
+        region VARCHAR(100),
+        user_agent TEXT,
+        device VARCHAR(50),
+        browser VARCHAR(50),
+        os VARCHAR(50),
+        referrer TEXT,
+        clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS partners (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        domain TEXT NOT NULL
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bypass_logs (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) REFERENCES urls(code) ON DELETE CASCADE,
+        referrer TEXT,
+        ip_address VARCHAR(100),
+        user_agent TEXT,
+        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS bypass_logs');
+    await db.query('DROP TABLE IF EXISTS partners');
+    await db.query('DROP TABLE IF EXISTS clicks');
+    await db.query('DROP TABLE IF EXISTS urls');
+  }
+};
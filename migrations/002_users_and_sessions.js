@@ -0,0 +1,31 @@
+// 002 - user accounts with roles, login sessions and link ownership
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+        created TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS created_by');
+    await db.query('DROP TABLE IF EXISTS sessions');
+    await db.query('DROP TABLE IF EXISTS users');
+  }
+};
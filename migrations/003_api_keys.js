@@ -0,0 +1,24 @@
+// 003 - API keys (only a hash of each key is stored)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL,
+        partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+        created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        request_count INTEGER DEFAULT 0,
+        revoked_at TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS api_keys');
+  }
+};
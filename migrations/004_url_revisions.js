@@ -0,0 +1,19 @@
+// 004 - history of every edit to a link
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS url_revisions (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) REFERENCES urls(code) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        changes JSONB NOT NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS url_revisions');
+  }
+};
@@ -0,0 +1,27 @@
+// 005 - click coordinates/timezone, bot and unique-visitor flags, human/unique counters
+// Old links keep their raw count; human/unique counting starts from zero.
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS is_bot BOOLEAN DEFAULT FALSE');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS bot_name VARCHAR(50)');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS visitor_hash VARCHAR(64)');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS is_unique BOOLEAN DEFAULT TRUE');
+    await db.query('CREATE INDEX IF NOT EXISTS clicks_visitor_idx ON clicks (code, visitor_hash, clicked_at)');
+
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS human_clicks INTEGER DEFAULT 0');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS unique_clicks INTEGER DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS unique_clicks');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS human_clicks');
+
+    await db.query('DROP INDEX IF EXISTS clicks_visitor_idx');
+    for (const column of ['is_unique', 'visitor_hash', 'bot_name', 'is_bot', 'timezone', 'longitude', 'latitude']) {
+      await db.query(`ALTER TABLE clicks DROP COLUMN IF EXISTS ${column}`);
+    }
+  }
+};
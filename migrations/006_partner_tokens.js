@@ -0,0 +1,35 @@
+// 006 - partner signing secrets, single-use token nonces and bypass reasons
+const tokens = require('../lib/tokens');
+
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE partners ADD COLUMN IF NOT EXISTS secret VARCHAR(64)');
+    // Partners that existed before verification tokens keep working on the referrer check;
+    // new partners have to opt in to it
+    await db.query('ALTER TABLE partners ADD COLUMN IF NOT EXISTS allow_referrer_fallback BOOLEAN DEFAULT TRUE');
+    await db.query('ALTER TABLE partners ALTER COLUMN allow_referrer_fallback SET DEFAULT FALSE');
+    const withoutSecret = await db.query('SELECT id FROM partners WHERE secret IS NULL');
+    for (const row of withoutSecret.rows) {
+      await db.query('UPDATE partners SET secret = $1 WHERE id = $2', [tokens.generateSecret(), row.id]);
+    }
+
+    // Nonces of consumed verification tokens and solved challenges (single use)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS used_tokens (
+        nonce VARCHAR(64) PRIMARY KEY,
+        code VARCHAR(50),
+        used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    await db.query('ALTER TABLE bypass_logs ADD COLUMN IF NOT EXISTS reason VARCHAR(50)');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE bypass_logs DROP COLUMN IF EXISTS reason');
+    await db.query('DROP TABLE IF EXISTS used_tokens');
+    await db.query('ALTER TABLE partners DROP COLUMN IF EXISTS allow_referrer_fallback');
+    await db.query('ALTER TABLE partners DROP COLUMN IF EXISTS secret');
+  }
+};
@@ -0,0 +1,27 @@
+// 007 - shared rate limit counters (RATE_LIMIT_STORE=postgres) and the IP blocklist
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key VARCHAR(255) PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ip_blocklist (
+        id SERIAL PRIMARY KEY,
+        cidr VARCHAR(64) UNIQUE NOT NULL,
+        note TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS ip_blocklist');
+    await db.query('DROP TABLE IF EXISTS rate_limits');
+  }
+};
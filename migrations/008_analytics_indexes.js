@@ -0,0 +1,18 @@
+// 008 - indexes for per-link analytics queries and expiry cleanups
+module.exports = {
+  async up(db) {
+    await db.query('CREATE INDEX IF NOT EXISTS clicks_code_clicked_at_idx ON clicks (code, clicked_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS bypass_logs_code_detected_at_idx ON bypass_logs (code, detected_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS url_revisions_code_idx ON url_revisions (code, changed_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS sessions_expires_at_idx ON sessions (expires_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS used_tokens_expires_at_idx ON used_tokens (expires_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS used_tokens_expires_at_idx');
+    await db.query('DROP INDEX IF EXISTS sessions_expires_at_idx');
+    await db.query('DROP INDEX IF EXISTS url_revisions_code_idx');
+    await db.query('DROP INDEX IF EXISTS bypass_logs_code_detected_at_idx');
+    await db.query('DROP INDEX IF EXISTS clicks_code_clicked_at_idx');
+  }
+};
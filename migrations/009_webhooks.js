@@ -0,0 +1,47 @@
+// 009 - outgoing webhook subscriptions, their delivery log, and expiry notifications on links
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        events TEXT[] NOT NULL,
+        partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+        codes TEXT[],
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_status INTEGER,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, created_at)');
+
+    // Links that expired before this migration don't announce it now
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP');
+    await db.query('UPDATE urls SET expiry_notified_at = NOW() WHERE expires_at <= NOW()');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS expiry_notified_at');
+    await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.query('DROP TABLE IF EXISTS webhooks');
+  }
+};
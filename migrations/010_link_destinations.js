@@ -0,0 +1,32 @@
+// 010 - rotator links: several destinations per code, and which destination each click got
+module.exports = {
+  async up(db) {
+    // rotation: NULL for a plain link, 'weighted' or 'sequential' for a rotator
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS rotation VARCHAR(20)');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS rotation_counter INTEGER NOT NULL DEFAULT 0');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS link_destinations (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL REFERENCES urls(code) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        weight INTEGER NOT NULL DEFAULT 1,
+        click_cap INTEGER,
+        is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+        clicks INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS link_destinations_code_idx ON link_destinations (code, position)');
+
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS destination_id INTEGER REFERENCES link_destinations(id) ON DELETE SET NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS destination_id');
+    await db.query('DROP TABLE IF EXISTS link_destinations');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS rotation_counter');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS rotation');
+  }
+};
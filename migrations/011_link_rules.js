@@ -0,0 +1,24 @@
+// 011 - routing rules per link, and which rule each click matched
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS link_rules (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL REFERENCES urls(code) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        name VARCHAR(100),
+        conditions JSONB NOT NULL,
+        url TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS link_rules_code_idx ON link_rules (code, position)');
+
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES link_rules(id) ON DELETE SET NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS rule_id');
+    await db.query('DROP TABLE IF EXISTS link_rules');
+  }
+};
@@ -0,0 +1,20 @@
+// 012 - link lifecycle: activation time, click caps, visitor passwords and pausing
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP');
+    // Caps on human clicks and unique visitors; NULL means no limit
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS max_clicks INTEGER');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS max_unique_clicks INTEGER');
+    // scrypt hash of the password visitors must enter (see lib/auth.js)
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255)');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS paused BOOLEAN NOT NULL DEFAULT FALSE');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS paused');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS password_hash');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS max_unique_clicks');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS max_clicks');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS starts_at');
+  }
+};
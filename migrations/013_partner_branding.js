@@ -0,0 +1,11 @@
+// 013 - per-partner branding for the pages visitors see (see lib/pages.js)
+module.exports = {
+  async up(db) {
+    // NULL keeps the default look; otherwise { logoUrl, colors, countdownSeconds, showSkipButton, footer, messages }
+    await db.query('ALTER TABLE partners ADD COLUMN IF NOT EXISTS branding JSONB');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE partners DROP COLUMN IF EXISTS branding');
+  }
+};
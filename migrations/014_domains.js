@@ -0,0 +1,27 @@
+// 014 - custom short link domains per partner; links on one have their own code space
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS domains (
+        id SERIAL PRIMARY KEY,
+        host VARCHAR(253) NOT NULL UNIQUE,
+        partner_id INTEGER NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+        verification_token VARCHAR(64) NOT NULL,
+        verified_at TIMESTAMP,
+        last_checked_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // NULL for links on the app's own host. Links on a domain are keyed "<code>~<domain id>"
+    // (see lib/domains.js), so a domain with links can't be deleted.
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS domain_id INTEGER REFERENCES domains(id)');
+    await db.query('CREATE INDEX IF NOT EXISTS urls_domain_idx ON urls (domain_id)');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS domain_id');
+    await db.query('DROP TABLE IF EXISTS domains');
+  }
+};
@@ -0,0 +1,28 @@
+// 015 - query string passthrough, default UTM parameters and the parameters each click used
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS forward_query BOOLEAN NOT NULL DEFAULT FALSE');
+    // { utm_source, utm_medium, ... } added to the destination unless already set
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS utm JSONB');
+
+    // Random id for {click_id}, so destinations can report conversions back
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS click_id VARCHAR(32)');
+    // Parameters the redirect added to the destination, and the campaign it ended up with
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS query_params JSONB');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255)');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255)');
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255)');
+    await db.query('CREATE INDEX IF NOT EXISTS clicks_click_id_idx ON clicks (click_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS clicks_click_id_idx');
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS utm_campaign');
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS utm_medium');
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS utm_source');
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS query_params');
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS click_id');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS utm');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS forward_query');
+  }
+};
@@ -0,0 +1,20 @@
+// 016 - several allowed domains per partner, soft-deleted partners and partner logins
+module.exports = {
+  async up(db) {
+    // Every domain the partner's visitors may come from; partners.domain stays the first of them
+    await db.query("ALTER TABLE partners ADD COLUMN IF NOT EXISTS domains TEXT[] NOT NULL DEFAULT '{}'");
+    await db.query("UPDATE partners SET domains = ARRAY[domain] WHERE domains = '{}'");
+    // Deleted partners keep their row so old API keys and revisions still name them
+    await db.query('ALTER TABLE partners ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+
+    // Users with the partner role only see this partner's links
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE');
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM users WHERE role = 'partner'");
+    await db.query('ALTER TABLE users DROP COLUMN IF EXISTS partner_id');
+    await db.query('ALTER TABLE partners DROP COLUMN IF EXISTS deleted_at');
+    await db.query('ALTER TABLE partners DROP COLUMN IF EXISTS domains');
+  }
+};
@@ -0,0 +1,10 @@
+// 017 - where a click came from ('qr' for scans of the link's QR code)
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE clicks ADD COLUMN IF NOT EXISTS source VARCHAR(20)');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE clicks DROP COLUMN IF EXISTS source');
+  }
+};
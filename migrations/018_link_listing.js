@@ -0,0 +1,21 @@
+// 018 - indexes for paging through links by creation time or clicks
+module.exports = {
+  async up(db) {
+    // The list's cursors compare these, which NULLs would break
+    await db.query('UPDATE urls SET created = NOW() WHERE created IS NULL');
+    await db.query('UPDATE urls SET clicks = 0 WHERE clicks IS NULL');
+    await db.query('ALTER TABLE urls ALTER COLUMN created SET NOT NULL');
+    await db.query('ALTER TABLE urls ALTER COLUMN clicks SET NOT NULL');
+
+    // Cursors carry JavaScript dates, so creation times are compared to the millisecond
+    await db.query("CREATE INDEX IF NOT EXISTS urls_created_code_idx ON urls ((date_trunc('milliseconds', created)), code)");
+    await db.query('CREATE INDEX IF NOT EXISTS urls_clicks_code_idx ON urls (clicks, code)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS urls_clicks_code_idx');
+    await db.query('DROP INDEX IF EXISTS urls_created_code_idx');
+    await db.query('ALTER TABLE urls ALTER COLUMN clicks DROP NOT NULL');
+    await db.query('ALTER TABLE urls ALTER COLUMN created DROP NOT NULL');
+  }
+};
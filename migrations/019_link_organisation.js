@@ -0,0 +1,31 @@
+// 019 - link titles, notes and tags, and campaigns grouping links
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS title VARCHAR(200)');
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS notes TEXT');
+    await db.query("ALTER TABLE urls ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'");
+    await db.query('ALTER TABLE urls ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL');
+    await db.query('CREATE INDEX IF NOT EXISTS urls_tags_idx ON urls USING GIN (tags)');
+    await db.query('CREATE INDEX IF NOT EXISTS urls_campaign_id_idx ON urls (campaign_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS urls_campaign_id_idx');
+    await db.query('DROP INDEX IF EXISTS urls_tags_idx');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS campaign_id');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS tags');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS notes');
+    await db.query('ALTER TABLE urls DROP COLUMN IF EXISTS title');
+    await db.query('DROP TABLE IF EXISTS campaigns');
+  }
+};
@@ -0,0 +1,71 @@
+// 020 - notification channels, scheduled reports and bypass-spike alert rules
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        config JSONB NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_schedules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        frequency VARCHAR(10) NOT NULL,
+        partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+        codes TEXT[],
+        channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+        active BOOLEAN NOT NULL DEFAULT true,
+        next_run_at TIMESTAMP NOT NULL,
+        last_sent_at TIMESTAMP,
+        last_error TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS report_schedules_due_idx ON report_schedules (next_run_at) WHERE active');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        threshold_percent DOUBLE PRECISION NOT NULL,
+        window_minutes INTEGER NOT NULL DEFAULT 60,
+        min_bypasses INTEGER NOT NULL DEFAULT 10,
+        cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+        partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+        codes TEXT[],
+        channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS alert_firings (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        code VARCHAR(50) NOT NULL,
+        clicks INTEGER NOT NULL,
+        bypasses INTEGER NOT NULL,
+        rate DOUBLE PRECISION,
+        fired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        error TEXT
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS alert_firings_rule_code_idx ON alert_firings (rule_id, code, fired_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS alert_firings');
+    await db.query('DROP TABLE IF EXISTS alert_rules');
+    await db.query('DROP TABLE IF EXISTS report_schedules');
+    await db.query('DROP TABLE IF EXISTS notification_channels');
+  }
+};
@@ -1,155 +1,144 @@
 // server.js - FIXED VERSION with working analytics endpoint
 const express = require('express');
 const path = require('path');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const storage = require('./lib/storage');
+const auth = require('./lib/auth');
+const csv = require('./lib/csv');
+const analytics = require('./lib/analytics');
+const tokens = require('./lib/tokens');
+const challenges = require('./lib/challenge');
+const rotator = require('./lib/rotator');
+const routing = require('./lib/rules');
+const { createGeolocatorFromEnv } = require('./lib/geo');
+const { createMemoryStore, createPostgresStore, rateLimit } = require('./lib/ratelimit');
+const { createBlocklist, parseCidr, formatCidr } = require('./lib/blocklist');
+const { createClickQueue } = require('./lib/clickqueue');
+const { EVENTS: WEBHOOK_EVENTS, createWebhooks } = require('./lib/webhooks');
+const pages = require('./lib/pages');
+const domains = require('./lib/domains');
+const params = require('./lib/params');
+const qr = require('./lib/qr');
+const listing = require('./lib/listing');
+const campaigns = require('./lib/campaigns');
+const channels = require('./lib/channels');
+const { parseSchedule, parseAlertRule, nextRun, createReports } = require('./lib/reports');
+const { allowApiKey, requireAuth, requireRole } = auth;
+const { CODE_PATTERN } = domains;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const geo = createGeolocatorFromEnv();
+const blocklist = createBlocklist(storage);
 
-// ⚠️ CHANGE THIS PASSWORD! Set it in Render Environment Variables
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'changeme123';
+// Integer setting from the environment; unlike `parseInt(...) || fallback`, 0 is kept
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
 
-// PostgreSQL connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// Rate limits are requests per window; 0 disables a limit
+const RATE_LIMIT_WINDOW_MS = envInt('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000;
+const RATE_LIMIT_REDIRECT_IP = envInt('RATE_LIMIT_REDIRECT_IP', 30);
+const RATE_LIMIT_REDIRECT_CODE = envInt('RATE_LIMIT_REDIRECT_CODE', 600);
+const RATE_LIMIT_API_IP = envInt('RATE_LIMIT_API_IP', 300);
+const LOGIN_MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 5);
+const LOGIN_LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+// Shared counters need the Postgres backend; the in-memory backend always counts per process
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'postgres' && storage.kind === 'postgres'
+  ? createPostgresStore(storage.pool)
+  : createMemoryStore();
+
+const webhooks = createWebhooks(storage, {
+  pollIntervalMs: Math.max(10, envInt('WEBHOOK_POLL_INTERVAL_MS', 5000)),
+  maxAttempts: Math.max(1, envInt('WEBHOOK_MAX_ATTEMPTS', 6)),
+  retryBaseMs: envInt('WEBHOOK_RETRY_BASE_SECONDS', 30) * 1000,
+  timeoutMs: Math.max(1, envInt('WEBHOOK_TIMEOUT_SECONDS', 10)) * 1000
+});
+const WEBHOOK_LOG_DAYS = envInt('WEBHOOK_LOG_DAYS', 30);
+
+// Scheduled reports go out on the first check after their period ends; alert rules are
+// checked against their window this often
+const reports = createReports(storage, {
+  pollIntervalMs: Math.max(1, envInt('REPORT_POLL_INTERVAL_SECONDS', 60)) * 1000,
+  alertIntervalMs: Math.max(1, envInt('ALERT_CHECK_INTERVAL_SECONDS', 60)) * 1000,
+  timeoutMs: Math.max(1, envInt('NOTIFY_TIMEOUT_SECONDS', 10)) * 1000
 });
 
+// Repeat clicks from the same IP + user agent within this window don't count as unique
+const UNIQUE_WINDOW_HOURS = parseInt(process.env.UNIQUE_WINDOW_HOURS, 10) || 24;
+const VISITOR_HASH_SECRET = process.env.VISITOR_HASH_SECRET || process.env.SESSION_SECRET || 'maxverify-visitor';
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(express.text({ type: 'text/csv', limit: '5mb' }));
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// Trust proxy - IMPORTANT for getting real IP on Render
-app.set('trust proxy', true);
-
-// Initialize database tables and schema changes
-async function initDB() {
-  try {
-    // Create urls table (with partner_id and expires_at)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS urls (
-        code VARCHAR(50) PRIMARY KEY,
-        url TEXT NOT NULL,
-        created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        clicks INTEGER DEFAULT 0,
-        partner_id INTEGER,
-        expires_at TIMESTAMP
-      )
-    `);
-
-    // Create clicks table for analytics
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS clicks (
-        id SERIAL PRIMARY KEY,
-        code VARCHAR(50) REFERENCES urls(code) ON DELETE CASCADE,
-        ip_address VARCHAR(100),
-        country VARCHAR(100),
-        city VARCHAR(100),
-        region VARCHAR(100),
-        user_agent TEXT,
-        device VARCHAR(50),
-        browser VARCHAR(50),
-        os VARCHAR(50),
-        referrer TEXT,
-        clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create partners table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS partners (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        domain TEXT NOT NULL
-      )
-    `);
-
-    // Create bypass_logs table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS bypass_logs (
-        id SERIAL PRIMARY KEY,
-        code VARCHAR(50) REFERENCES urls(code) ON DELETE CASCADE,
-        referrer TEXT,
-        ip_address VARCHAR(100),
-        user_agent TEXT,
-        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    console.log('✅ Database initialized & migrations applied');
-  } catch (err) {
-    console.error('❌ Database initialization error:', err);
-  }
-}
-
-initDB();
-
-// Get real IP address from request
-function getRealIP(req) {
-  // Check various headers in order of reliability
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    // x-forwarded-for can contain multiple IPs, get the first (original client)
-    const ips = forwarded.split(',').map(ip => ip.trim());
-    return ips[0];
-  }
-  
-  const realIP = req.headers['x-real-ip'];
-  if (realIP) return realIP;
-  
-  const cfConnectingIP = req.headers['cf-connecting-ip'];
-  if (cfConnectingIP) return cfConnectingIP;
-  
-  return req.ip || req.connection.remoteAddress || 'Unknown';
-}
-
-// Get location from IP address using free API
-async function getLocationFromIP(ip) {
-  try {
-    // Skip local IPs
-    if (!ip || ip === '127.0.0.1' || ip === '::1' || ip === 'Unknown' ||
-        ip.startsWith('192.168') || ip.startsWith('10.') || 
-        ip.startsWith('172.16') || ip.startsWith('172.31') ||
-        ip.includes('::ffff:127.0.0.1') || ip.includes('::1')) {
-      return { country: 'Local', city: 'Local', region: 'Local' };
-    }
-
-    // Clean IPv6 wrapper if present
-    const cleanIP = ip.replace('::ffff:', '');
-
-    console.log(`🌍 Fetching location for IP: ${cleanIP}`);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+// Which proxies' X-Forwarded-* headers to believe: a hop count (`1` behind Render's or Heroku's
+// router) or a comma-separated list of proxy addresses / CIDRs. Unset, the client is whoever
+// opened the connection and forwarded headers are ignored, since anyone can send them.
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false' || value === '0') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true') {
+    throw new Error('TRUST_PROXY=true would trust X-Forwarded-For from any client; set a hop count or proxy addresses');
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+app.set('trust proxy', TRUST_PROXY);
+
+// Bring the schema up to date before serving anything. With MIGRATE_ON_START=false
+// (migrations run separately via `npm run migrate`) the server only checks nothing is pending.
+async function prepareDatabase() {
+  const applied = await storage.prepare({ migrate: process.env.MIGRATE_ON_START !== 'false' });
+  applied.forEach(m => console.log(`⬆️  Applied migration ${m.file}`));
+
+  await blocklist.load();
+  await webhooks.load();
+  await auth.ensureOwner();
+  console.log('✅ Database schema is up to date');
+}
 
-    const response = await fetch(`http://ip-api.com/json/${cleanIP}?fields=status,message,country,city,regionName,lat,lon,timezone`, {
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeout);
-    
-    const data = await response.json();
-
-    if (data && data.status === 'success') {
-      console.log(`✅ Location found: ${data.city}, ${data.country}`);
-      return {
-        country: data.country || 'Unknown',
-        city: data.city || 'Unknown',
-        region: data.regionName || 'Unknown'
-      };
-    } else {
-      console.log(`⚠️ IP-API returned: ${data.message || 'Unknown error'}`);
-    }
+// Consumed token nonces only matter until the token would have expired anyway;
+// finished webhook deliveries are kept for WEBHOOK_LOG_DAYS
+setInterval(() => {
+  storage.usedTokens.deleteExpired()
+    .catch(err => console.error('Error cleaning up used tokens:', err));
+  storage.webhookDeliveries.deleteFinishedBefore(new Date(Date.now() - WEBHOOK_LOG_DAYS * 86400 * 1000))
+    .catch(err => console.error('Error cleaning up webhook deliveries:', err));
+}, 3600 * 1000).unref();
+
+// Announce links whose expiry has passed (each one once, across instances)
+setInterval(async () => {
+  try {
+    const expired = await storage.urls.claimExpired();
+    await webhooks.emitMany('link.expired', expired.map(linkEvent));
   } catch (err) {
-    if (err.name === 'AbortError') {
-      console.error('⚠️ Location fetch timeout');
-    } else {
-      console.error('⚠️ Error fetching location:', err.message);
-    }
+    console.error('Error checking for expired links:', err);
   }
+}, 60 * 1000).unref();
+
+// The client's IP: the connection's address, or with TRUST_PROXY the address the last trusted
+// proxy saw. Leftmost X-Forwarded-For entries are never used on their own, the client writes them.
+function getRealIP(req) {
+  return req.ip || req.socket.remoteAddress || 'Unknown';
+}
+
+// The host name the request was sent to, from the Host header. X-Forwarded-Host is only
+// believed with TRUST_PROXY, when the proxy that set it is a trusted one.
+function requestHost(req) {
+  if (TRUST_PROXY) return req.hostname;
+  const host = req.get('host') || '';
+  return host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+}
 
-  return { country: 'Unknown', city: 'Unknown', region: 'Unknown' };
+// Get location from IP address via the configured geolocation providers (cached)
+async function getLocationFromIP(ip) {
+  const location = await geo.lookup(ip);
+  console.log(`🌍 Location for ${ip}: ${location.city}, ${location.country}`);
+  return location;
 }
 
 // Parse user agent to get device/browser info
@@ -169,28 +158,358 @@ function parseUserAgent(userAgent) {
   else if (ua.includes('edg')) browser = 'Edge';
   else if (ua.includes('opera') || ua.includes('opr')) browser = 'Opera';
 
-  // Detect OS
+  // Detect OS - Android user agents also say "Linux" and iOS ones "like Mac OS X"
   let os = 'Unknown';
   if (ua.includes('windows')) os = 'Windows';
-  else if (ua.includes('mac')) os = 'macOS';
-  else if (ua.includes('linux')) os = 'Linux';
   else if (ua.includes('android')) os = 'Android';
   else if (ua.includes('iphone') || ua.includes('ipad')) os = 'iOS';
+  else if (ua.includes('mac')) os = 'macOS';
+  else if (ua.includes('linux')) os = 'Linux';
+
+  // Detect link-preview bots, crawlers and scripted clients
+  let isBot = false;
+  let botName = null;
+  if (!userAgent || userAgent === 'Unknown') {
+    isBot = true;
+    botName = 'Empty user agent';
+  } else {
+    const match = BOT_PATTERNS.find(([pattern]) => pattern.test(ua));
+    if (match) {
+      isBot = true;
+      botName = match[1];
+    }
+  }
+  if (isBot) device = 'Bot';
+
+  return { device, browser, os, isBot, botName };
+}
+
+// Known bot user agents, checked in order - the generic patterns come last
+const BOT_PATTERNS = [
+  [/telegrambot/, 'Telegram'],
+  [/discordbot/, 'Discord'],
+  [/slackbot|slack-imgproxy/, 'Slack'],
+  [/whatsapp/, 'WhatsApp'],
+  [/facebookexternalhit|facebot|facebookcatalog/, 'Facebook'],
+  [/twitterbot/, 'Twitter'],
+  [/linkedinbot/, 'LinkedIn'],
+  [/skypeuripreview/, 'Skype'],
+  [/viber/, 'Viber'],
+  [/snapchat/, 'Snapchat'],
+  [/pinterestbot|pinterest\/0\./, 'Pinterest'],
+  [/redditbot/, 'Reddit'],
+  [/embedly|iframely|vkshare|outbrain/, 'Link preview'],
+  [/googlebot|google-inspectiontool|adsbot-google|mediapartners-google|googleother/, 'Google'],
+  [/bingbot|bingpreview|msnbot/, 'Bing'],
+  [/yandex/, 'Yandex'],
+  [/baiduspider/, 'Baidu'],
+  [/duckduckbot|duckassistbot/, 'DuckDuckGo'],
+  [/applebot/, 'Apple'],
+  [/ahrefsbot|semrushbot|mj12bot|dotbot|petalbot|bytespider|gptbot|ccbot|claudebot|amazonbot/, 'Crawler'],
+  [/headlesschrome|phantomjs|puppeteer|playwright|selenium/, 'Headless browser'],
+  [/^curl\/|^wget\/|python-requests|python-urllib|aiohttp|go-http-client|java\/|okhttp|axios|node-fetch|undici|libwww-perl|httpclient/, 'HTTP client'],
+  [/\bbot\b|bot\/|crawler|spider|crawling|preview|fetcher|scraper/, 'Other bot']
+];
+
+// Fingerprint of a visitor for unique counting: a keyed hash so raw IPs can't be recovered from it
+function visitorHash(ip, userAgent) {
+  return crypto.createHmac('sha256', VISITOR_HASH_SECRET).update(`${ip}|${userAgent}`).digest('hex');
+}
+
+// ----- Webhook payloads -----
+function linkEvent(link) {
+  return {
+    code: link.code,
+    partnerId: link.partner_id,
+    data: {
+      code: link.code,
+      url: link.url,
+      partnerId: link.partner_id,
+      expiresAt: link.expires_at,
+      createdBy: link.created_by === undefined ? null : link.created_by
+    }
+  };
+}
+
+function clickEvent(row) {
+  return {
+    code: row.code,
+    data: {
+      code: row.code,
+      clickedAt: row.clicked_at,
+      ip: row.ip_address,
+      country: row.country,
+      city: row.city,
+      device: row.device,
+      browser: row.browser,
+      os: row.os,
+      referrer: row.referrer,
+      isBot: row.is_bot,
+      botName: row.bot_name,
+      isUnique: row.is_unique,
+      destinationId: row.destination_id,
+      ruleId: row.rule_id,
+      clickId: row.click_id,
+      queryParams: row.query_params,
+      source: row.source,
+      utmSource: row.utm_source,
+      utmMedium: row.utm_medium,
+      utmCampaign: row.utm_campaign
+    }
+  };
+}
+
+// Fire `event` for links that were just committed; they are read back so the payload
+// matches what was stored. Never throws.
+async function announceLinks(event, codes) {
+  if (!webhooks.wants(event)) return;
+  try {
+    const items = [];
+    for (const code of codes) {
+      const link = await storage.urls.get(code);
+      if (link) items.push(linkEvent(link));
+    }
+    await webhooks.emitMany(event, items);
+  } catch (err) {
+    console.error(`Error announcing ${event}:`, err);
+  }
+}
+
+// Turn a queued click into a clicks row: location, device/browser/OS, bot flag and visitor hash
+async function enrichClick({
+  code, ip, userAgent, referrer, clickedAt, destinationId = null, ruleId = null, clickId = null, queryParams = null,
+  utm = {}, source = null
+}) {
+  const { device, browser, os, isBot, botName } = parseUserAgent(userAgent);
+  const location = await getLocationFromIP(ip);
+
+  return {
+    code, ip_address: ip, country: location.country, city: location.city, region: location.region,
+    user_agent: userAgent, device, browser, os, referrer, clicked_at: clickedAt,
+    latitude: location.lat, longitude: location.lon, timezone: location.timezone,
+    is_bot: isBot, bot_name: botName, visitor_hash: visitorHash(ip, userAgent), destination_id: destinationId,
+    rule_id: ruleId, click_id: clickId, query_params: queryParams, source,
+    utm_source: utm.source || null, utm_medium: utm.medium || null, utm_campaign: utm.campaign || null
+  };
+}
+
+// Store a batch of clicks in one transaction: one multi-row insert and one counter update.
+// A click is unique when the same fingerprint hasn't clicked this code within UNIQUE_WINDOW_HOURS,
+// counting earlier clicks in the same batch. Clicks on links deleted in the meantime are dropped.
+async function saveClicks(rows) {
+  const windowMs = UNIQUE_WINDOW_HOURS * 3600 * 1000;
+
+  let batch = [];
+  const tx = await storage.begin();
+  try {
+    const existing = await tx.urls.existingCodes([...new Set(rows.map(row => row.code))]);
+    batch = rows
+      .filter(row => existing.has(row.code))
+      .sort((a, b) => a.clicked_at - b.clicked_at);
+
+    if (batch.length > 0) {
+      const lastVisit = await tx.clicks.lastVisits(
+        [...new Set(batch.map(row => row.visitor_hash))],
+        new Date(batch[0].clicked_at - windowMs)
+      );
+
+      const counts = new Map();
+      batch.forEach(row => {
+        const visitor = `${row.code}|${row.visitor_hash}`;
+        const last = lastVisit.get(visitor);
+        row.is_unique = !last || row.clicked_at - last >= windowMs;
+        lastVisit.set(visitor, row.clicked_at);
+
+        const count = counts.get(row.code) || { code: row.code, clicks: 0, human: 0, unique: 0 };
+        count.clicks++;
+        if (!row.is_bot) count.human++;
+        if (!row.is_bot && row.is_unique) count.unique++;
+        counts.set(row.code, count);
+      });
+
+      await tx.clicks.insertMany(batch);
+      await tx.urls.addClickCounts([...counts.values()]);
+    }
+
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    throw err;
+  }
+
+  if (batch.length > 0) {
+    console.log(`✅ Recorded ${batch.length} click(s) on ${new Set(batch.map(r => r.code)).size} link(s)`);
+    await webhooks.emitMany('click.recorded', batch.map(clickEvent));
+  }
+}
+
+const clickQueue = createClickQueue({
+  enrich: enrichClick,
+  write: saveClicks,
+  concurrency: Math.max(1, envInt('CLICK_ENRICH_CONCURRENCY', 4)),
+  batchSize: Math.max(1, envInt('CLICK_BATCH_SIZE', 100)),
+  flushIntervalMs: Math.max(10, envInt('CLICK_FLUSH_INTERVAL_MS', 1000)),
+  maxQueued: Math.max(1, envInt('CLICK_QUEUE_MAX', 10000))
+});
+const CLICK_DRAIN_TIMEOUT_MS = envInt('CLICK_DRAIN_TIMEOUT_SECONDS', 10) * 1000;
+
+const MAX_BULK_ROWS = 1000;
+
+// Verify a visitor of a partner link. Returns null when allowed, otherwise the bypass reason.
+// A token is checked against the partner secret and consumed; without one, the strict
+// referrer check only applies to partners that allow the fallback, and passes for any of their domains.
+async function checkPartnerAccess(urlData, token, referrer) {
+  if (token) {
+    // A partner without a secret can't have signed anything
+    if (!urlData.partner_secret) return 'bad_signature';
+    const verified = tokens.verifyToken(urlData.partner_secret, urlData.code, token);
+    if (!verified.valid) return verified.reason;
+
+    const fresh = await storage.usedTokens.consume({
+      nonce: verified.nonce, code: urlData.code, expires_at: verified.expiresAt
+    });
+    return fresh ? null : 'token_reused';
+  }
+
+  if (!urlData.allow_referrer_fallback) return 'missing_token';
+  const allowed = urlData.partner_domains || [urlData.partner_domain];
+  return allowed.some(domain => tokens.referrerMatchesDomain(referrer, domain)) ? null : 'referrer_mismatch';
+}
+
+// Record a rejected visit; never throws. Nothing is stored for codes that don't exist,
+// since blocklist and rate limit checks run before the link lookup.
+async function logBypass({ code, referrer, ip, userAgent, reason }) {
+  try {
+    const logged = await storage.bypassLogs.insert({ code, referrer, ip_address: ip, user_agent: userAgent, reason });
+    if (!logged) return;
+    console.log(`🚨 Bypass attempt logged for ${code} from IP ${ip} (${reason})`);
+    await webhooks.emit('bypass.detected', {
+      code, reason, ip, userAgent, referrer, detectedAt: new Date().toISOString()
+    }, { code });
+  } catch (err) {
+    console.error('Error logging bypass attempt:', err);
+  }
+}
 
-  return { device, browser, os };
+// Whether a link can be visited now: 'active', or why not - 'paused', 'scheduled' (starts_at
+// is still ahead), 'expired', or 'limit_reached' once max_clicks human clicks or
+// max_unique_clicks unique visitors are counted. The click queue updates those counters in
+// batches, so a burst of visits can run a few clicks past a cap. `caps: false` leaves the caps
+// out, for visitors finishing a visit that was let in before the cap was reached.
+function linkState(link, { caps = true, now = new Date() } = {}) {
+  if (link.paused) return 'paused';
+  if (link.starts_at && new Date(link.starts_at) > now) return 'scheduled';
+  if (link.expires_at && new Date(link.expires_at) < now) return 'expired';
+  if (caps && link.max_clicks && link.human_clicks >= link.max_clicks) return 'limit_reached';
+  if (caps && link.max_unique_clicks && link.unique_clicks >= link.max_unique_clicks) return 'limit_reached';
+  return 'active';
 }
 
-// Password verification middleware
-function requireAuth(req, res, next) {
-  const password = req.headers['x-admin-password'] || req.query.password;
+// The status code and page (see lib/pages.js) for each state but 'active'
+const STATE_PAGES = {
+  paused: { status: 503, page: 'paused' },
+  scheduled: { status: 403, page: 'scheduled' },
+  expired: { status: 410, page: 'expired' },
+  limit_reached: { status: 410, page: 'limitReached' }
+};
+
+function visitFrom(req) {
+  return {
+    code: req.params.code,
+    ip: getRealIP(req),
+    userAgent: req.headers['user-agent'] || 'Unknown',
+    referrer: (req.headers['referer'] || req.headers['referrer'] || 'Direct').toString()
+  };
+}
+
+function sendBlockedPage(res, status, title, message) {
+  res.status(status).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title}</title>
+      <meta name="viewport" content="width=device-width,initial-scale=1" />
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          display:flex;
+          align-items:center;
+          justify-content:center;
+          min-height:100vh;
+          margin:0;
+          background: #0a0a0a;
+          color:white;
+        }
+        .box {
+          background: rgba(255,255,255,0.05);
+          padding:40px;
+          border-radius:20px;
+          text-align:center;
+          border: 1px solid rgba(255,255,255,0.1);
+        }
+        h1 { margin:0 0 12px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="box">
+        <h1>${title}</h1>
+        <p>${message}</p>
+      </div>
+    </body>
+    </html>
+  `);
+}
+
+// Refuse blocklisted IPs on redirect routes. Hits are logged once per rate-limit window
+// so a blocked client hammering the link doesn't turn into a write per request.
+async function blockIPs(req, res, next) {
+  const visit = visitFrom(req);
+  if (!blocklist.isBlocked(visit.ip)) return next();
+
+  try {
+    const { count } = await rateLimitStore.hit(`blocked:${visit.ip}`, RATE_LIMIT_WINDOW_MS);
+    if (count === 1) await logBypass({ ...visit, reason: 'ip_blocked' });
+  } catch (err) {
+    console.error('Error logging blocked IP:', err);
+  }
 
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid password' });
+  if (req.path.startsWith('/api/')) {
+    return res.status(403).json({ error: 'Forbidden: Your IP address is blocked' });
   }
+  sendBlockedPage(res, 403, '⛔ Access Denied', 'Your IP address has been blocked.');
+}
 
-  next();
+function redirectRateLimit(name, max, key) {
+  return rateLimit({
+    store: rateLimitStore,
+    name,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max,
+    key,
+    onLimited(req, res, info) {
+      if (info.first) logBypass({ ...visitFrom(req), reason: `rate_limited_${name}` });
+      sendBlockedPage(res, 429, '⏳ Slow Down', `Too many requests. Try again in ${info.retryAfter} seconds.`);
+    }
+  });
 }
 
+// Per client IP (scraping, click inflation) and per link (a link being hammered from many IPs)
+const redirectLimits = [
+  redirectRateLimit('ip', RATE_LIMIT_REDIRECT_IP, req => getRealIP(req)),
+  redirectRateLimit('code', RATE_LIMIT_REDIRECT_CODE, req => req.params.code)
+];
+
+app.use('/api', rateLimit({
+  store: rateLimitStore,
+  name: 'api',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_API_IP,
+  key: req => getRealIP(req),
+  onLimited(req, res, info) {
+    res.status(429).json({ error: `Too many requests, try again in ${info.retryAfter} seconds` });
+  }
+}));
+
 // Generate random short code
 function generateCode() {
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -201,6 +520,278 @@ function generateCode() {
   return code;
 }
 
+// Validate and insert one link using `db` (storage or a transaction). `domainId` puts the
+// link on a custom domain, where `customCode` only has to be unique on that domain.
+// Returns { code, domain }, or { status, error } when the link is rejected
+async function createLink(db, link, req) {
+  const { url, customCode, expiresAt } = link;
+  let { partnerId } = link;
+
+  if (!url || typeof url !== 'string' || !url.match(/^https?:\/\/.+/)) {
+    return { status: 400, error: 'Invalid URL' };
+  }
+
+  // Rotator links: `url` stays the default for when every destination is capped
+  let destinations = [];
+  if (link.destinations !== undefined && link.destinations !== null) {
+    const parsed = rotator.parseDestinations(link.destinations);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    destinations = parsed.destinations;
+  }
+  const rotation = destinations.length > 0 ? (link.rotation || 'weighted') : null;
+  if (link.rotation && destinations.length === 0) {
+    return { status: 400, error: 'rotation needs destinations' };
+  }
+  if (rotation && !rotator.ROTATIONS.includes(rotation)) {
+    return { status: 400, error: `rotation must be one of: ${rotator.ROTATIONS.join(', ')}` };
+  }
+
+  // Routing rules are tried before the url / rotation
+  let rules = [];
+  if (link.rules !== undefined && link.rules !== null) {
+    const parsed = routing.parseRules(link.rules);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    rules = parsed.rules;
+  }
+  if (customCode && !CODE_PATTERN.test(customCode)) {
+    return { status: 400, error: 'Invalid code: use up to 50 letters, digits, "-" or "_"' };
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return { status: 400, error: 'Invalid expiry date' };
+  }
+  const lifecycle = await parseLifecycle(link);
+  if (lifecycle.error) return { status: 400, error: lifecycle.error };
+  const queryOptions = parseQueryOptions(link);
+  if (queryOptions.error) return { status: 400, error: queryOptions.error };
+  const details = campaigns.parseDetails(link);
+  if (details.error) return { status: 400, error: details.error };
+  const campaignId = link.campaignId ? parseInt(link.campaignId, 10) : null;
+  if (campaignId !== null && isNaN(campaignId)) {
+    return { status: 400, error: 'Invalid campaign' };
+  }
+  if (lifecycle.values.starts_at && expiresAt && lifecycle.values.starts_at >= new Date(expiresAt)) {
+    return { status: 400, error: 'The start must be before the expiry' };
+  }
+
+  // Partner-restricted API keys always create links for their partner
+  if (req.apiKey && req.apiKey.partner_id) {
+    if (partnerId && parseInt(partnerId, 10) !== req.apiKey.partner_id) {
+      return { status: 403, error: 'Forbidden: API key is restricted to another partner' };
+    }
+    partnerId = req.apiKey.partner_id;
+  }
+
+  // A custom domain belongs to one partner, so its links do too
+  let domain = null;
+  if (link.domainId) {
+    domain = await db.domains.get(parseInt(link.domainId, 10) || 0);
+    if (!domain) return { status: 400, error: 'Domain not found' };
+    if (partnerId && parseInt(partnerId, 10) !== domain.partner_id) {
+      return { status: 400, error: 'The domain belongs to another partner' };
+    }
+    partnerId = domain.partner_id;
+  }
+
+  if (partnerId) {
+    if (!(await db.partners.exists(partnerId))) {
+      return { status: 400, error: 'Partner not found' };
+    }
+  }
+  if (campaignId && !(await db.campaigns.get(campaignId))) {
+    return { status: 400, error: 'Campaign not found' };
+  }
+
+  const domainId = domain ? domain.id : null;
+  let code = domains.linkKey(customCode || generateCode(), domainId);
+  if (!code) return { status: 400, error: 'Code is too long for this domain' };
+
+  // Check uniqueness
+  if (await db.urls.exists(code)) {
+    if (customCode) return { status: 409, error: 'Code already exists' };
+
+    // Ensure generated code is unique
+    while (true) {
+      code = domains.linkKey(generateCode(), domainId);
+      if (!(await db.urls.exists(code))) break;
+    }
+  }
+
+  // Insert new URL
+  await db.urls.insert({
+    code, url, partner_id: partnerId || null, expires_at: expiresAt || null, created_by: req.user.id, rotation,
+    domain_id: domainId, campaign_id: campaignId, ...lifecycle.values, ...queryOptions.values, ...details.values
+  });
+  if (destinations.length > 0) await replaceForCode(db.destinations, code, destinations);
+  if (rules.length > 0) await replaceForCode(db.rules, code, rules);
+
+  return { code, domain };
+}
+
+// The public short URL of link `code`: on its custom domain, or on the host the request came in on
+function shortUrl(req, code, domain) {
+  const { code: slug, domainId } = domains.parseLinkKey(code);
+  if (domain && domainId === domain.id) return `https://${domain.host}/${slug}`;
+  return `${req.protocol}://${req.get('host')}/${code}`;
+}
+
+// Validate the lifecycle settings in a request body - startsAt, maxClicks, maxUniqueClicks,
+// password (null removes it) and paused - as urls columns. Settings that aren't given are
+// left out. Returns { values } or { error }.
+async function parseLifecycle(body) {
+  const values = {};
+  if (body.startsAt !== undefined) {
+    if (body.startsAt && isNaN(new Date(body.startsAt).getTime())) {
+      return { error: 'Invalid start date' };
+    }
+    values.starts_at = body.startsAt ? new Date(body.startsAt) : null;
+  }
+  for (const [field, column] of [['maxClicks', 'max_clicks'], ['maxUniqueClicks', 'max_unique_clicks']]) {
+    if (body[field] === undefined) continue;
+    const limit = body[field] === null || body[field] === '' ? null : Number(body[field]);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      return { error: `${field} must be a positive whole number` };
+    }
+    values[column] = limit;
+  }
+  if (body.password !== undefined) {
+    if (body.password !== null && (typeof body.password !== 'string' || !body.password || body.password.length > 200)) {
+      return { error: 'password must be a string of 1 to 200 characters' };
+    }
+    values.password_hash = body.password === null ? null : await auth.hashPassword(body.password);
+  }
+  if (body.paused !== undefined) {
+    if (typeof body.paused !== 'boolean') {
+      return { error: 'paused must be true or false' };
+    }
+    values.paused = body.paused;
+  }
+  return { values };
+}
+
+// Validate forwardQuery and utm (default UTM parameters, null removes them) in a request body
+// as urls columns; see lib/params.js. Returns { values } or { error }.
+function parseQueryOptions(body) {
+  const values = {};
+  if (body.forwardQuery !== undefined) {
+    if (typeof body.forwardQuery !== 'boolean') {
+      return { error: 'forwardQuery must be true or false' };
+    }
+    values.forward_query = body.forwardQuery;
+  }
+  if (body.utm !== undefined) {
+    const parsed = params.parseUtm(body.utm);
+    if (parsed.error) return { error: parsed.error };
+    values.utm = parsed.utm;
+  }
+  return { values };
+}
+
+// Make a link's rotator destinations or routing rules (`repository` is db.destinations or
+// db.rules) match `list`, in that order. Items carrying the id of one of the link's rows
+// update it, so its clicks stay attributed to it; the others are added and rows left out
+// are removed.
+async function replaceForCode(repository, code, list) {
+  const existing = await repository.listForCode(code);
+  const kept = new Set();
+  for (let i = 0; i < list.length; i++) {
+    const { id, ...values } = list[i];
+    if (id && !kept.has(id) && existing.some(row => row.id === id)) {
+      kept.add(id);
+      await repository.update(id, code, { ...values, position: i });
+    } else {
+      await repository.insert({ ...values, code, position: i });
+    }
+  }
+  for (const row of existing) {
+    if (!kept.has(row.id)) await repository.delete(row.id, code);
+  }
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a) === String(b);
+}
+
+// Apply `updates` (urls column -> new value) to the full urls row `current` inside
+// transaction `tx` and record what changed in url_revisions. `lists.destinations` and
+// `lists.rules`, when given, replace the link's rotator destinations / routing rules
+// (see replaceForCode). Returns { code, changes } where code is the link's code after the update.
+async function updateLink(tx, current, updates, userId, action, lists = {}) {
+  const changes = {};
+  Object.keys(updates).forEach(col => {
+    if (!sameValue(current[col], updates[col])) {
+      changes[col] = { from: current[col], to: updates[col] };
+    }
+  });
+  const children = {
+    destinations: { repository: tx.destinations, summarize: rotator.summarize },
+    rules: { repository: tx.rules, summarize: routing.summarize }
+  };
+  for (const field of Object.keys(children)) {
+    if (!lists[field]) continue;
+    const from = children[field].summarize(await children[field].repository.listForCode(current.code));
+    const to = children[field].summarize(lists[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  if (Object.keys(changes).length === 0) return { code: current.code, changes };
+
+  const code = changes.code ? changes.code.to : current.code;
+  const row = { ...current, ...updates, code };
+  // A new expiry gets announced again when it passes
+  if (changes.expires_at) row.expiry_notified_at = null;
+
+  const columns = Object.keys(changes).filter(col => !children[col]);
+  if (changes.code) {
+    await tx.urls.rename(current.code, row);
+  } else if (columns.length > 0) {
+    const values = {};
+    columns.forEach(col => { values[col] = row[col]; });
+    if (changes.expires_at) values.expiry_notified_at = null;
+    await tx.urls.update(code, values);
+  }
+  for (const field of Object.keys(children)) {
+    if (changes[field]) await replaceForCode(children[field].repository, code, lists[field]);
+  }
+
+  // Revisions only tell whether there is a password, never its hash
+  if (changes.password_hash) {
+    changes.password_hash = { from: Boolean(current.password_hash), to: Boolean(updates.password_hash) };
+  }
+
+  await tx.revisions.insert({ code, action, changes, changed_by: userId });
+
+  return { code, changes };
+}
+
+// Run `handler` for each row inside its own savepoint so a failing row doesn't
+// abort the surrounding transaction. Returns one result per row (1-based `row`).
+async function forEachRowInSavepoint(tx, rows, handler) {
+  const results = [];
+  for (let i = 0; i < rows.length; i++) {
+    await tx.savepoint();
+    try {
+      const result = await handler(rows[i]);
+      if (result.error) await tx.rollbackToSavepoint();
+      await tx.releaseSavepoint();
+      results.push(result.error ? { row: i + 1, error: result.error } : { row: i + 1, ...result });
+    } catch (err) {
+      await tx.rollbackToSavepoint();
+      await tx.releaseSavepoint();
+      console.error(`Error processing row ${i + 1}:`, err.message);
+      results.push({ row: i + 1, error: 'Database error' });
+    }
+  }
+  return results;
+}
+
 // Serve login page at root
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
@@ -211,567 +802,2440 @@ app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// ----- Partner endpoints -----
-// Get partners
-app.get('/api/partners', requireAuth, async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM partners ORDER BY id ASC');
-    res.json(result.rows);
-  } catch (err) {
-    console.error('Error fetching partners:', err);
-    res.status(500).json({ error: 'Database error' });
+// ----- Auth endpoints -----
+// Log in with username + password and issue a session cookie
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
   }
-});
 
-// Create partner
-app.post('/api/partners', requireAuth, async (req, res) => {
-  const { name, domain } = req.body;
-  if (!name || !domain) {
-    return res.status(400).json({ error: 'Name and domain are required' });
-  }
+  // Failures are counted per IP + username, and per IP across usernames
+  const ip = getRealIP(req);
+  const accountKey = `login:${ip}:${String(username).toLowerCase()}`;
+  const ipKey = `login-ip:${ip}`;
 
   try {
-    const inserted = await pool.query(
-      'INSERT INTO partners (name, domain) VALUES ($1, $2) RETURNING *',
-      [name, domain]
-    );
-    res.json(inserted.rows[0]);
+    const [accountFailures, ipFailures] = await Promise.all([rateLimitStore.get(accountKey), rateLimitStore.get(ipKey)]);
+    const locked = [
+      accountFailures && accountFailures.count >= LOGIN_MAX_FAILURES && accountFailures,
+      ipFailures && ipFailures.count >= LOGIN_MAX_FAILURES * 4 && ipFailures
+    ].find(Boolean);
+    if (LOGIN_MAX_FAILURES && locked) {
+      const minutes = Math.ceil((locked.resetAt - Date.now()) / 60000);
+      res.set('Retry-After', String(Math.ceil((locked.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({ error: `Too many failed logins, try again in ${minutes} minute(s)` });
+    }
+
+    const user = await storage.users.findByUsername(username);
+
+    if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+      await Promise.all([rateLimitStore.hit(accountKey, LOGIN_LOCKOUT_MS), rateLimitStore.hit(ipKey, LOGIN_LOCKOUT_MS)]);
+      console.log(`🔐 Failed login for "${username}" from IP ${ip}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await rateLimitStore.reset(accountKey);
+    await auth.startSession(res, user.id);
+    res.json({ id: user.id, username: user.username, role: user.role });
   } catch (err) {
-    console.error('Error creating partner:', err);
+    console.error('Error logging in:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get all URLs (admin)
-app.get('/api/urls', requireAuth, async (req, res) => {
+// Log out and clear the session cookie
+app.post('/api/logout', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT u.*, p.name as partner_name, p.domain as partner_domain
-      FROM urls u
-      LEFT JOIN partners p ON u.partner_id = p.id
-      ORDER BY created DESC
-    `);
-    const urls = {};
-    result.rows.forEach(row => {
-      urls[row.code] = {
-        url: row.url,
-        created: row.created,
-        clicks: row.clicks,
-        partnerId: row.partner_id,
-        partnerName: row.partner_name,
-        partnerDomain: row.partner_domain,
-        expiresAt: row.expires_at
-      };
-    });
-    res.json(urls);
+    await auth.endSession(req, res);
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error fetching URLs:', err);
+    console.error('Error logging out:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get analytics for a specific URL (FIXED VERSION)
-app.get('/api/analytics/:code', requireAuth, async (req, res) => {
-  const { code } = req.params;
+// Get the logged-in user
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
 
+// ----- User endpoints (owner only) -----
+// Get users
+app.get('/api/users', requireAuth, requireRole('owner'), async (req, res) => {
   try {
-    console.log(`📊 Fetching analytics for code: ${code}`);
-
-    // First verify the URL exists
-    const urlCheck = await pool.query('SELECT code FROM urls WHERE code = $1', [code]);
-    if (urlCheck.rows.length === 0) {
-      console.log(`❌ URL not found: ${code}`);
-      return res.status(404).json({ error: 'URL not found' });
-    }
+    res.json(await storage.users.list());
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-    // Get click details
-    let clicks = { rows: [] };
-    try {
-      clicks = await pool.query(
-        'SELECT * FROM clicks WHERE code = $1 ORDER BY clicked_at DESC LIMIT 100',
-        [code]
-      );
-      console.log(`✅ Found ${clicks.rows.length} clicks for ${code}`);
-    } catch (err) {
-      console.error('Error fetching clicks:', err);
-      // Continue anyway
-    }
+// Check the partner of a user with the partner role; returns an error message or null
+async function checkUserPartner(role, partnerId) {
+  if (role !== 'partner') {
+    return partnerId ? 'Only partner users belong to a partner' : null;
+  }
+  if (!partnerId) return 'Partner users need a partner';
+  return (await storage.partners.exists(partnerId)) ? null : 'Partner not found';
+}
 
-    // Get country stats
-    let countryStats = { rows: [] };
-    try {
-      countryStats = await pool.query(
-        'SELECT country, COUNT(*) as count FROM clicks WHERE code = $1 GROUP BY country ORDER BY count DESC',
-        [code]
-      );
-    } catch (err) {
-      console.error('Error fetching country stats:', err);
-      // Continue anyway
-    }
+// Create user; partner users (role "partner") need a partnerId
+app.post('/api/users', requireAuth, requireRole('owner'), async (req, res) => {
+  const { username, password, role, partnerId } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  const passwordError = auth.checkPassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+  if (!auth.ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+  }
 
-    // Get device stats
-    let deviceStats = { rows: [] };
-    try {
-      deviceStats = await pool.query(
-        'SELECT device, COUNT(*) as count FROM clicks WHERE code = $1 GROUP BY device ORDER BY count DESC',
-        [code]
-      );
-    } catch (err) {
-      console.error('Error fetching device stats:', err);
-      // Continue anyway
+  try {
+    const partnerError = await checkUserPartner(role, partnerId);
+    if (partnerError) {
+      return res.status(400).json({ error: partnerError });
     }
-
-    // Get bypass logs
-    let bypasses = { rows: [] };
-    try {
-      bypasses = await pool.query(
-        'SELECT * FROM bypass_logs WHERE code = $1 ORDER BY detected_at DESC LIMIT 100',
-        [code]
-      );
-      console.log(`✅ Found ${bypasses.rows.length} bypass attempts for ${code}`);
-    } catch (err) {
-      console.error('Error fetching bypass logs:', err);
-      // Continue anyway
+    if (await storage.users.findByUsername(username)) {
+      return res.status(409).json({ error: 'Username already exists' });
     }
 
-    // Return the data
-    const response = {
-      recentClicks: clicks.rows || [],
-      countryStats: countryStats.rows || [],
-      deviceStats: deviceStats.rows || [],
-      bypassAttempts: bypasses.rows || []
-    };
-
-    console.log(`✅ Returning analytics for ${code}:`, {
-      clicks: response.recentClicks.length,
-      bypasses: response.bypassAttempts.length
+    const inserted = await storage.users.insert({
+      username, password_hash: await auth.hashPassword(password), role, partner_id: role === 'partner' ? parseInt(partnerId, 10) : null
     });
-
-    res.json(response);
+    res.json(inserted);
   } catch (err) {
-    console.error('❌ Error fetching analytics:', err);
-    console.error('Error details:', err.message);
-    console.error('Stack trace:', err.stack);
-    res.status(500).json({ 
-      error: 'Database error', 
-      message: err.message,
-      code: code 
-    });
+    console.error('Error creating user:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Create short URL (admin)
-app.post('/api/shorten', requireAuth, async (req, res) => {
-  const { url, customCode, partnerId, expiresAt } = req.body;
+// Update user role, partner (for partner users) and/or password
+app.patch('/api/users/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { password, role, partnerId } = req.body;
 
-  if (!url || !url.match(/^https?:\/\/.+/)) {
-    return res.status(400).json({ error: 'Invalid URL' });
+  if (role !== undefined && !auth.ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+  }
+  const passwordError = password !== undefined ? auth.checkPassword(password) : null;
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
   }
 
   try {
-    let code = customCode || generateCode();
-
-    // Check uniqueness
-    const existing = await pool.query('SELECT code FROM urls WHERE code = $1', [code]);
-    if (existing.rows.length > 0) {
-      return res.status(409).json({ error: 'Code already exists' });
+    const user = await storage.users.get(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Ensure generated code is unique
-    while (!customCode) {
-      const check = await pool.query('SELECT code FROM urls WHERE code = $1', [code]);
-      if (check.rows.length === 0) break;
-      code = generateCode();
+    if (role && role !== 'owner' && user.role === 'owner' && await isLastOwner(id)) {
+      return res.status(400).json({ error: 'Cannot demote the last owner' });
+    }
+    const newRole = role || user.role;
+    const newPartnerId = partnerId !== undefined ? partnerId : (newRole === 'partner' ? user.partner_id : null);
+    const partnerError = await checkUserPartner(newRole, newPartnerId);
+    if (partnerError) {
+      return res.status(400).json({ error: partnerError });
     }
 
-    // Insert new URL
-    await pool.query(
-      'INSERT INTO urls (code, url, created, clicks, partner_id, expires_at) VALUES ($1, $2, NOW(), 0, $3, $4)',
-      [code, url, partnerId || null, expiresAt || null]
-    );
+    if (role || partnerId !== undefined) {
+      await storage.users.update(id, { role: newRole, partner_id: newPartnerId ? parseInt(newPartnerId, 10) : null });
+    }
+    if (password) {
+      await storage.users.update(id, { password_hash: await auth.hashPassword(password) });
+      // Force other devices to log in again with the new password
+      await storage.sessions.deleteForUser(id);
+    }
 
-    res.json({ code, shortUrl: `${req.protocol}://${req.get('host')}/${code}` });
+    res.json(await storage.users.get(id));
   } catch (err) {
-    console.error('Error creating short URL:', err);
+    console.error('Error updating user:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Delete URL
-app.delete('/api/urls/:code', requireAuth, async (req, res) => {
-  const { code } = req.params;
+// Delete user (their links are kept, created_by is cleared)
+app.delete('/api/users/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
 
   try {
-    const result = await pool.query('DELETE FROM urls WHERE code = $1 RETURNING code', [code]);
+    if (await isLastOwner(id)) {
+      return res.status(400).json({ error: 'Cannot delete the last owner' });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'URL not found' });
+    if (!(await storage.users.delete(id))) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
     res.json({ success: true });
   } catch (err) {
-    console.error('Error deleting URL:', err);
+    console.error('Error deleting user:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Public redirect route with analytics tracking and bypass detection
-app.get('/:code', async (req, res) => {
-  const { code } = req.params;
+// True if the given user is the only remaining owner
+async function isLastOwner(userId) {
+  const owners = await storage.users.ownerIds();
+  return owners.length === 1 && owners[0] === userId;
+}
 
+// ----- API key endpoints -----
+// Get API keys (owners see every key, others their own)
+app.get('/api/keys', requireAuth, async (req, res) => {
   try {
-    // fetch url + partner
-    const result = await pool.query(`
-      SELECT u.*, p.name as partner_name, p.domain as partner_domain
-      FROM urls u
-      LEFT JOIN partners p ON u.partner_id = p.id
-      WHERE u.code = $1
-    `, [code]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>404 - Link Not Found</title>
-          <meta name="viewport" content="width=device-width,initial-scale=1" />
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              display:flex;
-              align-items:center;
-              justify-content:center;
-              min-height:100vh;
-              margin:0;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            }
-            .box {
-              background: rgba(255,255,255,0.1);
-              backdrop-filter: blur(20px);
-              padding:40px;
-              border-radius:20px;
-              box-shadow:0 20px 60px rgba(0,0,0,0.3);
-              text-align:center;
-              color: white;
-              border: 1px solid rgba(255,255,255,0.2);
-            }
-            h1 { margin:0 0 12px 0; font-size:2rem; }
-            p { margin:0; opacity:0.9; }
-          </style>
-        </head>
-        <body>
-          <div class="box">
-            <h1>🔍 404 - Link Not Found</h1>
-            <p>This short link doesn't exist or has been deleted.</p>
-          </div>
-        </body>
-        </html>
-      `);
-    }
-
-    const urlData = result.rows[0];
-    const targetUrl = urlData.url;
-    const partnerDomain = urlData.partner_domain;
-    const expiresAt = urlData.expires_at;
-
-    // Check expiry
-    if (expiresAt && new Date(expiresAt) < new Date()) {
-      return res.status(410).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Link Expired</title>
-          <meta name="viewport" content="width=device-width,initial-scale=1" />
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              display:flex;
-              align-items:center;
-              justify-content:center;
-              min-height:100vh;
-              margin:0;
-              background: #0a0a0a;
-              color:white;
-            }
-            .box {
-              background: rgba(255,255,255,0.05);
-              backdrop-filter: blur(20px);
-              padding:40px;
-              border-radius:20px;
-              text-align:center;
-              border: 1px solid rgba(255,255,255,0.1);
-            }
-            h1 { margin:0 0 12px 0; }
-          </style>
-        </head>
-        <body>
-          <div class="box">
-            <h1>🔒 Link Expired</h1>
-            <p>This link has expired and can no longer be used.</p>
-          </div>
-        </body>
-        </html>
-      `);
-    }
+    res.json(await storage.apiKeys.list({ userId: req.user.role === 'owner' ? null : req.user.id }));
+  } catch (err) {
+    console.error('Error fetching API keys:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-    // Get visitor info - FIXED IP DETECTION
-    const ip = getRealIP(req);
-    const userAgent = req.headers['user-agent'] || 'Unknown';
-    const referrer = (req.headers['referer'] || req.headers['referrer'] || 'Direct').toString();
+// Create API key - the plain key is only returned here
+app.post('/api/keys', requireAuth, async (req, res) => {
+  const { name, scopes, partnerId } = req.body;
+  const allowedScopes = auth.ROLE_SCOPES[req.user.role];
 
-    console.log(`📊 Visitor IP: ${ip}, Referrer: ${referrer}`);
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'At least one scope is required' });
+  }
+  const invalid = scopes.filter(scope => !allowedScopes.includes(scope));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Scopes not allowed for your role: ${invalid.join(', ')}` });
+  }
 
-    // If partner is configured, enforce referrer contains partner domain
-    if (partnerDomain) {
-      const normalize = str => str.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '').toLowerCase();
-
-      const normalizedPartner = normalize(partnerDomain);
-      const normalizedRef = normalize(referrer || '');
-
-      const isAllowed =
-        normalizedRef === normalizedPartner ||
-        normalizedRef.startsWith(normalizedPartner + '/') ||
-        normalizedRef.includes(normalizedPartner);
-
-      if (!isAllowed) {
-        // Log bypass attempt
-        try {
-          await pool.query(
-            'INSERT INTO bypass_logs (code, referrer, ip_address, user_agent) VALUES ($1, $2, $3, $4)',
-            [code, referrer, ip, userAgent]
-          );
-          console.log(`🚨 Bypass attempt logged for ${code} from IP ${ip}`);
-        } catch (err) {
-          console.error('Error logging bypass attempt:', err);
-        }
+  // Keys of partner users are always restricted to their partner
+  const keyPartnerId = req.user.role === 'partner' ? req.user.partner_id : partnerId;
+
+  try {
+    if (keyPartnerId) {
+      if (!(await storage.partners.exists(keyPartnerId))) {
+        return res.status(400).json({ error: 'Partner not found' });
+      }
+    }
+
+    const { key, prefix, hash } = auth.generateApiKey();
+    const inserted = await storage.apiKeys.insert({
+      user_id: req.user.id, name, key_prefix: prefix, key_hash: hash,
+      scopes: [...new Set(scopes)], partner_id: keyPartnerId || null
+    });
+    res.json({ ...inserted, key });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revoke API key
+app.delete('/api/keys/:id', requireAuth, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const apiKey = await storage.apiKeys.get(id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (req.user.role !== 'owner' && apiKey.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden: You can only revoke your own keys' });
+    }
+
+    await storage.apiKeys.revoke(id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Metrics (owner only) -----
+
+// Click ingestion queue depth and throughput counters
+app.get('/api/metrics', requireAuth, requireRole('owner'), (req, res) => {
+  res.json({ clickQueue: clickQueue.stats() });
+});
+
+// ----- IP blocklist endpoints (owner only) -----
+// List blocked IPs and ranges
+app.get('/api/blocklist', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await storage.blocklist.list());
+  } catch (err) {
+    console.error('Error fetching blocklist:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Block an IP address or CIDR range
+app.post('/api/blocklist', requireAuth, requireRole('owner'), async (req, res) => {
+  const { cidr, note } = req.body;
+  const range = parseCidr(cidr);
+  if (!range) {
+    return res.status(400).json({ error: 'Enter an IP address or CIDR range, e.g. 203.0.113.7 or 203.0.113.0/24' });
+  }
+
+  try {
+    if (await storage.blocklist.exists(formatCidr(range))) {
+      return res.status(409).json({ error: 'This range is already blocked' });
+    }
+
+    const inserted = await storage.blocklist.insert({ cidr: formatCidr(range), note: note || null, created_by: req.user.id });
+    await blocklist.load();
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error adding to blocklist:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Unblock
+app.delete('/api/blocklist/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.blocklist.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Blocklist entry not found' });
+    }
+    await blocklist.load();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing from blocklist:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Webhook endpoints (owner only) -----
+// Validate the partnerId / codes filters webhooks, report schedules and alert rules share into
+// partner_id and codes columns. Returns { values } (only what was given) or { error }.
+async function parseLinkScope({ partnerId, codes }) {
+  const values = {};
+  if (partnerId !== undefined) {
+    values.partner_id = partnerId ? parseInt(partnerId, 10) : null;
+    if (values.partner_id !== null && isNaN(values.partner_id)) return { error: 'Invalid partner' };
+    if (values.partner_id && !(await storage.partners.exists(values.partner_id))) {
+      return { error: 'Partner not found' };
+    }
+  }
+  if (codes !== undefined) {
+    if (codes !== null && !Array.isArray(codes)) return { error: 'codes must be an array' };
+    const list = [...new Set((codes || []).map(code => String(code).trim()).filter(Boolean))];
+    if (list.some(code => !domains.validKey(code))) return { error: 'Invalid code in codes' };
+    values.codes = list.length > 0 ? list : null;
+  }
+  return { values };
+}
+
+// Validate webhook fields from a request body into webhooks columns.
+// Returns { values } or { error }; with `partial` missing fields are left out.
+async function parseWebhookInput(body, { partial = false } = {}) {
+  const values = {};
+  const { name, url, events, active } = body;
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string') return { error: 'Name is required' };
+    values.name = name;
+  }
+  if (url !== undefined || !partial) {
+    if (typeof url !== 'string' || !url.match(/^https?:\/\/.+/)) return { error: 'Invalid URL' };
+    values.url = url;
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: 'At least one event is required' };
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')} (use ${WEBHOOK_EVENTS.join(', ')})` };
+    }
+    values.events = [...new Set(events)];
+  }
+  const scope = await parseLinkScope(body);
+  if (scope.error) return scope;
+  Object.assign(values, scope.values);
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return { error: 'active must be true or false' };
+    values.active = active;
+  }
+  return { values };
+}
+
+// List webhook subscriptions (without secrets)
+app.get('/api/webhooks', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await storage.webhooks.list());
+  } catch (err) {
+    console.error('Error fetching webhooks:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create webhook - the secret is returned here; owners can look it up or rotate it later
+app.post('/api/webhooks', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { values, error } = await parseWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const inserted = await storage.webhooks.insert({
+      ...values, secret: tokens.generateSecret(), created_by: req.user.id
+    });
+    await webhooks.load();
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error creating webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update name, URL, events, filters or pause/resume it
+app.patch('/api/webhooks/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { values, error } = await parseWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const updated = await storage.webhooks.update(req.params.id, values);
+    if (!updated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await webhooks.load();
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete webhook and its delivery log
+app.delete('/api/webhooks/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.webhooks.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await webhooks.load();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get the webhook's signing secret
+app.get('/api/webhooks/:id/secret', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const webhook = await storage.webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ id: webhook.id, secret: webhook.secret });
+  } catch (err) {
+    console.error('Error fetching webhook secret:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Rotate the webhook's secret - deliveries are signed with the new one from now on
+app.post('/api/webhooks/:id/secret', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const rotated = await storage.webhooks.setSecret(req.params.id, tokens.generateSecret());
+    if (!rotated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(rotated);
+  } catch (err) {
+    console.error('Error rotating webhook secret:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Recent deliveries (newest first) with their status, attempts and last error
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.webhooks.get(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await storage.webhookDeliveries.listForWebhook(req.params.id));
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send a webhook.test event now and return how the delivery went
+app.post('/api/webhooks/:id/test', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const webhook = await storage.webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await webhooks.sendTest(webhook));
+  } catch (err) {
+    console.error('Error sending test webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Report and alert endpoints (owner only) -----
+// 400 unless the channel a schedule or rule sends to exists
+async function checkChannel(values) {
+  if (values.channel_id !== undefined && !(await storage.channels.get(values.channel_id))) {
+    return { error: 'Channel not found' };
+  }
+  return {};
+}
+
+// List notification channels (secrets only say whether they are set)
+app.get('/api/channels', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json((await storage.channels.list()).map(channels.withoutSecrets));
+  } catch (err) {
+    console.error('Error fetching channels:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create channel - { name, type: smtp | telegram | http, config }
+app.post('/api/channels', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { values, error } = channels.parseChannel(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const inserted = await storage.channels.insert({ ...values, created_by: req.user.id });
+    console.log(`📬 Channel created: ${inserted.name} (${inserted.type})`);
+    res.json(channels.withoutSecrets(inserted));
+  } catch (err) {
+    console.error('Error creating channel:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update name or config; secrets left out of the config are kept
+app.patch('/api/channels/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const current = await storage.channels.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    const { values, error } = channels.parseChannel(req.body, current);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    res.json(channels.withoutSecrets(await storage.channels.update(current.id, values)));
+  } catch (err) {
+    console.error('Error updating channel:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete channel with the report schedules and alert rules sending to it
+app.delete('/api/channels/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.channels.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting channel:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send a test message now and say whether it went through
+app.post('/api/channels/:id/test', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const channel = await storage.channels.get(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    const error = await reports.sendTest(channel);
+    res.json({ success: !error, error });
+  } catch (err) {
+    console.error('Error testing channel:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List report schedules with their partner, channel and last run
+app.get('/api/reports', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await storage.reportSchedules.list());
+  } catch (err) {
+    console.error('Error fetching report schedules:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create report schedule - { name, frequency: daily | weekly, channelId, partnerId?, codes? }
+app.post('/api/reports', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const schedule = parseSchedule(req.body);
+    const scope = schedule.error ? schedule : await parseLinkScope(req.body);
+    const { error } = scope.error ? scope : await checkChannel(schedule.values);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const inserted = await storage.reportSchedules.insert({
+      ...schedule.values, ...scope.values, next_run_at: nextRun(schedule.values.frequency), created_by: req.user.id
+    });
+    console.log(`📬 Report schedule created: ${inserted.name} (${inserted.frequency})`);
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error creating report schedule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update a schedule or pause/resume it. A new frequency, or resuming, starts from the
+// current period rather than catching up on missed ones.
+app.patch('/api/reports/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const current = await storage.reportSchedules.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+    const schedule = parseSchedule(req.body, { partial: true });
+    const scope = schedule.error ? schedule : await parseLinkScope(req.body);
+    const { error } = scope.error ? scope : await checkChannel(schedule.values);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const values = { ...schedule.values, ...scope.values };
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if ((values.frequency && values.frequency !== current.frequency) || (values.active && !current.active)) {
+      values.next_run_at = nextRun(values.frequency || current.frequency);
+    }
+
+    res.json(await storage.reportSchedules.update(current.id, values));
+  } catch (err) {
+    console.error('Error updating report schedule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete report schedule
+app.delete('/api/reports/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.reportSchedules.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting report schedule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send the report for the last complete period now (the schedule itself is unchanged)
+app.post('/api/reports/:id/send', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const schedule = await storage.reportSchedules.get(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+    const { message, error } = await reports.sendReport(schedule);
+    res.json({ success: !error, error, report: message });
+  } catch (err) {
+    console.error('Error sending report:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List alert rules with their partner, channel and when they last fired
+app.get('/api/alerts', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await storage.alertRules.list());
+  } catch (err) {
+    console.error('Error fetching alert rules:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create alert rule - { name, thresholdPercent, windowMinutes?, minBypasses?, cooldownMinutes?,
+// channelId, partnerId?, codes? }
+app.post('/api/alerts', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const rule = parseAlertRule(req.body);
+    const scope = rule.error ? rule : await parseLinkScope(req.body);
+    const { error } = scope.error ? scope : await checkChannel(rule.values);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const inserted = await storage.alertRules.insert({ ...rule.values, ...scope.values, created_by: req.user.id });
+    console.log(`🚨 Alert rule created: ${inserted.name} (${inserted.threshold_percent}%)`);
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error creating alert rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update an alert rule or pause/resume it
+app.patch('/api/alerts/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const rule = parseAlertRule(req.body, { partial: true });
+    const scope = rule.error ? rule : await parseLinkScope(req.body);
+    const { error } = scope.error ? scope : await checkChannel(rule.values);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const values = { ...rule.values, ...scope.values };
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const updated = await storage.alertRules.update(req.params.id, values);
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating alert rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete alert rule and its firings
+app.delete('/api/alerts/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.alertRules.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting alert rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Recent firings (newest first) with the counts that triggered them and any sending error
+app.get('/api/alerts/:id/firings', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await storage.alertRules.get(req.params.id))) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(await storage.alertFirings.listForRule(req.params.id));
+  } catch (err) {
+    console.error('Error fetching alert firings:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Partner endpoints -----
+const MAX_PARTNER_DOMAINS = 20;
+
+// The allowed domains from a partner request body: `domains` replaces the whole list (the first
+// one is the primary domain), `domain` only the primary one. Returns { domains } (undefined
+// when neither is given) or { error }.
+function parsePartnerDomains(body, current = null) {
+  if (body.domains !== undefined) {
+    if (!Array.isArray(body.domains) || body.domains.length === 0) {
+      return { error: 'domains must be a non-empty list' };
+    }
+    if (body.domains.some(domain => typeof domain !== 'string' || !tokens.hostnameOf(domain))) {
+      return { error: 'domains must be domain names' };
+    }
+    const list = [...new Set(body.domains.map(domain => domain.trim()))];
+    if (list.length > MAX_PARTNER_DOMAINS) {
+      return { error: `A partner can have at most ${MAX_PARTNER_DOMAINS} domains` };
+    }
+    return { domains: list };
+  }
+  if (body.domain !== undefined) {
+    if (typeof body.domain !== 'string' || !tokens.hostnameOf(body.domain)) {
+      return { error: 'domain must be a domain name' };
+    }
+    const domain = body.domain.trim();
+    const others = current ? current.domains.slice(1).filter(other => other !== domain) : [];
+    return { domains: [domain, ...others] };
+  }
+  return { domains: undefined };
+}
+
+// Get partners
+app.get('/api/partners', allowApiKey('partners:manage'), requireAuth, async (req, res) => {
+  try {
+    const partners = await storage.partners.list();
+    res.json(partners.filter(row => auth.allowsPartner(req, row.id)));
+  } catch (err) {
+    console.error('Error fetching partners:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Totals per partner: links, clicks, unique visitors and how many visits were rejected.
+// ?from=&to= limit the clicks and bypasses to a date range (default: all time up to now).
+// bypassRate is the share of visits that were rejected.
+app.get('/api/partners/stats', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const range = analytics.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    const rows = await storage.analytics.forPartners({ from: range.from, to: range.to });
+    res.json({
+      from: range.from,
+      to: range.to,
+      partners: rows.filter(row => auth.allowsPartner(req, row.id)).map(row => ({
+        id: row.id,
+        name: row.name,
+        links: row.links,
+        clicks: row.clicks,
+        humanClicks: row.human,
+        uniqueVisitors: row.visitors,
+        bypasses: row.bypasses,
+        bypassRate: row.clicks + row.bypasses > 0 ? row.bypasses / (row.clicks + row.bypasses) : 0
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching partner stats:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create partner with its allowed domains (`domains`, or a single `domain`), optionally with
+// the branding of its visitor pages (see lib/pages.js)
+app.post('/api/partners', allowApiKey('partners:manage'), requireAuth, requireRole('owner'), async (req, res) => {
+  const { name, allowReferrerFallback } = req.body;
+  if (!name || (!req.body.domain && !req.body.domains)) {
+    return res.status(400).json({ error: 'Name and domain are required' });
+  }
+  const { domains: partnerDomains, error } = parsePartnerDomains(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (req.apiKey && req.apiKey.partner_id) {
+    return res.status(403).json({ error: 'Forbidden: API key is restricted to one partner' });
+  }
+  let branding = null;
+  if (req.body.branding !== undefined && req.body.branding !== null) {
+    const parsed = pages.parseBranding(req.body.branding);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    branding = parsed.branding;
+  }
+
+  try {
+    // The secret is returned once here; owners can look it up or rotate it later
+    const inserted = await storage.partners.insert({
+      name, domain: partnerDomains[0], domains: partnerDomains, secret: tokens.generateSecret(),
+      allow_referrer_fallback: !!allowReferrerFallback, branding
+    });
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error creating partner:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update partner name, domains, referrer fallback or branding. `domains` replaces the whole
+// list and `domain` only the primary domain; `branding` replaces the whole branding and null
+// restores the default pages.
+app.patch('/api/partners/:id', allowApiKey('partners:manage'), requireAuth, requireRole('owner'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { name, domain, allowReferrerFallback } = req.body;
+
+  if (!auth.allowsPartner(req, id)) {
+    return res.status(404).json({ error: 'Partner not found' });
+  }
+  if (name === '' || domain === '') {
+    return res.status(400).json({ error: 'Name and domain cannot be empty' });
+  }
+  let branding;
+  if (req.body.branding !== undefined) {
+    const parsed = req.body.branding === null ? { branding: null } : pages.parseBranding(req.body.branding);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    branding = parsed.branding;
+  }
+
+  try {
+    const current = await storage.partners.get(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    const { domains: partnerDomains, error } = parsePartnerDomains(req.body, current);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let updated = await storage.partners.update(id, {
+      name: name || null,
+      domains: partnerDomains,
+      allow_referrer_fallback: typeof allowReferrerFallback === 'boolean' ? allowReferrerFallback : null
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    if (branding !== undefined) {
+      updated = await storage.partners.setBranding(id, branding);
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating partner:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete partner. Its links stay but lose the partner (each gets a revision), API keys restricted
+// to it are revoked and its partner logins removed. Partners with custom domains must move or
+// remove them first, since domain links always belong to the domain's partner.
+app.delete('/api/partners/:id', allowApiKey('partners:manage'), requireAuth, requireRole('owner'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (req.apiKey && req.apiKey.partner_id) {
+    return res.status(403).json({ error: 'Forbidden: API key is restricted to one partner' });
+  }
+
+  const tx = await storage.begin();
+  try {
+    if (!(await tx.partners.exists(id))) {
+      await tx.rollback();
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    if ((await tx.domains.list()).some(domain => domain.partner_id === id)) {
+      await tx.rollback();
+      return res.status(409).json({ error: 'Partner still has custom domains' });
+    }
+
+    const codes = await tx.urls.codesForPartner(id);
+    for (const code of codes) {
+      const current = await tx.urls.get(code, { forUpdate: true });
+      await updateLink(tx, current, { partner_id: null }, req.user.id, 'partner_deleted');
+    }
+    const revokedKeys = await tx.apiKeys.revokeForPartner(id);
+    const removedUsers = await tx.users.deleteForPartner(id);
+    await tx.partners.softDelete(id);
+    await tx.commit();
+
+    console.log(`🗑️ Partner ${id} deleted: ${codes.length} link(s) detached`);
+    res.json({ success: true, detachedLinks: codes.length, revokedKeys, removedUsers });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error deleting partner:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Render a visitor page with the given (unsaved) branding, for the dashboard preview
+app.post('/api/partners/preview', requireAuth, requireRole('owner'), (req, res) => {
+  const { page, branding } = req.body;
+  if (!pages.PAGES.includes(page)) {
+    return res.status(400).json({ error: `page must be one of: ${pages.PAGES.join(', ')}` });
+  }
+  const parsed = branding ? pages.parseBranding(branding) : { branding: null };
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  res.send(pages.previewPage(page, pages.resolveBranding(parsed.branding)));
+});
+
+// Get the partner's token signing secret (owner session only)
+app.get('/api/partners/:id/secret', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const partner = await storage.partners.get(req.params.id);
+    if (!partner) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    res.json({ id: partner.id, secret: partner.secret });
+  } catch (err) {
+    console.error('Error fetching partner secret:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Rotate the partner's secret - tokens signed with the old one stop working
+app.post('/api/partners/:id/secret', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const rotated = await storage.partners.setSecret(req.params.id, tokens.generateSecret());
+    if (!rotated) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    res.json(rotated);
+  } catch (err) {
+    console.error('Error rotating partner secret:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Custom domains -----
+const domainChecker = domains.createDomainCheckerFromEnv();
+
+// A domains row as the API returns it, with its status and the DNS records it needs
+function describeDomain(domain) {
+  let status = 'pending';
+  if (domain.verified_at) status = 'verified';
+  else if (domain.last_checked_at) status = 'failed';
+  return {
+    id: domain.id,
+    host: domain.host,
+    partnerId: domain.partner_id,
+    partnerName: domain.partner_name,
+    links: domain.links,
+    status,
+    verifiedAt: domain.verified_at,
+    lastCheckedAt: domain.last_checked_at,
+    lastError: domain.last_error,
+    dns: domains.instructions(domain, domainChecker.target)
+  };
+}
+
+// List custom domains (any signed-in user can put links on them; partner users see their own)
+app.get('/api/domains', requireAuth, async (req, res) => {
+  try {
+    const rows = await storage.domains.list();
+    res.json(rows.filter(row => auth.allowsPartner(req, row.partner_id)).map(describeDomain));
+  } catch (err) {
+    console.error('Error fetching domains:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Add a custom domain for a partner; links only resolve on it once its DNS is verified
+app.post('/api/domains', requireAuth, requireRole('owner'), async (req, res) => {
+  const { host, partnerId } = req.body;
+  const normalized = domains.normalizeHost(host);
+
+  if (!normalized) {
+    return res.status(400).json({ error: 'Invalid host name' });
+  }
+  if (normalized === domains.normalizeHost(requestHost(req))) {
+    return res.status(400).json({ error: 'That is this app\'s own host' });
+  }
+  if (!partnerId) {
+    return res.status(400).json({ error: 'Partner is required' });
+  }
+
+  try {
+    if (!(await storage.partners.exists(partnerId))) {
+      return res.status(400).json({ error: 'Partner not found' });
+    }
+    if (await storage.domains.findByHost(normalized)) {
+      return res.status(409).json({ error: 'Domain already exists' });
+    }
+
+    const domain = await storage.domains.insert({
+      host: normalized, partner_id: parseInt(partnerId, 10), verification_token: domains.generateToken()
+    });
+    console.log(`🌐 Domain added: ${normalized}`);
+    res.json(describeDomain(domain));
+  } catch (err) {
+    console.error('Error adding domain:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Check a domain's DNS records now and store the outcome
+app.post('/api/domains/:id/verify', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const domain = await storage.domains.get(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const result = await domainChecker.check(domain);
+    const checked = await storage.domains.recordCheck(domain.id, result);
+    console.log(`🌐 DNS check for ${domain.host}: ${result.verified ? 'verified' : result.error}`);
+    res.json(describeDomain(checked));
+  } catch (err) {
+    console.error('Error verifying domain:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Remove a custom domain that no links use
+app.delete('/api/domains/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (await storage.domains.inUse(req.params.id)) {
+      return res.status(409).json({ error: 'Domain still has links' });
+    }
+    if (!(await storage.domains.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing domain:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List campaigns with their number of links and those links' clicks. Partner-restricted keys
+// and partner users only see campaigns holding their partner's links, and only those counted.
+app.get('/api/campaigns', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const scope = auth.partnerScope(req);
+  try {
+    const rows = await storage.campaigns.list({ partnerId: scope });
+    res.json(scope ? rows.filter(row => row.links > 0) : rows);
+  } catch (err) {
+    console.error('Error listing campaigns:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create campaign (owner/editor); names are unique regardless of case
+app.post('/api/campaigns', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  if (req.apiKey && req.apiKey.partner_id) {
+    return res.status(403).json({ error: 'Forbidden: API key is restricted to one partner' });
+  }
+  const { values, error } = campaigns.parseCampaign(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (await storage.campaigns.findByName(values.name)) {
+      return res.status(409).json({ error: 'A campaign with this name already exists' });
+    }
+    const inserted = await storage.campaigns.insert({ ...values, created_by: req.user.id });
+    console.log(`🗂️ Campaign created: ${inserted.name}`);
+    res.json(inserted);
+  } catch (err) {
+    console.error('Error creating campaign:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Rename a campaign or change its description (owner, or the editor who created it)
+app.patch('/api/campaigns/:id', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  if (req.apiKey && req.apiKey.partner_id) {
+    return res.status(403).json({ error: 'Forbidden: API key is restricted to one partner' });
+  }
+  const { values, error } = campaigns.parseCampaign(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const current = await storage.campaigns.get(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    // Same rule as for links
+    if (!auth.canManageLink(req.user, current)) {
+      return res.status(403).json({ error: 'Forbidden: You can only manage your own campaigns' });
+    }
+    if (values.name) {
+      const existing = await storage.campaigns.findByName(values.name);
+      if (existing && existing.id !== id) {
+        return res.status(409).json({ error: 'A campaign with this name already exists' });
+      }
+    }
+
+    res.json(await storage.campaigns.update(id, values));
+  } catch (err) {
+    console.error('Error updating campaign:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete campaign (owner, or the editor who created it). Its links stay but leave the
+// campaign, each with a revision.
+app.delete('/api/campaigns/:id', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  if (req.apiKey && req.apiKey.partner_id) {
+    return res.status(403).json({ error: 'Forbidden: API key is restricted to one partner' });
+  }
+
+  const tx = await storage.begin();
+  try {
+    const current = await tx.campaigns.get(id);
+    if (!current) {
+      await tx.rollback();
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!auth.canManageLink(req.user, current)) {
+      await tx.rollback();
+      return res.status(403).json({ error: 'Forbidden: You can only manage your own campaigns' });
+    }
+
+    const codes = await tx.urls.codesForCampaign(id);
+    for (const code of codes) {
+      const link = await tx.urls.get(code, { forUpdate: true });
+      await updateLink(tx, link, { campaign_id: null }, req.user.id, 'campaign_deleted');
+    }
+    await tx.campaigns.delete(id);
+    await tx.commit();
+
+    console.log(`🗑️ Campaign ${id} deleted: ${codes.length} link(s) detached`);
+    res.json({ success: true, detachedLinks: codes.length });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error deleting campaign:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get analytics for all links of a campaign together, with the same ?from=&to=&interval= as
+// for one link. linkStats has each link's clicks in the range, most clicked first.
+app.get('/api/campaigns/:id/analytics', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  const range = analytics.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  // Partner-restricted keys and partner users only get their partner's links
+  const scope = auth.partnerScope(req);
+  try {
+    const campaign = await storage.campaigns.get(id);
+    const { rows } = await storage.urls.list({ campaignId: id, ...(scope ? { partnerId: scope } : {}) });
+    if (!campaign || (scope && rows.length === 0)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const stats = await storage.analytics.forCampaign(id, { ...range, partnerId: scope });
+    const counts = new Map(stats.links.map(row => [row.code, row]));
+    const linkStats = rows
+      .map(row => attributedClicks(stats, {
+        code: row.code,
+        title: row.title,
+        url: row.url,
+        shortUrl: shortUrl(req, row.code, row.domain_id ? { id: row.domain_id, host: row.domain_host } : null)
+      }, counts.get(row.code)))
+      .sort((a, b) => b.clicks - a.clicks);
+
+    console.log(`✅ Returning analytics for campaign ${id}:`, stats.totals);
+    res.json({
+      campaign: { id: campaign.id, name: campaign.name, description: campaign.description },
+      ...analyticsResponse(stats, range),
+      linkStats
+    });
+  } catch (err) {
+    console.error('Error fetching campaign analytics:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// A urls row from urls.list() as the API shows it
+function linkSummary(req, row) {
+  return {
+    code: row.code,
+    url: row.url,
+    created: row.created,
+    clicks: row.clicks,
+    humanClicks: row.human_clicks,
+    uniqueClicks: row.unique_clicks,
+    bypasses: row.bypass_count,
+    partnerId: row.partner_id,
+    partnerName: row.partner_name,
+    partnerDomain: row.partner_domain,
+    expiresAt: row.expires_at,
+    startsAt: row.starts_at,
+    maxClicks: row.max_clicks,
+    maxUniqueClicks: row.max_unique_clicks,
+    hasPassword: Boolean(row.password_hash),
+    paused: row.paused,
+    state: linkState(row),
+    forwardQuery: row.forward_query,
+    utm: row.utm,
+    title: row.title,
+    notes: row.notes,
+    tags: row.tags,
+    campaignId: row.campaign_id,
+    campaignName: row.campaign_name,
+    rotation: row.rotation,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    slug: domains.parseLinkKey(row.code).code,
+    domainId: row.domain_id,
+    domainHost: row.domain_host,
+    shortUrl: shortUrl(req, row.code, row.domain_id ? { id: row.domain_id, host: row.domain_host } : null),
+    canManage: auth.canManageLink(req.user, row)
+  };
+}
+
+// List URLs a page at a time, with search, filters and sorting (see lib/listing.js).
+// nextCursor is null on the last page; total counts every link matching the filters.
+app.get('/api/urls', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const parsed = listing.parseListQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const filters = parsed.filters;
+
+  // Partner-restricted keys and partner users only get their partner's links
+  const scope = auth.partnerScope(req);
+  if (scope) {
+    if (filters.partnerId !== undefined && filters.partnerId !== scope) {
+      return res.json({ urls: [], total: 0, nextCursor: null });
+    }
+    filters.partnerId = scope;
+  }
+
+  try {
+    // One link more than asked for tells whether there is a next page
+    const { rows, total } = await storage.urls.list({ ...filters, limit: filters.limit + 1 });
+    const page = rows.slice(0, filters.limit);
+    res.json({
+      urls: page.map(row => linkSummary(req, row)),
+      total,
+      nextCursor: rows.length > filters.limit ? listing.encodeCursor(page[page.length - 1], filters) : null
+    });
+  } catch (err) {
+    console.error('Error fetching URLs:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get one URL as the list shows it
+app.get('/api/urls/:code', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  try {
+    const { rows: [row] } = await storage.urls.list({ code: req.params.code });
+    if (!row || !auth.allowsPartner(req, row.partner_id)) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+
+    res.json(linkSummary(req, row));
+  } catch (err) {
+    console.error('Error fetching URL:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The analytics endpoints' response for `stats` from storage.analytics within `range`
+function analyticsResponse(stats, range) {
+  // Group full referrer URLs by domain
+  const referrerCounts = {};
+  stats.breakdowns.referrer.forEach(row => {
+    const domain = analytics.referrerDomain(row.referrer);
+    referrerCounts[domain] = (referrerCounts[domain] || 0) + row.count;
+  });
+  const referrerStats = Object.entries(referrerCounts)
+    .map(([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    range: { from: range.from, to: range.to, interval: range.interval },
+    // clicks = raw hits, humanClicks = without bots, uniqueClicks = humans once per window
+    totals: {
+      clicks: stats.totals.clicks,
+      humanClicks: stats.totals.human,
+      uniqueClicks: stats.totals.unique,
+      bypasses: stats.totals.bypasses
+    },
+    timeSeries: analytics.fillSeries({
+      clicks: stats.clickSeries,
+      humanClicks: stats.clickSeries.map(row => ({ bucket: row.bucket, count: row.human })),
+      uniqueClicks: stats.clickSeries.map(row => ({ bucket: row.bucket, count: row.unique })),
+      bypasses: stats.bypassSeries
+    }, range),
+    recentClicks: stats.recentClicks,
+    countryStats: stats.breakdowns.country,
+    deviceStats: stats.breakdowns.device,
+    browserStats: stats.breakdowns.browser,
+    osStats: stats.breakdowns.os,
+    cityStats: stats.breakdowns.city,
+    referrerStats,
+    utmSourceStats: stats.breakdowns.utm_source,
+    utmMediumStats: stats.breakdowns.utm_medium,
+    utmCampaignStats: stats.breakdowns.utm_campaign,
+    sourceStats: stats.breakdowns.source,
+    botStats: stats.bots,
+    bypassAttempts: stats.recentBypasses
+  };
+}
+
+// Clicks in the range attributed to one destination, rule or link; share is a percentage of the range's clicks
+function attributedClicks(stats, fields, row = { count: 0, human: 0, unique: 0 }) {
+  return {
+    ...fields,
+    clicks: row.count,
+    humanClicks: row.human,
+    uniqueClicks: row.unique,
+    share: stats.totals.clicks ? Math.round(row.count / stats.totals.clicks * 1000) / 10 : 0
+  };
+}
+
+// Get analytics for a specific URL.
+// ?from=&to= limit everything to a date range (default: all time up to now) and
+// ?interval=hour|day|week sets the time-series bucket size (default day).
+app.get('/api/analytics/:code', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const { code } = req.params;
+
+  const range = analytics.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    console.log(`📊 Fetching analytics for code: ${code}`);
+
+    // First verify the URL exists
+    const link = await storage.urls.get(code);
+    if (!link || !auth.allowsPartner(req, link.partner_id)) {
+      console.log(`❌ URL not found: ${code}`);
+      return res.status(404).json({ error: 'URL not found' });
+    }
+
+    const stats = await storage.analytics.forLink(code, range);
+    const entry = (fields, row) => attributedClicks(stats, fields, row);
+
+    // Rotator links: each destination's clicks next to its settings. totalClicks is the
+    // all-time count its cap applies to. Clicks that got the link's own url (everything
+    // capped, or a routing rule matched) come last.
+    const destinationStats = [];
+    if (link.rotation) {
+      const counts = new Map(stats.destinations.map(row => [row.destination_id, row]));
+      (await storage.destinations.listForCode(code)).forEach(d => {
+        destinationStats.push(entry({
+          id: d.id, url: d.url, weight: d.weight, clickCap: d.click_cap, fallback: d.is_fallback, totalClicks: d.clicks
+        }, counts.get(d.id)));
+      });
+      if (counts.has(null)) {
+        destinationStats.push(entry({ id: null, url: link.url, default: true }, counts.get(null)));
+      }
+    }
+
+    // Routing rules: which rule the clicks matched, and how many matched none (the default)
+    const ruleStats = [];
+    const linkRules = await storage.rules.listForCode(code);
+    if (linkRules.length > 0) {
+      const counts = new Map(stats.rules.map(row => [row.rule_id, row]));
+      linkRules.forEach(rule => {
+        ruleStats.push(entry({ id: rule.id, name: rule.name, url: rule.url, conditions: rule.conditions }, counts.get(rule.id)));
+      });
+      ruleStats.push(entry({ id: null, name: 'Default', url: link.url, default: true }, counts.get(null)));
+    }
+
+    const response = {
+      ...analyticsResponse(stats, range),
+      destinationStats,
+      ruleStats
+    };
+
+    console.log(`✅ Returning analytics for ${code}:`, response.totals);
+
+    res.json(response);
+  } catch (err) {
+    console.error('❌ Error fetching analytics:', err);
+    res.status(500).json({ 
+      error: 'Database error', 
+      message: err.message,
+      code: code 
+    });
+  }
+});
+
+// Create short URL (owner/editor)
+app.post('/api/shorten', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const tx = await storage.begin();
+  try {
+    const result = await createLink(tx, req.body, req);
+    if (result.error) {
+      await tx.rollback();
+      return res.status(result.status).json({ error: result.error });
+    }
+    await tx.commit();
+    announceLinks('link.created', [result.code]);
+
+    res.json({ code: result.code, shortUrl: shortUrl(req, result.code, result.domain) });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error creating short URL:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create many short URLs in one transaction (owner/editor).
+// Every row is attempted so all errors are reported; with allOrNothing (default)
+// nothing is saved unless every row succeeds.
+app.post('/api/shorten/bulk', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const { links, allOrNothing = true } = req.body;
+
+  if (!Array.isArray(links) || links.length === 0) {
+    return res.status(400).json({ error: 'links must be a non-empty array' });
+  }
+  if (links.length > MAX_BULK_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_ROWS} links per request` });
+  }
+
+  const tx = await storage.begin();
+  try {
+
+    const results = await forEachRowInSavepoint(tx, links, async (link) => {
+      const result = await createLink(tx, link || {}, req);
+      if (result.error) return result;
+      return { code: result.code, shortUrl: shortUrl(req, result.code, result.domain) };
+    });
+
+    const errors = results.filter(r => r.error);
+    if (errors.length > 0 && allOrNothing) {
+      await tx.rollback();
+      return res.status(400).json({ created: 0, errors, results });
+    }
+
+    await tx.commit();
+    announceLinks('link.created', results.filter(r => r.code).map(r => r.code));
+    res.json({ created: results.length - errors.length, errors, results });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error creating short URLs in bulk:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete URL (owner, or the editor who created it)
+app.delete('/api/urls/:code', requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const existing = await storage.urls.get(code);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+    if (!auth.canManageLink(req.user, existing)) {
+      return res.status(403).json({ error: 'Forbidden: You can only manage your own links' });
+    }
+
+    await storage.urls.delete(code);
+    webhooks.emitMany('link.deleted', [linkEvent(existing)]);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting URL:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Edit URL: destination, partner, expiry, code, rotator destinations, routing rules and the
+// lifecycle settings, title, notes, tags and campaign (owner, or the editor who created it).
+// `destinations: []` (or `rotation: null`) turns a rotator back into a plain link; `rules: []`
+// removes the routing rules, `password: null` the password and `campaignId: null` the campaign. `code` is the code on the link's domain and
+// `domainId` moves the link to another custom domain (null: the app's own host).
+app.patch('/api/urls/:code', allowApiKey('shorten'), requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const { code } = req.params;
+  const body = req.body;
+  const updates = {};
+  let destinations = null;
+  let rules = null;
+
+  if (body.url !== undefined) {
+    if (typeof body.url !== 'string' || !body.url.match(/^https?:\/\/.+/)) {
+      return res.status(400).json({ error: 'Invalid URL' });
+    }
+    updates.url = body.url;
+  }
+  if (body.code !== undefined) {
+    if (typeof body.code !== 'string' || !CODE_PATTERN.test(body.code)) {
+      return res.status(400).json({ error: 'Invalid code: use up to 50 letters, digits, "-" or "_"' });
+    }
+  }
+  let domainId;
+  if (body.domainId !== undefined) {
+    domainId = body.domainId ? parseInt(body.domainId, 10) : null;
+    if (domainId !== null && isNaN(domainId)) {
+      return res.status(400).json({ error: 'Invalid domain' });
+    }
+  }
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt && isNaN(new Date(body.expiresAt).getTime())) {
+      return res.status(400).json({ error: 'Invalid expiry date' });
+    }
+    updates.expires_at = body.expiresAt ? new Date(body.expiresAt) : null;
+  }
+  if (body.partnerId !== undefined) {
+    updates.partner_id = body.partnerId ? parseInt(body.partnerId, 10) : null;
+    if (updates.partner_id !== null && isNaN(updates.partner_id)) {
+      return res.status(400).json({ error: 'Invalid partner' });
+    }
+  }
+  if (body.campaignId !== undefined) {
+    updates.campaign_id = body.campaignId ? parseInt(body.campaignId, 10) : null;
+    if (updates.campaign_id !== null && isNaN(updates.campaign_id)) {
+      return res.status(400).json({ error: 'Invalid campaign' });
+    }
+  }
+  if (body.rotation !== undefined) {
+    if (body.rotation !== null && !rotator.ROTATIONS.includes(body.rotation)) {
+      return res.status(400).json({ error: `rotation must be one of: ${rotator.ROTATIONS.join(', ')}` });
+    }
+    updates.rotation = body.rotation;
+  }
+  if (body.destinations !== undefined) {
+    if (body.destinations === null || (Array.isArray(body.destinations) && body.destinations.length === 0)) {
+      destinations = [];
+    } else {
+      const parsed = rotator.parseDestinations(body.destinations);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      destinations = parsed.destinations;
+    }
+  }
+  if (updates.rotation === null) {
+    if (destinations && destinations.length > 0) {
+      return res.status(400).json({ error: 'destinations need a rotation' });
+    }
+    destinations = [];
+  }
+  if (destinations && destinations.length === 0) updates.rotation = null;
+  if (body.rules !== undefined) {
+    const parsed = routing.parseRules(body.rules === null ? [] : body.rules);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    rules = parsed.rules;
+  }
+  const lifecycle = await parseLifecycle(body);
+  if (lifecycle.error) {
+    return res.status(400).json({ error: lifecycle.error });
+  }
+  Object.assign(updates, lifecycle.values);
+  const queryOptions = parseQueryOptions(body);
+  if (queryOptions.error) {
+    return res.status(400).json({ error: queryOptions.error });
+  }
+  Object.assign(updates, queryOptions.values);
+  const details = campaigns.parseDetails(body);
+  if (details.error) {
+    return res.status(400).json({ error: details.error });
+  }
+  Object.assign(updates, details.values);
+  if (Object.keys(updates).length === 0 && body.code === undefined && domainId === undefined && !destinations && !rules) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const tx = await storage.begin();
+  try {
 
-        // Show bypass detected page
-        return res.status(403).send(`
-          <!DOCTYPE html>
-          <html lang="en">
-          <head>
-              <meta charset="UTF-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <title>Bypass Detected</title>
-              <style>
-                  * { margin:0; padding:0; box-sizing:border-box; }
-                  body {
-                      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                      color: white;
-                      display: flex;
-                      justify-content: center;
-                      align-items: center;
-                      height: 100vh;
-                      margin: 0;
-                      padding: 20px;
-                  }
-                  .warning-box {
-                      max-width: 640px;
-                      padding: 48px;
-                      border-radius: 24px;
-                      background: rgba(255, 255, 255, 0.1);
-                      backdrop-filter: blur(20px);
-                      border: 1px solid rgba(255, 255, 255, 0.2);
-                      text-align: center;
-                      box-shadow: 0 20px 60px rgba(0,0,0,0.4);
-                  }
-                  h1 { 
-                      font-size: 3rem; 
-                      margin: 0 0 1.5rem 0; 
-                  }
-                  p { 
-                      font-size: 1.2rem; 
-                      opacity: 0.95; 
-                      line-height: 1.7;
-                      margin: 0 0 2rem 0;
-                  }
-                  .credit {
-                      margin-top: 2.5rem;
-                      padding-top: 2rem;
-                      border-top: 1px solid rgba(255, 255, 255, 0.2);
-                      font-weight: 700;
-                      font-size: 1rem;
-                  }
-                  .credit a {
-                      color: white;
-                      text-decoration: none;
-                      transition: opacity 0.3s;
-                  }
-                  .credit a:hover {
-                      opacity: 0.7;
-                  }
-              </style>
-          </head>
-          <body>
-              <div class="warning-box">
-                  <h1>⚠️ Bypass Detected</h1>
-                  <p>
-                      Access denied. Please don't bypass the link.<br>
-                      <strong>X</strong><br>
-                      
-                  </p>
-                  <div class="credit">
-                      Developed by <a href="https://t.me/RSCBots" target="_blank" rel="noopener noreferrer">@RSCBots</a>
-                  </div>
-              </div>
-          </body>
-          </html>
-        `);
+    const current = await tx.urls.get(code, { forUpdate: true });
+    if (!current || !auth.allowsPartner(req, current.partner_id)) {
+      await tx.rollback();
+      return res.status(404).json({ error: 'URL not found' });
+    }
+    if (!auth.canManageLink(req.user, current)) {
+      await tx.rollback();
+      return res.status(403).json({ error: 'Forbidden: You can only manage your own links' });
+    }
+    // The key changes with the code or the domain; a domain link belongs to the domain's partner
+    let domain = null;
+    if (domainId !== undefined) {
+      domain = domainId ? await tx.domains.get(domainId) : null;
+      if (domainId && !domain) {
+        await tx.rollback();
+        return res.status(400).json({ error: 'Domain not found' });
+      }
+      updates.domain_id = domainId;
+      if (domain && updates.partner_id === undefined) updates.partner_id = domain.partner_id;
+    } else if (current.domain_id) {
+      domain = await tx.domains.get(current.domain_id);
+    }
+    if (domain && updates.partner_id !== undefined && updates.partner_id !== domain.partner_id) {
+      await tx.rollback();
+      return res.status(400).json({ error: 'The domain belongs to another partner' });
+    }
+    if (body.code !== undefined || domainId !== undefined) {
+      const slug = body.code !== undefined ? body.code : domains.parseLinkKey(code).code;
+      updates.code = domains.linkKey(slug, domain ? domain.id : null);
+      if (!updates.code) {
+        await tx.rollback();
+        return res.status(400).json({ error: 'Code is too long for this domain' });
+      }
+    }
+    if (updates.partner_id !== undefined && !auth.allowsPartner(req, updates.partner_id)) {
+      await tx.rollback();
+      return res.status(403).json({ error: 'Forbidden: API key is restricted to another partner' });
+    }
+    if (updates.partner_id) {
+      if (!(await tx.partners.exists(updates.partner_id))) {
+        await tx.rollback();
+        return res.status(400).json({ error: 'Partner not found' });
+      }
+    }
+    if (updates.campaign_id) {
+      if (!(await tx.campaigns.get(updates.campaign_id))) {
+        await tx.rollback();
+        return res.status(400).json({ error: 'Campaign not found' });
+      }
+    }
+    if (updates.code && updates.code !== code) {
+      if (await tx.urls.exists(updates.code)) {
+        await tx.rollback();
+        return res.status(409).json({ error: 'Code already exists' });
+      }
+    }
+    // A link rotates exactly when it has destinations
+    if (destinations && destinations.length > 0 && !updates.rotation && !current.rotation) {
+      updates.rotation = 'weighted';
+    }
+    if (updates.rotation && !current.rotation && !destinations) {
+      await tx.rollback();
+      return res.status(400).json({ error: 'rotation needs destinations' });
+    }
+    if (updates.starts_at !== undefined || updates.expires_at !== undefined) {
+      const startsAt = updates.starts_at !== undefined ? updates.starts_at : current.starts_at;
+      const expiresAt = updates.expires_at !== undefined ? updates.expires_at : current.expires_at;
+      if (startsAt && expiresAt && new Date(startsAt) >= new Date(expiresAt)) {
+        await tx.rollback();
+        return res.status(400).json({ error: 'The start must be before the expiry' });
       }
     }
 
-    // Parse user agent
-    const { device, browser, os } = parseUserAgent(userAgent);
+    const result = await updateLink(tx, current, updates, req.user.id, 'update', { destinations, rules });
+    await tx.commit();
+    // Webhooks filtered on the old code now list the new one
+    if (result.changes.code) await webhooks.load();
+
+    res.json({
+      code: result.code,
+      shortUrl: shortUrl(req, result.code, domain),
+      changes: result.changes
+    });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error updating URL:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get the revision history of a URL (newest first)
+app.get('/api/urls/:code/revisions', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const link = await storage.urls.get(code);
+    if (!link || !auth.allowsPartner(req, link.partner_id)) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+
+    res.json(await storage.revisions.listForCode(code));
+  } catch (err) {
+    console.error('Error fetching revisions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send the QR code of a URL as PNG or SVG, with the options in `input` (see lib/qr.js). Scans
+// are recorded with source "qr"; download=1 sends it as a file. Partner links get none: a scan
+// has no referrer, and partner tokens are single-use, so no printed code could pass the check.
+async function sendQr(req, res, input) {
+  const { code } = req.params;
+  const parsed = qr.parseOptions(input);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const options = parsed.options;
+
+  try {
+    const link = await storage.urls.get(code);
+    if (!link || !auth.allowsPartner(req, link.partner_id)) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+    if (link.partner_id) {
+      return res.status(400).json({ error: 'Partner links need a token from the partner\'s site, so they have no QR code' });
+    }
+    const domain = link.domain_id ? await storage.domains.get(link.domain_id) : null;
+    const modules = qr.encode(`${shortUrl(req, code, domain)}?${params.SOURCE_PARAM}=qr`, options.ecc);
 
-    // Record click (async location) - IMPROVED ERROR HANDLING
-    getLocationFromIP(ip).then(async (location) => {
+    let logo = options.logo;
+    if (logo && options.format === 'png') {
       try {
-        await pool.query(
-          `INSERT INTO clicks (code, ip_address, country, city, region, user_agent, device, browser, os, referrer, clicked_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
-          [code, ip, location.country, location.city, location.region, userAgent, device, browser, os, referrer]
-        );
-
-        await pool.query('UPDATE urls SET clicks = clicks + 1 WHERE code = $1', [code]);
-        console.log(`✅ Click recorded for ${code} from ${location.city}, ${location.country}`);
+        logo = qr.decodePng(logo.data);
       } catch (err) {
-        console.error('❌ Error recording click:', err);
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
+    const { code: slug } = domains.parseLinkKey(code);
+    if (input.download === '1' || input.download === 'true' || input.download === true) {
+      res.attachment(`${slug}-qr.${options.format}`);
+    }
+    if (options.format === 'svg') {
+      res.type('image/svg+xml').send(qr.toSvg(modules, { ...options, logo }));
+    } else {
+      res.type('image/png').send(qr.toPng(modules, { ...options, logo }));
+    }
+  } catch (err) {
+    console.error('Error generating QR code:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Get the QR code of a URL, with the options in the query string
+app.get('/api/urls/:code/qr', allowApiKey('analytics:read'), requireAuth, (req, res) => sendQr(req, res, req.query));
+
+// Get the QR code of a URL, with the options in a JSON body (for logos too big for a URL)
+app.post('/api/urls/:code/qr', allowApiKey('analytics:read'), requireAuth, (req, res) => sendQr(req, res, req.body || {}));
+
+// Get the destinations of a rotator link in rotation order, with their all-time click counts
+app.get('/api/urls/:code/destinations', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const link = await storage.urls.get(code);
+    if (!link || !auth.allowsPartner(req, link.partner_id)) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+
+    res.json({ rotation: link.rotation, destinations: await storage.destinations.listForCode(code) });
+  } catch (err) {
+    console.error('Error fetching destinations:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get the routing rules of a URL in the order they are tried
+app.get('/api/urls/:code/rules', allowApiKey('analytics:read'), requireAuth, async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const link = await storage.urls.get(code);
+    if (!link || !auth.allowsPartner(req, link.partner_id)) {
+      return res.status(404).json({ error: 'URL not found' });
+    }
+
+    res.json(await storage.rules.listForCode(code));
+  } catch (err) {
+    console.error('Error fetching rules:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Roll the destination back to what it was before the given revision
+app.post('/api/urls/:code/revisions/:id/restore', requireAuth, requireRole('owner', 'editor'), async (req, res) => {
+  const { code } = req.params;
+  const revisionId = parseInt(req.params.id, 10);
+
+  const tx = await storage.begin();
+  try {
+
+    const current = await tx.urls.get(code, { forUpdate: true });
+    if (!current) {
+      await tx.rollback();
+      return res.status(404).json({ error: 'URL not found' });
+    }
+    if (!auth.canManageLink(req.user, current)) {
+      await tx.rollback();
+      return res.status(403).json({ error: 'Forbidden: You can only manage your own links' });
+    }
+
+    const revision = await tx.revisions.get(revisionId, code);
+    if (!revision) {
+      await tx.rollback();
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const { changes } = revision;
+    if (!changes.url) {
+      await tx.rollback();
+      return res.status(400).json({ error: 'This revision did not change the destination' });
+    }
+
+    const result = await updateLink(tx, current, { url: changes.url.from }, req.user.id, 'rollback');
+    await tx.commit();
+
+    res.json({ code, url: changes.url.from, changes: result.changes });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error('Error restoring revision:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ----- Import / export -----
+// Everything an import needs to restore the links and partners on another install. Ids of
+// campaigns and custom domains are kept, so those have to exist there first; created_by,
+// click history, rotator destinations and routing rules aren't exported.
+const EXPORT_COLUMNS = {
+  urls: [
+    'code', 'url', 'partner_id', 'expires_at', 'created', 'clicks', 'human_clicks', 'unique_clicks',
+    'domain_id', 'campaign_id', 'title', 'notes', 'tags', 'paused', 'starts_at', 'max_clicks',
+    'max_unique_clicks', 'password_hash', 'rotation', 'forward_query', 'utm'
+  ],
+  partners: ['id', 'name', 'domain', 'domains', 'secret', 'allow_referrer_fallback', 'branding']
+};
+// Like GET /api/partners/:id/secret, signing secrets (and link password hashes) are for owners only
+const OWNER_EXPORT_COLUMNS = ['secret', 'password_hash'];
+// CSV carries these as JSON and booleans as "true" / "false"
+const JSON_EXPORT_COLUMNS = ['tags', 'utm', 'domains', 'branding'];
+const BOOLEAN_EXPORT_COLUMNS = ['paused', 'forward_query', 'allow_referrer_fallback'];
+// As written by auth.hashPassword() and tokens.generateSecret()
+const PASSWORD_HASH_PATTERN = /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/;
+const PARTNER_SECRET_PATTERN = /^[0-9a-f]{64}$/;
+
+// Export the urls or partners table as JSON (default) or CSV
+app.get('/api/export/:table', requireAuth, requireRole('owner', 'editor', 'viewer'), async (req, res) => {
+  const { table } = req.params;
+  const format = req.query.format || 'json';
+
+  if (!EXPORT_COLUMNS[table]) {
+    return res.status(404).json({ error: 'Unknown table' });
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'Format must be json or csv' });
+  }
+  const columns = EXPORT_COLUMNS[table]
+    .filter(col => req.user.role === 'owner' || !OWNER_EXPORT_COLUMNS.includes(col));
+
+  try {
+    const all = table === 'urls' ? await storage.urls.all() : await storage.partners.all();
+    const rows = all.map(row => {
+      const picked = {};
+      columns.forEach(col => {
+        const value = row[col] === undefined ? null : row[col];
+        picked[col] = format === 'csv' && value !== null && JSON_EXPORT_COLUMNS.includes(col) ? JSON.stringify(value) : value;
+      });
+      return picked;
+    });
+    const filename = `${table}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      res.type('text/csv').send(csv.stringify(rows, columns));
+    } else {
+      res.json(rows);
+    }
+  } catch (err) {
+    console.error(`Error exporting ${table}:`, err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Import (upsert) urls by code or partners by id from a JSON array or CSV body, in the export's
+// columns. Like bulk create, every row is attempted and allOrNothing (default) rolls back on any error.
+app.post('/api/import/:table', requireAuth, requireRole('owner'), async (req, res) => {
+  const { table } = req.params;
+  const allOrNothing = req.query.allOrNothing !== 'false';
+
+  if (!EXPORT_COLUMNS[table]) {
+    return res.status(404).json({ error: 'Unknown table' });
+  }
+
+  let rows;
+  try {
+    rows = typeof req.body === 'string' ? csv.parse(req.body) : req.body;
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'Body must be a non-empty JSON array or CSV file' });
+  }
+
+  const tx = await storage.begin();
+  try {
+
+    const importRow = table === 'urls' ? importUrlRow : importPartnerRow;
+    const results = await forEachRowInSavepoint(tx, rows, row => {
+      const decoded = decodeImportRow(row || {});
+      return decoded.error ? decoded : importRow(tx, decoded.row, req.user);
+    });
+
+    const errors = results.filter(r => r.error);
+    if (errors.length > 0 && allOrNothing) {
+      await tx.rollback();
+      return res.status(400).json({ imported: 0, errors, results });
+    }
+
+    if (table === 'partners') {
+      // Keep the id sequence ahead of explicitly imported ids
+      await tx.partners.resetIdSequence();
+    }
+
+    await tx.commit();
+    if (table === 'urls') {
+      announceLinks('link.created', results.filter(r => r.action === 'created').map(r => r.code));
+    }
+    res.json({ imported: results.length - errors.length, errors, results });
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    console.error(`Error importing ${table}:`, err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Undo the CSV encoding of an imported row (JSON bodies already have real values).
+// Returns { row } or { error }.
+function decodeImportRow(row) {
+  const decoded = { ...row };
+  for (const col of JSON_EXPORT_COLUMNS) {
+    if (typeof decoded[col] !== 'string') continue;
+    try {
+      decoded[col] = JSON.parse(decoded[col]);
+    } catch (err) {
+      return { error: `Invalid ${col}` };
+    }
+  }
+  for (const col of BOOLEAN_EXPORT_COLUMNS) {
+    if (decoded[col] === 'true' || decoded[col] === 'false') decoded[col] = decoded[col] === 'true';
+  }
+  return { row: decoded };
+}
+
+// Insert or update one urls row. Columns left out of the row keep their current value (new
+// links get the defaults), except partner_id and expires_at; created and the click counts are
+// only taken for new links.
+async function importUrlRow(tx, row, user) {
+  const { code, url } = row;
+  const partnerId = row.partner_id ? parseInt(row.partner_id, 10) : null;
+  const expiresAt = row.expires_at || null;
+
+  if (!code || !domains.validKey(code)) {
+    return { error: 'Invalid code' };
+  }
+  if (!url || !String(url).match(/^https?:\/\/.+/)) {
+    return { error: 'Invalid URL' };
+  }
+  if (row.partner_id && isNaN(partnerId)) {
+    return { error: 'Invalid partner_id' };
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return { error: 'Invalid expires_at' };
+  }
+  if (row.created && isNaN(new Date(row.created).getTime())) {
+    return { error: 'Invalid created' };
+  }
+  const counts = {};
+  for (const col of ['clicks', 'human_clicks', 'unique_clicks']) {
+    const count = row[col] === undefined || row[col] === null ? 0 : Number(row[col]);
+    if (!Number.isInteger(count) || count < 0) return { error: `Invalid ${col}` };
+    counts[col] = count;
+  }
+
+  // The settings the link API takes, validated the same way under their column names
+  const lifecycle = await parseLifecycle({
+    startsAt: row.starts_at,
+    maxClicks: row.max_clicks,
+    maxUniqueClicks: row.max_unique_clicks,
+    paused: row.paused === null ? false : row.paused
+  });
+  if (lifecycle.error) return { error: lifecycle.error };
+  const queryOptions = parseQueryOptions({
+    forwardQuery: row.forward_query === null ? false : row.forward_query,
+    utm: row.utm
+  });
+  if (queryOptions.error) return { error: queryOptions.error };
+  const details = campaigns.parseDetails({ title: row.title, notes: row.notes, tags: row.tags });
+  if (details.error) return { error: details.error };
+  const settings = { ...lifecycle.values, ...queryOptions.values, ...details.values };
+
+  if (settings.starts_at && expiresAt && settings.starts_at >= new Date(expiresAt)) {
+    return { error: 'The start must be before the expiry' };
+  }
+  if (row.rotation !== undefined) {
+    if (row.rotation !== null && !rotator.ROTATIONS.includes(row.rotation)) {
+      return { error: `rotation must be one of: ${rotator.ROTATIONS.join(', ')}` };
+    }
+    settings.rotation = row.rotation;
+  }
+  if (row.password_hash !== undefined) {
+    if (row.password_hash !== null && !PASSWORD_HASH_PATTERN.test(row.password_hash)) {
+      return { error: 'Invalid password_hash' };
+    }
+    settings.password_hash = row.password_hash;
+  }
+  if (row.campaign_id !== undefined) {
+    const campaignId = row.campaign_id === null ? null : Number(row.campaign_id);
+    if (campaignId !== null && (!Number.isInteger(campaignId) || campaignId < 1)) {
+      return { error: 'Invalid campaign_id' };
+    }
+    if (campaignId && !(await tx.campaigns.get(campaignId))) return { error: 'Campaign not found' };
+    settings.campaign_id = campaignId;
+  }
+
+  if (partnerId) {
+    if (!(await tx.partners.exists(partnerId))) return { error: 'Partner not found' };
+  }
+  // Codes of custom domain links ("<code>~<domain id>") need that domain, and its partner
+  const { domainId } = domains.parseLinkKey(code);
+  if (row.domain_id !== undefined && (row.domain_id === null ? null : Number(row.domain_id)) !== domainId) {
+    return { error: 'domain_id does not match the code' };
+  }
+  if (domainId) {
+    const domain = await tx.domains.get(domainId);
+    if (!domain) return { error: 'Domain not found' };
+    if (partnerId !== domain.partner_id) return { error: 'The domain belongs to another partner' };
+  }
+
+  const existing = await tx.urls.get(code);
+  if (existing) {
+    const updates = { url, partner_id: partnerId, expires_at: expiresAt ? new Date(expiresAt) : null, ...settings };
+    const { changes } = await updateLink(tx, existing, updates, user.id, 'import');
+    return { code, action: Object.keys(changes).length > 0 ? 'updated' : 'unchanged' };
+  }
+
+  await tx.urls.insert({
+    code, url, created: row.created || null, ...counts, partner_id: partnerId, expires_at: expiresAt,
+    created_by: user.id, domain_id: domainId, ...settings
+  });
+  return { code, action: 'created' };
+}
+
+// Insert or update one partners row (matched by id when given). `domains` replaces the whole
+// list and `domain` only the primary one; new partners without a secret get a fresh one.
+async function importPartnerRow(tx, row) {
+  const { name } = row;
+  const id = row.id ? parseInt(row.id, 10) : null;
+
+  if (!name || (!row.domain && !row.domains)) {
+    return { error: 'Name and domain are required' };
+  }
+  if (row.id && isNaN(id)) {
+    return { error: 'Invalid id' };
+  }
+  if (row.secret && !PARTNER_SECRET_PATTERN.test(row.secret)) {
+    return { error: 'Invalid secret' };
+  }
+  const allowReferrerFallback = row.allow_referrer_fallback === undefined || row.allow_referrer_fallback === null
+    ? null : row.allow_referrer_fallback;
+  if (allowReferrerFallback !== null && typeof allowReferrerFallback !== 'boolean') {
+    return { error: 'allow_referrer_fallback must be true or false' };
+  }
+  let branding;
+  if (row.branding !== undefined) {
+    const parsed = row.branding === null ? { branding: null } : pages.parseBranding(row.branding);
+    if (parsed.error) return { error: parsed.error };
+    branding = parsed.branding;
+  }
+
+  const current = id ? await tx.partners.get(id) : null;
+  const { domains: partnerDomains, error } = parsePartnerDomains(
+    { domains: row.domains || undefined, domain: row.domain || undefined }, current
+  );
+  if (error) return { error };
+
+  if (current) {
+    await tx.partners.update(id, { name, domains: partnerDomains, allow_referrer_fallback: allowReferrerFallback });
+    if (branding !== undefined) await tx.partners.setBranding(id, branding);
+    if (row.secret && row.secret !== current.secret) await tx.partners.setSecret(id, row.secret);
+    return { id, action: 'updated' };
+  }
+
+  const inserted = await tx.partners.insert({
+    id: id || undefined, name, domain: partnerDomains[0], domains: partnerDomains,
+    secret: row.secret || tokens.generateSecret(), allow_referrer_fallback: !!allowReferrerFallback,
+    branding: branding || null
+  });
+  return { id: inserted.id, action: 'created' };
+}
+
+// Pick a rotator link's destination for one visit and count the visit against its cap.
+// Returns the link_destinations row, or null when the link's own url should be used.
+async function chooseDestination(link) {
+  if (!link.rotation) return null;
+  // A claim fails when concurrent visits used up the destination's cap first; pick again
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const list = await storage.destinations.listForCode(link.code);
+    const counter = link.rotation === 'weighted' ? await storage.urls.nextRotation(link.code) : 0;
+    const destination = rotator.pick(list, link.rotation, counter);
+    if (!destination) return null;
+    if (await storage.destinations.claim(destination.id)) return destination;
+  }
+  return null;
+}
+
+// One visit's destination built from `url` (see lib/params.js): the placeholders filled in for
+// this visitor, the forwarded `query` and the link's default UTM parameters added.
+// Resolves to { url, params, utm }.
+async function destinationFor(link, url, { clickId, query, ip, userAgent }) {
+  const { device, os, browser } = parseUserAgent(userAgent);
+  const location = params.needsLocation(url, link.utm) ? await getLocationFromIP(ip) : {};
+  return params.buildDestination(url, {
+    query: link.forward_query ? query : '',
+    utm: link.utm,
+    values: {
+      code: domains.parseLinkKey(link.code).code, click_id: clickId, device, os, browser,
+      country: location.countryCode, country_name: location.country, city: location.city
+    }
+  });
+}
+
+// The first of a link's routing rules matching this visitor, or null. The location is only
+// looked up when a rule checks the country (the click queue then gets it from the geo cache).
+async function matchRule(code, ip, userAgent) {
+  const list = await storage.rules.listForCode(code);
+  const { device, os, browser } = parseUserAgent(userAgent);
+  const location = routing.needsLocation(list) ? await getLocationFromIP(ip) : {};
+  return routing.match(list, { device, os, browser, country: location.country, countryCode: location.countryCode });
+}
+
+// The urls.code a visit to /:code is for: the code itself on the app's own host, the code on
+// the custom domain the request came in on, or null when there can't be such a link
+async function resolveLinkKey(req) {
+  const { code } = req.params;
+  const domain = await storage.domains.findByHost(domains.normalizeHost(requestHost(req)));
+  if (!domain) return CODE_PATTERN.test(code) ? code : null;
+  if (!domain.verified_at || !CODE_PATTERN.test(code)) return null;
+  return domains.linkKey(code, domain.id);
+}
+
+// Serve a visit to `code`: the status page, partner check, password form or countdown page.
+// `unlocked` is set once the visitor gave the right password; the partner check was done
+// when the form was served.
+async function serveLink(req, res, { unlocked = false } = {}) {
+  try {
+    const code = await resolveLinkKey(req);
+
+    // fetch url + partner
+    const urlData = code && await storage.urls.getWithPartner(code);
+
+    if (!urlData) {
+      return res.status(404).send(pages.statusPage('notFound'));
+    }
+
+    const partnerDomain = urlData.partner_domain;
+    const branding = pages.resolveBranding(urlData.partner_branding);
+
+    // Paused, not started yet, expired or out of clicks
+    const state = linkState(urlData);
+    if (state !== 'active') {
+      const { status, page } = STATE_PAGES[state];
+      return res.status(status).send(pages.statusPage(page, branding, {
+        startsAt: urlData.starts_at && new Date(urlData.starts_at).toUTCString()
+      }));
+    }
+
+    // Get visitor info - FIXED IP DETECTION
+    const ip = getRealIP(req);
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+    const referrer = (req.headers['referer'] || req.headers['referrer'] || 'Direct').toString();
+
+    console.log(`📊 Visitor IP: ${ip}, Referrer: ${referrer}`);
+
+    // If partner is configured, require a signed token (or a matching referrer when allowed)
+    if (partnerDomain && !unlocked) {
+      const reason = await checkPartnerAccess(urlData, req.query.t, referrer);
+
+      if (reason) {
+        await logBypass({ code, referrer, ip, userAgent, reason });
+
+        return res.status(403).send(pages.statusPage('bypass', branding));
       }
-    }).catch(err => {
-      console.error('❌ Location fetch failed:', err);
-      // Still record click without location
-      pool.query(
-        `INSERT INTO clicks (code, ip_address, country, city, region, user_agent, device, browser, os, referrer, clicked_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
-        [code, ip, 'Unknown', 'Unknown', 'Unknown', userAgent, device, browser, os, referrer]
-      ).catch(e => console.error('Failed to record click without location:', e));
+    }
+
+    // Password-protected links ask for the password first; the form comes back to /:code/unlock
+    if (urlData.password_hash && !unlocked) {
+      return res.status(401).send(pages.passwordPage(branding, {
+        action: unlockAction(req),
+        ticket: challenges.createTicket(code, visitorHash(ip, userAgent))
+      }));
+    }
+
+    // Routing rules are tried first; otherwise rotator links pick this visit's destination.
+    // Either is decided now so the click is attributed to it.
+    const rule = urlData.has_rules ? await matchRule(code, ip, userAgent) : null;
+    const destination = rule ? null : await chooseDestination(urlData);
+
+    // Built now so the click records the parameters; /api/verify/:code builds it again
+    const clickId = crypto.randomBytes(8).toString('hex');
+    const query = urlData.forward_query ? params.forwardedQuery(req.originalUrl) : '';
+    const target = await destinationFor(urlData, rule ? rule.url : destination ? destination.url : urlData.url, {
+      clickId, query, ip, userAgent
+    });
+
+    // Queue the click; location lookup, unique/bot flags and the write happen in the background
+    clickQueue.push({
+      code, ip, userAgent, referrer, clickedAt: new Date(),
+      destinationId: destination ? destination.id : null,
+      ruleId: rule ? rule.id : null,
+      clickId,
+      queryParams: Object.keys(target.params).length > 0 ? target.params : null,
+      utm: target.utm,
+      source: params.visitSource(req.query)
     });
 
-// Send redirect countdown page
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>verifying...</title>
-          <style>
-              * { margin: 0; padding: 0; box-sizing: border-box; }
-              body { 
-                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-                  background: #0a0a0a; 
-                  min-height: 100vh; 
-                  display: flex; 
-                  align-items: center; 
-                  justify-content: center; 
-                  padding: 2rem; 
-                  overflow: hidden;
-                  position: relative;
-              }
-              body::before {
-                  content: '';
-                  position: absolute;
-                  inset: 0;
-                  background: linear-gradient(45deg, #667eea, #764ba2, #f5576c);
-                  background-size: 400% 400%;
-                  animation: gradient 15s ease infinite;
-                  opacity: 0.2;
-              }
-              @keyframes gradient {
-                  0% { background-position: 0% 50%; }
-                  50% { background-position: 100% 50%; }
-                  100% { background-position: 0% 50%; }
-              }
-              .redirect-card { 
-                  position: relative;
-                  z-index: 1;
-                  background: rgba(255, 255, 255, 0.05); 
-                  backdrop-filter: blur(20px); 
-                  border-radius: 24px; 
-                  padding: 48px; 
-                  max-width: 560px;
-                  width: 100%;
-                  text-align: center; 
-                  color: #fff;
-                  border: 1px solid rgba(255, 255, 255, 0.1);
-                  box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-              }
-              h1 {
-                  font-size: 1.8rem;
-                  margin-bottom: 1.5rem;
-                  font-weight: 700;
-              }
-              .countdown { 
-                  font-size: 5rem; 
-                  font-weight: 700; 
-                  margin: 2rem 0; 
-                  background: linear-gradient(135deg, #667eea, #764ba2, #f5576c); 
-                  -webkit-background-clip: text; 
-                  -webkit-text-fill-color: transparent; 
-                  background-clip: text;
-                  animation: pulse 1s ease-in-out infinite;
-              }
-              @keyframes pulse {
-                  0%, 100% { transform: scale(1); }
-                  50% { transform: scale(1.05); }
-              }
-              p {
-                  opacity: 0.8;
-                  margin-bottom: 2rem;
-                  font-size: 1.1rem;
-              }
-              .skip-btn { 
-                  padding: 16px 40px; 
-                  border-radius: 12px; 
-                  border: none; 
-                  background: linear-gradient(135deg, #667eea, #764ba2); 
-                  color: white; 
-                  cursor: pointer; 
-                  font-weight: 700; 
-                  font-size: 1rem;
-                  transition: all 0.3s ease;
-                  box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
-              }
-              .skip-btn:hover {
-                  transform: translateY(-2px);
-                  box-shadow: 0 6px 20px rgba(102, 126, 234, 0.6);
-              }
-              .skip-btn:active {
-                  transform: translateY(0);
-              }
-          </style>
-      </head>
-      <body>
-        <div class="redirect-card">
-          <h1>verifying You...</h1>
-          <div class="countdown" id="countdown">3</div>
-          <p>Please wait while we are verifying you</p>
-          <button class="skip-btn" onclick="redirect()">This will take 3-5 Seconds...</button>
-        </div>
-
-        <script>
-          let count = 3;
-          const targetUrl = ${JSON.stringify(targetUrl)};
-          function redirect() { window.location.href = targetUrl; }
-          const timer = setInterval(() => {
-            count--;
-            document.getElementById('countdown').textContent = count;
-            if (count <= 0) { clearInterval(timer); redirect(); }
-          }, 1000);
-        </script>
-      </body>
-      </html>
-    `);
+    // The destination is only handed out by /api/verify/:code once the challenge is solved
+    const { challenge, difficulty, minWaitMs } = challenges.createChallenge(code, visitorHash(ip, userAgent), {
+      destination: destination ? destination.id : null,
+      rule: rule ? rule.id : null,
+      clickId,
+      query
+    });
 
+    res.send(pages.countdownPage(branding, { code, challenge, difficulty, minWaitMs }));
   } catch (err) {
     console.error('Error handling redirect:', err);
     res.status(500).send('Internal server error');
   }
+}
+
+// Where a link's password form posts to; the query string is kept for the destination
+function unlockAction(req) {
+  const query = req.originalUrl.indexOf('?');
+  return `/${encodeURIComponent(req.params.code)}/unlock${query === -1 ? '' : req.originalUrl.slice(query)}`;
+}
+
+// Public redirect route with analytics tracking and bypass detection
+app.get('/:code', blockIPs, redirectLimits, (req, res) => serveLink(req, res));
+
+// Check the password of a protected link, then continue the visit. Wrong passwords count
+// towards a lockout per visitor IP and link, like failed logins.
+app.post('/:code/unlock', blockIPs, redirectLimits, async (req, res) => {
+  const { ticket, password } = req.body || {};
+  const ip = getRealIP(req);
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  const referrer = (req.headers['referer'] || req.headers['referrer'] || 'Direct').toString();
+
+  try {
+    const code = await resolveLinkKey(req);
+    const failuresKey = `unlock:${ip}:${code}`;
+    const link = code && await storage.urls.getWithPartner(code);
+    if (!link || !link.password_hash) {
+      return serveLink(req, res);
+    }
+    const branding = pages.resolveBranding(link.partner_branding);
+
+    // The ticket shows the partner check passed when the form was served
+    const verified = challenges.verifyTicket(ticket, { code, visitor: visitorHash(ip, userAgent) });
+    if (!verified.valid) {
+      if (verified.reason !== 'ticket_expired') {
+        await logBypass({ code, referrer, ip, userAgent, reason: verified.reason });
+      }
+      return res.status(403).send(pages.statusPage('formExpired', branding));
+    }
+
+    const failures = await rateLimitStore.get(failuresKey);
+    if (LOGIN_MAX_FAILURES && failures && failures.count >= LOGIN_MAX_FAILURES) {
+      const minutes = Math.ceil((failures.resetAt - Date.now()) / 60000);
+      res.set('Retry-After', String(Math.ceil((failures.resetAt - Date.now()) / 1000)));
+      return res.status(429).send(pages.passwordPage(branding, {
+        action: unlockAction(req),
+        ticket,
+        error: `Too many wrong passwords, try again in ${minutes} minute(s).`
+      }));
+    }
+
+    if (!(await auth.verifyPassword(typeof password === 'string' ? password : '', link.password_hash))) {
+      await rateLimitStore.hit(failuresKey, LOGIN_LOCKOUT_MS);
+      console.log(`🔑 Wrong password for ${code} from IP ${ip}`);
+      return res.status(401).send(pages.passwordPage(branding, {
+        action: unlockAction(req),
+        ticket,
+        error: 'Wrong password, please try again.'
+      }));
+    }
+
+    await rateLimitStore.reset(failuresKey);
+    await serveLink(req, res, { unlocked: true });
+  } catch (err) {
+    console.error('Error unlocking link:', err);
+    res.status(500).send('Internal server error');
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`🔐 Admin password: ${ADMIN_PASSWORD}`);
-  console.log(`📊 Trust proxy enabled for accurate IP detection`);
+// Exchange a solved verification challenge for the link destination
+app.post('/api/verify/:code', blockIPs, async (req, res) => {
+  const { code } = req.params;
+  const { challenge, solution } = req.body || {};
+  const ip = getRealIP(req);
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  const referrer = (req.headers['referer'] || req.headers['referrer'] || 'Direct').toString();
+
+  try {
+    const link = await storage.urls.get(code);
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    // Caps are left out: this visit was counted when its page was served
+    const state = linkState(link, { caps: false });
+    if (state !== 'active') {
+      const { status, page } = STATE_PAGES[state];
+      return res.status(status).json({ error: pages.DEFAULT_MESSAGES[page].title, state });
+    }
+
+    const verified = challenges.verifySolution(challenge, solution, { code, visitor: visitorHash(ip, userAgent) });
+    let reason = verified.valid ? null : verified.reason;
+    if (verified.valid) {
+      const fresh = await storage.usedTokens.consume({ nonce: verified.id, code, expires_at: verified.expiresAt });
+      if (!fresh) reason = 'challenge_reused';
+    }
+
+    if (reason) {
+      await logBypass({ code, referrer, ip, userAgent, reason });
+      return res.status(403).json({ error: 'Verification failed', reason });
+    }
+
+    // The rule or rotator destination picked when the page was served (if it still exists)
+    let url = link.url;
+    if (verified.rule) {
+      const rule = (await storage.rules.listForCode(code)).find(r => r.id === verified.rule);
+      if (rule) url = rule.url;
+    } else if (verified.destination) {
+      const destination = (await storage.destinations.listForCode(code)).find(d => d.id === verified.destination);
+      if (destination) url = destination.url;
+    }
+
+    const target = await destinationFor(link, url, { clickId: verified.clickId, query: verified.query, ip, userAgent });
+    res.json({ url: target.url });
+  } catch (err) {
+    console.error('Error verifying challenge:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
+
+// Prepare storage, then listen; resolves with the http.Server (tests pass port 0)
+async function start(port = PORT) {
+  await prepareDatabase();
+  return new Promise(resolve => {
+    const server = app.listen(port, () => {
+      console.log(`🚀 Server running on http://localhost:${server.address().port}`);
+      console.log(`📊 Trust proxy enabled for accurate IP detection`);
+      resolve(server);
+    });
+  });
+}
+
+// Stop accepting connections, write out queued clicks, then close storage
+async function shutdown(server) {
+  if (server) {
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    });
+  }
+
+  const drained = await clickQueue.drain({ timeoutMs: CLICK_DRAIN_TIMEOUT_MS });
+  if (!drained) console.error(`❌ ${clickQueue.stats().depth} click(s) not written before shutdown`);
+  clickQueue.stop();
+  await webhooks.stop();
+  await reports.stop();
+  await storage.close();
+}
+
+if (require.main === module) {
+  start().then(server => {
+    let stopping = false;
+    const stop = signal => {
+      if (stopping) return;
+      stopping = true;
+      console.log(`🛑 ${signal} received, shutting down...`);
+      shutdown(server)
+        .then(() => process.exit(0))
+        .catch(err => {
+          console.error('❌ Error during shutdown:', err);
+          process.exit(1);
+        });
+    };
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+  }).catch(err => {
+    console.error('❌ Database migration failed, not starting:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, start, shutdown, clickQueue, webhooks, reports };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+  server = await startServer({ LOGIN_MAX_FAILURES: '3' });
+});
+test.after(() => server.close());
+
+test('the initial owner can log in and out', async () => {
+  const client = server.client();
+  const me = await client.login();
+  assert.strictEqual(me.role, 'owner');
+
+  assert.strictEqual((await client.get('/api/me')).body.username, 'admin');
+  assert.strictEqual((await client.post('/api/logout')).status, 200);
+  assert.strictEqual((await client.get('/api/me')).status, 401);
+});
+
+test('a wrong password is rejected and repeated failures lock the account', async () => {
+  const client = server.client({ headers: { 'x-forwarded-for': '198.51.100.10' } });
+  for (let i = 0; i < 3; i++) {
+    const res = await client.post('/api/login', { username: 'admin', password: 'wrong' });
+    assert.strictEqual(res.status, 401);
+  }
+
+  const locked = await client.post('/api/login', { username: 'admin', password: 'admin-password' });
+  assert.strictEqual(locked.status, 429);
+  assert.ok(locked.headers.get('retry-after'));
+});
+
+test('spoofed X-Forwarded-For entries do not reset the lockout', async () => {
+  // The proxy appends the address it sees; whatever the client put in front of it is ignored
+  const attempt = (spoofed, password) => server.client({ headers: { 'x-forwarded-for': `${spoofed}, 198.51.100.20` } })
+    .post('/api/login', { username: 'admin', password });
+  for (let i = 0; i < 3; i++) assert.strictEqual((await attempt(`203.0.113.${i}`, 'wrong')).status, 401);
+
+  for (let i = 3; i < 6; i++) assert.strictEqual((await attempt(`203.0.113.${i}`, 'wrong')).status, 429);
+  assert.strictEqual((await attempt('203.0.113.99', 'admin-password')).status, 429);
+});
+
+test('owners manage users and roles limit what others can do', async () => {
+  const owner = server.client();
+  await owner.login();
+
+  const created = await owner.post('/api/users', { username: 'viewer1', password: 'pw-viewer', role: 'viewer' });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual((await owner.post('/api/users', { username: 'viewer1', password: 'pw-another', role: 'viewer' })).status, 409);
+
+  const viewer = server.client();
+  await viewer.login('viewer1', 'pw-viewer');
+  assert.strictEqual((await viewer.get('/api/users')).status, 403);
+  assert.strictEqual((await viewer.post('/api/shorten', { url: 'https://example.com' })).status, 403);
+
+  // Account passwords need at least 8 characters, also when changed
+  const short = await owner.post('/api/users', { username: 'viewer2', password: 'short', role: 'viewer' });
+  assert.strictEqual(short.status, 400);
+  assert.match(short.body.error, /at least 8 characters/);
+  assert.strictEqual((await owner.patch(`/api/users/${created.body.id}`, { password: 'short' })).status, 400);
+  assert.strictEqual((await viewer.get('/api/me')).status, 200);
+
+  // Changing the password ends the viewer's sessions
+  const updated = await owner.patch(`/api/users/${created.body.id}`, { password: 'new-password' });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual((await viewer.get('/api/me')).status, 401);
+
+  const ownerId = (await owner.get('/api/me')).body.id;
+  assert.strictEqual((await owner.delete(`/api/users/${ownerId}`)).status, 400);
+  assert.strictEqual((await owner.delete(`/api/users/${created.body.id}`)).status, 200);
+});
+
+test('API keys are limited to their scopes and stop working once revoked', async () => {
+  const owner = server.client();
+  await owner.login();
+
+  const created = await owner.post('/api/keys', { name: 'ci', scopes: ['shorten'] });
+  assert.strictEqual(created.status, 200);
+  assert.match(created.body.key, /^mvk_/);
+
+  const bot = server.client({ headers: { authorization: `Bearer ${created.body.key}` } });
+  assert.strictEqual((await bot.post('/api/shorten', { url: 'https://example.com/key' })).status, 200);
+  assert.strictEqual((await bot.get('/api/urls')).status, 403);
+  assert.strictEqual((await bot.get('/api/users')).status, 403);
+
+  const [listed] = (await owner.get('/api/keys')).body;
+  // Usage is recorded before the scope check, so the rejected /api/urls call counts too
+  assert.strictEqual(listed.request_count, 2);
+  assert.strictEqual(listed.username, 'admin');
+
+  assert.strictEqual((await owner.delete(`/api/keys/${created.body.id}`)).status, 200);
+  assert.strictEqual((await bot.post('/api/shorten', { url: 'https://example.com/key' })).status, 401);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const tokens = require('../lib/tokens');
+const { startServer, startDnsStub, readChallenge, solveChallenge } = require('./helpers');
+
+// DNS answers for the checks; tests add the records a domain needs
+const records = {
+  'edge.shortener.example': { A: ['192.0.2.50'] }
+};
+
+let dns;
+let server;
+let owner;
+let partner;
+test.before(async () => {
+  dns = await startDnsStub(records);
+  // No proxy in front: the Host header picks the domain and X-Forwarded-Host is not believed
+  server = await startServer({ DNS_SERVERS: dns.server, DOMAIN_TARGET: 'edge.shortener.example', TRUST_PROXY: '' });
+  owner = server.client();
+  await owner.login();
+  partner = (await owner.post('/api/partners', { name: 'Acme', domain: 'acme.example' })).body;
+});
+test.after(async () => {
+  await server.close();
+  await dns.close();
+});
+
+// Add a domain for the partner and publish the DNS records it asks for
+async function verifiedDomain(host, pointing) {
+  const domain = (await owner.post('/api/domains', { host, partnerId: partner.id })).body;
+  records[domain.dns.txt.name] = { TXT: [domain.dns.txt.value] };
+  records[host] = pointing;
+  const checked = await owner.post(`/api/domains/${domain.id}/verify`);
+  assert.strictEqual(checked.body.status, 'verified');
+  return checked.body;
+}
+
+// GET `path` with `headers` as sent (fetch won't set Host); resolves to { status, body }
+function rawGet(path, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(server.baseUrl + path, { headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+// Visit /<code> on `host` and solve the challenge; resolves to the destination
+async function visit(host, code) {
+  const headers = { 'user-agent': 'domains-test' };
+  const page = await rawGet(`/${code}`, { ...headers, host });
+  if (page.status !== 200) return page.status;
+  const config = readChallenge(page.body);
+  const verified = await server.client({ headers }).post(`/api/verify/${config.code}`, {
+    challenge: config.challenge, solution: solveChallenge(config.challenge, config.difficulty)
+  });
+  return verified.body.url;
+}
+
+test('a domain is verified once its TXT record and target are in DNS', async () => {
+  const added = await owner.post('/api/domains', { host: 'Links.Acme.example.', partnerId: partner.id });
+  assert.strictEqual(added.status, 200);
+  assert.strictEqual(added.body.host, 'links.acme.example');
+  assert.strictEqual(added.body.status, 'pending');
+  assert.strictEqual(added.body.dns.txt.name, '_url-shortener.links.acme.example');
+  assert.deepStrictEqual(added.body.dns.target, ['edge.shortener.example']);
+
+  assert.strictEqual((await owner.post('/api/domains', { host: 'links.acme.example', partnerId: partner.id })).status, 409);
+  assert.strictEqual((await owner.post('/api/domains', { host: 'not a host', partnerId: partner.id })).status, 400);
+
+  const missing = await owner.post(`/api/domains/${added.body.id}/verify`);
+  assert.strictEqual(missing.body.status, 'failed');
+  assert.match(missing.body.lastError, /TXT record/);
+
+  records['_url-shortener.links.acme.example'] = { TXT: [added.body.dns.txt.value] };
+  const notPointing = await owner.post(`/api/domains/${added.body.id}/verify`);
+  assert.strictEqual(notPointing.body.status, 'failed');
+  assert.match(notPointing.body.lastError, /doesn't point at/);
+
+  records['links.acme.example'] = { CNAME: ['edge.shortener.example'] };
+  const verified = await owner.post(`/api/domains/${added.body.id}/verify`);
+  assert.strictEqual(verified.body.status, 'verified');
+  assert.strictEqual(verified.body.lastError, null);
+  assert.ok(verified.body.verifiedAt);
+});
+
+test('the same code resolves per domain and short URLs use the domain', async () => {
+  const first = await verifiedDomain('go.acme.example', { CNAME: ['edge.shortener.example'] });
+  const second = await verifiedDomain('get.acme.example', { A: ['192.0.2.50'] });
+
+  const plain = await owner.post('/api/shorten', { url: 'https://example.com/plain', customCode: 'promo' });
+  const onFirst = await owner.post('/api/shorten', { url: 'https://example.com/first', customCode: 'promo', domainId: first.id });
+  const onSecond = await owner.post('/api/shorten', { url: 'https://example.com/second', customCode: 'promo', domainId: second.id });
+  assert.strictEqual(plain.body.code, 'promo');
+  assert.strictEqual(onFirst.body.shortUrl, 'https://go.acme.example/promo');
+  assert.strictEqual(onSecond.body.shortUrl, 'https://get.acme.example/promo');
+  assert.strictEqual((await owner.post('/api/shorten', {
+    url: 'https://example.com/again', customCode: 'promo', domainId: first.id
+  })).status, 409);
+
+  const listed = (await owner.get(`/api/urls/${onFirst.body.code}`)).body;
+  assert.strictEqual(listed.slug, 'promo');
+  assert.strictEqual(listed.domainHost, 'go.acme.example');
+  assert.strictEqual(listed.partnerId, partner.id);
+
+  assert.strictEqual(await visit('127.0.0.1', 'promo'), 'https://example.com/plain');
+  // Domain links belong to the domain's partner, whose tokens sign the full code
+  const token = code => tokens.signToken(partner.secret, code);
+  assert.strictEqual(await visit('go.acme.example', `promo?t=${token(onFirst.body.code)}`), 'https://example.com/first');
+  assert.strictEqual(await visit('get.acme.example', `promo?t=${token(onSecond.body.code)}`), 'https://example.com/second');
+  // Without a trusted proxy, X-Forwarded-Host doesn't move a visit onto a domain
+  const forwarded = await rawGet('/promo', { host: '127.0.0.1', 'x-forwarded-host': 'go.acme.example' });
+  assert.strictEqual(readChallenge(forwarded.body).code, 'promo');
+
+  // Domain link codes don't resolve on the app's own host, nor on unverified domains
+  assert.strictEqual(await visit('127.0.0.1', onFirst.body.code), 404);
+  await owner.post('/api/domains', { host: 'new.acme.example', partnerId: partner.id });
+  assert.strictEqual(await visit('new.acme.example', 'promo'), 404);
+});
+
+test('links move between domains and a domain with links stays', async () => {
+  const domain = await verifiedDomain('to.acme.example', { CNAME: ['edge.shortener.example'] });
+  const created = await owner.post('/api/shorten', { url: 'https://example.com/moving', customCode: 'moving' });
+
+  const moved = await owner.patch('/api/urls/moving', { domainId: domain.id, code: 'moved' });
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual(moved.body.code, `moved~${domain.id}`);
+  assert.strictEqual(moved.body.shortUrl, 'https://to.acme.example/moved');
+  assert.strictEqual((await owner.get(`/api/urls/${moved.body.code}`)).body.partnerId, partner.id);
+  assert.strictEqual(created.body.code, 'moving');
+
+  assert.strictEqual((await owner.delete(`/api/domains/${domain.id}`)).status, 409);
+
+  const back = await owner.patch(`/api/urls/${moved.body.code}`, { domainId: null });
+  assert.strictEqual(back.body.code, 'moved');
+  assert.strictEqual((await owner.delete(`/api/domains/${domain.id}`)).status, 200);
+});
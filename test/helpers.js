@@ -0,0 +1,192 @@
+// test/helpers.js - start the app on in-memory storage and talk to it over HTTP
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+// Settings must be in place before server.js (and the lib modules it loads) is required.
+// Each test file runs in its own process, so every file gets a fresh in-memory store.
+const TEST_ENV = {
+  STORAGE: 'memory',
+  SESSION_SECRET: 'test-session-secret',
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: 'admin-password',
+  POW_DIFFICULTY: '4',
+  VERIFY_MIN_WAIT_SECONDS: '0',
+  RATE_LIMIT_REDIRECT_IP: '0',
+  RATE_LIMIT_REDIRECT_CODE: '0',
+  RATE_LIMIT_API_IP: '0',
+  // Tests play the proxy in front of the app: the X-Forwarded-For entry they add last is the client
+  TRUST_PROXY: '1'
+};
+
+// Start the server on a random port. `env` overrides TEST_ENV for this file.
+async function startServer(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const { start, shutdown, clickQueue } = require('../server');
+  const server = await start(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    client: (options) => createClient(baseUrl, options),
+    // Clicks are written in the background; wait for them before reading analytics
+    flushClicks: () => clickQueue.drain(),
+    close: () => {
+      server.closeAllConnections();
+      return shutdown(server);
+    }
+  };
+}
+
+// Start a second app, with a fresh in-memory store of its own, in a child process (server.js
+// only runs once per process) - for moving data between installs. `env` as for startServer().
+function startServerProcess(env = {}) {
+  const script = `require(${JSON.stringify(__filename)}).startServer(${JSON.stringify(env)})
+    .then(server => process.stdout.write(server.baseUrl + '\\n'));`;
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+  return new Promise((resolve, reject) => {
+    child.once('exit', code => reject(new Error(`Server process exited with code ${code}`)));
+    child.stdout.once('data', data => {
+      const baseUrl = data.toString().trim();
+      resolve({
+        baseUrl,
+        client: (options) => createClient(baseUrl, options),
+        close: () => new Promise(done => {
+          child.once('exit', done);
+          child.kill();
+        })
+      });
+    });
+  });
+}
+
+// A fetch wrapper that keeps the session cookie and sends JSON bodies
+function createClient(baseUrl, { headers: defaultHeaders = {} } = {}) {
+  let cookie = null;
+
+  async function request(method, path, { body, headers = {}, redirect = 'manual' } = {}) {
+    const init = { method, redirect, headers: { ...defaultHeaders, ...headers } };
+    if (cookie) init.headers.cookie = cookie;
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      init.headers['content-type'] = init.headers['content-type'] || 'application/json';
+    }
+
+    const res = await fetch(baseUrl + path, init);
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+
+    const type = res.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await res.json() : await res.text();
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+
+    async login(username = TEST_ENV.ADMIN_USERNAME, password = TEST_ENV.ADMIN_PASSWORD) {
+      const res = await request('POST', '/api/login', { body: { username, password } });
+      if (res.status !== 200) throw new Error(`Login as ${username} failed: ${res.status}`);
+      return res.body;
+    }
+  };
+}
+
+// The verification page embeds its challenge as window.MV_VERIFY
+function readChallenge(html) {
+  const match = html.match(/window\.MV_VERIFY = (\{.*?\});/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+// Brute-force a proof-of-work solution (only quick at the low test difficulty)
+function solveChallenge(challenge, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    let bits = 0;
+    for (const byte of hash) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    if (bits >= difficulty) return String(nonce);
+  }
+}
+
+// A tiny DNS server on 127.0.0.1 answering A, CNAME and TXT queries from `records`
+// ({ 'name': { A: ['192.0.2.1'], CNAME: ['target.example'], TXT: ['token'] } }), which can be
+// changed while it runs. Unknown names get NXDOMAIN. Resolves to { server: 'host:port', close }.
+const DNS_TYPES = { 1: 'A', 5: 'CNAME', 16: 'TXT' };
+
+function encodeName(name) {
+  const labels = name.replace(/\.$/, '').split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+function encodeRdata(type, value) {
+  if (type === 'A') return Buffer.from(value.split('.').map(Number));
+  if (type === 'CNAME') return encodeName(value);
+  return Buffer.concat([Buffer.from([value.length]), Buffer.from(value)]);
+}
+
+function startDnsStub(records) {
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (query, remote) => {
+    // The question starts after the 12-byte header: labels, then type and class
+    const labels = [];
+    let offset = 12;
+    while (query[offset] !== 0) {
+      labels.push(query.toString('latin1', offset + 1, offset + 1 + query[offset]));
+      offset += query[offset] + 1;
+    }
+    const question = query.subarray(12, offset + 5);
+    const entry = records[labels.join('.').toLowerCase()];
+    const type = DNS_TYPES[query.readUInt16BE(offset + 1)];
+    const values = (entry && entry[type]) || [];
+
+    const header = Buffer.alloc(12);
+    query.copy(header, 0, 0, 2);
+    header.writeUInt16BE(entry ? 0x8180 : 0x8183, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(values.length, 6);
+    const answers = values.map(value => {
+      const rdata = encodeRdata(type, value);
+      const fixed = Buffer.alloc(12);
+      fixed.writeUInt16BE(0xc00c, 0);
+      fixed.writeUInt16BE(query.readUInt16BE(offset + 1), 2);
+      fixed.writeUInt16BE(1, 4);
+      fixed.writeUInt32BE(60, 6);
+      fixed.writeUInt16BE(rdata.length, 10);
+      return Buffer.concat([fixed, rdata]);
+    });
+    socket.send(Buffer.concat([header, question, ...answers]), remote.port, remote.address);
+  });
+
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => resolve({
+      server: `127.0.0.1:${socket.address().port}`,
+      close: () => new Promise(done => socket.close(done))
+    }));
+  });
+}
+
+module.exports = {
+  startServer,
+  startServerProcess,
+  readChallenge,
+  solveChallenge,
+  startDnsStub
+};
@@ -0,0 +1,327 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csv = require('../lib/csv');
+const tokens = require('../lib/tokens');
+const analytics = require('../lib/analytics');
+const { parseCidr, formatCidr } = require('../lib/blocklist');
+const { createMemoryStore } = require('../lib/ratelimit');
+const { createClickQueue } = require('../lib/clickqueue');
+const rotator = require('../lib/rotator');
+const routing = require('../lib/rules');
+const challenges = require('../lib/challenge');
+const pages = require('../lib/pages');
+const params = require('../lib/params');
+const qr = require('../lib/qr');
+const listing = require('../lib/listing');
+const campaigns = require('../lib/campaigns');
+
+test('csv quotes fields that need it and parses them back', () => {
+  const rows = [{ code: 'a', url: 'https://x.com/?a=1,b="2"' }, { code: 'b', url: 'line\nbreak' }];
+  const text = csv.stringify(rows, ['code', 'url']);
+  assert.deepStrictEqual(csv.parse(text), rows);
+});
+
+test('tokens are bound to their code and secret', () => {
+  const secret = tokens.generateSecret();
+  const token = tokens.signToken(secret, 'abc');
+
+  assert.strictEqual(tokens.verifyToken(secret, 'abc', token).valid, true);
+  assert.strictEqual(tokens.verifyToken(secret, 'other', token).reason, 'bad_signature');
+  assert.strictEqual(tokens.verifyToken(tokens.generateSecret(), 'abc', token).reason, 'bad_signature');
+  assert.strictEqual(tokens.verifyToken(secret, 'abc', tokens.signToken(secret, 'abc', -10)).valid, false);
+});
+
+test('referrers match the partner domain and its subdomains only', () => {
+  assert.strictEqual(tokens.referrerMatchesDomain('https://shop.partner.com/x', 'partner.com'), true);
+  assert.strictEqual(tokens.referrerMatchesDomain('https://partner.com.evil.io/', 'partner.com'), false);
+  assert.strictEqual(tokens.referrerMatchesDomain('Direct', 'partner.com'), false);
+});
+
+test('analytics ranges are validated and series are filled with empty buckets', () => {
+  assert.ok(analytics.parseRange({ interval: 'minute' }).error);
+  assert.ok(analytics.parseRange({ from: '2024-01-02', to: '2024-01-01' }).error);
+
+  const range = analytics.parseRange({ from: '2024-01-01T00:00:00Z', to: '2024-01-04T00:00:00Z' });
+  const points = analytics.fillSeries({ clicks: [{ bucket: new Date('2024-01-02T00:00:00Z'), count: 2 }] }, range);
+  assert.deepStrictEqual(points.map(p => p.clicks), [0, 2, 0]);
+  assert.strictEqual(analytics.referrerDomain('https://www.Example.com/page'), 'example.com');
+});
+
+test('CIDR ranges are parsed and normalised', () => {
+  assert.deepStrictEqual(parseCidr('10.0.0.0/8'), { address: '10.0.0.0', prefix: 8, family: 'ipv4' });
+  assert.strictEqual(formatCidr(parseCidr('203.0.113.7')), '203.0.113.7/32');
+  assert.strictEqual(formatCidr(parseCidr('2001:db8::/32')), '2001:db8::/32');
+  assert.strictEqual(parseCidr('10.0.0.0/33'), null);
+  assert.strictEqual(parseCidr('not-an-ip'), null);
+});
+
+test('the memory rate limit store counts per key and window', async () => {
+  const store = createMemoryStore();
+  assert.strictEqual((await store.hit('a', 1000)).count, 1);
+  assert.strictEqual((await store.hit('a', 1000)).count, 2);
+  assert.strictEqual((await store.hit('b', 1000)).count, 1);
+
+  await store.reset('a');
+  assert.strictEqual(await store.get('a'), null);
+  assert.strictEqual((await store.hit('expired', -1)).count, 1);
+  assert.strictEqual(await store.get('expired'), null);
+});
+
+test('the click queue enriches with bounded concurrency and writes in batches', async () => {
+  let active = 0;
+  let peak = 0;
+  const batches = [];
+  const queue = createClickQueue({
+    concurrency: 2,
+    batchSize: 3,
+    flushIntervalMs: 10,
+    enrich: async (n) => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { n };
+    },
+    write: async (rows) => { batches.push(rows.map(row => row.n)); }
+  });
+
+  for (let n = 0; n < 7; n++) assert.strictEqual(queue.push(n), true);
+  assert.strictEqual(await queue.drain(), true);
+  queue.stop();
+
+  assert.strictEqual(peak, 2);
+  assert.ok(batches.every(batch => batch.length <= 3));
+  assert.deepStrictEqual(batches.flat().sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(queue.stats().written, 7);
+  assert.strictEqual(queue.stats().depth, 0);
+});
+
+test('the click queue retries failed writes and drops clicks when full', async () => {
+  console.error = () => {};
+  let failures = 1;
+  const written = [];
+  const queue = createClickQueue({
+    maxQueued: 2,
+    maxAttempts: 2,
+    flushIntervalMs: 10,
+    enrich: async (n) => n,
+    write: async (rows) => {
+      if (failures-- > 0) throw new Error('database down');
+      written.push(...rows);
+    }
+  });
+
+  assert.strictEqual(queue.push(1), true);
+  assert.strictEqual(queue.push(2), true);
+  assert.strictEqual(queue.push(3), false);
+  assert.strictEqual(await queue.drain(), true);
+  queue.stop();
+
+  assert.deepStrictEqual(written, [1, 2]);
+  const stats = queue.stats();
+  assert.deepStrictEqual([stats.enqueued, stats.written, stats.dropped, stats.failed, stats.writeErrors], [2, 2, 1, 0, 1]);
+});
+
+test('rotator destinations are picked by weight, in sequence and with fallbacks', () => {
+  const a = { id: 1, weight: 2, click_cap: null, clicks: 0, is_fallback: false };
+  const b = { id: 2, weight: 1, click_cap: 3, clicks: 0, is_fallback: false };
+  const fallback = { id: 3, weight: 1, click_cap: 1, clicks: 0, is_fallback: true };
+
+  const weighted = [0, 1, 2, 3, 4, 5].map(n => rotator.pick([a, b, fallback], 'weighted', n).id);
+  assert.deepStrictEqual(weighted, [1, 1, 2, 1, 1, 2]);
+
+  assert.strictEqual(rotator.pick([{ ...a, click_cap: 5 }, b], 'sequential').id, 1);
+  assert.strictEqual(rotator.pick([{ ...a, click_cap: 5, clicks: 5 }, b], 'sequential').id, 2);
+
+  // Capped primaries hand over to the fallbacks, then to the link's own url
+  const capped = [{ ...a, click_cap: 1, clicks: 1 }, { ...b, clicks: 3 }];
+  assert.strictEqual(rotator.pick([...capped, fallback], 'weighted', 7).id, 3);
+  assert.strictEqual(rotator.pick([...capped, { ...fallback, clicks: 1 }], 'weighted', 7), null);
+});
+
+test('rotator destinations are validated', () => {
+  assert.match(rotator.parseDestinations([]).error, /non-empty/);
+  assert.match(rotator.parseDestinations([{ url: 'ftp://x' }]).error, /Destination 1: invalid URL/);
+  assert.match(rotator.parseDestinations([{ url: 'https://a.com', weight: 0 }]).error, /weight/);
+  assert.match(rotator.parseDestinations([{ url: 'https://a.com', clickCap: 1.5 }]).error, /clickCap/);
+  assert.match(rotator.parseDestinations([{ url: 'https://a.com', fallback: true }]).error, /not be a fallback/);
+
+  const { destinations } = rotator.parseDestinations([{ url: 'https://a.com', clickCap: '10' }, { id: 4, url: 'https://b.com', weight: 3 }]);
+  assert.deepStrictEqual(destinations, [
+    { id: null, url: 'https://a.com', weight: 1, click_cap: 10, is_fallback: false },
+    { id: 4, url: 'https://b.com', weight: 3, click_cap: null, is_fallback: false }
+  ]);
+});
+
+test('routing rules match on visitor attributes and local time, first match wins', () => {
+  const { rules } = routing.parseRules([
+    { url: 'https://play.example', os: ['android'] },
+    { url: 'https://night.example', from: '18:00', to: '09:00', timezone: 'Europe/Berlin' },
+    { url: 'https://de.example', countries: ['DE', 'Austria'], devices: ['mobile', 'tablet'] },
+    { url: 'https://weekend.example', days: [0, 6] }
+  ]);
+  assert.deepStrictEqual(rules[2].conditions, { countries: ['DE', 'Austria'], devices: ['Mobile', 'Tablet'] });
+
+  const noon = new Date('2026-10-19T10:00:00Z'); // Monday, 12:00 in Berlin
+  const url = (visitor, now = noon) => (routing.match(rules, visitor, now) || {}).url;
+  assert.strictEqual(url({ os: 'Android', device: 'Mobile' }), 'https://play.example');
+  assert.strictEqual(url({ os: 'iOS', device: 'Mobile', country: 'Germany', countryCode: 'DE' }), 'https://de.example');
+  assert.strictEqual(url({ os: 'iOS', device: 'Mobile', country: 'Austria', countryCode: 'AT' }), 'https://de.example');
+  assert.strictEqual(url({ os: 'iOS', device: 'Desktop', country: 'Germany', countryCode: 'DE' }), undefined);
+  // 23:30 and 07:00 in Berlin are inside the window that spans midnight
+  assert.strictEqual(url({ os: 'Windows' }, new Date('2026-10-19T21:30:00Z')), 'https://night.example');
+  assert.strictEqual(url({ os: 'Windows' }, new Date('2026-10-20T05:00:00Z')), 'https://night.example');
+  assert.strictEqual(url({ os: 'Windows' }, new Date('2026-10-24T10:00:00Z')), 'https://weekend.example');
+  assert.deepStrictEqual(routing.localTime(noon, 'America/New_York'), { day: 1, minutes: 6 * 60 });
+});
+
+test('routing rules are validated', () => {
+  assert.match(routing.parseRules({}).error, /array/);
+  assert.match(routing.parseRules([{ url: 'https://a.com' }]).error, /Rule 1: give at least one condition/);
+  assert.match(routing.parseRules([{ url: 'https://a.com', os: ['BeOS'] }]).error, /os must be some of/);
+  assert.match(routing.parseRules([{ url: 'https://a.com', from: '9:00', to: '17:00' }]).error, /times like/);
+  assert.match(routing.parseRules([{ url: 'https://a.com', days: [7] }]).error, /days/);
+  assert.match(routing.parseRules([{ url: 'https://a.com', days: [1], timezone: 'Mars/Olympus' }]).error, /timezone/);
+  assert.deepStrictEqual(routing.parseRules([]), { rules: [] });
+});
+
+test('unlock tickets are bound to their code and visitor and are no challenges', () => {
+  const ticket = challenges.createTicket('secret', 'visitor-a');
+  assert.deepStrictEqual(challenges.verifyTicket(ticket, { code: 'secret', visitor: 'visitor-a' }), { valid: true });
+  assert.strictEqual(challenges.verifyTicket(ticket, { code: 'secret', visitor: 'visitor-b' }).reason, 'visitor_mismatch');
+  assert.strictEqual(challenges.verifyTicket(ticket, { code: 'other', visitor: 'visitor-a' }).reason, 'malformed_ticket');
+  assert.strictEqual(challenges.verifySolution(ticket, '0', { code: 'secret', visitor: 'visitor-a' }).reason, 'malformed_challenge');
+
+  const { challenge } = challenges.createChallenge('secret', 'visitor-a');
+  assert.strictEqual(challenges.verifyTicket(challenge, { code: 'secret', visitor: 'visitor-a' }).reason, 'malformed_ticket');
+});
+
+test('visitor pages escape what they show', () => {
+  const branding = pages.resolveBranding({ footer: '<b>Acme</b>', messages: { scheduled: { message: 'Opens {startsAt} & soon' } } });
+  const html = pages.passwordPage(branding, { action: '/x/unlock?q="><script>', ticket: 't', error: '<b>' });
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /action="\/x\/unlock\?q=&quot;&gt;&lt;script&gt;"/);
+  assert.match(html, /&lt;b&gt;Acme&lt;\/b&gt;/);
+  assert.match(pages.statusPage('scheduled', branding, { startsAt: '<now>' }), /<p>Opens &lt;now&gt; &amp; soon<\/p>/);
+  assert.doesNotMatch(pages.countdownPage(), /MV_VERIFY/);
+});
+
+test('partner branding is validated', () => {
+  assert.deepStrictEqual(pages.parseBranding({
+    logoUrl: 'https://acme.example/logo.png', colors: { primary: '#123abc', accent: '' }, countdownSeconds: '10',
+    showSkipButton: false, messages: { bypass: { heading: 'Nope' } }
+  }).branding, {
+    logoUrl: 'https://acme.example/logo.png', colors: { primary: '#123abc' }, countdownSeconds: 10,
+    showSkipButton: false, messages: { bypass: { heading: 'Nope' } }
+  });
+  assert.ok(pages.parseBranding({ colors: { primary: 'red;background:url(x)' } }).error);
+  assert.ok(pages.parseBranding({ logoUrl: 'javascript:alert(1)' }).error);
+  assert.ok(pages.parseBranding({ countdownSeconds: 600 }).error);
+  assert.ok(pages.parseBranding({ messages: { bypass: { title: 'x' } } }).error);
+  assert.ok(pages.parseBranding({ messages: { checkout: { heading: 'x' } } }).error);
+});
+
+test('destinations are templated, get the forwarded query and default UTM parameters', () => {
+  const built = params.buildDestination('https://shop.example/{country}/item?id=1&utm_source=own&ref={click_id}', {
+    query: params.forwardedQuery('/promo?ref=tg&t=token&tag=a&tag=b'),
+    utm: { utm_source: 'default', utm_medium: 'social', utm_campaign: '{code} sale' },
+    values: { code: 'promo', click_id: 'c1', country: 'DE', city: 'Köln' }
+  });
+  assert.strictEqual(built.url,
+    'https://shop.example/DE/item?id=1&utm_source=own&ref=tg&tag=a&tag=b&utm_medium=social&utm_campaign=promo+sale');
+  assert.deepStrictEqual(built.params, { ref: 'tg', tag: 'a', utm_medium: 'social', utm_campaign: 'promo sale' });
+  assert.deepStrictEqual(built.utm, { source: 'own', medium: 'social', campaign: 'promo sale' });
+
+  assert.strictEqual(params.render('https://x.example/?c={city}&d={device}&x={other}', { city: 'São Paulo' }),
+    'https://x.example/?c=S%C3%A3o%20Paulo&d=&x={other}');
+  assert.ok(params.needsLocation('https://x.example/', { utm_campaign: '{country}' }));
+  assert.ok(!params.needsLocation('https://x.example/{device}'));
+
+  assert.deepStrictEqual(params.parseUtm({ utm_source: 'tg', utm_term: '' }), { utm: { utm_source: 'tg' } });
+  assert.deepStrictEqual(params.parseUtm({}), { utm: null });
+  assert.ok(params.parseUtm({ source: 'tg' }).error);
+  assert.ok(params.parseUtm({ utm_source: 5 }).error);
+  assert.ok(params.parseUtm('utm_source=tg').error);
+});
+
+test('QR codes pick the smallest version and draw the modules', () => {
+  // Version 1-M holds 14 bytes, version 2-M 26
+  assert.strictEqual(qr.encode('a'.repeat(14), 'M').length, 21);
+  assert.strictEqual(qr.encode('a'.repeat(15), 'M').length, 25);
+  assert.strictEqual(qr.encode('a'.repeat(15), 'L').length, 21);
+  assert.throws(() => qr.encode('a'.repeat(3000), 'L'), /too long/);
+  assert.throws(() => qr.encode('a', 'X'), /ecc/);
+
+  const modules = qr.encode('https://go.example/abc?mv_src=qr');
+  // Finder pattern in the top left corner, timing pattern along row 6
+  assert.deepStrictEqual(modules[0].slice(0, 8), [true, true, true, true, true, true, true, false]);
+  assert.deepStrictEqual(modules[6].slice(8, 13), [true, false, true, false, true]);
+
+  const image = qr.decodePng(qr.toPng(modules, { size: 100, margin: 2, dark: '#112233', light: '#ffffff' }));
+  const scale = image.width / (modules.length + 4);
+  assert.strictEqual(scale, Math.floor(100 / (modules.length + 4)));
+  const pixel = (x, y) => [...image.pixels.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 3)];
+  assert.deepStrictEqual(pixel(0, 0), [255, 255, 255]);
+  assert.deepStrictEqual(pixel(2 * scale, 2 * scale), [0x11, 0x22, 0x33]);
+
+  const svg = qr.toSvg(modules, { size: 200, margin: 4, dark: '#000000', light: '#ffffff' });
+  assert.ok(svg.includes(`viewBox="0 0 ${modules.length + 8} ${modules.length + 8}"`));
+  assert.ok(svg.includes('width="200"'));
+});
+
+test('QR options are validated', () => {
+  assert.deepStrictEqual(qr.parseOptions({}).options, {
+    format: 'png', size: 300, margin: 4, dark: '#000000', light: '#ffffff', ecc: 'M', logo: null
+  });
+  const options = qr.parseOptions({ format: 'svg', dark: '#F00', logo: 'data:image/png;base64,iVBORw0KGgo=' }).options;
+  assert.strictEqual(options.dark, '#ff0000');
+  assert.strictEqual(options.ecc, 'H');
+  assert.deepStrictEqual(options.logo, { type: 'image/png', data: Buffer.from('iVBORw0KGgo=', 'base64') });
+  assert.strictEqual(qr.parseOptions({ logo: 'data:image/png;base64,iVBORw0KGgo=', ecc: 'Q' }).options.ecc, 'Q');
+  assert.ok(qr.parseOptions({ logo: 'https://cdn.example/logo.png' }).error);
+  assert.ok(qr.parseOptions({ logo: 'data:text/html;base64,PGI+' }).error);
+  assert.ok(qr.parseOptions({ format: 'gif' }).error);
+  assert.ok(qr.parseOptions({ size: '10' }).error);
+  assert.ok(qr.parseOptions({ margin: '1.5' }).error);
+  assert.ok(qr.parseOptions({ light: 'white' }).error);
+  assert.ok(qr.parseOptions({ logo: 'file:///etc/passwd' }).error);
+  assert.throws(() => qr.decodePng(Buffer.from('GIF89a')), /not a PNG/);
+
+  assert.strictEqual(params.visitSource({ mv_src: 'qr' }), 'qr');
+  assert.strictEqual(params.visitSource({ mv_src: 'other' }), null);
+  assert.strictEqual(params.forwardedQuery('/abc?mv_src=qr&ref=x'), 'ref=x');
+});
+
+test('link list queries are validated and cursors round-trip', () => {
+  assert.deepStrictEqual(listing.parseListQuery({}).filters, { sort: 'created', order: 'desc', limit: 50 });
+  const { filters } = listing.parseListQuery({ q: 'promo', partnerId: 'none', state: 'expired', hasBypasses: 'false', sort: 'clicks' });
+  assert.strictEqual(filters.partnerId, null);
+  assert.strictEqual(filters.hasBypasses, false);
+  assert.ok(listing.parseListQuery({ partnerId: 'abc' }).error);
+  assert.ok(listing.parseListQuery({ createdFrom: '2030-01-02', createdTo: '2030-01-01' }).error);
+  assert.ok(listing.parseListQuery({ hasBypasses: 'yes' }).error);
+
+  const cursor = listing.encodeCursor({ code: 'abc', created: new Date('2030-01-01T00:00:00.123Z'), clicks: 4 }, filters);
+  assert.deepStrictEqual(listing.decodeCursor(cursor, filters), { value: 4, code: 'abc' });
+  assert.strictEqual(listing.decodeCursor(cursor, { sort: 'created', order: 'desc' }), null);
+  assert.strictEqual(listing.likePattern('50%_off\\'), '%50\\%\\_off\\\\%');
+});
+
+test('titles, notes, tags and campaigns are validated', () => {
+  assert.deepStrictEqual(campaigns.parseTags([' Summer  Sale ', 'summer sale', 'TG', '']).tags, ['summer sale', 'tg']);
+  assert.deepStrictEqual(campaigns.parseTags(null).tags, []);
+  assert.ok(campaigns.parseTags('promo').error);
+  assert.ok(campaigns.parseTags(['<b>']).error);
+  assert.ok(campaigns.parseTags(Array.from({ length: campaigns.MAX_TAGS + 1 }, (_, i) => `t${i}`)).error);
+
+  assert.deepStrictEqual(campaigns.parseDetails({ title: ' Banner ', notes: '', tags: ['A'] }).values, { title: 'Banner', notes: null, tags: ['a'] });
+  assert.deepStrictEqual(campaigns.parseDetails({}).values, {});
+  assert.ok(campaigns.parseDetails({ title: 'x'.repeat(201) }).error);
+
+  assert.deepStrictEqual(campaigns.parseCampaign({ name: ' Launch ' }).values, { name: 'Launch' });
+  assert.ok(campaigns.parseCampaign({}).error);
+  assert.deepStrictEqual(campaigns.parseCampaign({ description: null }, { partial: true }).values, { description: null });
+
+  assert.deepStrictEqual(listing.parseListQuery({ tag: ' Promo ', campaignId: 'none' }).filters.tag, 'promo');
+  assert.strictEqual(listing.parseListQuery({ campaignId: 'none' }).filters.campaignId, null);
+  assert.ok(listing.parseListQuery({ campaignId: 'x' }).error);
+});
@@ -0,0 +1,595 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const qr = require('../lib/qr');
+const { startServer, startServerProcess, readChallenge, solveChallenge } = require('./helpers');
+
+let server;
+let owner;
+test.before(async () => {
+  server = await startServer();
+  owner = server.client();
+  await owner.login();
+});
+test.after(() => server.close());
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+test('a short link goes through verification to its destination', async () => {
+  const created = await owner.post('/api/shorten', { url: 'https://example.com/landing', customCode: 'landing' });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual(created.body.code, 'landing');
+
+  // The page only carries a challenge, never the destination
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const page = await visitor.get('/landing');
+  assert.strictEqual(page.status, 200);
+  assert.ok(!page.body.includes('https://example.com/landing'));
+
+  const { challenge, difficulty } = readChallenge(page.body);
+  const solution = solveChallenge(challenge, difficulty);
+  const verified = await visitor.post('/api/verify/landing', { challenge, solution });
+  assert.strictEqual(verified.status, 200);
+  assert.strictEqual(verified.body.url, 'https://example.com/landing');
+
+  // A solved challenge can't be replayed
+  const replay = await visitor.post('/api/verify/landing', { challenge, solution });
+  assert.strictEqual(replay.status, 403);
+  assert.strictEqual(replay.body.reason, 'challenge_reused');
+});
+
+test('clicks are counted as raw, human and unique', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/count', customCode: 'count' });
+
+  const human = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  await human.get('/count');
+  await human.get('/count');
+  await server.client({ headers: { 'user-agent': 'TelegramBot (like TwitterBot)' } }).get('/count');
+  await server.flushClicks();
+
+  const stats = await owner.get('/api/analytics/count');
+  assert.strictEqual(stats.status, 200);
+  assert.deepStrictEqual(stats.body.totals, { clicks: 3, humanClicks: 2, uniqueClicks: 1, bypasses: 0 });
+  assert.strictEqual(stats.body.timeSeries.at(-1).clicks, 3);
+  assert.strictEqual(stats.body.botStats[0].count, 1);
+  assert.strictEqual(stats.body.recentClicks.length, 3);
+
+  const listed = (await owner.get('/api/urls/count')).body;
+  assert.strictEqual(listed.clicks, 3);
+  assert.strictEqual(listed.uniqueClicks, 1);
+});
+
+test('unknown and expired links are refused', async () => {
+  assert.strictEqual((await owner.get('/does-not-exist')).status, 404);
+
+  await owner.post('/api/shorten', { url: 'https://example.com/old', customCode: 'old', expiresAt: '2000-01-01T00:00:00Z' });
+  assert.strictEqual((await owner.get('/old')).status, 410);
+});
+
+test('custom codes must be valid and free', async () => {
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'ftp://example.com' })).status, 400);
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com', customCode: 'bad code' })).status, 400);
+  await owner.post('/api/shorten', { url: 'https://example.com', customCode: 'taken' });
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com', customCode: 'taken' })).status, 409);
+});
+
+test('bulk creation is all-or-nothing unless asked otherwise', async () => {
+  const links = [
+    { url: 'https://example.com/b1', customCode: 'bulk1' },
+    { url: 'not a url' }
+  ];
+
+  const rejected = await owner.post('/api/shorten/bulk', { links });
+  assert.strictEqual(rejected.status, 400);
+  assert.strictEqual(rejected.body.errors[0].row, 2);
+  assert.strictEqual((await owner.get('/api/urls/bulk1')).status, 404);
+
+  const partial = await owner.post('/api/shorten/bulk', { links, allOrNothing: false });
+  assert.strictEqual(partial.status, 200);
+  assert.strictEqual(partial.body.created, 1);
+  assert.strictEqual((await owner.get('/api/urls/bulk1')).status, 200);
+});
+
+test('edits are recorded as revisions and can be rolled back', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/v1', customCode: 'edit-me' });
+  await server.client({ headers: { 'user-agent': BROWSER_UA } }).get('/edit-me');
+  await server.flushClicks();
+
+  const edited = await owner.patch('/api/urls/edit-me', { url: 'https://example.com/v2', code: 'edited' });
+  assert.strictEqual(edited.status, 200);
+  assert.deepStrictEqual(edited.body.changes.code, { from: 'edit-me', to: 'edited' });
+
+  // Renaming keeps the link's history
+  const stats = await owner.get('/api/analytics/edited');
+  assert.strictEqual(stats.body.totals.clicks, 1);
+
+  const revisions = (await owner.get('/api/urls/edited/revisions')).body;
+  assert.strictEqual(revisions.length, 1);
+  assert.strictEqual(revisions[0].changed_by, 'admin');
+
+  const restored = await owner.post(`/api/urls/edited/revisions/${revisions[0].id}/restore`);
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual((await owner.get('/api/urls/edited')).body.url, 'https://example.com/v1');
+  assert.strictEqual((await owner.get('/api/urls/edited/revisions')).body[0].action, 'rollback');
+});
+
+// Open the page and solve its challenge; resolves with the destination handed out
+async function visit(code) {
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const { challenge, difficulty } = readChallenge((await visitor.get('/' + code)).body);
+  const verified = await visitor.post('/api/verify/' + code, { challenge, solution: solveChallenge(challenge, difficulty) });
+  return verified.body.url;
+}
+
+test('rotator links split visits by weight and attribute clicks per destination', async () => {
+  assert.strictEqual((await owner.post('/api/shorten', {
+    url: 'https://example.com/ab', customCode: 'ab-bad', rotation: 'random', destinations: [{ url: 'https://example.com/a' }]
+  })).status, 400);
+
+  const created = await owner.post('/api/shorten', {
+    url: 'https://example.com/ab',
+    customCode: 'ab',
+    destinations: [{ url: 'https://example.com/a', weight: 3 }, { url: 'https://example.com/b' }]
+  });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual((await owner.get('/api/urls/ab')).body.rotation, 'weighted');
+
+  const urls = [];
+  for (let i = 0; i < 8; i++) urls.push(await visit('ab'));
+  assert.strictEqual(urls.filter(url => url === 'https://example.com/a').length, 6);
+  assert.strictEqual(urls.filter(url => url === 'https://example.com/b').length, 2);
+
+  await server.flushClicks();
+  const stats = (await owner.get('/api/analytics/ab')).body;
+  assert.deepStrictEqual(stats.destinationStats.map(d => [d.url, d.weight, d.clicks, d.share]), [
+    ['https://example.com/a', 3, 6, 75],
+    ['https://example.com/b', 1, 2, 25]
+  ]);
+});
+
+test('capped destinations hand over to fallbacks, then to the default url', async () => {
+  await owner.post('/api/shorten', {
+    url: 'https://example.com/default',
+    customCode: 'seq',
+    rotation: 'sequential',
+    destinations: [
+      { url: 'https://example.com/first', clickCap: 2 },
+      { url: 'https://example.com/spare', clickCap: 1, fallback: true }
+    ]
+  });
+
+  const urls = [];
+  for (let i = 0; i < 4; i++) urls.push(await visit('seq'));
+  assert.deepStrictEqual(urls, [
+    'https://example.com/first', 'https://example.com/first', 'https://example.com/spare', 'https://example.com/default'
+  ]);
+
+  // Edits keep ids (and so attribution) for destinations that stay; renames carry them along
+  await server.flushClicks();
+  const { destinations } = (await owner.get('/api/urls/seq/destinations')).body;
+  const edited = await owner.patch('/api/urls/seq', {
+    code: 'seq2',
+    destinations: [{ id: destinations[0].id, url: 'https://example.com/first', clickCap: 5 }]
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.changes.destinations.to[0].clickCap, 5);
+  assert.strictEqual(await visit('seq2'), 'https://example.com/first');
+
+  await server.flushClicks();
+  const stats = (await owner.get('/api/analytics/seq2')).body;
+  assert.deepStrictEqual(stats.destinationStats.map(d => [d.url, d.clicks, d.totalClicks]), [
+    ['https://example.com/first', 3, 3],
+    ['https://example.com/default', 2, undefined]
+  ]);
+
+  // Turning rotation off goes back to a single destination
+  assert.strictEqual((await owner.patch('/api/urls/seq2', { rotation: null })).status, 200);
+  assert.strictEqual((await owner.get('/api/urls/seq2/destinations')).body.destinations.length, 0);
+  assert.strictEqual(await visit('seq2'), 'https://example.com/default');
+});
+
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36';
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+test('routing rules send visitors to the first matching destination', async () => {
+  assert.strictEqual((await owner.post('/api/shorten', {
+    url: 'https://example.com/app', customCode: 'app-bad', rules: [{ url: 'https://example.com/x', os: ['Symbian'] }]
+  })).status, 400);
+
+  await owner.post('/api/shorten', {
+    url: 'https://example.com/app',
+    customCode: 'app',
+    rules: [
+      { name: 'Android', url: 'https://play.example/app', os: ['Android'] },
+      { name: 'iOS', url: 'https://apps.example/app', os: ['iOS'] }
+    ]
+  });
+
+  const visitAs = async (userAgent) => {
+    const visitor = server.client({ headers: { 'user-agent': userAgent } });
+    const { challenge, difficulty } = readChallenge((await visitor.get('/app')).body);
+    return (await visitor.post('/api/verify/app', { challenge, solution: solveChallenge(challenge, difficulty) })).body.url;
+  };
+  assert.strictEqual(await visitAs(ANDROID_UA), 'https://play.example/app');
+  assert.strictEqual(await visitAs(IPHONE_UA), 'https://apps.example/app');
+  assert.strictEqual(await visitAs(BROWSER_UA), 'https://example.com/app');
+
+  await server.flushClicks();
+  const stats = (await owner.get('/api/analytics/app')).body;
+  assert.deepStrictEqual(stats.osStats.map(row => row.os).sort(), ['Android', 'Windows', 'iOS']);
+  assert.deepStrictEqual(stats.ruleStats.map(r => [r.name, r.clicks]), [['Android', 1], ['iOS', 1], ['Default', 1]]);
+
+  // Unchanged rules aren't recorded as an edit; an empty list removes them
+  const rules = (await owner.get('/api/urls/app/rules')).body;
+  const same = await owner.patch('/api/urls/app', { rules: rules.map(r => ({ id: r.id, name: r.name, url: r.url, ...r.conditions })) });
+  assert.deepStrictEqual(same.body.changes, {});
+  const cleared = await owner.patch('/api/urls/app', { rules: [] });
+  assert.strictEqual(cleared.body.changes.rules.to.length, 0);
+  assert.strictEqual(await visitAs(ANDROID_UA), 'https://example.com/app');
+});
+
+test('paused and scheduled links show their own page until they are live', async () => {
+  const tomorrow = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+  assert.strictEqual((await owner.post('/api/shorten', {
+    url: 'https://example.com/launch', customCode: 'launch-bad', startsAt: tomorrow, expiresAt: '2001-01-01T00:00:00Z'
+  })).status, 400);
+
+  await owner.post('/api/shorten', { url: 'https://example.com/launch', customCode: 'launch', startsAt: tomorrow });
+  const scheduled = await owner.get('/launch');
+  assert.strictEqual(scheduled.status, 403);
+  assert.match(scheduled.body, /Not Active Yet/);
+  assert.strictEqual((await owner.get('/api/urls/launch')).body.state, 'scheduled');
+
+  await owner.patch('/api/urls/launch', { startsAt: null, paused: true });
+  assert.strictEqual((await owner.get('/launch')).status, 503);
+  assert.strictEqual((await owner.get('/api/urls/launch')).body.state, 'paused');
+
+  await owner.patch('/api/urls/launch', { paused: false });
+  assert.strictEqual(await visit('launch'), 'https://example.com/launch');
+});
+
+test('links stop after their click or unique visitor cap', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/capped', customCode: 'capped', maxClicks: 2 });
+  const first = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const { challenge, difficulty } = readChallenge((await first.get('/capped')).body);
+  await server.client({ headers: { 'user-agent': BROWSER_UA } }).get('/capped');
+  await server.flushClicks();
+
+  const limited = await owner.get('/capped');
+  assert.strictEqual(limited.status, 410);
+  assert.match(limited.body, /Limit Reached/);
+  assert.strictEqual((await owner.get('/api/urls/capped')).body.state, 'limit_reached');
+
+  // A visit let in before the cap was reached still gets through
+  const verified = await first.post('/api/verify/capped', { challenge, solution: solveChallenge(challenge, difficulty) });
+  assert.strictEqual(verified.body.url, 'https://example.com/capped');
+
+  // The same visitor twice is one unique visitor
+  await owner.post('/api/shorten', { url: 'https://example.com/once', customCode: 'once', maxUniqueClicks: 1 });
+  const repeat = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  await repeat.get('/once');
+  await server.flushClicks();
+  assert.strictEqual((await repeat.get('/once')).status, 410);
+});
+
+test('password-protected links ask for the password before the countdown', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/secret', customCode: 'secret', password: 'open sesame' });
+  assert.strictEqual((await owner.get('/api/urls/secret')).body.hasPassword, true);
+
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const form = await visitor.get('/secret?ref=mail');
+  assert.strictEqual(form.status, 401);
+  assert.ok(!form.body.includes('MV_VERIFY'));
+  assert.match(form.body, /action="\/secret\/unlock\?ref=mail"/);
+  const ticket = form.body.match(/name="ticket" value="([^"]+)"/)[1];
+
+  const unlock = (fields) => visitor.post('/secret/unlock?ref=mail', new URLSearchParams(fields).toString(), {
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }
+  });
+  const wrong = await unlock({ ticket, password: 'guess' });
+  assert.strictEqual(wrong.status, 401);
+  assert.match(wrong.body, /Wrong password/);
+  assert.strictEqual((await unlock({ ticket: ticket.slice(0, -2) + 'xx', password: 'open sesame' })).status, 403);
+
+  const page = await unlock({ ticket, password: 'open sesame' });
+  assert.strictEqual(page.status, 200);
+  const { challenge, difficulty } = readChallenge(page.body);
+  const verified = await visitor.post('/api/verify/secret', { challenge, solution: solveChallenge(challenge, difficulty) });
+  assert.strictEqual(verified.body.url, 'https://example.com/secret');
+
+  // Revisions record that the password went away, not its hash
+  const removed = await owner.patch('/api/urls/secret', { password: null });
+  assert.deepStrictEqual(removed.body.changes, { password_hash: { from: true, to: false } });
+  assert.strictEqual((await visitor.get('/secret')).status, 200);
+});
+
+test('query strings are forwarded, UTM defaults added and the parameters recorded', async () => {
+  await owner.post('/api/shorten', {
+    url: 'https://example.com/offer?c={code}&id={click_id}&d={device}', customCode: 'campaign',
+    forwardQuery: true, utm: { utm_source: 'shortener', utm_medium: 'link' }
+  });
+  const listed = (await owner.get('/api/urls/campaign')).body;
+  assert.strictEqual(listed.forwardQuery, true);
+  assert.deepStrictEqual(listed.utm, { utm_source: 'shortener', utm_medium: 'link' });
+
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const { challenge, difficulty } = readChallenge((await visitor.get('/campaign?utm_source=tg&t=not-forwarded')).body);
+  const verified = await visitor.post('/api/verify/campaign', { challenge, solution: solveChallenge(challenge, difficulty) });
+  const destination = new URL(verified.body.url);
+  assert.strictEqual(destination.searchParams.get('c'), 'campaign');
+  assert.strictEqual(destination.searchParams.get('d'), 'Desktop');
+  assert.strictEqual(destination.searchParams.get('utm_source'), 'tg');
+  assert.strictEqual(destination.searchParams.get('utm_medium'), 'link');
+  assert.strictEqual(destination.searchParams.has('t'), false);
+
+  await server.flushClicks();
+  const stats = (await owner.get('/api/analytics/campaign')).body;
+  const [click] = stats.recentClicks;
+  assert.strictEqual(click.click_id, destination.searchParams.get('id'));
+  assert.deepStrictEqual(click.query_params, { utm_source: 'tg', utm_medium: 'link' });
+  assert.deepStrictEqual(stats.utmSourceStats, [{ utm_source: 'tg', count: 1 }]);
+  assert.deepStrictEqual(stats.utmMediumStats, [{ utm_medium: 'link', count: 1 }]);
+
+  // Without forwarding only the defaults are added
+  const changed = await owner.patch('/api/urls/campaign', { forwardQuery: false, utm: { utm_source: 'other' } });
+  assert.deepStrictEqual(Object.keys(changed.body.changes).sort(), ['forward_query', 'utm']);
+  const again = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const page = readChallenge((await again.get('/campaign?utm_source=tg')).body);
+  const url = (await again.post('/api/verify/campaign', {
+    challenge: page.challenge, solution: solveChallenge(page.challenge, page.difficulty)
+  })).body.url;
+  assert.strictEqual(new URL(url).searchParams.get('utm_source'), 'other');
+  assert.strictEqual(new URL(url).searchParams.has('utm_medium'), false);
+
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com', utm: { source: 'x' } })).status, 400);
+});
+
+test('QR codes carry the scan source, which the click records', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/printed?ref=poster', customCode: 'printed', forwardQuery: true });
+  const key = (await owner.post('/api/keys', { name: 'qr', scopes: ['analytics:read'] })).body.key;
+  const fetchQr = query => fetch(`${server.baseUrl}/api/urls/printed/qr${query}`, { headers: { authorization: `Bearer ${key}` } });
+
+  const png = await fetchQr('?size=200&download=1');
+  assert.strictEqual(png.status, 200);
+  assert.strictEqual(png.headers.get('content-type'), 'image/png');
+  assert.match(png.headers.get('content-disposition'), /printed-qr\.png/);
+  const image = qr.decodePng(Buffer.from(await png.arrayBuffer()));
+  assert.ok(image.width <= 200 && image.width >= 150);
+
+  const svg = await owner.get('/api/urls/printed/qr?format=svg&dark=%23336699&margin=0');
+  assert.strictEqual(svg.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.ok(svg.body.includes('fill="#336699"'));
+  assert.strictEqual((await owner.get('/api/urls/printed/qr?size=5000')).status, 400);
+  assert.strictEqual((await owner.get('/api/urls/missing/qr')).status, 404);
+
+  // Logos are inline data URIs, never URLs; PNG codes need a PNG logo
+  const logo = qr.toPng(qr.encode('logo'), { size: 60, margin: 0, dark: '#ff0000', light: '#ffffff' });
+  const logoUri = `data:image/png;base64,${logo.toString('base64')}`;
+  assert.strictEqual((await fetchQr(`?logo=${encodeURIComponent(logoUri)}`)).status, 200);
+  const withLogo = await owner.post('/api/urls/printed/qr', { format: 'svg', logo: logoUri });
+  assert.strictEqual(withLogo.status, 200);
+  assert.ok(withLogo.body.includes('href="data:image/png;base64,'));
+  const gifLogo = `data:image/gif;base64,${Buffer.from('GIF89a').toString('base64')}`;
+  assert.strictEqual((await owner.post('/api/urls/printed/qr', { logo: gifLogo })).status, 400);
+  const remote = await owner.get(`/api/urls/printed/qr?logo=${encodeURIComponent('http://127.0.0.1:1/logo.png')}`);
+  assert.strictEqual(remote.status, 400);
+
+  // The code points at the short link with mv_src=qr, which is not forwarded
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA } });
+  const { challenge, difficulty } = readChallenge((await visitor.get('/printed?mv_src=qr')).body);
+  const verified = await visitor.post('/api/verify/printed', { challenge, solution: solveChallenge(challenge, difficulty) });
+  assert.strictEqual(new URL(verified.body.url).searchParams.has('mv_src'), false);
+  await server.client({ headers: { 'user-agent': BROWSER_UA } }).get('/printed');
+
+  await server.flushClicks();
+  const stats = (await owner.get('/api/analytics/printed')).body;
+  assert.deepStrictEqual(stats.sourceStats.map(row => [row.source, row.count]).sort(), [[null, 1], ['qr', 1]]);
+  assert.strictEqual(stats.recentClicks.find(c => c.source === 'qr').referrer, 'Direct');
+});
+
+test('partner links get no QR code, since a scan could never pass the partner check', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Scanned', domain: 'scanned.example', allowReferrerFallback: true })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/scanned', customCode: 'scanned', partnerId: partner.id });
+
+  // What a printed code would open: no token and no referrer
+  const scan = await server.client({ headers: { 'user-agent': BROWSER_UA } }).get('/scanned?mv_src=qr');
+  assert.strictEqual(scan.status, 403);
+
+  const png = await owner.get('/api/urls/scanned/qr');
+  assert.strictEqual(png.status, 400);
+  assert.match(png.body.error, /token/);
+  assert.strictEqual((await owner.post('/api/urls/scanned/qr', { format: 'svg' })).status, 400);
+});
+
+test('links are listed a page at a time with search, filters and sorting', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Pager', domain: 'pager.example' })).body;
+  for (let i = 1; i <= 5; i++) {
+    await owner.post('/api/shorten', {
+      url: `https://example.com/Paging/${i}`, customCode: `pg-${i}`, partnerId: i === 5 ? partner.id : undefined
+    });
+  }
+  await owner.patch('/api/urls/pg-2', { paused: true });
+  for (let i = 0; i < 3; i++) await server.client().get('/pg-3');
+  await server.client().get('/pg-4');
+  await server.client().get('/pg-5'); // no partner token: a bypass attempt
+  await server.flushClicks();
+
+  const list = async query => {
+    const res = await owner.get('/api/urls?q=paging' + query);
+    assert.strictEqual(res.status, 200);
+    return res.body;
+  };
+
+  // Newest first by default; the cursor continues where the page ended
+  const first = await list('&limit=2');
+  assert.strictEqual(first.total, 5);
+  assert.deepStrictEqual(first.urls.map(u => u.code), ['pg-5', 'pg-4']);
+  const second = await list(`&limit=2&cursor=${first.nextCursor}`);
+  assert.deepStrictEqual(second.urls.map(u => u.code), ['pg-3', 'pg-2']);
+  const last = await list(`&limit=2&cursor=${second.nextCursor}`);
+  assert.deepStrictEqual(last.urls.map(u => u.code), ['pg-1']);
+  assert.strictEqual(last.nextCursor, null);
+
+  assert.deepStrictEqual((await list('&sort=clicks&limit=2')).urls.map(u => [u.code, u.clicks]), [['pg-3', 3], ['pg-4', 1]]);
+  assert.deepStrictEqual((await list('&sort=created&order=asc&limit=1')).urls.map(u => u.code), ['pg-1']);
+  assert.deepStrictEqual((await list('&state=paused')).urls.map(u => u.code), ['pg-2']);
+  assert.strictEqual((await list('&state=active')).total, 4);
+  assert.deepStrictEqual((await list(`&partnerId=${partner.id}`)).urls.map(u => u.code), ['pg-5']);
+  assert.strictEqual((await list('&partnerId=none')).total, 4);
+  const bypassed = await list('&hasBypasses=true');
+  assert.deepStrictEqual(bypassed.urls.map(u => [u.code, u.bypasses]), [['pg-5', 1]]);
+  assert.strictEqual((await list('&hasBypasses=false')).total, 4);
+  assert.strictEqual((await list('&createdFrom=2999-01-01')).total, 0);
+  assert.strictEqual((await list('&createdTo=2999-01-01')).total, 5);
+  assert.strictEqual((await owner.get('/api/urls?q=pg-4')).body.total, 1);
+  // LIKE wildcards are matched literally
+  assert.strictEqual((await owner.get('/api/urls?q=pg_')).body.total, 0);
+
+  assert.strictEqual((await owner.get('/api/urls?sort=name')).status, 400);
+  assert.strictEqual((await owner.get('/api/urls?limit=500')).status, 400);
+  assert.strictEqual((await owner.get('/api/urls?state=gone')).status, 400);
+  // A cursor only continues the sort it came from
+  assert.strictEqual((await owner.get(`/api/urls?sort=clicks&cursor=${first.nextCursor}`)).status, 400);
+  assert.strictEqual((await owner.get('/api/urls?cursor=nonsense')).status, 400);
+});
+
+test('links are tagged, noted and grouped into campaigns with joint analytics', async () => {
+  const campaign = await owner.post('/api/campaigns', { name: 'Launch', description: 'Spring launch' });
+  assert.strictEqual(campaign.status, 200);
+  assert.strictEqual((await owner.post('/api/campaigns', { name: 'launch' })).status, 409);
+  const id = campaign.body.id;
+
+  await owner.post('/api/shorten', {
+    url: 'https://example.com/launch/a', customCode: 'launch-a', title: 'Banner', notes: 'Top of page',
+    tags: ['Spring', 'banner'], campaignId: id
+  });
+  await owner.post('/api/shorten', { url: 'https://example.com/launch/b', customCode: 'launch-b', tags: ['spring'] });
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com/x', campaignId: 9999 })).status, 400);
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com/x', tags: 'spring' })).status, 400);
+
+  const a = (await owner.get('/api/urls/launch-a')).body;
+  assert.deepStrictEqual([a.title, a.notes, a.tags, a.campaignId, a.campaignName], ['Banner', 'Top of page', ['spring', 'banner'], id, 'Launch']);
+  const edited = await owner.patch('/api/urls/launch-b', { campaignId: id, title: 'Footer' });
+  assert.strictEqual(edited.status, 200);
+  assert.deepStrictEqual(Object.keys(edited.body.changes).sort(), ['campaign_id', 'title']);
+
+  const codes = async query => (await owner.get('/api/urls?' + query)).body.urls.map(u => u.code).sort();
+  assert.deepStrictEqual(await codes('tag=SPRING'), ['launch-a', 'launch-b']);
+  assert.deepStrictEqual(await codes('tag=banner'), ['launch-a']);
+  assert.deepStrictEqual(await codes(`campaignId=${id}`), ['launch-a', 'launch-b']);
+  assert.deepStrictEqual(await codes('q=footer'), ['launch-b']);
+
+  for (let i = 0; i < 2; i++) await server.client().get('/launch-a');
+  await server.client().get('/launch-b');
+  await server.flushClicks();
+  const stats = await owner.get(`/api/campaigns/${id}/analytics`);
+  assert.strictEqual(stats.status, 200);
+  assert.strictEqual(stats.body.campaign.name, 'Launch');
+  assert.strictEqual(stats.body.totals.clicks, 3);
+  assert.deepStrictEqual(stats.body.linkStats.map(l => [l.code, l.clicks]), [['launch-a', 2], ['launch-b', 1]]);
+  const listed = (await owner.get('/api/campaigns')).body.find(c => c.id === id);
+  assert.deepStrictEqual([listed.links, listed.clicks], [2, 3]);
+
+  // Editors only manage the campaigns they created
+  await owner.post('/api/users', { username: 'campaigner', password: 'pw-campaigner', role: 'editor' });
+  const editor = server.client();
+  await editor.login('campaigner', 'pw-campaigner');
+  assert.strictEqual((await editor.patch(`/api/campaigns/${id}`, { name: 'Mine' })).status, 403);
+  assert.strictEqual((await owner.patch(`/api/campaigns/${id}`, { name: 'Launch 2024' })).body.name, 'Launch 2024');
+
+  // Deleting the campaign keeps its links, with a revision each
+  const deleted = await owner.delete(`/api/campaigns/${id}`);
+  assert.deepStrictEqual(deleted.body, { success: true, detachedLinks: 2 });
+  assert.strictEqual((await owner.get('/api/urls/launch-a')).body.campaignId, null);
+  assert.strictEqual((await owner.get('/api/urls/launch-a/revisions')).body[0].action, 'campaign_deleted');
+  assert.strictEqual((await owner.get(`/api/campaigns/${id}/analytics`)).status, 404);
+});
+
+test('editors only manage their own links', async () => {
+  await owner.post('/api/users', { username: 'editor1', password: 'pw-editor', role: 'editor' });
+  const editor = server.client();
+  await editor.login('editor1', 'pw-editor');
+
+  await owner.post('/api/shorten', { url: 'https://example.com/owners', customCode: 'owners' });
+  assert.strictEqual((await editor.patch('/api/urls/owners', { url: 'https://evil.example' })).status, 403);
+  assert.strictEqual((await editor.delete('/api/urls/owners')).status, 403);
+
+  await editor.post('/api/shorten', { url: 'https://example.com/mine', customCode: 'mine' });
+  assert.strictEqual((await editor.delete('/api/urls/mine')).status, 200);
+  assert.strictEqual((await owner.get('/mine')).status, 404);
+});
+
+test('links round-trip through CSV export and import', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/export', customCode: 'exported' });
+
+  const exported = await owner.get('/api/export/urls?format=csv');
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.body, /^code,url,partner_id,expires_at,created,clicks/);
+  assert.match(exported.body, /exported,https:\/\/example.com\/export/);
+
+  const csv = 'code,url\nexported,https://example.com/export2\nimported,https://example.com/new\n';
+  const imported = await owner.post('/api/import/urls', csv, { headers: { 'content-type': 'text/csv' } });
+  assert.strictEqual(imported.status, 200);
+  assert.deepStrictEqual(imported.body.results.map(r => r.action), ['updated', 'created']);
+
+  assert.strictEqual((await owner.get('/api/urls/exported')).body.url, 'https://example.com/export2');
+  assert.strictEqual((await owner.get('/api/urls/imported')).body.url, 'https://example.com/new');
+});
+
+test('an export imports into a fresh install with every column intact', async () => {
+  const partner = (await owner.post('/api/partners', {
+    name: 'Movers', domains: ['movers.example', 'cdn.movers.example'], allowReferrerFallback: true,
+    branding: { colors: { primary: '#123456' }, footer: 'Moved "here", safely' }
+  })).body;
+  const campaign = (await owner.post('/api/campaigns', { name: 'Export' })).body;
+  const created = await owner.post('/api/shorten', {
+    url: 'https://example.com/moved', customCode: 'moved', partnerId: partner.id, campaignId: campaign.id,
+    title: 'Moved, with "quotes"', notes: 'Line one\nline two', tags: ['spring', 'export'],
+    startsAt: '2020-01-01T00:00:00.000Z', expiresAt: '2099-01-01T00:00:00.000Z', paused: true,
+    maxClicks: 10, maxUniqueClicks: 5, password: 'open sesame', forwardQuery: true,
+    utm: { utm_source: 'newsletter', utm_medium: 'email' },
+    destinations: [{ url: 'https://example.com/a' }, { url: 'https://example.com/b' }], rotation: 'sequential'
+  });
+  assert.strictEqual(created.status, 200);
+
+  const source = {
+    partners: (await owner.get('/api/export/partners')).body,
+    urls: (await owner.get('/api/export/urls')).body
+  };
+  const moved = source.urls.find(row => row.code === 'moved');
+  assert.strictEqual(moved.paused, true);
+  assert.deepStrictEqual(moved.utm, { utm_source: 'newsletter', utm_medium: 'email' });
+  assert.match(moved.password_hash, /^scrypt\$/);
+  assert.ok(source.urls.find(row => row.code === 'launch-a').human_clicks > 0);
+
+  // Only owners get signing secrets and password hashes
+  const editor = server.client();
+  await editor.login('editor1', 'pw-editor');
+  assert.ok(!('secret' in (await editor.get('/api/export/partners')).body[0]));
+  assert.ok(!('password_hash' in (await editor.get('/api/export/urls')).body[0]));
+
+  const target = await startServerProcess();
+  try {
+    const admin = target.client();
+    await admin.login();
+    // Campaigns aren't exported, so the link's one has to exist under the same id first
+    let recreated;
+    do {
+      recreated = (await admin.post('/api/campaigns', { name: `Campaign ${recreated ? recreated.id + 1 : 1}` })).body;
+    } while (recreated.id < campaign.id);
+
+    for (const table of ['partners', 'urls']) {
+      const body = (await owner.get(`/api/export/${table}?format=csv`)).body;
+      const imported = await admin.post(`/api/import/${table}`, body, { headers: { 'content-type': 'text/csv' } });
+      assert.strictEqual(imported.status, 200, JSON.stringify(imported.body.errors));
+      assert.ok(imported.body.results.every(r => r.action === 'created'));
+      assert.deepStrictEqual((await admin.get(`/api/export/${table}`)).body, source[table]);
+    }
+
+    // The JSON export imports too, and changes nothing now
+    const again = await admin.post('/api/import/urls', source.urls);
+    assert.strictEqual(again.status, 200);
+    assert.ok(again.body.results.every(r => r.action === 'unchanged'));
+  } finally {
+    await target.close();
+  }
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tokens = require('../lib/tokens');
+const { startServer, readChallenge, solveChallenge } = require('./helpers');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+let server;
+let owner;
+test.before(async () => {
+  server = await startServer();
+  owner = server.client();
+  await owner.login();
+});
+test.after(() => server.close());
+
+// Visit a partner link from `ip` with a fresh token and solve the challenge
+async function visit(partner, code, ip) {
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA, 'x-forwarded-for': ip } });
+  const page = await visitor.get(`/${code}?t=${tokens.signToken(partner.secret, code)}`);
+  const { challenge, difficulty } = readChallenge(page.body);
+  await visitor.post('/api/verify/' + code, { challenge, solution: solveChallenge(challenge, difficulty) });
+}
+
+test('partners have several domains and the referrer fallback accepts each', async () => {
+  const created = await owner.post('/api/partners', {
+    name: 'Multi', domains: ['multi.example', 'https://multi-links.example/'], allowReferrerFallback: true
+  });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual(created.body.domain, 'multi.example');
+  assert.deepStrictEqual(created.body.domains, ['multi.example', 'https://multi-links.example/']);
+  assert.strictEqual((await owner.post('/api/partners', { name: 'Bad', domains: [] })).status, 400);
+  assert.strictEqual((await owner.post('/api/partners', { name: 'Bad', domains: ['not a domain'] })).status, 400);
+
+  await owner.post('/api/shorten', { url: 'https://example.com/multi', customCode: 'multi', partnerId: created.body.id });
+  const from = referer => server.client({ headers: { referer } }).get('/multi');
+  assert.strictEqual((await from('https://multi.example/a')).status, 200);
+  assert.strictEqual((await from('https://go.multi-links.example/b')).status, 200);
+  assert.strictEqual((await from('https://elsewhere.example/')).status, 403);
+
+  // `domain` alone replaces the primary domain and keeps the others
+  const renamed = await owner.patch(`/api/partners/${created.body.id}`, { domain: 'multi.example.org' });
+  assert.deepStrictEqual(renamed.body.domains, ['multi.example.org', 'https://multi-links.example/']);
+  const replaced = await owner.patch(`/api/partners/${created.body.id}`, { domains: ['only.example'] });
+  assert.strictEqual(replaced.body.domain, 'only.example');
+  assert.strictEqual((await from('https://multi-links.example/')).status, 403);
+});
+
+test('deleting a partner detaches its links and revokes its access', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Leaving', domain: 'leaving.example' })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/left', customCode: 'left', partnerId: partner.id });
+  const key = (await owner.post('/api/keys', { name: 'leaving', scopes: ['analytics:read'], partnerId: partner.id })).body;
+  await owner.post('/api/users', { username: 'leaving-user', password: 'pw-leaving', role: 'partner', partnerId: partner.id });
+
+  const withDomain = (await owner.post('/api/partners', { name: 'Hosted', domain: 'hosted.example' })).body;
+  await owner.post('/api/domains', { host: 'go.hosted.example', partnerId: withDomain.id });
+  assert.strictEqual((await owner.delete(`/api/partners/${withDomain.id}`)).status, 409);
+
+  const deleted = await owner.delete(`/api/partners/${partner.id}`);
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(deleted.body, { success: true, detachedLinks: 1, revokedKeys: 1, removedUsers: 1 });
+  assert.strictEqual((await owner.delete(`/api/partners/${partner.id}`)).status, 404);
+  assert.ok(!(await owner.get('/api/partners')).body.some(p => p.id === partner.id));
+
+  assert.strictEqual((await owner.get('/api/urls/left')).body.partnerId, null);
+  const revisions = (await owner.get('/api/urls/left/revisions')).body;
+  assert.strictEqual(revisions[0].action, 'partner_deleted');
+  // Visitors no longer need the partner's token
+  assert.strictEqual((await server.client().get('/left')).status, 200);
+
+  const keyClient = server.client({ headers: { authorization: `Bearer ${key.key}` } });
+  assert.strictEqual((await keyClient.get('/api/urls')).status, 401);
+  await assert.rejects(server.client().login('leaving-user', 'pw-leaving'));
+  assert.strictEqual((await owner.post('/api/shorten', { url: 'https://example.com/x', partnerId: partner.id })).status, 400);
+});
+
+test('partner stats and partner logins only cover their own partner', async () => {
+  const acme = (await owner.post('/api/partners', { name: 'Acme', domain: 'acme.example' })).body;
+  const other = (await owner.post('/api/partners', { name: 'Other', domain: 'other.example' })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/acme', customCode: 'acme-1', partnerId: acme.id });
+  await owner.post('/api/shorten', { url: 'https://example.com/other', customCode: 'other-1', partnerId: other.id });
+
+  await visit(acme, 'acme-1', '198.51.100.1');
+  await visit(acme, 'acme-1', '198.51.100.1');
+  await visit(acme, 'acme-1', '198.51.100.2');
+  await server.client({ headers: { 'x-forwarded-for': '198.51.100.3' } }).get('/acme-1');
+  await server.flushClicks();
+
+  const stats = await owner.get('/api/partners/stats');
+  assert.strictEqual(stats.status, 200);
+  const acmeStats = stats.body.partners.find(p => p.id === acme.id);
+  assert.deepStrictEqual(acmeStats, {
+    id: acme.id, name: 'Acme', links: 1, clicks: 3, humanClicks: 3, uniqueVisitors: 2, bypasses: 1, bypassRate: 0.25
+  });
+  assert.strictEqual(stats.body.partners.find(p => p.id === other.id).clicks, 0);
+  const future = await owner.get('/api/partners/stats?from=2999-01-01T00:00:00Z&to=2999-02-01T00:00:00Z');
+  assert.strictEqual(future.body.partners.find(p => p.id === acme.id).clicks, 0);
+  assert.strictEqual((await owner.get('/api/partners/stats?from=yesterday')).status, 400);
+
+  assert.strictEqual((await owner.post('/api/users', { username: 'nopartner', password: 'pw', role: 'partner' })).status, 400);
+  await owner.post('/api/users', { username: 'acme-user', password: 'pw-acme-user', role: 'partner', partnerId: acme.id });
+  const portal = server.client();
+  const me = await portal.login('acme-user', 'pw-acme-user');
+  assert.strictEqual(me.role, 'partner');
+
+  assert.deepStrictEqual((await portal.get('/api/urls')).body.urls.map(u => u.code), ['acme-1']);
+  assert.strictEqual((await portal.get('/api/urls/other-1')).status, 404);
+  assert.strictEqual((await portal.get(`/api/urls?partnerId=${other.id}`)).body.total, 0);
+  assert.deepStrictEqual((await portal.get('/api/partners')).body.map(p => p.id), [acme.id]);
+  assert.deepStrictEqual((await portal.get('/api/partners/stats')).body.partners.map(p => p.id), [acme.id]);
+  assert.strictEqual((await portal.get('/api/analytics/acme-1')).body.totals.clicks, 3);
+  assert.strictEqual((await portal.get('/api/analytics/other-1')).status, 404);
+
+  assert.strictEqual((await portal.post('/api/shorten', { url: 'https://example.com/mine' })).status, 403);
+  assert.strictEqual((await portal.patch('/api/urls/acme-1', { url: 'https://example.com/changed' })).status, 403);
+  assert.strictEqual((await portal.get('/api/export/urls')).status, 403);
+
+  // Their keys are tied to the partner as well
+  const key = await portal.post('/api/keys', { name: 'acme', scopes: ['analytics:read'] });
+  assert.strictEqual(key.body.partner_id, acme.id);
+  const keyClient = server.client({ headers: { authorization: `Bearer ${key.body.key}` } });
+  assert.deepStrictEqual((await keyClient.get('/api/urls')).body.urls.map(u => u.code), ['acme-1']);
+});
@@ -0,0 +1,364 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const tokens = require('../lib/tokens');
+const reporting = require('../lib/reports');
+const { parseChannel, withoutSecrets } = require('../lib/channels');
+const { verifySignature } = require('../lib/webhooks');
+const { startServer, readChallenge, solveChallenge } = require('./helpers');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const DAY_MS = 24 * 3600 * 1000;
+
+// A local HTTP server standing in for both the generic HTTP channel and the Telegram Bot API.
+// Every request is recorded; `respond` picks the status code and JSON body.
+let receiver;
+let receiverUrl;
+let received = [];
+let respond = () => [200, { ok: true }];
+
+// A local SMTP server that accepts AUTH PLAIN and records each session's commands and message.
+// It doesn't offer STARTTLS, so channels using it set starttls: false.
+let smtp;
+let sessions = [];
+let mails = [];
+
+function startSmtpStub() {
+  const stub = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let inData = false;
+    let buffer = '';
+    socket.write('220 stub.test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        mails.push(session);
+        socket.write('250 queued\r\n');
+      }
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-stub.test\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write('235 ok\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => stub.listen(0, '127.0.0.1', () => resolve(stub)));
+}
+
+let server;
+let owner;
+let reports;
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      const [status, data] = respond(req);
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  smtp = await startSmtpStub();
+
+  server = await startServer({ REPORT_POLL_INTERVAL_SECONDS: '3600', ALERT_CHECK_INTERVAL_SECONDS: '3600' });
+  reports = require('../server').reports;
+  owner = server.client();
+  await owner.login();
+});
+test.after(async () => {
+  await server.close();
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+  await new Promise(resolve => smtp.close(resolve));
+});
+test.beforeEach(() => {
+  received = [];
+  sessions = [];
+  mails = [];
+  respond = () => [200, { ok: true }];
+});
+
+// Visit a partner link from `ip` with a fresh token and solve the challenge: one click
+async function visit(partner, code, ip) {
+  const visitor = server.client({ headers: { 'user-agent': BROWSER_UA, 'x-forwarded-for': ip } });
+  const page = await visitor.get(`/${code}?t=${tokens.signToken(partner.secret, code)}`);
+  const { challenge, difficulty } = readChallenge(page.body);
+  await visitor.post('/api/verify/' + code, { challenge, solution: solveChallenge(challenge, difficulty) });
+}
+
+// Open a partner link without a token: one bypass attempt
+function bypass(code, ip) {
+  return server.client({ headers: { 'user-agent': BROWSER_UA, 'x-forwarded-for': ip } }).get('/' + code);
+}
+
+const smtpConfig = () => ({
+  host: '127.0.0.1', port: smtp.address().port, starttls: false, username: 'mailer', password: 'mail-pass',
+  from: 'reports@maxverify.test', to: 'ops@maxverify.test, me@maxverify.test'
+});
+const mailBody = mail => Buffer.from(mail.data.split('\r\n\r\n').slice(1).join('').replace(/\r\n/g, ''), 'base64').toString('utf8');
+
+test('report periods are whole UTC days and Monday-to-Monday weeks', () => {
+  const wednesday = new Date('2024-05-08T10:30:00Z');
+  assert.deepStrictEqual(reporting.periodFor('daily', wednesday), {
+    from: new Date('2024-05-07T00:00:00Z'), to: new Date('2024-05-08T00:00:00Z')
+  });
+  assert.deepStrictEqual(reporting.periodFor('weekly', wednesday), {
+    from: new Date('2024-04-29T00:00:00Z'), to: new Date('2024-05-06T00:00:00Z')
+  });
+  assert.deepStrictEqual(reporting.nextRun('daily', wednesday), new Date('2024-05-09T00:00:00Z'));
+  assert.deepStrictEqual(reporting.nextRun('weekly', wednesday), new Date('2024-05-13T00:00:00Z'));
+  assert.deepStrictEqual(reporting.nextRun('weekly', new Date('2024-05-12T23:59:00Z')), new Date('2024-05-13T00:00:00Z'));
+  assert.deepStrictEqual(reporting.nextRun('weekly', new Date('2024-05-13T00:00:00Z')), new Date('2024-05-20T00:00:00Z'));
+});
+
+test('channel configs are validated and their secrets kept out of responses', () => {
+  assert.ok(parseChannel({ name: 'x', type: 'sms', config: {} }).error);
+  assert.ok(parseChannel({ name: 'x', type: 'smtp', config: { host: 'h', from: 'nope', to: 'a@b.c' } }).error);
+  assert.ok(parseChannel({ name: 'x', type: 'smtp', config: { host: 'h', from: 'a@b.c', to: [] } }).error);
+  assert.ok(parseChannel({ name: 'x', type: 'telegram', config: { botToken: 'abc', chatId: '1' } }).error);
+  assert.ok(parseChannel({ name: 'x', type: 'http', config: { url: 'https://x.test', secret: 'short' } }).error);
+
+  const { values } = parseChannel({ name: ' Mail ', type: 'smtp', config: { host: 'h', from: 'a@b.c', to: 'x@y.z, w@y.z', secure: true } });
+  assert.deepStrictEqual(values, {
+    name: 'Mail', type: 'smtp',
+    config: { host: 'h', port: 465, secure: true, starttls: true, username: null, password: null, from: 'a@b.c', to: ['x@y.z', 'w@y.z'] }
+  });
+
+  const stored = { id: 1, type: 'telegram', config: { botToken: '123:abc', chatId: '-100', apiUrl: null } };
+  assert.deepStrictEqual(withoutSecrets(stored).config, { chatId: '-100', apiUrl: null });
+  assert.deepStrictEqual(withoutSecrets(stored).secrets, { botToken: true });
+  // Updates that leave a secret out keep the stored one
+  assert.strictEqual(parseChannel({ config: { chatId: '@reports' } }, stored).values.config.botToken, '123:abc');
+});
+
+test('alert rules get defaults and bounds, and spikes need enough attempts and share of clicks', () => {
+  const { values } = reporting.parseAlertRule({ name: 'Wave', thresholdPercent: 25, channelId: '3' });
+  assert.deepStrictEqual(values, {
+    name: 'Wave', threshold_percent: 25, window_minutes: 60, min_bypasses: 10, cooldown_minutes: 60, channel_id: 3
+  });
+  assert.ok(reporting.parseAlertRule({ name: 'x', thresholdPercent: 0, channelId: 1 }).error);
+  assert.ok(reporting.parseAlertRule({ name: 'x', thresholdPercent: 10, windowMinutes: 1, channelId: 1 }).error);
+  assert.deepStrictEqual(reporting.parseAlertRule({ minBypasses: 3 }, { partial: true }).values, { min_bypasses: 3 });
+
+  const rule = { threshold_percent: 50, min_bypasses: 3 };
+  const spikes = reporting.findSpikes([
+    { code: 'busy', clicks: 100, bypasses: 20 },
+    { code: 'wave', clicks: 4, bypasses: 3 },
+    { code: 'few', clicks: 0, bypasses: 2 },
+    { code: 'blind', clicks: 0, bypasses: 5 }
+  ], rule);
+  assert.deepStrictEqual(spikes.map(s => s.code), ['wave', 'blind']);
+  assert.strictEqual(reporting.bypassRate(3, 4), 75);
+  assert.strictEqual(reporting.bypassRate(3, 0), null);
+});
+
+test('channels are owner-only and tested against local SMTP, Telegram and HTTP stubs', async () => {
+  assert.strictEqual((await owner.post('/api/channels', { name: 'x', type: 'http', config: { url: 'ftp://x' } })).status, 400);
+
+  const mail = await owner.post('/api/channels', { name: 'Mail', type: 'smtp', config: smtpConfig() });
+  assert.strictEqual(mail.status, 200);
+  assert.strictEqual(mail.body.config.password, undefined);
+  assert.deepStrictEqual(mail.body.secrets, { password: true });
+  const telegram = (await owner.post('/api/channels', {
+    name: 'Chat', type: 'telegram', config: { botToken: '12345:secret-token', chatId: -1001, apiUrl: receiverUrl + '/tg' }
+  })).body;
+  const hook = (await owner.post('/api/channels', {
+    name: 'Hook', type: 'http', config: { url: receiverUrl + '/reports', secret: 'a-long-enough-secret' }
+  })).body;
+
+  await owner.post('/api/users', { username: 'report-editor', password: 'pw-editor', role: 'editor' });
+  const editor = server.client();
+  await editor.login('report-editor', 'pw-editor');
+  assert.strictEqual((await editor.get('/api/channels')).status, 403);
+  assert.strictEqual((await editor.post('/api/reports', {})).status, 403);
+  assert.strictEqual((await owner.get('/api/channels')).body.find(c => c.id === hook.id).config.secret, undefined);
+
+  assert.deepStrictEqual((await owner.post(`/api/channels/${mail.body.id}/test`)).body, { success: true, error: null });
+  assert.strictEqual(mails.length, 1);
+  const credentials = Buffer.from('\0mailer\0mail-pass').toString('base64');
+  assert.ok(mails[0].commands.includes(`AUTH PLAIN ${credentials}`));
+  assert.ok(mails[0].commands.includes('RCPT TO:<me@maxverify.test>'));
+  assert.match(mails[0].data, /^Subject: =\?UTF-8\?B\?/m);
+  assert.match(mailBody(mails[0]), /Reports and alerts sent to this channel/);
+
+  assert.strictEqual((await owner.post(`/api/channels/${telegram.id}/test`)).body.success, true);
+  assert.strictEqual(received[0].url, '/tg/bot12345:secret-token/sendMessage');
+  assert.strictEqual(received[0].json.chat_id, '-1001');
+  assert.match(received[0].json.text, /MaxVerify test message for "Chat"/);
+
+  assert.strictEqual((await owner.post(`/api/channels/${hook.id}/test`)).body.success, true);
+  assert.strictEqual(received[1].headers['x-maxverify-event'], 'channel.test');
+  assert.ok(verifySignature('a-long-enough-secret', received[1].headers['x-maxverify-signature'], received[1].body));
+
+  respond = () => [500, { ok: false }];
+  assert.deepStrictEqual((await owner.post(`/api/channels/${hook.id}/test`)).body, { success: false, error: 'HTTP 500' });
+  respond = () => [400, { ok: false, description: 'Bad Request: chat not found' }];
+  assert.strictEqual((await owner.post(`/api/channels/${telegram.id}/test`)).body.error, 'Telegram: Bad Request: chat not found');
+
+  // Leaving the secret out of an update keeps it
+  const renamed = await owner.patch(`/api/channels/${hook.id}`, { name: 'Renamed hook', config: { url: receiverUrl + '/other' } });
+  assert.strictEqual(renamed.status, 200);
+  assert.deepStrictEqual(renamed.body.secrets, { secret: true });
+
+  for (const channel of [mail.body, telegram, hook]) {
+    assert.strictEqual((await owner.delete(`/api/channels/${channel.id}`)).status, 200);
+  }
+});
+
+test('SMTP channels with starttls refuse servers that do not offer it, before any AUTH', async () => {
+  const mail = (await owner.post('/api/channels', {
+    name: 'Strict mail', type: 'smtp', config: { ...smtpConfig(), starttls: undefined }
+  })).body;
+  assert.strictEqual(mail.config.starttls, true);
+
+  const result = (await owner.post(`/api/channels/${mail.id}/test`)).body;
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /does not offer STARTTLS/);
+  assert.strictEqual(sessions.length, 1);
+  assert.ok(!sessions[0].commands.some(line => /^(AUTH|MAIL)\b/.test(line)));
+  assert.strictEqual(mails.length, 0);
+
+  assert.strictEqual((await owner.delete(`/api/channels/${mail.id}`)).status, 200);
+});
+
+test('scheduled reports summarise clicks, countries and bypasses per partner and link', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Reported', domain: 'reported.example' })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/r1', customCode: 'rep-1', partnerId: partner.id });
+  await owner.post('/api/shorten', { url: 'https://example.com/r2', customCode: 'rep-2' });
+  await owner.post('/api/shorten', { url: 'https://example.com/r3', customCode: 'rep-3' });
+  await visit(partner, 'rep-1', '203.0.113.1');
+  await visit(partner, 'rep-1', '203.0.113.2');
+  await bypass('rep-1', '203.0.113.3');
+  await server.client().get('/rep-2');
+  await server.client().get('/rep-3');
+  await server.flushClicks();
+
+  const channel = (await owner.post('/api/channels', { name: 'Reports', type: 'http', config: { url: receiverUrl + '/reports' } })).body;
+  const mail = (await owner.post('/api/channels', { name: 'Mail', type: 'smtp', config: smtpConfig() })).body;
+  assert.strictEqual((await owner.post('/api/reports', { name: 'x', frequency: 'hourly', channelId: channel.id })).status, 400);
+  assert.strictEqual((await owner.post('/api/reports', { name: 'x', frequency: 'daily', channelId: 999 })).body.error, 'Channel not found');
+  assert.strictEqual((await owner.post('/api/reports', { name: 'x', frequency: 'daily', channelId: channel.id, partnerId: 999 })).status, 400);
+
+  const daily = await owner.post('/api/reports', { name: 'Daily', frequency: 'daily', channelId: channel.id, codes: ['rep-1', 'rep-2'] });
+  assert.strictEqual(daily.status, 200);
+  assert.ok(new Date(daily.body.next_run_at) > new Date());
+  const weekly = (await owner.post('/api/reports', { name: 'Weekly', frequency: 'weekly', channelId: mail.id, partnerId: partner.id })).body;
+
+  // A day from now, today is the last complete day; the weekly report isn't due yet unless
+  // a new week starts tomorrow
+  const tomorrow = new Date(Date.now() + DAY_MS);
+  const weekEnds = reporting.nextRun('weekly') <= tomorrow;
+  assert.strictEqual(await reports.runDue(tomorrow), weekEnds ? 2 : 1);
+  assert.strictEqual(await reports.runDue(tomorrow), 0);
+
+  const report = received.find(r => r.json.event === 'report.daily').json;
+  assert.match(report.subject, /^📊 Daily report: Daily \(\d{4}-\d{2}-\d{2}\)$/);
+  assert.deepStrictEqual(report.data.totals, {
+    links: 2, clicks: 3, humanClicks: 3, uniqueClicks: 3, bypasses: 1, bypassRate: 33.3,
+    topCountries: [{ country: 'Unknown', count: 2 }, { country: 'Local', count: 1 }]
+  });
+  assert.deepStrictEqual(report.data.partners.map(p => [p.name, p.links, p.clicks, p.bypasses]), [
+    ['Reported', 1, 2, 1], [null, 1, 1, 0]
+  ]);
+  assert.deepStrictEqual(report.data.links.map(l => [l.code, l.clicks, l.bypasses, l.bypassRate]), [
+    ['rep-1', 2, 1, 50], ['rep-2', 1, 0, 0]
+  ]);
+  assert.match(report.text, /- Reported: 1 links, 2 clicks .*, 1 bypass attempts \(50% of clicks\) • Unknown 2/);
+  assert.match(report.text, /- rep-2: 1 clicks/);
+
+  const listed = (await owner.get('/api/reports')).body.find(r => r.id === daily.body.id);
+  assert.strictEqual(listed.channel_name, 'Reports');
+  assert.strictEqual(listed.last_error, null);
+  assert.ok(listed.last_sent_at);
+  assert.ok(new Date(listed.next_run_at) > tomorrow);
+
+  // Sending now covers yesterday, which had no traffic; failures are recorded on the schedule
+  const manual = await owner.post(`/api/reports/${weekly.id}/send`);
+  assert.strictEqual(manual.body.success, true);
+  assert.match(mailBody(mails[mails.length - 1]), /Weekly report "Weekly"/);
+  respond = () => [503, {}];
+  const failed = await owner.post(`/api/reports/${daily.body.id}/send`);
+  assert.deepStrictEqual([failed.body.success, failed.body.error], [false, 'HTTP 503']);
+  assert.match(failed.body.report.text, /No clicks or bypass attempts in this period/);
+  assert.strictEqual((await owner.get('/api/reports')).body.find(r => r.id === daily.body.id).last_error, 'HTTP 503');
+
+  // Paused schedules aren't sent (a week on, only the weekly one is); resuming skips the periods missed
+  await owner.patch(`/api/reports/${daily.body.id}`, { active: false });
+  assert.strictEqual(await reports.runDue(new Date(Date.now() + 8 * DAY_MS)), 1);
+  const resumed = await owner.patch(`/api/reports/${daily.body.id}`, { active: true });
+  assert.strictEqual(new Date(resumed.body.next_run_at).getTime(), reporting.nextRun('daily').getTime());
+
+  // Deleting the channel deletes its schedules
+  await owner.delete(`/api/channels/${channel.id}`);
+  assert.strictEqual((await owner.get(`/api/reports`)).body.some(r => r.id === daily.body.id), false);
+  await owner.delete(`/api/channels/${mail.id}`);
+});
+
+test('bypass spikes alert once per cooldown', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Spiky', domain: 'spiky.example' })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/s1', customCode: 'spike-1', partnerId: partner.id });
+  await owner.post('/api/shorten', { url: 'https://example.com/s2', customCode: 'spike-2', partnerId: partner.id });
+  await visit(partner, 'spike-1', '203.0.113.10');
+  for (let i = 0; i < 3; i++) await bypass('spike-1', `203.0.113.${20 + i}`);
+  await bypass('spike-2', '203.0.113.30');
+  await server.flushClicks();
+
+  const channel = (await owner.post('/api/channels', {
+    name: 'Alerts', type: 'telegram', config: { botToken: '999:alert-bot', chatId: '@maxverify_ops', apiUrl: receiverUrl }
+  })).body;
+  assert.strictEqual((await owner.post('/api/alerts', { name: 'x', channelId: channel.id })).status, 400);
+  const rule = await owner.post('/api/alerts', {
+    name: 'Wave', thresholdPercent: 50, minBypasses: 2, cooldownMinutes: 30, channelId: channel.id, partnerId: partner.id
+  });
+  assert.strictEqual(rule.status, 200);
+  assert.strictEqual(rule.body.window_minutes, 60);
+  const quiet = (await owner.post('/api/alerts', {
+    name: 'Quiet', thresholdPercent: 50, minBypasses: 2, channelId: channel.id, codes: ['spike-2']
+  })).body;
+
+  const soon = new Date(Date.now() + 1000);
+  const firings = await reports.checkAlerts(soon);
+  assert.deepStrictEqual(firings.map(f => [f.rule_id, f.code, f.clicks, f.bypasses, f.rate]), [[rule.body.id, 'spike-1', 1, 3, 300]]);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].json.chat_id, '@maxverify_ops');
+  assert.match(received[0].json.text, /^🚨 Bypass spike on spike-1: 300% of clicks\n\n3 bypass attempts against 1 clicks on spike-1 in the last 60 minutes \(partner Spiky\)/);
+
+  // Within the cooldown nothing is sent again; after it the spike alerts again
+  assert.deepStrictEqual(await reports.checkAlerts(new Date(soon.getTime() + 10 * 60 * 1000)), []);
+  respond = () => [502, { ok: false }];
+  const again = await reports.checkAlerts(new Date(soon.getTime() + 31 * 60 * 1000));
+  assert.strictEqual(again.length, 1);
+  assert.strictEqual(again[0].error, 'Telegram: HTTP 502');
+
+  const log = await owner.get(`/api/alerts/${rule.body.id}/firings`);
+  assert.deepStrictEqual(log.body.map(f => f.error), ['Telegram: HTTP 502', null]);
+  assert.strictEqual((await owner.get(`/api/alerts/${quiet.id}/firings`)).body.length, 0);
+  assert.ok((await owner.get('/api/alerts')).body.find(a => a.id === rule.body.id).last_fired_at);
+
+  // Paused rules are not checked
+  await owner.patch(`/api/alerts/${rule.body.id}`, { active: false });
+  assert.deepStrictEqual(await reports.checkAlerts(new Date(soon.getTime() + 45 * 60 * 1000)), []);
+  assert.strictEqual((await owner.patch(`/api/alerts/${rule.body.id}`, { windowMinutes: 0 })).status, 400);
+  assert.strictEqual((await owner.delete(`/api/alerts/${rule.body.id}`)).status, 200);
+  assert.strictEqual((await owner.get(`/api/alerts/${rule.body.id}/firings`)).status, 404);
+  await owner.delete(`/api/channels/${channel.id}`);
+});
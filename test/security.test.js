@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tokens = require('../lib/tokens');
+const { startServer } = require('./helpers');
+
+let server;
+let owner;
+test.before(async () => {
+  server = await startServer({ RATE_LIMIT_REDIRECT_IP: '3' });
+  owner = server.client();
+  await owner.login();
+});
+test.after(() => server.close());
+
+// Every test visits from its own IP so the per-IP redirect limit doesn't carry over
+function visitor(ip, headers = {}) {
+  return server.client({ headers: { 'x-forwarded-for': ip, ...headers } });
+}
+
+async function bypassReasons(code) {
+  const stats = await owner.get(`/api/analytics/${code}`);
+  return stats.body.bypassAttempts.map(b => b.reason).sort();
+}
+
+test('partner links need a valid single-use token', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Partner', domain: 'partner.example' })).body;
+  assert.match(partner.secret, /^[0-9a-f]{64}$/);
+  await owner.post('/api/shorten', { url: 'https://example.com/p', customCode: 'partnered', partnerId: partner.id });
+
+  const client = visitor('192.0.2.1');
+  assert.strictEqual((await client.get('/partnered')).status, 403);
+
+  const token = tokens.signToken(partner.secret, 'partnered');
+  assert.strictEqual((await client.get(`/partnered?t=${token}`)).status, 200);
+  assert.strictEqual((await client.get(`/partnered?t=${token}`)).status, 403);
+
+  const forged = tokens.signToken('not-the-secret', 'partnered');
+  assert.strictEqual((await visitor('192.0.2.11').get(`/partnered?t=${forged}`)).status, 403);
+
+  assert.deepStrictEqual(await bypassReasons('partnered'), ['bad_signature', 'missing_token', 'token_reused']);
+});
+
+test('the referrer fallback only accepts the partner domain', async () => {
+  const partner = (await owner.post('/api/partners', {
+    name: 'Legacy', domain: 'legacy.example', allowReferrerFallback: true
+  })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/l', customCode: 'legacy', partnerId: partner.id });
+
+  const fromPartner = visitor('192.0.2.2', { referer: 'https://www.legacy.example/page' });
+  assert.strictEqual((await fromPartner.get('/legacy')).status, 200);
+
+  const fromElsewhere = visitor('192.0.2.2', { referer: 'https://legacy.example.evil.com/' });
+  assert.strictEqual((await fromElsewhere.get('/legacy')).status, 403);
+});
+
+test('partner branding shapes the visitor pages', async () => {
+  const partner = (await owner.post('/api/partners', {
+    name: 'Branded', domain: 'branded.example',
+    branding: { colors: { primary: '#112233' }, countdownSeconds: 20, messages: { bypass: { message: 'Use <Branded> links' } } }
+  })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/b', customCode: 'branded', partnerId: partner.id });
+
+  const bypass = await visitor('192.0.2.5').get('/branded');
+  assert.strictEqual(bypass.status, 403);
+  assert.match(bypass.body, /Use &lt;Branded&gt; links/);
+  assert.match(bypass.body, /#112233/);
+  assert.doesNotMatch(bypass.body, /RSCBots/);
+
+  const page = await visitor('192.0.2.5').get(`/branded?t=${tokens.signToken(partner.secret, 'branded')}`);
+  assert.match(page.body, /"countdownMs":20000/);
+  assert.match(page.body, /id="countdown">20</);
+
+  assert.strictEqual((await owner.patch(`/api/partners/${partner.id}`, { branding: { colors: { primary: 'red' } } })).status, 400);
+  const reset = await owner.patch(`/api/partners/${partner.id}`, { branding: null });
+  assert.strictEqual(reset.body.branding, null);
+  assert.match((await visitor('192.0.2.6').get('/branded')).body, /Please don&#39;t bypass the link/);
+
+  const preview = await owner.post('/api/partners/preview', { page: 'countdown', branding: { showSkipButton: false } });
+  assert.strictEqual(preview.status, 200);
+  assert.doesNotMatch(preview.body, /id="skip"/);
+  assert.strictEqual((await owner.post('/api/partners/preview', { page: 'checkout' })).status, 400);
+});
+
+test('imported partners get their own signing secret', async () => {
+  const imported = await owner.post('/api/import/partners', [{ id: 50, name: 'Imported', domain: 'imported.example' }]);
+  assert.strictEqual(imported.status, 200);
+  await owner.post('/api/shorten', { url: 'https://example.com/i', customCode: 'imported', partnerId: 50 });
+
+  // A token signed with an empty secret must not pass
+  const forged = tokens.signToken('', 'imported');
+  assert.strictEqual((await visitor('192.0.2.3').get(`/imported?t=${forged}`)).status, 403);
+
+  const { secret } = (await owner.get('/api/partners/50/secret')).body;
+  assert.match(secret, /^[0-9a-f]{64}$/);
+  assert.strictEqual((await visitor('192.0.2.3').get(`/imported?t=${tokens.signToken(secret, 'imported')}`)).status, 200);
+});
+
+test('blocklisted IPs and ranges are refused', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/b', customCode: 'blocked' });
+
+  const entry = await owner.post('/api/blocklist', { cidr: '203.0.113.0/24', note: 'test' });
+  assert.strictEqual(entry.status, 200);
+  assert.strictEqual((await owner.post('/api/blocklist', { cidr: '203.0.113.0/24' })).status, 409);
+  assert.strictEqual((await owner.post('/api/blocklist', { cidr: 'not-an-ip' })).status, 400);
+
+  assert.strictEqual((await visitor('203.0.113.9').get('/blocked')).status, 403);
+  assert.strictEqual((await visitor('198.51.100.9').get('/blocked')).status, 200);
+
+  assert.strictEqual((await owner.delete(`/api/blocklist/${entry.body.id}`)).status, 200);
+  assert.strictEqual((await visitor('203.0.113.9').get('/blocked')).status, 200);
+  assert.deepStrictEqual(await bypassReasons('blocked'), ['ip_blocked']);
+});
+
+test('redirects are rate limited per IP', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/r', customCode: 'limited' });
+
+  const client = visitor('192.0.2.50');
+  const statuses = [];
+  for (let i = 0; i < 5; i++) {
+    statuses.push((await client.get('/limited')).status);
+  }
+  assert.deepStrictEqual(statuses, [200, 200, 200, 429, 429]);
+  assert.strictEqual((await visitor('192.0.2.51').get('/limited')).status, 200);
+
+  // Only the first rejection of a window is logged
+  assert.deepStrictEqual(await bypassReasons('limited'), ['rate_limited_ip']);
+});
@@ -0,0 +1,346 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createMemoryStorage = require('../lib/storage/memory');
+
+async function seed(storage) {
+  const partner = await storage.partners.insert({ name: 'P', domain: 'partner.com', secret: 's3cret' });
+  const user = await storage.users.insert({ username: 'ed', password_hash: 'x', role: 'editor' });
+  await storage.urls.insert({ code: 'abc', url: 'https://example.com', partner_id: partner.id, created_by: user.id });
+  return { partner, user };
+}
+
+test('urls join their partner and creator', async () => {
+  const storage = createMemoryStorage();
+  const { partner } = await seed(storage);
+
+  const link = await storage.urls.getWithPartner('abc');
+  assert.strictEqual(link.partner_name, 'P');
+  assert.strictEqual(link.partner_secret, 's3cret');
+  assert.strictEqual(link.clicks, 0);
+
+  const { rows: [listed], total } = await storage.urls.list();
+  assert.strictEqual(total, 1);
+  assert.strictEqual(listed.created_by_name, 'ed');
+  assert.strictEqual(listed.partner_id, partner.id);
+});
+
+test('returned rows are copies', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+
+  const link = await storage.urls.get('abc');
+  link.url = 'https://changed.example';
+  assert.strictEqual((await storage.urls.get('abc')).url, 'https://example.com');
+});
+
+test('ids and dates are coerced like the column types', async () => {
+  const storage = createMemoryStorage();
+  const { partner } = await seed(storage);
+
+  await storage.urls.insert({ code: 'str', url: 'https://x.com', partner_id: String(partner.id), expires_at: '2030-01-01' });
+  const link = await storage.urls.get('str');
+  assert.strictEqual(link.partner_id, partner.id);
+  assert.ok(link.expires_at instanceof Date);
+});
+
+test('duplicate keys are rejected', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+
+  await assert.rejects(storage.urls.insert({ code: 'abc', url: 'https://dup.com' }), { code: '23505' });
+  await assert.rejects(storage.users.insert({ username: 'ed', password_hash: 'x' }), { code: '23505' });
+});
+
+test('renaming a link moves its clicks, bypass logs, revisions and code filters', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+  await storage.clicks.insertMany([{ code: 'abc', visitor_hash: 'v1', is_bot: false, is_unique: true }]);
+  await storage.bypassLogs.insert({ code: 'abc', reason: 'missing_token' });
+  await storage.revisions.insert({ code: 'abc', action: 'update', changes: { url: { from: 'a', to: 'b' } }, changed_by: null });
+  const hook = await storage.webhooks.insert({ name: 'h', url: 'https://x.test', secret: 's', events: ['click.recorded'], codes: ['abc', 'other'] });
+  const channel = await storage.channels.insert({ name: 'c', type: 'http', config: { url: 'https://x.test', secret: null } });
+  const report = await storage.reportSchedules.insert({
+    name: 'r', frequency: 'daily', codes: ['abc'], channel_id: channel.id, next_run_at: new Date()
+  });
+  const rule = await storage.alertRules.insert({ name: 'a', threshold_percent: 10, codes: ['other', 'abc'], channel_id: channel.id });
+
+  const current = await storage.urls.get('abc');
+  await storage.urls.rename('abc', { ...current, code: 'xyz' });
+
+  assert.strictEqual(await storage.urls.exists('abc'), false);
+  const stats = await storage.analytics.forLink('xyz', { from: null, to: new Date(Date.now() + 1000), interval: 'day' });
+  assert.strictEqual(stats.totals.clicks, 1);
+  assert.strictEqual(stats.totals.bypasses, 1);
+  assert.strictEqual((await storage.revisions.listForCode('xyz')).length, 1);
+  assert.deepStrictEqual((await storage.webhooks.get(hook.id)).codes, ['xyz', 'other']);
+  assert.deepStrictEqual((await storage.reportSchedules.get(report.id)).codes, ['xyz']);
+  assert.deepStrictEqual((await storage.alertRules.get(rule.id)).codes, ['other', 'xyz']);
+});
+
+test('rotator destinations stop counting at their cap and follow renames', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+  const capped = await storage.destinations.insert({ code: 'abc', position: 0, url: 'https://a.com', click_cap: 2 });
+  await storage.destinations.insert({ code: 'abc', position: 1, url: 'https://b.com' });
+
+  assert.deepStrictEqual(
+    await Promise.all([storage.destinations.claim(capped.id), storage.destinations.claim(capped.id), storage.destinations.claim(capped.id)]),
+    [true, true, false]
+  );
+  assert.strictEqual(await storage.urls.nextRotation('abc'), 0);
+  assert.strictEqual(await storage.urls.nextRotation('abc'), 1);
+
+  const current = await storage.urls.get('abc');
+  await storage.urls.rename('abc', { ...current, code: 'xyz' });
+  const moved = await storage.destinations.listForCode('xyz');
+  assert.deepStrictEqual(moved.map(d => [d.url, d.clicks]), [['https://a.com', 2], ['https://b.com', 0]]);
+
+  await storage.clicks.insertMany([{ code: 'xyz', visitor_hash: 'v1', destination_id: String(capped.id) }]);
+  await storage.destinations.delete(capped.id, 'xyz');
+  const stats = await storage.analytics.forLink('xyz', { from: null, to: new Date(Date.now() + 1000), interval: 'day' });
+  assert.deepStrictEqual(stats.destinations, [{ destination_id: null, count: 1, human: 1, unique: 1 }]);
+});
+
+test('routing rules follow renames and deleted rules leave their clicks unattributed', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+  const rule = await storage.rules.insert({ code: 'abc', position: 0, conditions: { os: ['iOS'] }, url: 'https://ios.com' });
+  assert.strictEqual((await storage.urls.getWithPartner('abc')).has_rules, true);
+
+  const current = await storage.urls.get('abc');
+  await storage.urls.rename('abc', { ...current, code: 'xyz' });
+  assert.deepStrictEqual((await storage.rules.listForCode('xyz')).map(r => r.conditions), [{ os: ['iOS'] }]);
+
+  await storage.clicks.insertMany([{ code: 'xyz', visitor_hash: 'v1', rule_id: rule.id }]);
+  const range = { from: null, to: new Date(Date.now() + 1000), interval: 'day' };
+  assert.deepStrictEqual((await storage.analytics.forLink('xyz', range)).rules, [{ rule_id: rule.id, count: 1, human: 1, unique: 1 }]);
+  await storage.rules.delete(rule.id, 'xyz');
+  assert.strictEqual((await storage.urls.getWithPartner('xyz')).has_rules, false);
+  assert.deepStrictEqual((await storage.analytics.forLink('xyz', range)).rules, [{ rule_id: null, count: 1, human: 1, unique: 1 }]);
+});
+
+test('deletes cascade like the foreign keys', async () => {
+  const storage = createMemoryStorage();
+  const { user } = await seed(storage);
+  await storage.sessions.insert({ id: 'sess', user_id: user.id, expires_at: new Date(Date.now() + 60000) });
+  await storage.clicks.insertMany([{ code: 'abc', visitor_hash: 'v1' }]);
+
+  assert.strictEqual((await storage.sessions.getUser('sess')).username, 'ed');
+  assert.strictEqual(await storage.users.delete(user.id), true);
+  assert.strictEqual(await storage.sessions.getUser('sess'), null);
+  assert.strictEqual((await storage.urls.get('abc')).created_by, null);
+
+  assert.strictEqual(await storage.urls.delete('abc'), true);
+  const stats = await storage.analytics.forLink('abc', { from: null, to: new Date(Date.now() + 1000), interval: 'day' });
+  assert.strictEqual(stats.totals.clicks, 0);
+});
+
+test('bypass logs are only written for existing links', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+
+  assert.strictEqual(await storage.bypassLogs.insert({ code: 'abc', reason: 'ip_blocked' }), true);
+  assert.strictEqual(await storage.bypassLogs.insert({ code: 'nope', reason: 'ip_blocked' }), false);
+});
+
+test('used tokens can only be consumed once', async () => {
+  const storage = createMemoryStorage();
+  const expires_at = new Date(Date.now() + 60000);
+
+  assert.strictEqual(await storage.usedTokens.consume({ nonce: 'n1', code: 'abc', expires_at }), true);
+  assert.strictEqual(await storage.usedTokens.consume({ nonce: 'n1', code: 'abc', expires_at }), false);
+});
+
+test('analytics counts, buckets and breaks down clicks', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+  await storage.clicks.insertMany([
+    { code: 'abc', country: 'DE', visitor_hash: 'v1', is_bot: false, is_unique: true },
+    { code: 'abc', country: 'DE', visitor_hash: 'v1', is_bot: false, is_unique: false },
+    { code: 'abc', country: 'US', visitor_hash: 'v2', is_bot: true, bot_name: 'Telegram', is_unique: true }
+  ]);
+
+  const stats = await storage.analytics.forLink('abc', { from: null, to: new Date(Date.now() + 1000), interval: 'day' });
+  assert.deepStrictEqual(stats.totals, { clicks: 3, human: 2, unique: 1, bypasses: 0 });
+  assert.strictEqual(stats.clickSeries.length, 1);
+  assert.strictEqual(stats.clickSeries[0].count, 3);
+  assert.deepStrictEqual(stats.breakdowns.country, [{ country: 'DE', count: 2 }, { country: 'US', count: 1 }]);
+  assert.deepStrictEqual(stats.bots, [{ bot_name: 'Telegram', count: 1 }]);
+});
+
+test('link totals only cover active links within the scope', async () => {
+  const storage = createMemoryStorage();
+  const { partner } = await seed(storage);
+  await storage.urls.insert({ code: 'other', url: 'https://other.com' });
+  await storage.urls.insert({ code: 'idle', url: 'https://idle.com', partner_id: partner.id });
+  await storage.clicks.insertMany([
+    { code: 'abc', country: 'DE', is_bot: false, is_unique: true },
+    { code: 'abc', country: 'US', is_bot: true, is_unique: false },
+    { code: 'other', country: 'DE', is_bot: false, is_unique: true }
+  ]);
+  await storage.bypassLogs.insert({ code: 'abc', reason: 'missing_token' });
+  const range = { from: new Date(Date.now() - 60000), to: new Date(Date.now() + 1000) };
+
+  assert.deepStrictEqual(await storage.analytics.linkTotals(range), [
+    { code: 'abc', partner_id: partner.id, partner_name: 'P', clicks: 2, human: 1, unique: 1, bypasses: 1 },
+    { code: 'other', partner_id: null, partner_name: null, clicks: 1, human: 1, unique: 1, bypasses: 0 }
+  ]);
+  assert.deepStrictEqual((await storage.analytics.linkTotals({ ...range, partnerId: partner.id })).map(row => row.code), ['abc']);
+  assert.deepStrictEqual((await storage.analytics.linkTotals({ ...range, codes: ['other'] })).map(row => row.code), ['other']);
+  assert.deepStrictEqual(await storage.analytics.linkTotals({ ...range, to: range.from }), []);
+  assert.deepStrictEqual(await storage.analytics.linkCountries({ ...range, codes: ['abc'] }), [
+    { code: 'abc', country: 'DE', count: 1 }, { code: 'abc', country: 'US', count: 1 }
+  ]);
+});
+
+test('due report schedules are claimed and deleting a channel takes its schedules and rules', async () => {
+  const storage = createMemoryStorage();
+  const channel = await storage.channels.insert({ name: 'c', type: 'http', config: { url: 'https://x.test', secret: null } });
+  const due = await storage.reportSchedules.insert({
+    name: 'due', frequency: 'daily', channel_id: channel.id, next_run_at: new Date(Date.now() - 1000)
+  });
+  await storage.reportSchedules.insert({ name: 'later', frequency: 'daily', channel_id: channel.id, next_run_at: new Date(Date.now() + 60000) });
+  const rule = await storage.alertRules.insert({ name: 'r', threshold_percent: 10, channel_id: String(channel.id) });
+  await storage.alertFirings.insert({ rule_id: rule.id, code: 'abc', clicks: 1, bypasses: 5, rate: 500, fired_at: new Date() });
+
+  assert.deepStrictEqual((await storage.reportSchedules.claimDue(new Date())).map(row => row.id), [due.id]);
+  assert.strictEqual(rule.channel_id, channel.id);
+  assert.strictEqual((await storage.alertFirings.lastFor(rule.id, 'abc')).bypasses, 5);
+  assert.deepStrictEqual((await storage.channels.list()).map(row => [row.reports, row.alerts]), [[2, 1]]);
+
+  assert.strictEqual(await storage.channels.delete(channel.id), true);
+  assert.deepStrictEqual(await storage.reportSchedules.list(), []);
+  assert.deepStrictEqual(await storage.alertRules.list(), []);
+  assert.deepStrictEqual(await storage.alertFirings.listForRule(rule.id), []);
+});
+
+test('click counters are added per link in one call', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+  await storage.clicks.insertMany([
+    { code: 'abc', visitor_hash: 'v1', clicked_at: new Date(Date.now() - 5000) },
+    { code: 'abc', visitor_hash: 'v1', clicked_at: new Date(Date.now() - 1000) }
+  ]);
+
+  const last = await storage.clicks.lastVisits(['v1', 'v3'], new Date(Date.now() - 60000));
+  assert.deepStrictEqual([...last.keys()], ['abc|v1']);
+  assert.ok(Date.now() - last.get('abc|v1') < 2000);
+
+  assert.deepStrictEqual([...await storage.urls.existingCodes(['abc', 'gone'])], ['abc']);
+  await storage.urls.addClickCounts([{ code: 'abc', clicks: 2, human: 2, unique: 1 }, { code: 'gone', clicks: 1, human: 1, unique: 1 }]);
+  const url = await storage.urls.get('abc');
+  assert.deepStrictEqual([url.clicks, url.human_clicks, url.unique_clicks], [2, 2, 1]);
+});
+
+test('expired links are claimed once', async () => {
+  const storage = createMemoryStorage();
+  await storage.urls.insert({ code: 'gone', url: 'https://x.com', expires_at: new Date(Date.now() - 1000) });
+  await storage.urls.insert({ code: 'later', url: 'https://x.com', expires_at: new Date(Date.now() + 60000) });
+
+  assert.deepStrictEqual((await storage.urls.claimExpired()).map(row => row.code), ['gone']);
+  assert.deepStrictEqual(await storage.urls.claimExpired(), []);
+});
+
+test('domains keep their first verification and count their links', async () => {
+  const storage = createMemoryStorage();
+  const { partner } = await seed(storage);
+  const domain = await storage.domains.insert({ host: 'go.partner.com', partner_id: partner.id, verification_token: 't' });
+  await assert.rejects(
+    storage.domains.insert({ host: 'go.partner.com', partner_id: partner.id, verification_token: 'u' }), { code: '23505' }
+  );
+
+  const verified = await storage.domains.recordCheck(domain.id, { verified: true, error: null });
+  assert.ok(verified.verified_at instanceof Date);
+  const again = await storage.domains.recordCheck(domain.id, { verified: true, error: null });
+  assert.strictEqual(again.verified_at.getTime(), verified.verified_at.getTime());
+  const failed = await storage.domains.recordCheck(domain.id, { verified: false, error: 'gone' });
+  assert.strictEqual(failed.verified_at, null);
+  assert.strictEqual(failed.last_error, 'gone');
+
+  await storage.urls.insert({ code: `abc~${domain.id}`, url: 'https://x.com', partner_id: partner.id, domain_id: domain.id });
+  assert.strictEqual(await storage.domains.inUse(domain.id), true);
+  const [listed] = await storage.domains.list();
+  assert.strictEqual(listed.links, 1);
+  assert.strictEqual(listed.partner_name, 'P');
+  assert.strictEqual((await storage.urls.list()).rows.find(row => row.code === `abc~${domain.id}`).domain_host, 'go.partner.com');
+});
+
+test('deleted partners are hidden but still name their keys', async () => {
+  const storage = createMemoryStorage();
+  const { partner, user } = await seed(storage);
+  assert.deepStrictEqual(partner.domains, ['partner.com']);
+  await storage.apiKeys.insert({ user_id: user.id, name: 'k', key_prefix: 'p', key_hash: 'h', scopes: [], partner_id: partner.id });
+
+  const updated = await storage.partners.update(partner.id, { domains: ['b.com', 'c.com'] });
+  assert.strictEqual(updated.domain, 'b.com');
+  assert.deepStrictEqual((await storage.urls.getWithPartner('abc')).partner_domains, ['b.com', 'c.com']);
+
+  assert.strictEqual(await storage.apiKeys.revokeForPartner(partner.id), 1);
+  assert.strictEqual(await storage.partners.softDelete(partner.id), true);
+  assert.strictEqual(await storage.partners.softDelete(partner.id), false);
+  assert.strictEqual(await storage.partners.get(partner.id), null);
+  assert.strictEqual(await storage.partners.exists(partner.id), false);
+  assert.deepStrictEqual(await storage.partners.list(), []);
+  assert.strictEqual(await storage.partners.update(partner.id, { name: 'Q' }), null);
+  assert.strictEqual((await storage.apiKeys.list())[0].partner_name, 'P');
+});
+
+test('due webhook deliveries are leased to one sender', async () => {
+  const storage = createMemoryStorage();
+  const hook = await storage.webhooks.insert({ name: 'h', url: 'https://hook.example', secret: 's', events: ['link.created'] });
+  const paused = await storage.webhooks.insert({ name: 'p', url: 'https://hook.example', secret: 's', events: ['link.created'] });
+  await storage.webhooks.update(paused.id, { active: false });
+  await storage.webhookDeliveries.insertMany([
+    { webhook_id: hook.id, event: 'link.created', payload: { n: 1 } },
+    { webhook_id: paused.id, event: 'link.created', payload: { n: 2 } }
+  ]);
+
+  const [claimed, ...rest] = await storage.webhookDeliveries.claimDue(10, new Date(Date.now() + 60000));
+  assert.deepStrictEqual(rest, []);
+  assert.strictEqual(claimed.secret, 's');
+  assert.deepStrictEqual(claimed.payload, { n: 1 });
+  assert.deepStrictEqual(await storage.webhookDeliveries.claimDue(10, new Date()), []);
+
+  // Deleting a webhook takes its deliveries with it
+  assert.strictEqual(await storage.webhooks.delete(hook.id), true);
+  assert.deepStrictEqual(await storage.webhookDeliveries.listForWebhook(hook.id), []);
+});
+
+test('rollback discards everything done in the transaction', async () => {
+  const storage = createMemoryStorage();
+  await seed(storage);
+
+  const tx = await storage.begin();
+  await tx.urls.insert({ code: 'new', url: 'https://new.com' });
+  await tx.urls.update('abc', { url: 'https://changed.com' });
+  await tx.rollback();
+
+  assert.strictEqual(await storage.urls.exists('new'), false);
+  assert.strictEqual((await storage.urls.get('abc')).url, 'https://example.com');
+});
+
+test('savepoints undo only their own part', async () => {
+  const storage = createMemoryStorage();
+
+  const tx = await storage.begin();
+  await tx.urls.insert({ code: 'keep', url: 'https://keep.com' });
+  await tx.savepoint();
+  await tx.urls.insert({ code: 'drop', url: 'https://drop.com' });
+  await tx.rollbackToSavepoint();
+  await tx.releaseSavepoint();
+  await tx.commit();
+
+  assert.strictEqual(await storage.urls.exists('keep'), true);
+  assert.strictEqual(await storage.urls.exists('drop'), false);
+});
+
+test('calls outside an open transaction wait for it to finish', async () => {
+  const storage = createMemoryStorage();
+  const tx = await storage.begin();
+  await tx.urls.insert({ code: 'late', url: 'https://late.com' });
+
+  const outside = storage.urls.exists('late');
+  await tx.commit();
+  assert.strictEqual(await outside, true);
+  await assert.rejects(tx.urls.exists('late'), /already finished/);
+});
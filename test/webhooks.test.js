@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+const { startServer } = require('./helpers');
+
+// A local receiver that records every request; `respond` picks the status code
+let receiver;
+let receiverUrl;
+let received = [];
+let respond = () => 200;
+
+let server;
+let owner;
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.statusCode = respond(req);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  server = await startServer({ WEBHOOK_POLL_INTERVAL_MS: '20', WEBHOOK_RETRY_BASE_SECONDS: '0', WEBHOOK_MAX_ATTEMPTS: '2' });
+  owner = server.client();
+  await owner.login();
+});
+test.after(async () => {
+  await server.close();
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+});
+test.beforeEach(() => {
+  received = [];
+  respond = () => 200;
+});
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting');
+}
+
+test('webhooks are validated and managed by owners only', async () => {
+  assert.strictEqual((await owner.post('/api/webhooks', { name: 'x', url: 'ftp://x', events: ['link.created'] })).status, 400);
+  assert.strictEqual((await owner.post('/api/webhooks', { name: 'x', url: receiverUrl, events: ['link.renamed'] })).status, 400);
+  assert.strictEqual((await owner.post('/api/webhooks', { name: 'x', url: receiverUrl, events: [], codes: ['ok'] })).status, 400);
+
+  await owner.post('/api/users', { username: 'hook-editor', password: 'pw-editor', role: 'editor' });
+  const editor = server.client();
+  await editor.login('hook-editor', 'pw-editor');
+  assert.strictEqual((await editor.get('/api/webhooks')).status, 403);
+
+  const created = await owner.post('/api/webhooks', { name: 'Temp', url: receiverUrl, events: ['link.deleted'] });
+  assert.strictEqual(created.status, 200);
+  assert.match(created.body.secret, /^[0-9a-f]{64}$/);
+  assert.strictEqual((await owner.get('/api/webhooks')).body[0].secret, undefined);
+  assert.strictEqual((await owner.delete(`/api/webhooks/${created.body.id}`)).status, 200);
+});
+
+test('events are signed and only sent to matching subscriptions', async () => {
+  const hook = (await owner.post('/api/webhooks', {
+    name: 'Promo', url: receiverUrl, events: ['link.created', 'click.recorded'], codes: ['promo']
+  })).body;
+
+  await owner.post('/api/shorten', { url: 'https://example.com/other', customCode: 'other' });
+  await owner.post('/api/shorten', { url: 'https://example.com/promo', customCode: 'promo' });
+  await server.client().get('/promo');
+  await server.flushClicks();
+
+  await waitFor(() => received.length >= 2);
+  const events = received.map(r => r.json.event).sort();
+  assert.deepStrictEqual(events, ['click.recorded', 'link.created']);
+  assert.ok(received.every(r => r.json.data.code === 'promo'));
+
+  const created = received.find(r => r.json.event === 'link.created');
+  assert.strictEqual(created.headers['x-maxverify-event'], 'link.created');
+  assert.strictEqual(created.json.data.url, 'https://example.com/promo');
+  assert.strictEqual(verifySignature(hook.secret, created.headers['x-maxverify-signature'], created.body), true);
+  assert.strictEqual(verifySignature('wrong-secret', created.headers['x-maxverify-signature'], created.body), false);
+
+  await owner.patch(`/api/webhooks/${hook.id}`, { active: false });
+});
+
+test('a webhook filtered on a link keeps firing after the link is renamed', async () => {
+  await owner.post('/api/shorten', { url: 'https://example.com/launch', customCode: 'launch-old' });
+  const hook = (await owner.post('/api/webhooks', {
+    name: 'Launch', url: receiverUrl, events: ['click.recorded'], codes: ['launch-old']
+  })).body;
+
+  assert.strictEqual((await owner.patch('/api/urls/launch-old', { code: 'launch-new' })).status, 200);
+  assert.deepStrictEqual((await owner.get('/api/webhooks')).body.find(w => w.id === hook.id).codes, ['launch-new']);
+
+  await server.client().get('/launch-new');
+  await server.flushClicks();
+  await waitFor(() => received.length >= 1);
+  assert.strictEqual(received[0].json.event, 'click.recorded');
+  assert.strictEqual(received[0].json.data.code, 'launch-new');
+
+  await owner.patch(`/api/webhooks/${hook.id}`, { active: false });
+});
+
+test('partner filters and bypass events', async () => {
+  const partner = (await owner.post('/api/partners', { name: 'Hooked', domain: 'hooked.example' })).body;
+  await owner.post('/api/shorten', { url: 'https://example.com/h', customCode: 'hooked', partnerId: partner.id });
+  await owner.post('/api/shorten', { url: 'https://example.com/n', customCode: 'unhooked' });
+  const hook = (await owner.post('/api/webhooks', {
+    name: 'Partner', url: receiverUrl, events: ['bypass.detected', 'link.deleted'], partnerId: partner.id
+  })).body;
+
+  assert.strictEqual((await server.client().get('/hooked')).status, 403);
+  await owner.delete('/api/urls/unhooked');
+  await owner.delete('/api/urls/hooked');
+
+  await waitFor(() => received.length >= 2);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(received.map(r => [r.json.event, r.json.data.code]), [
+    ['bypass.detected', 'hooked'], ['link.deleted', 'hooked']
+  ]);
+  assert.strictEqual(received[0].json.data.reason, 'missing_token');
+
+  await owner.delete(`/api/webhooks/${hook.id}`);
+});
+
+test('failed deliveries are retried and logged', async () => {
+  const hook = (await owner.post('/api/webhooks', { name: 'Flaky', url: receiverUrl, events: ['link.created'] })).body;
+
+  let calls = 0;
+  respond = () => (++calls === 1 ? 500 : 200);
+  await owner.post('/api/shorten', { url: 'https://example.com/flaky', customCode: 'flaky' });
+
+  const [delivery] = await waitFor(async () => {
+    const log = (await owner.get(`/api/webhooks/${hook.id}/deliveries`)).body;
+    return log.length > 0 && log[0].status === 'delivered' && log;
+  });
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(delivery.response_status, 200);
+  // The retry is the same delivery
+  assert.strictEqual(received[0].headers['x-maxverify-delivery'], received[1].headers['x-maxverify-delivery']);
+
+  // Out of attempts (WEBHOOK_MAX_ATTEMPTS=2): marked failed
+  respond = () => 503;
+  await owner.post('/api/shorten', { url: 'https://example.com/down', customCode: 'down' });
+  const [failed] = await waitFor(async () => {
+    const log = (await owner.get(`/api/webhooks/${hook.id}/deliveries`)).body;
+    return log[0].status === 'failed' && log;
+  });
+  assert.strictEqual(failed.attempts, 2);
+  assert.strictEqual(failed.error, 'HTTP 503');
+
+  await owner.delete(`/api/webhooks/${hook.id}`);
+});
+
+test('a test event is sent right away', async () => {
+  const hook = (await owner.post('/api/webhooks', { name: 'Test', url: receiverUrl, events: ['link.expired'] })).body;
+
+  const sent = await owner.post(`/api/webhooks/${hook.id}/test`);
+  assert.strictEqual(sent.status, 200);
+  assert.strictEqual(sent.body.status, 'delivered');
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].json.event, 'webhook.test');
+  assert.strictEqual(received[0].json.id, sent.body.id);
+
+  assert.strictEqual((await owner.post('/api/webhooks/9999/test')).status, 404);
+});